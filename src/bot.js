@@ -9,13 +9,19 @@
  * Usage:
  *   npm start           - Run bot with current .env configuration
  *   npm run dry         - Run in DRY_RUN mode (navigation only)
+ *   npm run test-mode   - Run the full flow against the bundled mock storefront (offline)
+ *   npm run convert-env - Convert .env into riot-merch.config.json
+ *   npm run check       - Pre-flight config check (no browser); exits 1 on errors
+ *   npm run reset-discovery - Forget how products were found (logs/discovery-cache.json)
+ *   npm run match       - Preview which listing each product matches (read-only, no cart changes)
+ *   npm run match -- "Poro Plush|Poro" - Preview ad-hoc names ("|" separates synonyms)
  *
  * Configuration:
- *   Edit .env file to set:
+ *   Edit .env (or riot-merch.config.json, see configSchema.js) to set:
  *   - Products and quantities
  *   - Riot accounts (RIOT_USER_1, RIOT_PASS_1, etc.)
  *   - Checkout/shipping information
- *   - Mode settings (DRY_RUN, CHECKOUT_ENABLED, FULL_SEND)
+ *   - Mode settings (DRY_RUN, CHECKOUT_ENABLED, FULL_SEND, STOP_AT, TEST_MODE)
  *
  * Multi-Account Mode:
  *   When Riot accounts are configured, the bot will:
@@ -29,6 +35,10 @@
 const config = require('./config.js');
 const RiotMerchBot = require('./classes/RiotMerchBot.js');
 const { log, captureScreenshot, saveAccountResults } = require('./util.js');
+const { startMockServer } = require('./mock/server.js');
+const { runPreflight } = require('./preflight.js');
+const { resolveStopAt } = require('./stages.js');
+const { resetDiscoveryCache, DISCOVERY_CACHE_FILE } = require('./discoveryCache.js');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -75,10 +85,23 @@ process.on('SIGTERM', async () => {
 function validateConfig() {
   let valid = true;
 
+  if (config.CONFIG_FILE) {
+    log('INFO', `Config file: ${config.CONFIG_FILE} (.env values take precedence)`);
+  }
+
+  // Report every config problem at once, with its field path
+  if (config.CONFIG_ERRORS.length > 0) {
+    log('ERROR', `Configuration has ${config.CONFIG_ERRORS.length} problem(s):`);
+    for (const error of config.CONFIG_ERRORS) {
+      log('ERROR', `  [${error.source}] ${error.path}: ${error.message}`);
+    }
+    valid = false;
+  }
+
   // Check for products
   if (config.PRODUCTS.length === 0) {
-    log('ERROR', 'No products configured in .env file');
-    log('INFO', 'Add PRODUCT1="Product Name" to your .env file');
+    log('ERROR', 'No products configured');
+    log('INFO', 'Add PRODUCT1="Product Name" to your .env file or a "products" list to the config file');
     valid = false;
   }
 
@@ -94,16 +117,25 @@ function validateConfig() {
       log('WARN', 'Accounts configured but CHECKOUT_ENABLED=0 - checkout will be skipped');
     }
 
-    // Warn if FULL_SEND is enabled
-    if (config.FULL_SEND) {
+    // Warn if orders will be placed
+    if (resolveStopAt(config).stage === null) {
       log('WARN', '*** FULL_SEND=1 - Orders WILL be placed! ***');
     }
   } else {
     log('INFO', 'Single session mode (no Riot accounts configured)');
   }
 
+  if (config.TEST_MODE) {
+    log('INFO', `TEST_MODE=1 - using mock storefront at ${config.URL}`);
+  }
+
+  const stopAt = resolveStopAt(config);
+  if (stopAt.stage) {
+    log('INFO', `Run will stop after stage "${stopAt.stage}" (${stopAt.source})`);
+  }
+
   // Check for dangerous configuration
-  if (config.FULL_SEND && config.CHECKOUT_ENABLED) {
+  if (stopAt.stage === null && !config.TEST_MODE) {
     log('WARN', '===========================================');
     log('WARN', '  WARNING: FULL_SEND MODE IS ENABLED!');
     log('WARN', '  Orders will be placed automatically.');
@@ -114,6 +146,81 @@ function validateConfig() {
   return valid;
 }
 
+/**
+ * Run pre-flight checks and log the findings
+ * @param {Object} options - Passed to runPreflight
+ * @returns {boolean} True if there are no errors
+ */
+function preflight(options = {}) {
+  const result = runPreflight(config, options);
+
+  for (const warning of result.warnings) {
+    log('WARN', `[preflight] ${warning.field}: ${warning.message}`);
+  }
+  for (const error of result.errors) {
+    log('ERROR', `[preflight] ${error.field}: ${error.message}`);
+  }
+
+  if (result.ok) {
+    log('OK', `Pre-flight passed (${result.warnings.length} warning(s))`);
+  } else {
+    log('ERROR', `Pre-flight failed: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+  }
+  return result.ok;
+}
+
+/**
+ * `check` command - validate config without launching a browser
+ * Checkout and payment problems always count as errors here.
+ */
+function runCheckCommand() {
+  log('INFO', '=== PRE-FLIGHT CONFIG CHECK ===');
+  const configValid = validateConfig();
+  const preflightValid = preflight({ strict: true });
+  process.exit(configValid && preflightValid ? 0 : 1);
+}
+
+/**
+ * `reset-discovery` command - delete the discovery cache
+ */
+function runResetDiscoveryCommand() {
+  const removed = resetDiscoveryCache();
+  log('OK', `Discovery cache reset (${removed} entr${removed === 1 ? 'y' : 'ies'} removed from ${DISCOVERY_CACHE_FILE})`);
+  process.exit(0);
+}
+
+/**
+ * `match` command - preview discovery for the configured products, or for names on the command line
+ * Read-only: the cart, account and discovery cache are left alone.
+ * @param {string[]} args - Ad-hoc products; "|" separates synonyms like PRODUCTn
+ */
+async function runMatchCommand(args) {
+  const products = args
+    .map(arg => ({ names: arg.split('|').map(n => n.trim()).filter(n => n) }))
+    .filter(p => p.names.length > 0);
+  if (products.length === 0 && config.PRODUCTS.length === 0) {
+    log('ERROR', 'No products configured - pass a name: npm run match -- "Poro Plush"');
+    process.exit(1);
+  }
+
+  let mockStore = null;
+  if (config.TEST_MODE) {
+    mockStore = await startMockServer(config.MOCK_PORT);
+  }
+
+  bot = new RiotMerchBot(config);
+  try {
+    await bot.runMatch(products);
+  } catch (err) {
+    log('ERROR', `Match preview failed: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (mockStore) {
+      await mockStore.stop();
+    }
+  }
+}
+
 /**
  * Main function
  */
@@ -131,6 +238,19 @@ async function main() {
     process.exit(1);
   }
 
+  // Refuse to start on a config that would fail later (e.g. at the payment step)
+  if (!preflight()) {
+    log('ERROR', 'Fix the problems above (run "npm run check" to re-check) before starting the bot');
+    process.exit(1);
+  }
+
+  // TEST_MODE: serve the mock storefront that config.URL points at
+  let mockStore = null;
+  if (config.TEST_MODE) {
+    log('INFO', 'TEST_MODE=1 - starting mock storefront (no requests go to merch.riotgames.com)');
+    mockStore = await startMockServer(config.MOCK_PORT);
+  }
+
   // Create and run bot
   bot = new RiotMerchBot(config);
 
@@ -139,9 +259,21 @@ async function main() {
     log('INFO', 'Bot completed successfully');
   } catch (err) {
     log('ERROR', `Bot failed: ${err.message}`);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    if (mockStore) {
+      await mockStore.stop();
+    }
   }
 }
 
-// Run main
-main();
+// Run command
+if (process.argv[2] === 'check') {
+  runCheckCommand();
+} else if (process.argv[2] === 'reset-discovery') {
+  runResetDiscoveryCommand();
+} else if (process.argv[2] === 'match') {
+  runMatchCommand(process.argv.slice(3));
+} else {
+  main();
+}
@@ -0,0 +1,45 @@
+/**
+ * Budget caps for Riot Merch Bot
+ * - Per-product maxPrice (MAX_PRICEn / products[].maxPrice), checked on the product page and review page
+ * - MAX_ORDER_TOTAL, checked against the cart subtotal and the review page total
+ * A cap of 0 / null means no cap.
+ */
+
+/**
+ * Format an amount for log messages
+ * @param {number} amount
+ * @param {string|null} [currency] - ISO code; amounts in other currencies than USD are suffixed with it
+ * @returns {string}
+ */
+function formatAmount(amount, currency = null) {
+  return currency && currency !== 'USD' ? `${amount.toFixed(2)} ${currency}` : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Check an observed amount against a cap
+ * @param {number|null} observed - Amount read from the page (null = could not be read)
+ * @param {number|null} allowed - Cap (0 / null = no cap)
+ * @param {string} what - Description for the message (e.g. 'Unit price of "Jett Hoodie"')
+ * @returns {{ok: boolean, capped: boolean, observed: number|null, allowed: number|null, message: string}}
+ *   capped is false when there is no cap or the amount is unknown - ok is then always true
+ */
+function checkBudget(observed, allowed, what) {
+  if (!allowed || allowed <= 0) {
+    return { ok: true, capped: false, observed, allowed: null, message: `${what}: no cap` };
+  }
+  if (observed === null || observed === undefined) {
+    return { ok: true, capped: false, observed: null, allowed, message: `${what}: could not be read (cap ${formatAmount(allowed)})` };
+  }
+
+  // Half a cent of slack for rounding in displayed prices
+  const ok = observed <= allowed + 0.005;
+  const message = ok
+    ? `${what} ${formatAmount(observed)} within cap ${formatAmount(allowed)}`
+    : `${what} ${formatAmount(observed)} exceeds cap ${formatAmount(allowed)}`;
+  return { ok, capped: true, observed, allowed, message };
+}
+
+module.exports = {
+  checkBudget,
+  formatAmount
+};
@@ -0,0 +1,106 @@
+/**
+ * Cart reconciliation for CART_MODE=reconcile
+ * Instead of clearing the cart, the lines already in it are compared with the configured
+ * products: matching lines are kept (or their quantity corrected), missing products are added,
+ * lines of products skipped this run (already ordered) are removed, and lines that belong to no
+ * product are kept or removed per CART_UNRELATED.
+ * The same plan, with the cart's original lines as the products, restores the cart after a run
+ * (RESTORE_CART), leaving out lines that were ordered.
+ */
+const { itemMatchesProduct } = require('./ledger.js');
+
+const CART_MODES = ['clear', 'reconcile'];
+const UNRELATED_ACTIONS = ['keep', 'remove'];
+const RESTORE_MODES = ['ask', 'auto', 'off'];
+
+/**
+ * Work out what to change so the cart holds exactly the configured products
+ * Each product claims the first unclaimed line that matches it (title + options, like the order
+ * ledger). Further lines matching an already-claimed product are surplus and removed.
+ * @param {Array<{title: string, variant: string|null, quantity: number|null}>} lines - Current cart lines
+ * @param {Array<{names: string[], quantity: number, options?: Object<string, string>}>} products - Products to have in the cart
+ * @param {{match: Function}} matcher - From matcherFromConfig
+ * @param {Object} [options]
+ * @param {'keep'|'remove'} [options.unrelated] - What to do with lines no product matches (default 'keep')
+ * @param {Array<Object>} [options.skipped] - Configured products skipped this run; their lines are always
+ *   removed so a kept line can't be ordered again
+ * @returns {{keep: Array<{product: Object, line: Object}>, update: Array<{product: Object, line: Object, from: number|null, to: number}>, add: Array<Object>, remove: Array<{line: Object, reason: string, skipped?: Object}>, unrelated: Array<Object>}}
+ *   remove entries for a skipped product's line carry the product as `skipped`
+ */
+function planCartReconciliation(lines, products, matcher, options = {}) {
+  const { unrelated = 'keep', skipped = [] } = options;
+  const plan = { keep: [], update: [], add: [], remove: [], unrelated: [] };
+  const claimed = new Set();
+
+  for (const product of products) {
+    const line = lines.find(l => !claimed.has(l) && itemMatchesProduct(l, product, matcher));
+    if (!line) {
+      plan.add.push(product);
+      continue;
+    }
+    claimed.add(line);
+    if (line.quantity === product.quantity) {
+      plan.keep.push({ product, line });
+    } else {
+      plan.update.push({ product, line, from: line.quantity, to: product.quantity });
+    }
+  }
+
+  for (const line of lines.filter(l => !claimed.has(l))) {
+    const owner = products.find(p => itemMatchesProduct(line, p, matcher));
+    const skippedOwner = owner ? null : skipped.find(p => itemMatchesProduct(line, p, matcher));
+    if (owner) {
+      plan.remove.push({ line, reason: `extra line for "${owner.names[0]}"` });
+    } else if (skippedOwner) {
+      plan.remove.push({ line, reason: `"${skippedOwner.names[0]}" is skipped this run`, skipped: skippedOwner });
+    } else if (unrelated === 'remove') {
+      plan.remove.push({ line, reason: 'not a configured product' });
+    } else {
+      plan.unrelated.push(line);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Work out what to change so the cart holds its original lines again
+ * Each original line becomes a product (its title as the only name, its options when the cart API
+ * listed them); every other line - what the run added - is removed.
+ * @param {Array<{title: string, variant: string|null, options?: Object<string, string>|null, quantity: number|null}>} original - Lines before the run
+ * @param {Array<Object>} current - Lines now
+ * @param {{match: Function}} matcher - From matcherFromConfig
+ * @returns {{keep: Array<Object>, update: Array<Object>, add: Array<Object>, remove: Array<Object>, unrelated: Array<Object>}}
+ *   See planCartReconciliation; products carry the original line as `line`
+ */
+function planCartRestore(original, current, matcher) {
+  const products = original.map(line => ({
+    names: [line.title],
+    quantity: line.quantity || 1,
+    options: line.options || {},
+    line
+  }));
+  return planCartReconciliation(current, products, matcher, { unrelated: 'remove' });
+}
+
+/**
+ * Original cart lines an order didn't include
+ * Lines still in the cart at checkout were ordered along with the configured products - putting
+ * them back afterwards would fill the cart with what was just bought.
+ * @param {Array<Object>} original - Lines before the run
+ * @param {Array<{title: string, variant: string|null}>} ordered - Lines of the placed order
+ * @param {{match: Function}} matcher - From matcherFromConfig
+ * @returns {Array<Object>} Original lines no ordered line matches
+ */
+function linesNotOrdered(original, ordered, matcher) {
+  return planCartRestore(original, ordered, matcher).add.map(product => product.line);
+}
+
+module.exports = {
+  CART_MODES,
+  UNRELATED_ACTIONS,
+  RESTORE_MODES,
+  planCartReconciliation,
+  planCartRestore,
+  linesNotOrdered
+};
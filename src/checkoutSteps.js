@@ -0,0 +1,165 @@
+/**
+ * Checkout step detection
+ * CheckoutManager works out where it is instead of assuming a fixed sequence, so a checkout that
+ * skips a step (saved address), repeats one (validation error) or was left mid-way by an earlier
+ * run is handled from whatever page is showing. The page is read into signals (URL, step marker,
+ * which forms are visible); this module turns them into a step:
+ *   information  - contact + shipping address
+ *   shipping     - shipping method
+ *   payment      - card details (and, on most stores, the Pay now button)
+ *   review       - separate final review page
+ *   confirmation - thank-you / order status page
+ *   error        - an error page instead of a step
+ */
+
+const CHECKOUT_STEPS = ['information', 'shipping', 'payment', 'review', 'confirmation', 'error'];
+
+// Steps a run can resume from - the ones with something left to do
+const RESUMABLE_STEPS = ['information', 'shipping', 'payment', 'review'];
+
+// Stage (stages.js) completed once the checkout is on a step
+const STAGE_BEFORE_STEP = {
+  information: 'cart',
+  shipping: 'shipping',
+  payment: 'shipping',
+  review: 'payment'
+};
+
+// Step names stores use in URLs (/checkout/shipping, ?step=shipping_method) and step markers (data-step)
+const STEP_NAMES = {
+  information: ['information', 'contact_information', 'contact', 'customer_information', 'address'],
+  shipping: ['shipping', 'shipping_method', 'delivery', 'delivery_method'],
+  payment: ['payment', 'payment_method', 'billing'],
+  review: ['review', 'order_review', 'confirm'],
+  confirmation: ['thank_you', 'thankyou', 'confirmation', 'order_status', 'order_confirmation']
+};
+
+/**
+ * Step for a step name from a URL or marker
+ * @param {string|null|undefined} name - e.g. "shipping_method", "thank-you"
+ * @returns {string|null}
+ */
+function stepFromName(name) {
+  const key = String(name || '').trim().toLowerCase().replace(/[-\s]+/g, '_');
+  if (!key) return null;
+  const entry = Object.entries(STEP_NAMES).find(([, names]) => names.includes(key));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Step from a checkout URL
+ * The `step` query parameter wins; otherwise the last path segment naming a step
+ * (/checkout/thank-you/RM-1001 → confirmation). URLs outside the checkout give null so product
+ * handles like /products/shipping-box don't count.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function stepFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  if (!segments.some(s => /^checkouts?$/i.test(s))) {
+    return null;
+  }
+
+  const fromQuery = stepFromName(parsed.searchParams.get('step'));
+  if (fromQuery) return fromQuery;
+
+  for (const segment of segments.reverse()) {
+    const step = stepFromName(segment);
+    if (step) return step;
+  }
+  return null;
+}
+
+/**
+ * Work out the checkout step from what the page shows
+ * In order: a confirmation message, an error page without any checkout form, the page's own step
+ * marker, the URL, then the visible forms (payment fields beat shipping methods beat the address
+ * form, since later steps often repeat earlier details as text).
+ * @param {Object} signals
+ * @param {string} signals.url
+ * @param {string|null} [signals.marker] - Step marker on the page (data-step)
+ * @param {boolean} [signals.confirmation] - Order confirmation message visible
+ * @param {string|null} [signals.errorText] - Page-level error (not a field error)
+ * @param {boolean} [signals.contactForm] - Email / address fields visible
+ * @param {boolean} [signals.shippingMethods] - Shipping method options visible
+ * @param {boolean} [signals.paymentFields] - Card fields or the payment iframe present
+ * @param {boolean} [signals.placeOrder] - Place order / Pay now button visible
+ * @returns {{step: string, source: 'page'|'marker'|'url'|'form'|'none', detail: string|null}}
+ *   step is one of CHECKOUT_STEPS, or 'unknown'
+ */
+function detectCheckoutStep(signals) {
+  const hasForm = Boolean(signals.contactForm || signals.shippingMethods || signals.paymentFields || signals.placeOrder);
+
+  if (signals.confirmation) {
+    return { step: 'confirmation', source: 'page', detail: null };
+  }
+  if (signals.errorText && !hasForm) {
+    return { step: 'error', source: 'page', detail: signals.errorText };
+  }
+
+  const fromMarker = stepFromName(signals.marker);
+  if (fromMarker) {
+    return { step: fromMarker, source: 'marker', detail: signals.marker };
+  }
+
+  const fromUrl = stepFromUrl(signals.url);
+  if (fromUrl) {
+    return { step: fromUrl, source: 'url', detail: signals.url };
+  }
+
+  if (signals.paymentFields) return { step: 'payment', source: 'form', detail: null };
+  if (signals.shippingMethods) return { step: 'shipping', source: 'form', detail: null };
+  if (signals.contactForm) return { step: 'information', source: 'form', detail: null };
+  if (signals.placeOrder) return { step: 'review', source: 'form', detail: null };
+
+  return { step: 'unknown', source: 'none', detail: signals.url || null };
+}
+
+/**
+ * Whether a run can pick up a checkout from the detected step
+ * Only a step named by the URL or the page's step marker counts - an email field alone could be a
+ * newsletter form.
+ * @param {{step: string, source: string}} detected - From detectCheckoutStep
+ * @returns {boolean}
+ */
+function canResumeFrom(detected) {
+  return RESUMABLE_STEPS.includes(detected.step) && detected.source !== 'form';
+}
+
+/**
+ * Items the review page must show when a checkout is resumed
+ * Nothing was added this run, so the configured products stand in for the add results: titles are
+ * matched by the product's names and variants by its configured options (OrderReview.verify).
+ * @param {Array<{names: string[], quantity: number, options?: Object<string, string>, maxPrice?: number|null}>} products
+ * @returns {Array<{product: string, title: null, quantity: number, variant: null, options: Object<string, string>, price: null, maxPrice: number|null, status: 'success', message: string}>}
+ */
+function resumedCheckoutItems(products) {
+  return products.map(p => ({
+    product: p.names[0],
+    title: null,
+    quantity: p.quantity,
+    variant: null,
+    options: p.options || {},
+    price: null,
+    maxPrice: p.maxPrice || null,
+    status: 'success',
+    message: 'Resumed checkout'
+  }));
+}
+
+module.exports = {
+  CHECKOUT_STEPS,
+  RESUMABLE_STEPS,
+  STAGE_BEFORE_STEP,
+  stepFromName,
+  stepFromUrl,
+  detectCheckoutStep,
+  canResumeFrom,
+  resumedCheckoutItems
+};
@@ -149,7 +149,7 @@ class AccountManager {
     }
 
     // Strategy 4: On merch site, check for account-related text in header
-    if (currentUrl.includes('merch.riotgames.com')) {
+    if (currentUrl.includes(new URL(this.config.URL).host)) {
       try {
         const accountTextPatterns = [/my account/i, /sign out/i, /log out/i, /logout/i];
         for (const pattern of accountTextPatterns) {
@@ -169,7 +169,7 @@ class AccountManager {
 
     // Strategy 5: Check for absence of sign-in indicators (weaker signal)
     // If we're on merch site and no explicit sign-in button found, do one more check
-    if (currentUrl.includes('merch.riotgames.com')) {
+    if (currentUrl.includes(new URL(this.config.URL).host)) {
       try {
         // Look for any element that typically only appears when logged in
         const loggedInOnlyElements = this.page.locator('header [href*="account"], header [href*="orders"], header [href*="wishlist"]');
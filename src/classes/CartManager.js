@@ -1,7 +1,105 @@
 /**
  * Cart Manager - Handles cart operations
+ * getCart() reads the cart into a structured model (lines with unit price, quantity and line total,
+ * subtotal, discounts, currency). Cart decisions - empty check, quantity verification, the checkout
+ * budget gate, reconciliation - are made on that model, and each read for a decision is recorded
+ * in cart-state.json. The model comes from the store's cart API (CartNetworkMonitor) when it has
+ * one, otherwise from the cart markup.
  */
-const { log, withRetry, captureScreenshot, captureFailure, sleep, clickWithFallback } = require('../util.js');
+const CartNetworkMonitor = require('./CartNetworkMonitor.js');
+const { log, withRetry, captureScreenshot, captureFailure, sleep, clickWithFallback, normalizeText, parsePrice, detectCurrency, saveRunArtifact, getRunContext, getAccountContext } = require('../util.js');
+
+// Controls and values inside a cart line
+const LINE_QUANTITY_INPUT = 'input[type="number"], input[name*="quantity"], input[name^="updates"]';
+const LINE_VARIANT_SELECTORS = ['.cart-item__variant', '.cart-item__options', '[class*="variant"]'];
+// Line total before unit price - the broad "[class*=price]" would match either
+const LINE_TOTAL_SELECTORS = ['.cart-item__line-price', '.cart-item__total', '[class*="line-price"]', '[class*="line-total"]', '[class*="final-price"]'];
+const LINE_PRICE_SELECTORS = ['.cart-item__price', '[class*="unit-price"]', '[class*="price"]:not([class*="line-price"]):not([class*="line-total"])'];
+
+// Explicit empty cart messages
+const EMPTY_TEXT_PATTERNS = [
+  'Your cart is empty',
+  'cart is empty',
+  'no items in your cart',
+  'no items in cart',
+  'Cart is empty',
+  'Your bag is empty',
+];
+
+// How long an opened cart gets to render its lines (or its empty message)
+const CART_RENDER_TIMEOUT_MS = 3000;
+
+// cart-state.json contents for the current run
+const cartState = { runId: null, snapshots: [] };
+
+/**
+ * Round to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Index of the cart line for a product
+ * Prefers an exact (normalized) title match so "Plush" doesn't pick up "Plush 2-Pack",
+ * then falls back to the first line containing the title.
+ * When a variant is given ("L / Black"), lines showing a different variant are skipped;
+ * a line whose variant couldn't be read is not ruled out.
+ * @param {Array<{title: string, variant: string|null}>} lines - Cart model lines
+ * @param {string} productName - Product title to match
+ * @param {string|null} [variant] - Selected variant title
+ * @returns {number} -1 if no line matches
+ */
+function matchCartLine(lines, productName, variant = null) {
+  const target = normalizeText(productName);
+  const variantValues = variant ? variant.split('/').map(v => normalizeText(v)).filter(v => v) : [];
+
+  let containsMatch = -1;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (variantValues.length > 0 && line.variant) {
+      const lineText = ` ${normalizeText(`${line.title} ${line.variant}`)} `;
+      if (!variantValues.every(v => lineText.includes(` ${v} `))) {
+        continue;
+      }
+    }
+
+    const normalized = normalizeText(line.title || '');
+    if (normalized === target) {
+      return i;
+    }
+    if (containsMatch < 0 && normalized.includes(target)) {
+      containsMatch = i;
+    }
+  }
+  return containsMatch;
+}
+
+/**
+ * Append a cart read to cart-state.json (one list per run, across accounts)
+ * @param {string} stage - What the cart was read for ('before', 'add-to-cart', 'checkout', ...)
+ * @param {Object} cart - From getCart
+ * @param {string} mode - CART_MODE
+ */
+function recordCartSnapshot(stage, cart, mode) {
+  const { runId } = getRunContext();
+  if (cartState.runId !== runId) {
+    cartState.runId = runId;
+    cartState.snapshots = [];
+  }
+
+  const accountIndex = getAccountContext();
+  cartState.snapshots.push({
+    timestamp: new Date().toISOString(),
+    account: accountIndex >= 0 ? accountIndex + 1 : null,
+    stage,
+    mode,
+    ...cart
+  });
+  saveRunArtifact('cart-state.json', cartState);
+}
 
 /**
  * Accept cookie consent to enable checkout functionality
@@ -63,6 +161,7 @@ class CartManager {
     this.page = page;
     this.SEL = SEL;
     this.config = config;
+    this.network = new CartNetworkMonitor(page, config);
   }
 
   /**
@@ -188,82 +287,247 @@ class CartManager {
 
   /**
    * Check if cart is empty
+   * Only an explicit empty cart counts - an unreadable cart is treated as not empty
+   * (better to try checkout than fail here). Use getCart() to tell the two apart.
    * @returns {Promise<boolean>}
    */
   async isEmpty() {
-    // Wait for cart to fully load
-    await sleep(2000);
+    return (await this.getCart()).state === 'empty';
+  }
 
-    try {
-      // First check for cart items - if we find any, cart is definitely not empty
-      const items = await this._getCartItems();
-      log('DEBUG', `Cart items found via standard selectors: ${items.length}`);
+  /**
+   * Read the cart into a structured model
+   * Fetched from the cart API when the store has one; otherwise read from the cart markup,
+   * opening the cart if no lines are visible.
+   * @param {string|null} [stage] - Records the read in cart-state.json under this stage
+   * @returns {Promise<{state: 'empty'|'items'|'unknown', lines: Array<{title: string, variant: string|null, options: Object<string, string>|null, quantity: number|null, unitPrice: number|null, lineTotal: number|null, currency: string|null}>, itemCount: number, subtotal: number|null, discounts: Array<{label: string, amount: number}>, currency: string|null, source: 'network'|'dom'}>}
+   *   state is 'unknown' when the cart couldn't be opened or showed neither lines nor an empty message
+   */
+  async getCart(stage = null) {
+    let cart = await this.network.refresh();
+    if (cart) {
+      cart = { ...cart, source: 'network' };
+    } else {
+      log('DEBUG', 'No cart API response - reading the cart page');
+      try {
+        cart = { ...await this._readCart(), source: 'dom' };
+      } catch (err) {
+        log('WARN', `Could not read the cart: ${err.message}`);
+        cart = { ...this._cartModel('unknown', [], null, []), source: 'dom' };
+      }
+    }
+
+    log('DEBUG', `Cart (${cart.source}): ${cart.state}, ${cart.lines.length} line(s), ${cart.itemCount} item(s), subtotal ${cart.subtotal ?? '?'}${cart.currency ? ` ${cart.currency}` : ''}`);
+    if (stage) {
+      recordCartSnapshot(stage, cart, this.config.CART_MODE);
+    }
+    return cart;
+  }
+
+  /**
+   * Snapshot the cart as it was before the run changed anything
+   * Recorded in cart-state.json as stage 'before'; the bot restores these lines after the run (RESTORE_CART).
+   * @returns {Promise<Object>} Cart model (see getCart)
+   */
+  async saveOriginalCart() {
+    const cart = await this.getCart('before');
+    if (cart.state === 'items') {
+      log('INFO', `Cart already holds ${cart.itemCount} item(s) - saved so they can be restored after the run`);
+    }
+    return cart;
+  }
+
+  /**
+   * Read lines, subtotal and discounts from the cart
+   * @returns {Promise<Object>} Cart model (see getCart)
+   */
+  async _readCart() {
+    if (!(await this._showLines())) {
+      return this._cartModel('unknown', [], null, []);
+    }
 
-      if (items.length > 0) {
-        return false; // Cart has items
+    // Lines are often rendered after the cart opens
+    const deadline = Date.now() + CART_RENDER_TIMEOUT_MS;
+    let items = await this._getCartLines();
+    let emptyMessage = null;
+    while (items.length === 0 && Date.now() < deadline) {
+      emptyMessage = await this._findEmptyMessage();
+      if (emptyMessage) break;
+      await sleep(250);
+      items = await this._getCartLines();
+    }
+
+    if (items.length === 0) {
+      if (emptyMessage) {
+        log('DEBUG', `Cart empty confirmed by text: "${emptyMessage}"`);
+        return this._cartModel('empty', [], 0, []);
       }
+      log('DEBUG', 'Could not determine the cart contents');
+      return this._cartModel('unknown', [], null, []);
+    }
 
-      // Check for any product-like elements in cart
-      const altItemSelectors = [
-        '[class*="cart"] [class*="item"]:not([class*="empty"])',
-        '[class*="cart"] [class*="product"]',
-        '[class*="cart"] img[src*="product"]',
-        '[class*="line-item"]',
-        '[class*="cart-line"]',
-        '[data-cart-item]',
-        '[class*="cart"] [class*="title"]',
-        '[class*="cart"] [class*="price"]',
-        '[class*="mini-cart"] [class*="item"]',
-        '[class*="drawer"] [class*="product"]',
-      ];
+    const lines = [];
+    for (const item of items) {
+      try {
+        lines.push(await this._readLine(item));
+      } catch (err) {
+        log('DEBUG', `Could not read cart line: ${err.message}`);
+      }
+    }
 
-      for (const selector of altItemSelectors) {
-        try {
-          const altItems = this.page.locator(selector);
-          const count = await altItems.count();
-          if (count > 0) {
-            const firstVisible = await altItems.first().isVisible().catch(() => false);
-            if (firstVisible) {
-              log('DEBUG', `Found ${count} items via: ${selector}`);
-              return false; // Cart is not empty
-            }
-          }
-        } catch {
-          // Continue
+    const subtotal = await this._readSubtotal();
+    const discounts = await this._readDiscounts();
+    return this._cartModel('items', lines, subtotal, discounts);
+  }
+
+  /**
+   * Assemble the cart model
+   * Without a displayed subtotal, the sum of the line totals is used when every line has one.
+   * @param {'empty'|'items'|'unknown'} state
+   * @param {Array<Object>} lines
+   * @param {{amount: number, currency: string|null}|number|null} subtotal - Displayed subtotal
+   * @param {Array<{label: string, amount: number, currency: string|null}>} discounts
+   * @returns {Object}
+   */
+  _cartModel(state, lines, subtotal, discounts) {
+    const displayed = subtotal && typeof subtotal === 'object' ? subtotal : { amount: subtotal, currency: null };
+    const lineTotals = lines.map(l => l.lineTotal);
+    const amount = displayed.amount ?? (lines.length > 0 && lineTotals.every(t => t !== null)
+      ? roundMoney(lineTotals.reduce((sum, t) => sum + t, 0) - discounts.reduce((sum, d) => sum + d.amount, 0))
+      : null);
+    const currency = [displayed.currency, ...lines.map(l => l.currency), ...discounts.map(d => d.currency)].find(c => c) || null;
+
+    return {
+      state,
+      lines,
+      itemCount: lines.reduce((sum, l) => sum + (l.quantity ?? 0), 0),
+      subtotal: amount,
+      discounts: discounts.map(({ label, amount: value }) => ({ label, amount: value })),
+      currency
+    };
+  }
+
+  /**
+   * Read one cart line
+   * A missing unit price or line total is derived from the other and the quantity.
+   * @param {import('playwright').Locator} item
+   * @returns {Promise<{title: string, variant: string|null, options: null, quantity: number|null, unitPrice: number|null, lineTotal: number|null, currency: string|null}>}
+   *   options (option names) aren't shown in cart markup
+   */
+  async _readLine(item) {
+    const input = item.locator(LINE_QUANTITY_INPUT).first();
+    const parsed = await input.count() > 0 ? parseInt(await input.inputValue(), 10) : NaN;
+    const quantity = Number.isNaN(parsed) ? null : parsed;
+
+    const priceText = await this._lineText(item, LINE_PRICE_SELECTORS);
+    const totalText = await this._lineText(item, LINE_TOTAL_SELECTORS);
+    let unitPrice = priceText ? parsePrice(priceText, this.config.PRICE_LOCALE) : null;
+    let lineTotal = totalText ? parsePrice(totalText, this.config.PRICE_LOCALE) : null;
+    if (lineTotal === null && unitPrice !== null && quantity !== null) {
+      lineTotal = roundMoney(unitPrice * quantity);
+    }
+    if (unitPrice === null && lineTotal !== null && quantity) {
+      unitPrice = roundMoney(lineTotal / quantity);
+    }
+
+    return {
+      title: await this._lineTitle(item),
+      variant: await this._lineText(item, LINE_VARIANT_SELECTORS),
+      options: null,
+      quantity,
+      unitPrice,
+      lineTotal,
+      currency: detectCurrency(priceText) || detectCurrency(totalText)
+    };
+  }
+
+  /**
+   * Text of the first element in a cart line matching one of the selectors
+   * @param {import('playwright').Locator} item
+   * @param {string[]} selectors
+   * @returns {Promise<string|null>}
+   */
+  async _lineText(item, selectors) {
+    for (const selector of selectors) {
+      try {
+        const el = item.locator(selector).first();
+        if (await el.count() > 0) {
+          const text = ((await el.textContent()) || '').trim();
+          if (text) return text;
         }
+      } catch {
+        // Try next
       }
+    }
+    return null;
+  }
 
-      // Only now check for explicit empty cart messages with text content
-      const emptyTextPatterns = [
-        'Your cart is empty',
-        'cart is empty',
-        'no items in your cart',
-        'no items in cart',
-        'Cart is empty',
-        'Your bag is empty',
-      ];
+  /**
+   * Visible empty cart message
+   * @returns {Promise<string|null>} The message, null if none is showing
+   */
+  async _findEmptyMessage() {
+    const strategies = [
+      () => this.SEL.cartEmpty(),
+      ...EMPTY_TEXT_PATTERNS.map(text => () => this.page.locator(`:text("${text}")`)),
+    ];
 
-      for (const text of emptyTextPatterns) {
-        try {
-          const emptyMsg = this.page.locator(`:text("${text}")`);
-          if (await emptyMsg.count() > 0 && await emptyMsg.first().isVisible()) {
-            log('DEBUG', `Cart empty confirmed by text: "${text}"`);
-            return true;
-          }
-        } catch {
-          // Continue
+    for (const strategy of strategies) {
+      try {
+        const message = strategy();
+        if (await message.count() > 0 && await message.first().isVisible()) {
+          return ((await message.first().textContent()) || '').trim();
         }
+      } catch {
+        // Try next
       }
+    }
+    return null;
+  }
 
-      // If we couldn't find items but also no empty message, assume not empty
-      // (better to try checkout than fail here)
-      log('DEBUG', 'Could not definitively determine cart state - proceeding');
-      return false;
+  /**
+   * Read the displayed subtotal (before shipping and taxes)
+   * @returns {Promise<{amount: number, currency: string|null}|null>} null if no subtotal is visible
+   */
+  async _readSubtotal() {
+    try {
+      const totals = this.SEL.cartTotal();
+      const count = await totals.count();
+      for (let i = 0; i < count; i++) {
+        const element = totals.nth(i);
+        if (!await element.isVisible()) continue;
+        const text = await element.textContent();
+        const amount = parsePrice(text, this.config.PRICE_LOCALE);
+        if (amount !== null) return { amount, currency: detectCurrency(text) };
+      }
     } catch (err) {
-      log('WARN', `Error checking cart: ${err.message}`);
-      // If we can't determine, assume not empty to allow checkout attempt
-      return false;
+      log('DEBUG', `Could not read cart total: ${err.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Read cart-level discounts (automatic discounts, applied codes)
+   * @returns {Promise<Array<{label: string, amount: number, currency: string|null}>>} Amounts are positive
+   */
+  async _readDiscounts() {
+    const discounts = [];
+    try {
+      const rows = this.SEL.cartDiscount();
+      const count = await rows.count();
+      for (let i = 0; i < count; i++) {
+        const row = rows.nth(i);
+        if (!await row.isVisible()) continue;
+        const text = ((await row.textContent()) || '').replace(/\s+/g, ' ').trim();
+        const amount = parsePrice(text, this.config.PRICE_LOCALE);
+        if (amount !== null && amount !== 0) {
+          discounts.push({ label: text, amount: Math.abs(amount), currency: detectCurrency(text) });
+        }
+      }
+    } catch (err) {
+      log('DEBUG', `Could not read cart discounts: ${err.message}`);
     }
+    return discounts;
   }
 
   /**
@@ -295,25 +559,130 @@ class CartManager {
     return [];
   }
 
+  /**
+   * Visible cart lines - cart items that hold a quantity control
+   * The broad item selectors also match elements nested inside a line; those are skipped, as are
+   * lines of a hidden cart (the cart page keeps the closed drawer's copy of every line).
+   * @returns {Promise<import('playwright').Locator[]>}
+   */
+  async _getCartLines() {
+    const lines = [];
+    for (const item of await this._getCartItems()) {
+      try {
+        if (await item.locator('input').count() > 0 && await item.isVisible()) {
+          lines.push(item);
+        }
+      } catch {
+        // Skip detached elements
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Product title of a cart line
+   * @param {import('playwright').Locator} item
+   * @returns {Promise<string>}
+   */
+  async _lineTitle(item) {
+    const titleSelectors = [
+      '.cart-item__title',
+      '.cart-item__name',
+      'a[href*="/products/"]',
+      '[class*="title"]',
+      '[class*="name"]'
+    ];
+
+    for (const selector of titleSelectors) {
+      const el = item.locator(selector).first();
+      if (await el.count() > 0) {
+        const title = await el.textContent();
+        if (title && title.trim()) return title.trim();
+      }
+    }
+    return ((await item.textContent()) || '').trim();
+  }
+
+  /**
+   * Make the cart lines visible, opening the cart unless a line is already showing
+   * @returns {Promise<boolean>}
+   */
+  async _showLines() {
+    for (const item of await this._getCartItems()) {
+      if (await item.isVisible().catch(() => false)) {
+        return true;
+      }
+    }
+    return await this.openCart();
+  }
+
+  /**
+   * Find the cart line element for a product (see matchCartLine)
+   * @param {string} productName - Product title to match
+   * @param {string|null} [variant] - Selected variant title
+   * @returns {Promise<import('playwright').Locator|null>}
+   */
+  async _findCartLine(productName, variant = null) {
+    const items = await this._getCartLines();
+    const lines = [];
+    for (const item of items) {
+      try {
+        lines.push({ title: await this._lineTitle(item), variant: await this._lineText(item, LINE_VARIANT_SELECTORS) });
+      } catch {
+        lines.push({ title: '', variant: null });
+      }
+    }
+    const index = matchCartLine(lines, productName, variant);
+    return index >= 0 ? items[index] : null;
+  }
+
+  /**
+   * Read the quantity of a product's cart line from the cart model
+   * @param {string} productName - Product title to match
+   * @param {string|null} [variant] - Selected variant title
+   * @param {string|null} [stage] - Records the cart read in cart-state.json under this stage
+   * @returns {Promise<number|null>} Line quantity, 0 if the product is not in the cart, null if unreadable
+   */
+  async getLineQuantity(productName, variant = null, stage = null) {
+    const cart = await this.getCart(stage);
+    if (cart.state === 'unknown') {
+      return null;
+    }
+    const line = this.findLine(cart, productName, variant);
+    return line ? line.quantity : 0;
+  }
+
+  /**
+   * A product's line in a cart model (see matchCartLine)
+   * @param {{lines: Array<Object>}} cart - From getCart
+   * @param {string} productName - Product title to match
+   * @param {string|null} [variant] - Selected variant title
+   * @returns {Object|null}
+   */
+  findLine(cart, productName, variant = null) {
+    const index = matchCartLine(cart.lines, productName, variant);
+    return index >= 0 ? cart.lines[index] : null;
+  }
+
   /**
    * Update quantity for a cart item
    * @param {string} productName - Product name to match
    * @param {number} quantity - New quantity
+   * @param {string|null} [variant] - Variant title, when several variants of the product are in the cart
    * @returns {Promise<boolean>}
    */
-  async updateQuantity(productName, quantity) {
+  async updateQuantity(productName, quantity, variant = null) {
     log('INFO', `Updating quantity for "${productName}" to ${quantity}`);
 
     try {
       // Find cart item by name
-      const item = this.SEL.cartItemByName(productName);
-      if (await item.count() === 0) {
+      await this._showLines();
+      const cartItem = await this._findCartLine(productName, variant);
+      if (!cartItem) {
         log('WARN', `Cart item "${productName}" not found`);
         return false;
       }
 
-      const cartItem = item.first();
-
       // Find quantity input within cart item
       const inputSelectors = [
         'input[type="number"]',
@@ -392,19 +761,20 @@ class CartManager {
   /**
    * Remove item from cart
    * @param {string} productName - Product name to remove
+   * @param {string|null} [variant] - Variant title, when several variants of the product are in the cart
    * @returns {Promise<boolean>}
    */
-  async removeItem(productName) {
-    log('INFO', `Removing "${productName}" from cart`);
+  async removeItem(productName, variant = null) {
+    log('INFO', `Removing "${productName}"${variant ? ` [${variant}]` : ''} from cart`);
 
     try {
-      const item = this.SEL.cartItemByName(productName);
-      if (await item.count() === 0) {
+      await this._showLines();
+      const cartItem = await this._findCartLine(productName, variant);
+      if (!cartItem) {
         log('WARN', `Cart item "${productName}" not found`);
         return false;
       }
 
-      const cartItem = item.first();
       const removeSelectors = [
         '[aria-label*="remove" i]',
         '.remove-item',
@@ -471,15 +841,25 @@ class CartManager {
     }
   }
 
+  /**
+   * Read the cart subtotal (before shipping and taxes) from the cart model
+   * @returns {Promise<number|null>} null if it couldn't be read
+   */
+  async getCartTotal() {
+    return (await this.getCart()).subtotal;
+  }
+
   /**
    * Get cart info (for logging)
-   * @returns {Promise<{itemCount: number, isEmpty: boolean}>}
+   * @returns {Promise<{itemCount: number, isEmpty: boolean, subtotal: number|null, currency: string|null}>}
    */
   async getCartInfo() {
-    const items = await this._getCartItems();
+    const cart = await this.getCart();
     return {
-      itemCount: items.length,
-      isEmpty: items.length === 0
+      itemCount: cart.itemCount,
+      isEmpty: cart.state === 'empty',
+      subtotal: cart.subtotal,
+      currency: cart.currency
     };
   }
 
@@ -566,7 +946,7 @@ class CartManager {
       }
 
       // Final check
-      const isEmpty = await this.isEmpty();
+      const isEmpty = (await this.getCart('clear')).state === 'empty';
       await this.closeIfOpen();
       return isEmpty;
 
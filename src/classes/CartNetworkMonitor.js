@@ -0,0 +1,203 @@
+/**
+ * Cart Network Monitor - Cart state from the storefront's cart API responses
+ * Listens to the page's responses for the Shopify-style cart endpoints:
+ *   /cart.js, /cart.json                          - full cart
+ *   /cart/add.js                                  - added line(s), or the rejection (sold out, limit)
+ *   /cart/change.js, /cart/update.js, /cart/clear.js - full cart after the change
+ * and parses them into the cart model CartManager.getCart() returns. What the server answered is
+ * more reliable than drawers, toasts and cart markup, which remain the fallback.
+ */
+const { log } = require('../util.js');
+
+// Cart endpoint → event kind
+const CART_ENDPOINT = /\/cart(?:\/(add|change|update|clear))?(?:\.js|\.json)$/;
+
+// Events kept for waiters (newest last)
+const MAX_EVENTS = 50;
+
+// How long a cart fetch from the page may take
+const REFRESH_TIMEOUT_MS = 5000;
+
+/**
+ * Amount from a cart API value (integer cents)
+ * @param {number|string|null|undefined} cents
+ * @returns {number|null}
+ */
+function fromCents(cents) {
+  const value = typeof cents === 'string' ? parseInt(cents, 10) : cents;
+  return typeof value === 'number' && !Number.isNaN(value) ? Math.round(value) / 100 : null;
+}
+
+/**
+ * Cart model line from a cart API item
+ * @param {Object} item
+ * @param {string|null} currency
+ * @returns {{title: string, variant: string|null, options: Object<string, string>|null, quantity: number|null, unitPrice: number|null, lineTotal: number|null, currency: string|null}}
+ *   options (option name → value) only when the API lists them
+ */
+function lineFromItem(item, currency) {
+  const variant = item.variant_title && item.variant_title !== 'Default Title' ? item.variant_title : null;
+  const options = Array.isArray(item.options_with_values) && item.options_with_values.length > 0
+    ? Object.fromEntries(item.options_with_values.map(o => [o.name, o.value]))
+    : null;
+  return {
+    title: item.product_title || item.title || '',
+    variant,
+    options: variant ? options : null,
+    quantity: typeof item.quantity === 'number' ? item.quantity : null,
+    unitPrice: fromCents(item.final_price ?? item.price),
+    lineTotal: fromCents(item.final_line_price ?? item.line_price),
+    currency
+  };
+}
+
+/**
+ * Cart model from a full cart API response
+ * @param {Object} data - /cart.js body
+ * @returns {{state: 'empty'|'items', lines: Array<Object>, itemCount: number, subtotal: number|null, discounts: Array<{label: string, amount: number}>, currency: string|null}|null}
+ *   null if the body isn't a cart
+ */
+function cartFromJson(data) {
+  if (!data || !Array.isArray(data.items)) {
+    return null;
+  }
+  const currency = data.currency || null;
+  const lines = data.items.map(item => lineFromItem(item, currency));
+  const discounts = (data.cart_level_discount_applications || [])
+    .map(d => ({ label: d.title || d.type || 'Discount', amount: fromCents(d.total_allocated_amount) }))
+    .filter(d => d.amount);
+
+  return {
+    state: lines.length > 0 ? 'items' : 'empty',
+    lines,
+    itemCount: typeof data.item_count === 'number' ? data.item_count : lines.reduce((sum, l) => sum + (l.quantity ?? 0), 0),
+    subtotal: fromCents(data.total_price),
+    discounts,
+    currency
+  };
+}
+
+class CartNetworkMonitor {
+  /**
+   * Starts listening right away
+   * @param {import('playwright').Page} page
+   * @param {Object} config - Configuration
+   */
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+    this.events = [];
+    this.seq = 0;
+    page.on('response', response => {
+      this._handleResponse(response).catch(err => log('DEBUG', `Cart response not read: ${err.message}`));
+    });
+  }
+
+  /**
+   * Position in the event stream - pass to waitFor to only see later responses
+   * @returns {number}
+   */
+  mark() {
+    return this.seq;
+  }
+
+  /**
+   * Wait for a cart API response
+   * @param {Array<'cart'|'add'|'change'>} kinds
+   * @param {number} since - From mark()
+   * @param {number} timeout
+   * @returns {Promise<{seq: number, kind: string, ok: boolean|null, status: number, url: string, cart: Object|null, lines: Array<Object>, message: string|null}|null>}
+   *   First matching response after `since`, null on timeout. ok is null for responses that
+   *   weren't JSON (form posts, redirects) - the request happened but says nothing about the cart.
+   */
+  async waitFor(kinds, since, timeout) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const event = this.events.find(e => e.seq > since && kinds.includes(e.kind));
+      if (event) return event;
+      if (Date.now() >= deadline) return null;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Fetch the cart through the page and return it as the listener parsed it
+   * @param {number} [timeout]
+   * @returns {Promise<Object|null>} Cart model, null if the store has no readable cart API
+   */
+  async refresh(timeout = REFRESH_TIMEOUT_MS) {
+    const since = this.mark();
+    let url;
+    try {
+      url = new URL('/cart.js', this.config.URL).href;
+    } catch {
+      return null;
+    }
+
+    try {
+      await this.page.evaluate(async ({ url, timeout }) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+          await fetch(url, { credentials: 'same-origin', headers: { Accept: 'application/json' }, signal: controller.signal });
+        } catch {
+          // Cross-origin page or no cart API - the caller falls back to the page
+        } finally {
+          clearTimeout(timer);
+        }
+      }, { url, timeout });
+    } catch (err) {
+      log('DEBUG', `Cart fetch failed: ${err.message}`);
+      return null;
+    }
+
+    const event = await this.waitFor(['cart'], since, 1000);
+    return event && event.ok && event.cart ? event.cart : null;
+  }
+
+  /**
+   * Record a cart API response
+   * @param {import('playwright').Response} response
+   */
+  async _handleResponse(response) {
+    let pathname;
+    try {
+      pathname = new URL(response.url()).pathname;
+    } catch {
+      return;
+    }
+    const endpoint = pathname.match(CART_ENDPOINT);
+    if (!endpoint) return;
+
+    const kind = !endpoint[1] ? 'cart' : endpoint[1] === 'add' ? 'add' : 'change';
+    const status = response.status();
+    let data = null;
+    try {
+      data = await response.json();
+    } catch {
+      // Not JSON (redirect, HTML error page)
+    }
+
+    const event = { seq: 0, kind, ok: null, status, url: response.url(), cart: null, lines: [], message: null };
+    if (data && status >= 400) {
+      event.ok = false;
+      event.message = String(data.description || data.message || `HTTP ${status}`).trim();
+    } else if (data && kind === 'add') {
+      const items = Array.isArray(data.items) ? data.items : [data];
+      event.lines = items.filter(item => item && (item.product_title || item.title)).map(item => lineFromItem(item, null));
+      event.ok = event.lines.length > 0;
+    } else if (data) {
+      event.cart = cartFromJson(data);
+      event.ok = event.cart !== null;
+    }
+
+    event.seq = ++this.seq;
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.shift();
+    }
+    log('DEBUG', `Cart API ${kind} (${status})${event.ok === false ? `: ${event.message}` : ''}`);
+  }
+}
+
+module.exports = CartNetworkMonitor;
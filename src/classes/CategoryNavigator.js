@@ -0,0 +1,360 @@
+/**
+ * Category Navigator - Reads the CATEGORIES dropdown into a category tree and maps products onto it
+ * - The tree is read once per run and store (cached across accounts) and saved as category-tree.json
+ * - Products are matched to categories by keyword overlap: the category title itself, its words,
+ *   and keyword hints (built-in franchise hints + CATEGORY_HINTS from config)
+ * - If the menu can't be read, the hinted category names are used as a flat fallback tree
+ */
+const { log, sleep, normalizeText, saveRunArtifact, getRunContext } = require('../util.js');
+const { containsPhrase } = require('../matching.js');
+
+// Built-in keyword hints for franchise names that rarely appear in product titles
+const DEFAULT_CATEGORY_HINTS = {
+  'VALORANT': ['valorant', 'vlrnt', 'valo', 'frgmt', 'wngmn'],
+  'LEAGUE OF LEGENDS': ['league', 'lol', 'arcane'],
+  'TEAMFIGHT TACTICS': ['tft', 'teamfight'],
+  'WILD RIFT': ['wild rift', 'wildrift'],
+  'LEGENDS OF RUNETERRA': ['lor', 'runeterra'],
+};
+
+// Keyword weights - the whole category title beats a hint, a hint beats a single title word
+const TITLE_WEIGHT = 3;
+const HINT_WEIGHT = 2;
+const WORD_WEIGHT = 1;
+
+// Title words too generic to count on their own
+const STOP_WORDS = new Set(['of', 'the', 'and', 'all', 'shop', 'new']);
+
+// Category trees by run + store origin
+const treeCache = new Map();
+
+/**
+ * Merge keyword hints (category title → keywords), case-insensitive on the title
+ * @param {...Object<string, string[]>} sources
+ * @returns {Map<string, {title: string, keywords: string[]}>} Keyed by normalized title
+ */
+function mergeHints(...sources) {
+  const merged = new Map();
+  for (const source of sources) {
+    for (const [title, keywords] of Object.entries(source || {})) {
+      const key = normalizeText(title);
+      const existing = merged.get(key) || { title, keywords: [] };
+      merged.set(key, { title: existing.title, keywords: [...new Set([...existing.keywords, ...keywords])] });
+    }
+  }
+  return merged;
+}
+
+class CategoryNavigator {
+  /**
+   * @param {import('playwright').Page} page
+   * @param {Object} SEL - Selectors object
+   * @param {Object} config - Configuration
+   * @param {import('./NavigationManager')} navigationManager
+   */
+  constructor(page, SEL, config, navigationManager) {
+    this.page = page;
+    this.SEL = SEL;
+    this.config = config;
+    this.navigation = navigationManager;
+    this.hints = mergeHints(DEFAULT_CATEGORY_HINTS, config.CATEGORY_HINTS);
+  }
+
+  /**
+   * Category tree for the current store, read from the CATEGORIES dropdown once per run
+   * @returns {Promise<Array<{title: string, href: string|null, children: Array<Object>}>>} Empty if the menu can't be read
+   */
+  async getTree() {
+    const key = this._cacheKey();
+    if (treeCache.has(key)) {
+      return treeCache.get(key);
+    }
+
+    const tree = await this._readTree();
+    treeCache.set(key, tree);
+    if (tree.length > 0) {
+      const count = this._flatten(tree).length;
+      log('OK', `Category tree: ${count} categories (${tree.map(n => n.title).join(', ')})`);
+      saveRunArtifact('category-tree.json', { url: this.page.url(), categories: tree });
+    } else {
+      log('WARN', 'Could not read the CATEGORIES menu - falling back to hinted category names');
+    }
+    return tree;
+  }
+
+  /**
+   * Best category for a product
+   * @param {string[]} texts - Product names (and the spec's game, if any)
+   * @returns {{category: {title: string, href: string|null, path: string[]}, score: number, keywords: string[]}|null}
+   */
+  match(texts) {
+    const text = texts.filter(t => t).join(' | ');
+    let best = null;
+
+    for (const node of this._nodes()) {
+      const keywords = [];
+      let score = 0;
+
+      if (containsPhrase(text, node.title)) {
+        score += TITLE_WEIGHT;
+        keywords.push(node.title);
+      } else {
+        for (const word of normalizeText(node.title).split(' ')) {
+          if (word.length >= 3 && !STOP_WORDS.has(word) && containsPhrase(text, word)) {
+            score += WORD_WEIGHT;
+            keywords.push(word);
+          }
+        }
+      }
+      for (const hint of this._hintsFor(node.title)) {
+        if (containsPhrase(text, hint)) {
+          score += HINT_WEIGHT;
+          keywords.push(hint);
+        }
+      }
+
+      // Ties go to the more specific (deeper) category
+      if (score > 0 && (!best || score > best.score || (score === best.score && node.path.length > best.category.path.length))) {
+        best = { category: node, score, keywords };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Resolve a configured game / category name (GAMEn, products[].game) to a category
+   * Accepts the category title, any of its hints, or part of its title ("league").
+   * @param {string} name
+   * @returns {{title: string, href: string|null, path: string[]}|null}
+   */
+  resolve(name) {
+    const normalized = normalizeText(name);
+    const nodes = this._nodes();
+    return nodes.find(n => normalizeText(n.title) === normalized)
+      || nodes.find(n => this._hintsFor(n.title).some(h => normalizeText(h) === normalized))
+      || nodes.find(n => containsPhrase(n.title, name))
+      || null;
+  }
+
+  /**
+   * Open a category page via the CATEGORIES dropdown (direct URL if the link can't be clicked)
+   * @param {{title: string, href: string|null}} category
+   * @returns {Promise<boolean>}
+   */
+  async navigateTo(category) {
+    await this._openMenu();
+
+    if (category.href) {
+      try {
+        const link = this.page.locator(`header a[href="${category.href}"], nav a[href="${category.href}"]`).first();
+        if (await link.count() > 0 && await link.isVisible()) {
+          await link.click();
+          await this.navigation._waitForPageLoad();
+          log('OK', `Navigated to ${category.title} category via top nav`);
+          return true;
+        }
+      } catch {
+        // Fall through to direct navigation
+      }
+
+      try {
+        await this.page.goto(new URL(category.href, this.page.url()).href, { waitUntil: 'domcontentloaded' });
+        await this.navigation._waitForPageLoad();
+        log('OK', `Navigated to ${category.title} category (${category.href})`);
+        return true;
+      } catch (err) {
+        log('WARN', `Could not open ${category.href}: ${err.message}`);
+      }
+    }
+
+    return await this._clickByText(category.title);
+  }
+
+  /**
+   * Read the dropdown into a tree
+   * Links nested in sub-lists become children of the link before them.
+   * @returns {Promise<Array<Object>>}
+   */
+  async _readTree() {
+    const trigger = await this._openMenu();
+    if (!trigger) {
+      return [];
+    }
+
+    // Links in the trigger's own menu item (its dropdown), with their list nesting depth
+    let links = [];
+    try {
+      links = await trigger.evaluate(el => {
+        const item = el.closest('li, .nav-item, [class*="has-dropdown"], [class*="menu-item"]') || el.parentElement;
+        return Array.from(item.querySelectorAll('a[href]'))
+          .filter(a => a !== el)
+          .map(a => {
+            let depth = 0;
+            for (let node = a.parentElement; node && node !== item; node = node.parentElement) {
+              if (node.matches('ul, ol, [class*="submenu"], [class*="dropdown"]')) depth++;
+            }
+            return { title: (a.textContent || '').trim(), href: a.getAttribute('href'), depth };
+          });
+      });
+    } catch {
+      // Try the dropdown panels below
+    }
+
+    if (links.length === 0) {
+      const panelStrategies = [
+        () => this.SEL.categoryMenu(),
+        () => this.SEL.categoryMenuFallback(),
+      ];
+      for (const strategy of panelStrategies) {
+        try {
+          const panel = strategy().first();
+          if (await panel.count() > 0) {
+            links = await panel.locator('a[href]').evaluateAll(anchors => anchors.map(a => {
+              let depth = 0;
+              for (let node = a.parentElement; node; node = node.parentElement) {
+                if (node.matches('ul, ol')) depth++;
+              }
+              return { title: (a.textContent || '').trim(), href: a.getAttribute('href'), depth };
+            }));
+            if (links.length > 0) break;
+          }
+        } catch {
+          // Try next
+        }
+      }
+    }
+
+    return this._buildTree(links.filter(l => l.title));
+  }
+
+  /**
+   * Build a tree from links in menu order
+   * @param {Array<{title: string, href: string, depth: number}>} links
+   * @returns {Array<{title: string, href: string, children: Array<Object>}>}
+   */
+  _buildTree(links) {
+    const roots = [];
+    const stack = [];
+    for (const link of links) {
+      const node = { title: link.title, href: link.href, children: [] };
+      while (stack.length > 0 && stack[stack.length - 1].depth >= link.depth) {
+        stack.pop();
+      }
+      (stack.length > 0 ? stack[stack.length - 1].node.children : roots).push(node);
+      stack.push({ node, depth: link.depth });
+    }
+    return roots;
+  }
+
+  /**
+   * Hover the CATEGORIES trigger to reveal the dropdown
+   * @returns {Promise<import('playwright').Locator|null>} The trigger, null if not found
+   */
+  async _openMenu() {
+    const triggerStrategies = [
+      () => this.SEL.categoryMenuTrigger(),
+      () => this.SEL.categoryMenuTriggerFallback1(),
+      () => this.SEL.categoryMenuTriggerFallback2(),
+      () => this.SEL.categoryMenuTriggerFallback3(),
+    ];
+
+    for (const strategy of triggerStrategies) {
+      try {
+        const trigger = strategy().first();
+        if (await trigger.count() > 0 && await trigger.isVisible()) {
+          await trigger.hover();
+          await sleep(1000);
+          log('DEBUG', 'Hovered on CATEGORIES in top nav');
+          return trigger;
+        }
+      } catch {
+        // Try next
+      }
+    }
+
+    log('WARN', 'Could not find CATEGORIES menu in top nav');
+    return null;
+  }
+
+  /**
+   * Click a category link by its text (hint-only categories have no href)
+   * @param {string} title
+   * @returns {Promise<boolean>}
+   */
+  async _clickByText(title) {
+    const escaped = title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const linkStrategies = [
+      () => this.page.locator('[class*="dropdown"], [class*="submenu"], [class*="menu"]').getByRole('link', { name: new RegExp(`^${escaped}$`, 'i') }),
+      () => this.page.locator('header, nav').getByRole('link', { name: new RegExp(escaped, 'i') }),
+      () => this.page.getByRole('link', { name: new RegExp(escaped, 'i') }),
+    ];
+
+    for (const strategy of linkStrategies) {
+      try {
+        const link = strategy().first();
+        if (await link.count() > 0 && await link.isVisible()) {
+          await link.click();
+          await this.navigation._waitForPageLoad();
+          log('OK', `Navigated to ${title} category via top nav`);
+          return true;
+        }
+      } catch {
+        // Try next
+      }
+    }
+
+    log('WARN', `Could not navigate to ${title} category`);
+    return false;
+  }
+
+  /**
+   * Every category with its path, from the cached tree or the hinted names
+   * @returns {Array<{title: string, href: string|null, path: string[]}>}
+   */
+  _nodes() {
+    const tree = treeCache.get(this._cacheKey());
+    if (tree && tree.length > 0) {
+      return this._flatten(tree);
+    }
+    return [...this.hints.values()].map(({ title }) => ({ title, href: null, path: [title] }));
+  }
+
+  /**
+   * Keyword hints for a category
+   * @param {string} title
+   * @returns {string[]}
+   */
+  _hintsFor(title) {
+    const hints = this.hints.get(normalizeText(title));
+    return hints ? hints.keywords : [];
+  }
+
+  /**
+   * Flatten a tree depth-first
+   * @param {Array<Object>} nodes
+   * @param {string[]} parents - Titles of the ancestors
+   * @returns {Array<{title: string, href: string|null, path: string[]}>}
+   */
+  _flatten(nodes, parents = []) {
+    return nodes.flatMap(node => {
+      const path = [...parents, node.title];
+      return [{ title: node.title, href: node.href, path }, ...this._flatten(node.children, path)];
+    });
+  }
+
+  /**
+   * Tree cache key - one tree per run and store
+   * @returns {string}
+   */
+  _cacheKey() {
+    let origin = '';
+    try {
+      origin = new URL(this.config.URL).origin;
+    } catch {
+      origin = String(this.config.URL || '');
+    }
+    return `${getRunContext().runId}|${origin}`;
+  }
+}
+
+module.exports = CategoryNavigator;
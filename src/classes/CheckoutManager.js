@@ -3,6 +3,25 @@
  */
 const { log, withRetry, captureScreenshot, captureFailure, sleep } = require('../util.js');
 const FormFiller = require('./FormFiller.js');
+const OrderReview = require('./OrderReview.js');
+const { resolveStopAt, stageIndex, shouldStopAfter, runsPast } = require('../stages.js');
+const { STAGE_BEFORE_STEP, detectCheckoutStep, canResumeFrom } = require('../checkoutSteps.js');
+const { describeFieldError } = require('../fieldErrors.js');
+const { checkBudget } = require('../budget.js');
+const { recordOrder, currentAccountKey, storeKey } = require('../ledger.js');
+
+// Order number formats on confirmation pages: "Order #RM-1001", "Order number: 1234", bare "RM-1001"
+const ORDER_NUMBER_PATTERNS = [
+  /#\s*([A-Z0-9][A-Z0-9-]*)/i,
+  /(?:number|no\.?)\s*:?\s*([A-Z0-9][A-Z0-9-]*\d)/i,
+  /^\s*([A-Z0-9-]*\d[A-Z0-9-]*)\s*$/i,
+];
+
+// Rounds on the same checkout step before giving up as stuck
+const MAX_STEP_ATTEMPTS = 3;
+
+// How long the page may take to leave a step after its continue click
+const STEP_CHANGE_TIMEOUT_MS = 10000;
 
 class CheckoutManager {
   /**
@@ -17,67 +36,257 @@ class CheckoutManager {
     this.config = config;
     this.cart = cartManager;
     this.formFiller = new FormFiller(page, SEL, config);
+    this.review = new OrderReview(page, SEL, config);
   }
 
   /**
-   * Execute full checkout flow
-   * @returns {Promise<boolean>}
+   * Execute the checkout, halting after the STOP_AT stage
+   * Each round works out which step the page is on and runs that step's handler, so skipped,
+   * repeated or already-completed steps are handled. If the page is already on a checkout step
+   * (a run restarted mid-checkout - see RiotMerchBot._resumeCheckout), the checkout resumes there
+   * without going through the cart.
+   * @param {Array<Object>} productResults - Per-product results from ProductHandler; successful ones are what the review page must show
+   * @returns {Promise<{success: boolean, status: 'stopped'|'placed'|'placed_unconfirmed'|'empty_cart'|'over_budget'|'review_mismatch'|'field_error'|'stuck'|'error', stage: string|null, message: string, step?: string, fieldErrors?: Array<Object>}>}
+   *   stage is the last checkout stage completed; placed_unconfirmed is an order submitted without a confirmation page
+   *   (it may have gone through); step is the checkout step a rejected or stuck checkout stayed on;
+   *   fieldErrors (field_error) lists each rejected field with its config path, the value typed (masked where sensitive) and the store's message
    */
-  async performCheckout() {
-    if (!this.config.CHECKOUT_ENABLED) {
+  async performCheckout(productResults = []) {
+    if (!runsPast(this.config, 'cart')) {
       log('INFO', 'Checkout disabled - stopping at cart');
-      return false;
+      return { success: true, status: 'stopped', stage: 'cart', message: 'Stopped at cart' };
     }
 
     log('INFO', '=== Starting Checkout Flow ===');
+    this.formFiller.forgetFilled();
+    let stage = 'cart';
+    const expectedItems = productResults.filter(r => r.status === 'success');
 
     try {
-      // Step 1: Open cart and proceed to checkout
-      const cartOpened = await this.cart.openCart();
-      if (!cartOpened) {
-        await this.cart.goToCartPage();
+      let current = await this.detectStep();
+      if (canResumeFrom(current)) {
+        log('INFO', `Already on the ${current.step} checkout step - resuming there (the review page checks the cart)`);
+      } else {
+        const blocked = await this._checkCart(productResults);
+        if (blocked) return blocked;
+
+        const checkoutStarted = await this.cart.proceedToCheckout();
+        if (!checkoutStarted) {
+          log('ERROR', 'Failed to start checkout');
+          return { success: false, status: 'error', stage, message: 'Failed to start checkout' };
+        }
+        await captureScreenshot(this.page, 'checkout-started');
+        current = await this.detectStep();
       }
 
-      // Check if cart is empty
-      if (await this.cart.isEmpty()) {
-        log('WARN', 'Cart is empty - cannot proceed to checkout');
-        return false;
-      }
+      const attempts = {};
+      let discountApplied = false;
+      for (;;) {
+        const { step, source } = current;
+        attempts[step] = (attempts[step] || 0) + 1;
+        log('INFO', `Checkout step: ${step} (from ${source}${attempts[step] > 1 ? `, attempt ${attempts[step]}` : ''})`);
 
-      // Proceed to checkout
-      const checkoutStarted = await this.cart.proceedToCheckout();
-      if (!checkoutStarted) {
-        log('ERROR', 'Failed to start checkout');
-        return false;
-      }
+        if (step === 'error' || step === 'unknown' || step === 'confirmation') {
+          return await this._unexpectedStep(current, stage);
+        }
+        if (attempts[step] > MAX_STEP_ATTEMPTS) {
+          return await this._stuckOn(step, stage, attempts[step] - 1);
+        }
 
-      await captureScreenshot(this.page, 'checkout-started');
+        // Reaching a step means the stages before it are done, even if this run didn't do them
+        const reached = STAGE_BEFORE_STEP[step];
+        if (stageIndex(reached) > stageIndex(stage)) {
+          stage = reached;
+          if (!runsPast(this.config, stage)) return await this._stopAt(stage);
+        }
 
-      // Step 2: Fill contact/shipping information
-      await this._fillContactInfo();
-      await this._fillShippingInfo();
+        let rejected = null;
+        if (step === 'information') {
+          await this._fillContactInfo();
+          rejected = await this._checkFieldErrors(step, stage);
+          if (rejected) return rejected;
+          stage = 'contact';
+          if (shouldStopAfter(this.config, stage)) return await this._stopAt(stage);
+          await this._fillShippingInfo();
+          rejected = await this._checkFieldErrors(step, stage);
+          if (rejected) return rejected;
+          await this._continue(step);
+        } else if (step === 'shipping') {
+          await this._continue(step);
+        } else if (step === 'payment') {
+          if (this.config.DISCOUNT_CODE && !discountApplied) {
+            await this._applyDiscountCode();
+            discountApplied = true;
+          }
+          await this._fillPaymentInfo();
+          // Also catches a rejected discount code
+          rejected = await this._checkFieldErrors(step, stage);
+          if (rejected) return rejected;
+          stage = 'payment';
+          if (shouldStopAfter(this.config, stage)) return await this._stopAt(stage);
+          // Most checkouts place the order from the payment page; some have a review page after it
+          if (!await this._continue(step)) {
+            return await this._reviewAndPlaceOrder(expectedItems);
+          }
+        } else {
+          return await this._reviewAndPlaceOrder(expectedItems);
+        }
 
-      // Step 3: Continue to shipping method selection
-      await this._continueToShipping();
+        current = await this._waitForStepChange(step);
+        if (current.step === step) {
+          rejected = await this._checkFieldErrors(step, stage);
+          if (rejected) return rejected;
+        }
+      }
 
-      // Step 4: Continue to payment
-      await this._continueToPayment();
+    } catch (err) {
+      await captureFailure(this.page, 'checkout', err);
+      return { success: false, status: 'error', stage, message: err.message };
+    }
+  }
 
-      // Step 5: Apply discount code if provided
-      if (this.config.DISCOUNT_CODE) {
-        await this._applyDiscountCode();
+  /**
+   * Cart gate before checkout: not empty, holds the added products, within budget
+   * @param {Array<Object>} productResults
+   * @returns {Promise<{success: false, status: 'empty_cart'|'over_budget', stage: string|null, message: string}|null>} null if checkout may start
+   */
+  async _checkCart(productResults) {
+    const cartOpened = await this.cart.openCart();
+    if (!cartOpened) {
+      await this.cart.goToCartPage();
+    }
+
+    const cart = await this.cart.getCart('checkout');
+    if (cart.state === 'empty') {
+      log('WARN', 'Cart is empty - cannot proceed to checkout');
+      return { success: false, status: 'empty_cart', stage: null, message: 'Cart is empty' };
+    }
+    if (cart.state === 'unknown') {
+      log('WARN', 'Could not read the cart - continuing to checkout, the review page is checked instead');
+    } else {
+      for (const item of productResults.filter(r => r.status === 'success' && r.title)) {
+        if (!this.cart.findLine(cart, item.title, item.variant)) {
+          log('WARN', `"${item.title}" is not in the cart`);
+        }
       }
+    }
 
-      // Step 6: Fill payment information
-      await this._fillPaymentInfo();
+    // The cart subtotal alone already exceeding MAX_ORDER_TOTAL means the order would too
+    const cartBudget = checkBudget(cart.subtotal, this.config.MAX_ORDER_TOTAL, 'Cart subtotal');
+    if (!cartBudget.ok) {
+      log('ERROR', `Over budget: ${cartBudget.message} - not starting checkout`);
+      await captureScreenshot(this.page, 'cart-over-budget');
+      return { success: false, status: 'over_budget', stage: 'cart', message: cartBudget.message };
+    }
+    if (cartBudget.capped) {
+      log('OK', cartBudget.message);
+    }
+    return null;
+  }
 
-      // Step 7: Review and place order
-      return await this._reviewAndPlaceOrder();
+  /**
+   * Work out which checkout step the page is on
+   * @returns {Promise<{step: string, source: string, detail: string|null}>} See detectCheckoutStep
+   */
+  async detectStep() {
+    const signals = {
+      url: this.page.url(),
+      marker: await this._readAttribute(this.SEL.checkoutStep(), 'data-step'),
+      confirmation: await this._isShown(this.SEL.orderConfirmation()),
+      errorText: await this._readShownText(this.SEL.checkoutErrorPage()),
+      contactForm: await this._isShown(this.SEL.emailInputFallback1()) || await this._isShown(this.SEL.address1Fallback3()),
+      shippingMethods: await this._isShown(this.SEL.shippingMethodOption()),
+      paymentFields: await this._isShown(this.SEL.paymentFields()),
+      placeOrder: await this._isShown(this.SEL.placeOrderButton())
+    };
+    return detectCheckoutStep(signals);
+  }
 
-    } catch (err) {
-      await captureFailure(this.page, 'checkout', err);
-      return false;
+  /**
+   * Wait for the page to leave a step after its continue click
+   * @param {string} step - Step the continue click was on
+   * @returns {Promise<{step: string, source: string, detail: string|null}>} The new step, or the same one if the page didn't move
+   */
+  async _waitForStepChange(step) {
+    const deadline = Date.now() + STEP_CHANGE_TIMEOUT_MS;
+    let current = await this.detectStep();
+    while (current.step === step && Date.now() < deadline) {
+      await sleep(500);
+      current = await this.detectStep();
     }
+
+    if (current.step === step) {
+      log('WARN', `Still on the ${step} step after continuing`);
+    }
+    return current;
+  }
+
+  /**
+   * Stop the checkout if the step shows inline field errors
+   * Each error is mapped back to the config field that fed it (FormFiller.collectFieldErrors).
+   * @param {string} step
+   * @param {string} stage - Last stage completed
+   * @returns {Promise<{success: false, status: 'field_error', stage: string, step: string, message: string, fieldErrors: Array<{field: string|null, path: string|null, value: string|null, message: string}>}|null>}
+   *   null if the page shows no field errors
+   */
+  async _checkFieldErrors(step, stage) {
+    const fieldErrors = await this.formFiller.collectFieldErrors();
+    if (fieldErrors.length === 0) {
+      return null;
+    }
+
+    for (const fieldError of fieldErrors) {
+      log('ERROR', `Rejected on the ${step} step - ${describeFieldError(fieldError)}`);
+    }
+    await captureScreenshot(this.page, `field-error-${step}`);
+    const message = `The ${step} step rejected ${fieldErrors.length === 1 ? 'a field' : `${fieldErrors.length} fields`}: ${fieldErrors.map(describeFieldError).join('; ')}`;
+    return { success: false, status: 'field_error', stage, step, message, fieldErrors };
+  }
+
+  /**
+   * Give up on a step the checkout keeps returning to
+   * @param {string} step
+   * @param {string} stage - Last stage completed
+   * @param {number} attempts - Times the step's handler ran
+   * @returns {Promise<{success: false, status: 'stuck', stage: string, step: string, message: string}>}
+   */
+  async _stuckOn(step, stage, attempts) {
+    const pageError = await this._readShownText(this.SEL.errorMessage());
+    const message = `Stuck on the ${step} step after ${attempts} attempts${pageError ? `: ${pageError.slice(0, 200)}` : ''}`;
+    log('ERROR', message);
+    await captureScreenshot(this.page, `stuck-${step}`);
+    return { success: false, status: 'stuck', stage, step, message };
+  }
+
+  /**
+   * End the checkout on a page that isn't a step it can work on
+   * An order confirmation here wasn't placed by this checkout (a placed order returns from
+   * _reviewAndPlaceOrder), so it is reported rather than recorded.
+   * @param {{step: string, detail: string|null}} current
+   * @param {string} stage - Last stage completed
+   * @returns {Promise<{success: false, status: 'error', stage: string, message: string}>}
+   */
+  async _unexpectedStep(current, stage) {
+    const messages = {
+      error: `Checkout shows an error: ${current.detail}`,
+      confirmation: 'Reached an order confirmation page without placing an order',
+      unknown: `Could not tell which checkout step this page is (${current.detail})`
+    };
+    const message = messages[current.step];
+    log('ERROR', message);
+    await captureScreenshot(this.page, `checkout-${current.step}`);
+    return { success: false, status: 'error', stage, message };
+  }
+
+  /**
+   * Halt checkout after a stage
+   * @param {string} stage
+   * @returns {Promise<{success: boolean, status: 'stopped', stage: string, message: string}>}
+   */
+  async _stopAt(stage) {
+    log('INFO', `=== STOP_AT=${stage} - halting checkout ===`);
+    await captureScreenshot(this.page, `stop-${stage}`);
+    return { success: true, status: 'stopped', stage, message: `Stopped after ${stage}` };
   }
 
   /**
@@ -99,18 +308,31 @@ class CheckoutManager {
   }
 
   /**
-   * Continue to shipping method
+   * Click the step's continue button
+   * Only buttons that name the next step (or "Continue" on the first two steps) - never any
+   * submit button, which on the payment page could be the discount code's Apply.
+   * @param {'information'|'shipping'|'payment'} step
+   * @returns {Promise<boolean>} Whether a button was clicked; whether the page moved is up to the caller
    */
-  async _continueToShipping() {
-    log('INFO', 'Step: Continue to shipping');
-
-    const strategies = [
-      () => this.SEL.continueToShipping(),
-      () => this.SEL.continueToShippingFallback1(),
-      () => this.SEL.continueToShippingFallback2(),
-      () => this.page.getByRole('button', { name: /continue/i }),
-      () => this.page.locator('button[type="submit"]'),
-    ];
+  async _continue(step) {
+    const strategies = {
+      information: [
+        () => this.SEL.continueToShipping(),
+        () => this.SEL.continueToShippingFallback1(),
+        () => this.SEL.continueToShippingFallback2(),
+        () => this.page.getByRole('button', { name: /continue/i }),
+      ],
+      shipping: [
+        () => this.SEL.continueToPayment(),
+        () => this.SEL.continueToPaymentFallback1(),
+        () => this.SEL.continueToPaymentFallback2(),
+        () => this.page.getByRole('button', { name: /continue/i }),
+      ],
+      payment: [
+        () => this.SEL.continueToReview(),
+        () => this.SEL.continueToReviewFallback(),
+      ],
+    }[step];
 
     for (const strategy of strategies) {
       try {
@@ -120,8 +342,8 @@ class CheckoutManager {
           if (await element.isVisible() && await element.isEnabled()) {
             await element.click();
             await this._waitForPageTransition();
-            log('OK', 'Continued to shipping');
-            return;
+            log('OK', `Continued from ${step}`);
+            return true;
           }
         }
       } catch {
@@ -129,41 +351,10 @@ class CheckoutManager {
       }
     }
 
-    log('WARN', 'Continue to shipping button not found - may already be on next step');
-  }
-
-  /**
-   * Continue to payment
-   */
-  async _continueToPayment() {
-    log('INFO', 'Step: Continue to payment');
-
-    const strategies = [
-      () => this.SEL.continueToPayment(),
-      () => this.SEL.continueToPaymentFallback1(),
-      () => this.SEL.continueToPaymentFallback2(),
-      () => this.page.getByRole('button', { name: /continue/i }),
-      () => this.page.locator('button[type="submit"]'),
-    ];
-
-    for (const strategy of strategies) {
-      try {
-        const btn = strategy();
-        if (await btn.count() > 0) {
-          const element = btn.first();
-          if (await element.isVisible() && await element.isEnabled()) {
-            await element.click();
-            await this._waitForPageTransition();
-            log('OK', 'Continued to payment');
-            return;
-          }
-        }
-      } catch {
-        // Try next
-      }
+    if (step !== 'payment') {
+      log('WARN', `No continue button on the ${step} step`);
     }
-
-    log('WARN', 'Continue to payment button not found - may already be on next step');
+    return false;
   }
 
   /**
@@ -184,20 +375,46 @@ class CheckoutManager {
   }
 
   /**
-   * Review order and place it (or stop before)
-   * @returns {Promise<boolean>}
+   * Verify the review page, then place the order (or stop before)
+   * Any mismatch with the run's products or checkout profile, or any exceeded budget cap, blocks the order.
+   * @param {Array<Object>} expectedItems - Products added to cart this run
+   * @returns {Promise<{success: boolean, status: 'stopped'|'placed'|'placed_unconfirmed'|'review_mismatch'|'over_budget'|'field_error'|'error', stage: string, message: string, report?: string|null, order?: Object|null, step?: string, fieldErrors?: Array<Object>}>}
    */
-  async _reviewAndPlaceOrder() {
+  async _reviewAndPlaceOrder(expectedItems) {
     log('INFO', 'Step: Review order');
     await captureScreenshot(this.page, 'order-review');
 
-    if (!this.config.FULL_SEND) {
+    const reviewResult = await this.review.check(expectedItems);
+    if (!reviewResult.ok) {
+      log('ERROR', '=== ORDER REVIEW MISMATCH - ORDER NOT PLACED ===');
+      return {
+        success: false,
+        status: 'review_mismatch',
+        stage: 'payment',
+        message: `Review page mismatch (${reviewResult.mismatches.length}): ${reviewResult.mismatches[0].message}`,
+        report: reviewResult.reportPath
+      };
+    }
+
+    const exceeded = this.review.checkBudget(reviewResult.review, expectedItems);
+    if (exceeded.length > 0) {
+      for (const cap of exceeded) {
+        log('ERROR', `Over budget (${cap.what}): ${cap.message}`);
+      }
+      log('ERROR', '=== OVER BUDGET - ORDER NOT PLACED ===');
+      await captureScreenshot(this.page, 'review-over-budget');
+      return { success: false, status: 'over_budget', stage: 'payment', message: exceeded.map(c => c.message).join('; ') };
+    }
+
+    // Never place an order unless FULL_SEND=1 and no STOP_AT is set
+    const stop = resolveStopAt(this.config);
+    if (!this.config.FULL_SEND || stop.stage !== null) {
       log('INFO', '=== SAFE_STOP_BEFORE_PURCHASE ===');
-      log('INFO', 'FULL_SEND is disabled (FULL_SEND=0) - bot has stopped at final review page');
+      log('INFO', `Stopped at final review page (${stop.source})`);
       log('INFO', 'Order NOT placed. Review the order and submit manually if desired.');
-      log('INFO', 'To enable automatic order placement, set FULL_SEND=1 in your .env file');
+      log('INFO', 'To enable automatic order placement, set FULL_SEND=1 and leave STOP_AT empty');
       await captureScreenshot(this.page, 'safe-stop-final-review');
-      return true;
+      return { success: true, status: 'stopped', stage: 'review', message: 'Stopped at review - order not placed' };
     }
 
     // FULL_SEND mode - actually place the order
@@ -219,10 +436,40 @@ class CheckoutManager {
           const element = btn.first();
           if (await element.isVisible() && await element.isEnabled()) {
             await element.click();
-            await this._waitForOrderConfirmation();
+            const confirmation = await this._waitForOrderConfirmation();
+            if (!confirmation.confirmed) {
+              // Still on the step with field errors: the payment was rejected, nothing was ordered
+              const after = await this.detectStep();
+              const rejected = after.step === 'payment' || after.step === 'review'
+                ? await this._checkFieldErrors(after.step, 'payment')
+                : null;
+              if (rejected) {
+                log('ERROR', '=== PAYMENT REJECTED - ORDER NOT PLACED ===');
+                return rejected;
+              }
+
+              // No confirmation and no error: the order may have gone through - record it so a rerun won't order it again
+              log('WARN', '=== ORDER SUBMITTED - NO CONFIRMATION SEEN ===');
+              await captureScreenshot(this.page, 'order-unconfirmed');
+              const order = this._recordOrder(confirmation, reviewResult.review);
+              return {
+                success: false,
+                status: 'placed_unconfirmed',
+                stage: 'review',
+                message: "Order submitted but no confirmation page appeared - check the account's orders before ordering again",
+                order
+              };
+            }
             log('OK', '=== ORDER PLACED SUCCESSFULLY ===');
             await captureScreenshot(this.page, 'order-confirmation');
-            return true;
+            const order = this._recordOrder(confirmation, reviewResult.review);
+            return {
+              success: true,
+              status: 'placed',
+              stage: 'review',
+              message: `Order placed${order && order.orderNumber ? ` (${order.orderNumber})` : ''}`,
+              order
+            };
           }
         }
       } catch {
@@ -232,7 +479,7 @@ class CheckoutManager {
 
     log('ERROR', 'Place order button not found');
     await captureScreenshot(this.page, 'error-place-order');
-    return false;
+    return { success: false, status: 'error', stage: 'review', message: 'Place order button not found' };
   }
 
   /**
@@ -248,9 +495,77 @@ class CheckoutManager {
   }
 
   /**
-   * Wait for order confirmation
+   * Whether any element of a locator is visible
+   * @param {import('playwright').Locator} locator
+   * @returns {Promise<boolean>}
+   */
+  async _isShown(locator) {
+    try {
+      return await locator.count() > 0 && await locator.first().isVisible();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Text of a locator's first element, if visible
+   * @param {import('playwright').Locator} locator
+   * @returns {Promise<string|null>}
+   */
+  async _readShownText(locator) {
+    try {
+      if (!await this._isShown(locator)) return null;
+      return ((await locator.first().textContent()) || '').replace(/\s+/g, ' ').trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Attribute of a locator's first element
+   * @param {import('playwright').Locator} locator
+   * @param {string} name
+   * @returns {Promise<string|null>}
+   */
+  async _readAttribute(locator, name) {
+    try {
+      return await locator.count() > 0 ? await locator.first().getAttribute(name) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Append the placed order to the order ledger
+   * Items and total come from the confirmation page, or from the review page if the confirmation couldn't be read.
+   * An order submitted without a confirmation page is flagged unconfirmed - it still blocks a duplicate order.
+   * @param {{confirmed: boolean, orderNumber: string|null, total: number|null, items: Array<Object>}} confirmation
+   * @param {Object} review - Review page read before placing the order
+   * @returns {Object|null} Ledger entry, null if it couldn't be written
+   */
+  _recordOrder(confirmation, review) {
+    try {
+      return recordOrder({
+        orderNumber: confirmation.orderNumber,
+        store: storeKey(this.config),
+        account: currentAccountKey(this.config),
+        total: confirmation.total ?? review.totals.total,
+        items: confirmation.items.length > 0 ? confirmation.items : review.lines,
+        unconfirmed: !confirmation.confirmed
+      });
+    } catch (err) {
+      // The order is placed either way - make the missing ledger entry loud
+      log('ERROR', `Failed to record order in ledger: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Wait for order confirmation and read the order number, total and items
+   * @returns {Promise<{confirmed: boolean, orderNumber: string|null, total: number|null, items: Array<Object>}>}
    */
   async _waitForOrderConfirmation() {
+    let confirmed = false;
     try {
       // Wait for confirmation page elements
       const confirmationStrategies = [
@@ -262,18 +577,57 @@ class CheckoutManager {
         try {
           const confirmation = strategy();
           await confirmation.first().waitFor({ state: 'visible', timeout: 30000 });
-          return;
+          confirmed = true;
+          break;
         } catch {
           // Try next
         }
       }
 
-      // Fallback: wait for URL change or title change
-      await this.page.waitForLoadState('networkidle', { timeout: 30000 });
+      if (!confirmed) {
+        // Fallback: wait for URL change or title change
+        await this.page.waitForLoadState('networkidle', { timeout: 30000 });
+      }
     } catch (err) {
       log('WARN', `Order confirmation detection uncertain: ${err.message}`);
     }
     await sleep(2000);
+
+    const orderNumber = await this._readOrderNumber();
+    let summary = { lines: [], totals: { total: null } };
+    try {
+      summary = await this.review.read();
+    } catch (err) {
+      log('WARN', `Could not read confirmation order summary: ${err.message}`);
+    }
+
+    log(orderNumber ? 'OK' : 'WARN', `Order number: ${orderNumber || 'not found on confirmation page'}`);
+    return { confirmed, orderNumber, total: summary.totals.total, items: summary.lines };
+  }
+
+  /**
+   * Read the order number from the confirmation page ("Order #RM-1001", "Order number: 1234")
+   * @returns {Promise<string|null>}
+   */
+  async _readOrderNumber() {
+    const strategies = [
+      () => this.SEL.orderNumber(),
+      () => this.SEL.orderNumberFallback(),
+    ];
+
+    for (const strategy of strategies) {
+      try {
+        const element = strategy().first();
+        if (await element.count() === 0) continue;
+        const dataValue = await element.getAttribute('data-order-number');
+        const text = dataValue || await element.textContent() || '';
+        const match = ORDER_NUMBER_PATTERNS.map(pattern => text.match(pattern)).find(m => m);
+        if (match) return match[1];
+      } catch {
+        // Try next
+      }
+    }
+    return null;
   }
 }
 
@@ -2,6 +2,7 @@
  * Form Filler - Master coordinator for checkout form filling
  */
 const { log, fillIfNotEmpty, sleep, captureScreenshot, maskSensitive } = require('../util.js');
+const { matchFieldError } = require('../fieldErrors.js');
 
 class FormFiller {
   /**
@@ -13,6 +14,8 @@ class FormFiller {
     this.page = page;
     this.SEL = SEL;
     this.config = config;
+    // Fields filled so far, to map inline errors back to config (see collectFieldErrors)
+    this.filled = [];
   }
 
   /**
@@ -31,7 +34,8 @@ class FormFiller {
         () => this.SEL.emailInputFallback4(),
       ],
       email,
-      'Email'
+      'Email',
+      'CHECKOUT.email'
     );
 
     // Phone
@@ -43,7 +47,8 @@ class FormFiller {
         () => this.SEL.phoneInputFallback3(),
       ],
       phone,
-      'Phone'
+      'Phone',
+      'CHECKOUT.phone'
     );
   }
 
@@ -62,7 +67,8 @@ class FormFiller {
         () => this.SEL.firstNameFallback3(),
       ],
       firstName,
-      'First Name'
+      'First Name',
+      'CHECKOUT.firstName'
     );
 
     // Last Name
@@ -74,7 +80,8 @@ class FormFiller {
         () => this.SEL.lastNameFallback3(),
       ],
       lastName,
-      'Last Name'
+      'Last Name',
+      'CHECKOUT.lastName'
     );
 
     // Address Line 1
@@ -86,7 +93,8 @@ class FormFiller {
         () => this.SEL.address1Fallback3(),
       ],
       address1,
-      'Address Line 1'
+      'Address Line 1',
+      'CHECKOUT.address1'
     );
 
     // Address Line 2
@@ -98,7 +106,8 @@ class FormFiller {
         () => this.SEL.address2Fallback3(),
       ],
       address2,
-      'Address Line 2'
+      'Address Line 2',
+      'CHECKOUT.address2'
     );
 
     // City
@@ -110,7 +119,8 @@ class FormFiller {
         () => this.SEL.cityFallback3(),
       ],
       city,
-      'City'
+      'City',
+      'CHECKOUT.city'
     );
 
     // State/Province (select or input)
@@ -126,7 +136,8 @@ class FormFiller {
           () => this.SEL.stateInput(),
         ],
         state,
-        'State'
+        'State',
+        'CHECKOUT.state'
       );
     }
 
@@ -139,7 +150,8 @@ class FormFiller {
         () => this.SEL.zipFallback3(),
       ],
       zip,
-      'ZIP Code'
+      'ZIP Code',
+      'CHECKOUT.zip'
     );
 
     // Country (select)
@@ -152,7 +164,8 @@ class FormFiller {
           () => this.SEL.countrySelectFallback3(),
         ],
         country,
-        'Country'
+        'Country',
+        'CHECKOUT.country'
       );
     }
   }
@@ -236,6 +249,7 @@ class FormFiller {
 
       // Fill the discount code
       await input.fill(code);
+      await this._track(input, 'DISCOUNT_CODE', 'Discount Code', code);
       await sleep(300);
 
       // Click apply button or press Enter
@@ -251,13 +265,46 @@ class FormFiller {
     }
   }
 
+  /**
+   * Forget the fields filled so far - each checkout starts a fresh record
+   */
+  forgetFilled() {
+    this.filled = [];
+  }
+
+  /**
+   * Inline validation errors on the page, mapped back to the config fields that fed them
+   * @returns {Promise<Array<{field: string|null, path: string|null, value: string|null, message: string}>>}
+   *   One entry per visible error message; value is what was typed, masked where sensitive
+   */
+  async collectFieldErrors() {
+    const errors = [];
+    try {
+      const messages = this.SEL.fieldError();
+      const count = await messages.count();
+      for (let i = 0; i < count; i++) {
+        const element = messages.nth(i);
+        if (!await element.isVisible()) continue;
+        const message = ((await element.textContent()) || '').replace(/\s+/g, ' ').trim();
+        if (!message) continue;
+        const errorId = await element.getAttribute('id');
+        const control = await this._errorControl(element, errorId);
+        errors.push(matchFieldError({ message, errorId, control }, this.filled));
+      }
+    } catch (err) {
+      log('DEBUG', `Could not read field errors: ${err.message}`);
+    }
+    return errors;
+  }
+
   /**
    * Fill a field using multiple selector strategies
    * @param {Array<() => import('playwright').Locator>} strategies
    * @param {string} value
    * @param {string} fieldName
+   * @param {string|null} [configPath] - Config field the value comes from, e.g. 'CHECKOUT.zip'
    */
-  async _fillField(strategies, value, fieldName) {
+  async _fillField(strategies, value, fieldName, configPath = null) {
     if (!value || value.trim() === '') {
       log('DEBUG', `Skipping ${fieldName} - no value provided`);
       return;
@@ -273,10 +320,12 @@ class FormFiller {
             const currentValue = await element.inputValue().catch(() => '');
             if (currentValue && currentValue.trim() !== '') {
               log('DEBUG', `Skipping ${fieldName} - already has value`);
+              await this._track(element, configPath, fieldName, currentValue, true);
               return;
             }
 
             await element.fill(value);
+            await this._track(element, configPath, fieldName, value);
             log('OK', `Filled ${fieldName}`);
             return;
           }
@@ -294,8 +343,9 @@ class FormFiller {
    * @param {Array<() => import('playwright').Locator>} strategies
    * @param {string} value
    * @param {string} fieldName
+   * @param {string|null} [configPath] - Config field the value comes from
    */
-  async _fillSelect(strategies, value, fieldName) {
+  async _fillSelect(strategies, value, fieldName, configPath = null) {
     if (!value || value.trim() === '') {
       log('DEBUG', `Skipping ${fieldName} - no value provided`);
       return;
@@ -318,6 +368,7 @@ class FormFiller {
                 await element.selectOption({ label: new RegExp(value, 'i') });
               }
             }
+            await this._track(element, configPath, fieldName, value);
             log('OK', `Selected ${fieldName}: ${value}`);
             return;
           }
@@ -333,13 +384,13 @@ class FormFiller {
   /**
    * Fill either select or input field
    */
-  async _fillSelectOrInput(selectStrategies, inputStrategies, value, fieldName) {
+  async _fillSelectOrInput(selectStrategies, inputStrategies, value, fieldName, configPath = null) {
     // Try select first
     for (const strategy of selectStrategies) {
       try {
         const locator = strategy();
         if (await locator.count() > 0 && await locator.first().isVisible()) {
-          await this._fillSelect(selectStrategies, value, fieldName);
+          await this._fillSelect(selectStrategies, value, fieldName, configPath);
           return;
         }
       } catch {
@@ -348,7 +399,7 @@ class FormFiller {
     }
 
     // Fallback to input
-    await this._fillField(inputStrategies, value, fieldName);
+    await this._fillField(inputStrategies, value, fieldName, configPath);
   }
 
   /**
@@ -388,6 +439,7 @@ class FormFiller {
       try {
         const cardInput = iframe.locator('input[name="cardnumber"], input[name="number"], input[placeholder*="card" i]').first();
         await cardInput.fill(cardNumber);
+        await this._track(cardInput, 'PAYMENT.cardNumber', 'Card Number', cardNumber);
         log('OK', `Filled card number (masked): ${maskSensitive(cardNumber)}`);
       } catch (err) {
         log('WARN', `Failed to fill card number in iframe: ${err.message}`);
@@ -401,6 +453,7 @@ class FormFiller {
         const expiryInput = iframe.locator('input[name="exp-date"], input[name="expiry"], input[placeholder*="MM" i]').first();
         const expiry = `${expMonth}/${expYear.slice(-2)}`;
         await expiryInput.fill(expiry);
+        await this._track(expiryInput, 'PAYMENT.cardExpMonth', 'Expiry', expiry);
         log('OK', 'Filled expiry date');
       } catch {
         // Try separate month/year fields
@@ -409,6 +462,8 @@ class FormFiller {
           const yearInput = iframe.locator('input[name*="year"], select[name*="year"]').first();
           await monthInput.fill(expMonth);
           await yearInput.fill(expYear);
+          await this._track(monthInput, 'PAYMENT.cardExpMonth', 'Expiry Month', expMonth);
+          await this._track(yearInput, 'PAYMENT.cardExpYear', 'Expiry Year', expYear);
           log('OK', 'Filled expiry (separate fields)');
         } catch (err) {
           log('WARN', `Failed to fill expiry in iframe: ${err.message}`);
@@ -421,6 +476,7 @@ class FormFiller {
       try {
         const cvvInput = iframe.locator('input[name="cvc"], input[name="cvv"], input[placeholder*="CVC" i], input[placeholder*="CVV" i]').first();
         await cvvInput.fill(cvv);
+        await this._track(cvvInput, 'PAYMENT.cardCvv', 'CVV', cvv);
         log('OK', 'Filled CVV (masked): ***');
       } catch (err) {
         log('WARN', `Failed to fill CVV in iframe: ${err.message}`);
@@ -441,7 +497,8 @@ class FormFiller {
         () => this.SEL.cardNumberFallback3(),
       ],
       cardNumber,
-      'Card Number'
+      'Card Number',
+      'PAYMENT.cardNumber'
     );
 
     // Expiry (try combined first, then separate)
@@ -454,7 +511,8 @@ class FormFiller {
           () => this.SEL.cardExpiryFallback2(),
         ],
         combinedExpiry,
-        'Expiry'
+        'Expiry',
+        'PAYMENT.cardExpMonth'
       );
 
       if (!filledCombined) {
@@ -462,12 +520,14 @@ class FormFiller {
         await this._fillSelect(
           [() => this.SEL.cardExpMonthSelect()],
           expMonth,
-          'Expiry Month'
+          'Expiry Month',
+          'PAYMENT.cardExpMonth'
         );
         await this._fillSelect(
           [() => this.SEL.cardExpYearSelect()],
           expYear,
-          'Expiry Year'
+          'Expiry Year',
+          'PAYMENT.cardExpYear'
         );
       }
     }
@@ -480,14 +540,15 @@ class FormFiller {
         () => this.SEL.cardCvvFallback2(),
       ],
       cvv,
-      'CVV'
+      'CVV',
+      'PAYMENT.cardCvv'
     );
   }
 
   /**
    * Try to fill field, return success status
    */
-  async _tryFillField(strategies, value, fieldName) {
+  async _tryFillField(strategies, value, fieldName, configPath = null) {
     if (!value) return false;
 
     for (const strategy of strategies) {
@@ -495,6 +556,7 @@ class FormFiller {
         const locator = strategy();
         if (await locator.count() > 0 && await locator.first().isVisible()) {
           await locator.first().fill(value);
+          await this._track(locator.first(), configPath, fieldName, value);
           log('OK', `Filled ${fieldName}`);
           return true;
         }
@@ -505,6 +567,51 @@ class FormFiller {
     return false;
   }
 
+  /**
+   * Remember which element a config value went into
+   * @param {import('playwright').Locator} element
+   * @param {string|null} configPath - Nothing is recorded without one
+   * @param {string} fieldName
+   * @param {string} value - Value now in the field
+   * @param {boolean} [prefilled] - The store had already filled it; value is the store's
+   */
+  async _track(element, configPath, fieldName, value, prefilled = false) {
+    if (!configPath) return;
+    const attribute = name => element.getAttribute(name, { timeout: 1000 }).catch(() => null);
+    const entry = { path: configPath, label: fieldName, value, prefilled, name: await attribute('name'), id: await attribute('id') };
+    this.filled = this.filled.filter(f => f.path !== configPath).concat(entry);
+  }
+
+  /**
+   * The form control an error message belongs to
+   * The control pointing at the message (aria-describedby), else the only control next to it.
+   * @param {import('playwright').Locator} element - Error message
+   * @param {string|null} errorId - Its id
+   * @returns {Promise<{name: string|null, id: string|null, autocomplete: string|null}|null>}
+   */
+  async _errorControl(element, errorId) {
+    const strategies = [
+      () => errorId ? this.page.locator(`[aria-describedby~="${errorId.replace(/"/g, '\\"')}"]`) : null,
+      () => element.locator('xpath=..').locator('input:not([type="hidden"]), select, textarea'),
+    ];
+
+    for (const strategy of strategies) {
+      try {
+        const control = strategy();
+        if (control && await control.count() === 1) {
+          return {
+            name: await control.getAttribute('name'),
+            id: await control.getAttribute('id'),
+            autocomplete: await control.getAttribute('autocomplete')
+          };
+        }
+      } catch {
+        // Try next
+      }
+    }
+    return null;
+  }
+
   /**
    * Expand discount code section if collapsed
    */
@@ -0,0 +1,416 @@
+/**
+ * Order Review - Reads the final checkout page and checks it against the run before ordering
+ * Parses line items, contact, ship-to address, shipping method and totals, then compares
+ * them with the products added this run and the checkout profile. Any mismatch blocks the order.
+ * Budget caps (per-product maxPrice, MAX_ORDER_TOTAL) are checked separately by checkBudget().
+ */
+const { log, captureScreenshot, saveRunArtifact, getAccountContext, normalizeText, parsePrice } = require('../util.js');
+const { matcherFromConfig } = require('../matching.js');
+const { US_STATES, resolveUsState } = require('../preflight.js');
+const { checkBudget } = require('../budget.js');
+
+// Totals may differ from the sum of their parts by rounding
+const MONEY_TOLERANCE = 0.01;
+
+class OrderReview {
+  /**
+   * @param {import('playwright').Page} page
+   * @param {Object} SEL - Selectors object
+   * @param {Object} config - Configuration
+   */
+  constructor(page, SEL, config) {
+    this.page = page;
+    this.SEL = SEL;
+    this.config = config;
+    this.matcher = matcherFromConfig(config);
+  }
+
+  /**
+   * Read the review page and verify it, writing review-mismatch.json on any mismatch
+   * @param {Array<{product: string, title: string|null, quantity: number, variant: string|null}>} expectedItems - Products added this run
+   * @returns {Promise<{ok: boolean, review: Object, mismatches: Array<Object>, warnings: string[], reportPath: string|null}>}
+   */
+  async check(expectedItems) {
+    log('INFO', 'Verifying order review page');
+    const review = await this.read();
+    const { mismatches, warnings } = this.verify(review, expectedItems);
+
+    for (const warning of warnings) {
+      log('WARN', `[review] ${warning}`);
+    }
+
+    if (mismatches.length === 0) {
+      log('OK', `Order review verified: ${review.lines.length} line(s), total ${review.totals.total}`);
+      return { ok: true, review, mismatches, warnings, reportPath: null };
+    }
+
+    for (const mismatch of mismatches) {
+      log('ERROR', `[review] ${mismatch.field}: ${mismatch.message}`);
+    }
+    await captureScreenshot(this.page, 'review-mismatch');
+
+    const accountIndex = getAccountContext();
+    const filename = accountIndex >= 0 ? `review-mismatch-account${accountIndex + 1}.json` : 'review-mismatch.json';
+    const reportPath = saveRunArtifact(filename, {
+      timestamp: new Date().toISOString(),
+      account: accountIndex >= 0 ? accountIndex + 1 : null,
+      url: this.page.url(),
+      expected: {
+        items: expectedItems,
+        shipTo: this._expectedAddress()
+      },
+      review,
+      mismatches,
+      warnings
+    });
+
+    return { ok: false, review, mismatches, warnings, reportPath };
+  }
+
+  /**
+   * Parse the review page
+   * @returns {Promise<{lines: Array<{title: string, variant: string|null, quantity: number|null, unitPrice: number|null, linePrice: number|null}>, contact: string|null, shipTo: string|null, shippingMethod: string|null, totals: {subtotal: number|null, discount: number|null, shipping: number|null, taxes: number|null, total: number|null}}>}
+   */
+  async read() {
+    const lines = await this._readLines();
+    const contact = await this._readText([() => this.SEL.reviewContact(), () => this.SEL.reviewContactFallback()]);
+    const shipTo = await this._readText([() => this.SEL.reviewShipTo(), () => this.SEL.reviewShipToFallback()]);
+    const shippingMethod = await this._readText([() => this.SEL.reviewShippingMethod(), () => this.SEL.reviewShippingMethodFallback()]);
+    const totals = await this._readTotals();
+    return { lines, contact, shipTo, shippingMethod, totals };
+  }
+
+  /**
+   * Compare a parsed review page with what this run expects
+   * @param {Object} review - From read()
+   * @param {Array<{product: string, title: string|null, quantity: number, variant: string|null, options?: Object<string, string>}>} expectedItems
+   *   options (when variant is unknown, e.g. a resumed checkout) must each appear in the line's variant
+   * @returns {{mismatches: Array<{field: string, message: string, expected?: *, actual?: *}>, warnings: string[]}}
+   */
+  verify(review, expectedItems = []) {
+    const mismatches = [];
+    const warnings = [];
+    const mismatch = (field, message, expected, actual) => mismatches.push({ field, message, expected, actual });
+
+    // ----- Line items -----
+    if (review.lines.length === 0) {
+      mismatch('items', 'No line items found on the review page');
+    }
+
+    const unclaimed = [...expectedItems];
+    for (const line of review.lines) {
+      const index = this._findExpectedItem(line, unclaimed);
+      const label = `"${line.title}"${line.variant ? ` [${line.variant}]` : ''}`;
+
+      if (index < 0) {
+        mismatch('items', `Unexpected item in order: ${label} x${line.quantity ?? '?'}`, null, line);
+        continue;
+      }
+
+      const expected = unclaimed.splice(index, 1)[0];
+      if (expected.variant && !this._sameVariant(line.variant, expected.variant)) {
+        mismatch('variant', `${label} is not the configured variant "${expected.variant}"`, expected.variant, line.variant);
+      } else if (!expected.variant && !this._hasOptions(line.variant, expected.options)) {
+        const wanted = Object.entries(expected.options).map(([name, value]) => `${name}=${value}`).join(', ');
+        mismatch('variant', `${label} is not the configured ${wanted}`, expected.options, line.variant);
+      }
+      if (line.quantity === null) {
+        mismatch('quantity', `Could not read quantity for ${label}`, expected.quantity, null);
+      } else if (line.quantity !== expected.quantity) {
+        mismatch('quantity', `${label} quantity is ${line.quantity}, expected ${expected.quantity}`, expected.quantity, line.quantity);
+      }
+      if (line.unitPrice !== null && line.linePrice !== null && line.quantity !== null &&
+          Math.abs(line.unitPrice * line.quantity - line.linePrice) > MONEY_TOLERANCE) {
+        mismatch('price', `${label} line price ${line.linePrice} is not ${line.quantity} x ${line.unitPrice}`, line.unitPrice * line.quantity, line.linePrice);
+      }
+    }
+
+    for (const missing of unclaimed) {
+      mismatch('items', `Missing from order: "${missing.title || missing.product}"${missing.variant ? ` [${missing.variant}]` : ''} x${missing.quantity}`, missing, null);
+    }
+
+    // ----- Contact / shipping address -----
+    const checkout = this.config.CHECKOUT || {};
+    if (checkout.email) {
+      if (!review.contact) {
+        warnings.push('Contact email not shown on review page');
+      } else if (!review.contact.toLowerCase().includes(checkout.email.toLowerCase())) {
+        mismatch('contact', `Contact is "${review.contact}", expected ${checkout.email}`, checkout.email, review.contact);
+      }
+    }
+
+    const expectedAddress = this._expectedAddress();
+    if (Object.keys(expectedAddress).length > 0) {
+      if (!review.shipTo) {
+        mismatch('shipTo', 'Ship-to address not found on review page', expectedAddress, null);
+      } else {
+        for (const [field, value] of Object.entries(expectedAddress)) {
+          if (!this._addressIncludes(review.shipTo, field, value)) {
+            mismatch(`shipTo.${field}`, `Ship-to address "${review.shipTo}" does not contain ${field} "${value}"`, value, review.shipTo);
+          }
+        }
+      }
+    }
+
+    if (!review.shippingMethod) {
+      warnings.push('Shipping method not shown on review page');
+    }
+
+    // ----- Totals -----
+    const { subtotal, discount, shipping, taxes, total } = review.totals;
+    if (total === null) {
+      mismatch('totals.total', 'Order total not found on review page');
+    }
+
+    const linePrices = review.lines.map(l => l.linePrice ?? (l.unitPrice !== null && l.quantity !== null ? l.unitPrice * l.quantity : null));
+    if (subtotal !== null && linePrices.length > 0 && linePrices.every(p => p !== null)) {
+      const sum = linePrices.reduce((a, b) => a + b, 0);
+      if (Math.abs(sum - subtotal) > MONEY_TOLERANCE) {
+        mismatch('totals.subtotal', `Subtotal ${subtotal} does not match line items (${sum.toFixed(2)})`, Number(sum.toFixed(2)), subtotal);
+      }
+    }
+
+    if (subtotal !== null && total !== null) {
+      if (shipping === null) {
+        warnings.push('Shipping cost not shown - total not cross-checked');
+      } else {
+        const computed = subtotal - (discount || 0) + shipping + (taxes || 0);
+        if (Math.abs(computed - total) > MONEY_TOLERANCE) {
+          mismatch('totals.total', `Total ${total} does not add up (subtotal - discount + shipping + taxes = ${computed.toFixed(2)})`, Number(computed.toFixed(2)), total);
+        }
+      }
+    }
+
+    return { mismatches, warnings };
+  }
+
+  /**
+   * Check review page prices against the budget caps
+   * @param {Object} review - From read()
+   * @param {Array<{product: string, title: string|null, maxPrice: number|null}>} expectedItems
+   * @returns {Array<{what: string, observed: number, allowed: number, message: string}>} Exceeded caps
+   */
+  checkBudget(review, expectedItems = []) {
+    const exceeded = [];
+    const unclaimed = [...expectedItems];
+
+    for (const line of review.lines) {
+      const index = this._findExpectedItem(line, unclaimed);
+      if (index < 0) continue;
+      const item = unclaimed.splice(index, 1)[0];
+      const unitPrice = line.unitPrice ?? (line.linePrice !== null && line.quantity ? line.linePrice / line.quantity : null);
+      const result = checkBudget(unitPrice, item.maxPrice, `Unit price of "${line.title}"${line.variant ? ` [${line.variant}]` : ''}`);
+      if (!result.ok) exceeded.push({ what: 'maxPrice', ...result });
+    }
+
+    const total = checkBudget(review.totals.total, this.config.MAX_ORDER_TOTAL, 'Order total');
+    if (!total.ok) exceeded.push({ what: 'MAX_ORDER_TOTAL', ...total });
+
+    return exceeded;
+  }
+
+  /**
+   * Read line items from the order summary
+   * @returns {Promise<Array<Object>>}
+   */
+  async _readLines() {
+    const strategies = [
+      () => this.SEL.reviewLineItem(),
+      () => this.SEL.reviewLineItemFallback(),
+    ];
+
+    for (const strategy of strategies) {
+      try {
+        const items = strategy();
+        if (await items.count() === 0) continue;
+
+        const raw = await items.evaluateAll(elements => elements.map(el => {
+          const text = selector => {
+            const node = el.querySelector(selector);
+            return node ? (node.textContent || '').trim() : null;
+          };
+          return {
+            title: text('.line__title, .product__description__name, [class*="title"], [class*="name"]'),
+            variant: text('.line__variant, .product__description__variant, [class*="variant"]'),
+            quantity: text('.line__quantity, .product-thumbnail__quantity, [class*="quantity"]'),
+            unitPrice: text('.line__unit-price, [class*="unit-price"]'),
+            linePrice: text('.line__price, .product__price, [class*="price"]:not([class*="unit"])')
+          };
+        }));
+
+        const lines = raw
+          .filter(line => line.title)
+          .map(line => {
+            const quantity = line.quantity ? parseInt(line.quantity.replace(/\D+/g, ''), 10) : NaN;
+            return {
+              title: line.title,
+              variant: line.variant || null,
+              quantity: Number.isNaN(quantity) ? null : quantity,
+              unitPrice: parsePrice(line.unitPrice, this.config.PRICE_LOCALE),
+              linePrice: parsePrice(line.linePrice, this.config.PRICE_LOCALE)
+            };
+          });
+        if (lines.length > 0) return lines;
+      } catch {
+        // Try next
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Read subtotal / discount / shipping / taxes / total
+   * @returns {Promise<{subtotal: number|null, discount: number|null, shipping: number|null, taxes: number|null, total: number|null}>}
+   */
+  async _readTotals() {
+    const totals = { subtotal: null, discount: null, shipping: null, taxes: null, total: null };
+    const strategies = [
+      () => this.SEL.reviewTotalLine(),
+      () => this.SEL.reviewTotalLineFallback(),
+    ];
+
+    for (const strategy of strategies) {
+      try {
+        const rows = strategy();
+        if (await rows.count() === 0) continue;
+
+        const raw = await rows.evaluateAll(elements => elements.map(el => {
+          const price = el.querySelector('.total-line__price, [class*="price"], td:last-child');
+          const label = el.firstElementChild || el;
+          return {
+            label: (label.textContent || '').trim(),
+            value: ((price || el).textContent || '').trim()
+          };
+        }));
+
+        for (const row of raw) {
+          const label = row.label.toLowerCase();
+          const amount = parsePrice(row.value, this.config.PRICE_LOCALE);
+          if (/subtotal/.test(label)) totals.subtotal = amount;
+          else if (/discount/.test(label)) totals.discount = amount === null ? null : Math.abs(amount);
+          else if (/shipping/.test(label)) totals.shipping = amount === null && /free/i.test(row.value) ? 0 : amount;
+          else if (/tax/.test(label)) totals.taxes = amount;
+          else if (/^total/.test(label)) totals.total = amount;
+        }
+        if (totals.total !== null || totals.subtotal !== null) return totals;
+      } catch {
+        // Try next
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Text of the first visible element from a list of strategies
+   * @param {Function[]} strategies
+   * @returns {Promise<string|null>}
+   */
+  async _readText(strategies) {
+    for (const strategy of strategies) {
+      try {
+        const element = strategy().first();
+        if (await element.count() > 0 && await element.isVisible()) {
+          const text = (await element.textContent() || '').replace(/\s+/g, ' ').trim();
+          if (text) return text;
+        }
+      } catch {
+        // Try next
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Index of the expected item a review line belongs to
+   * Items whose variant also matches are preferred, so two variants of one product pair up correctly.
+   * @param {Object} line - Review line
+   * @param {Array<Object>} candidates - Expected items not yet matched
+   * @returns {number} -1 if no expected item matches
+   */
+  _findExpectedItem(line, candidates) {
+    const titleMatches = candidates
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => {
+        if (item.title) return normalizeText(item.title) === normalizeText(line.title);
+        return this.matcher.match(line.title, [item.product]).matched;
+      });
+
+    if (titleMatches.length === 0) return -1;
+    const sameVariant = titleMatches.find(({ item }) => item.variant
+      ? this._sameVariant(line.variant, item.variant)
+      : this._hasOptions(line.variant, item.options));
+    return (sameVariant || titleMatches[0]).index;
+  }
+
+  /**
+   * Whether two variant labels describe the same variant ("L / Black" vs "l/black")
+   * @param {string|null} actual
+   * @param {string} expected
+   * @returns {boolean}
+   */
+  _sameVariant(actual, expected) {
+    return normalizeText(actual || '') === normalizeText(expected || '');
+  }
+
+  /**
+   * Whether a variant label shows every configured option value ("L / Black" has size=L)
+   * @param {string|null} variant
+   * @param {Object<string, string>} [options]
+   * @returns {boolean} True when no options are configured
+   */
+  _hasOptions(variant, options) {
+    const values = Object.values(options || {});
+    if (values.length === 0) return true;
+    const words = ` ${normalizeText(variant || '')} `;
+    return values.every(value => words.includes(` ${normalizeText(value)} `));
+  }
+
+  /**
+   * Configured ship-to fields that should appear on the review page
+   * @returns {Object<string, string>}
+   */
+  _expectedAddress() {
+    const checkout = this.config.CHECKOUT || {};
+    const expected = {};
+    for (const field of ['address1', 'city', 'state', 'zip', 'country']) {
+      if (checkout[field] && checkout[field].trim()) {
+        expected[field] = checkout[field].trim();
+      }
+    }
+    return expected;
+  }
+
+  /**
+   * Whether the ship-to text contains a configured address field
+   * States match by code or name; ZIPs ignore spacing and ZIP+4 suffixes.
+   * @param {string} shipTo
+   * @param {string} field
+   * @param {string} value
+   * @returns {boolean}
+   */
+  _addressIncludes(shipTo, field, value) {
+    const words = ` ${normalizeText(shipTo)} `;
+    const has = form => form && words.includes(` ${normalizeText(form)} `);
+
+    if (field === 'zip') {
+      const compact = normalizeText(shipTo).replace(/\s/g, '');
+      const zip = normalizeText(value).replace(/\s/g, '');
+      return compact.includes(zip) || (/^\d{9}$/.test(zip) && compact.includes(zip.slice(0, 5)));
+    }
+
+    if (field === 'state') {
+      const code = resolveUsState(value);
+      return has(value) || (code !== null && (has(code) || has(US_STATES[code].name)));
+    }
+
+    if (field === 'country' && ['united states', 'us', 'usa'].includes(normalizeText(value))) {
+      return has('united states') || has('us') || has('usa');
+    }
+
+    return has(value);
+  }
+}
+
+module.exports = OrderReview;
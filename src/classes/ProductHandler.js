@@ -1,8 +1,42 @@
 /**
  * Product Handler - Discovers products and adds to cart
  */
-const { log, withRetry, captureScreenshot, captureFailure, sleep, fuzzyMatch, clickWithFallback, normalizeText } = require('../util.js');
-const stringSimilarity = require('string-similarity');
+const { log, withRetry, captureScreenshot, captureFailure, sleep, clickWithFallback, normalizeText, parsePrice } = require('../util.js');
+const { matcherFromConfig, pickBestMatch } = require('../matching.js');
+const VariantSelector = require('./VariantSelector.js');
+const CategoryNavigator = require('./CategoryNavigator.js');
+const StructuredDataDiscovery = require('./StructuredDataDiscovery.js');
+const { planQueries } = require('../queryPlanner.js');
+const { discoveryKey, getDiscovery, rememberDiscovery, forgetDiscovery } = require('../discoveryCache.js');
+const { shouldStopAfter } = require('../stages.js');
+const { checkBudget, formatAmount } = require('../budget.js');
+
+// Discovery strategies in the order they are tried
+const DISCOVERY_STRATEGIES = [
+  { name: 'category', label: 'Navigating by game category' },
+  { name: 'homepage', label: 'Browsing from homepage' },
+  { name: 'shop', label: 'Navigating to all products' },
+  { name: 'structured-data', label: 'Using storefront structured data' },
+  { name: 'search', label: 'Using search as fallback' },
+];
+
+// Candidates per strategy in the match preview report
+const MATCH_PREVIEW_CANDIDATES = 10;
+
+// How long Add to Cart gets to produce a cart API response before the page is checked instead
+const ADD_RESPONSE_TIMEOUT_MS = 5000;
+
+// Purchase limit wording (limit messages on the page, cart API rejections)
+const LIMIT_PATTERNS = [
+  /limit(ed)?\s*(to|of|reached|per)/i,
+  /maximum\s*(quantity|purchase|allowed)/i,
+  /already\s*(purchased|in\s*cart)/i,
+  /one\s*per\s*(customer|order|account)/i,
+  /cannot\s*add\s*more/i,
+  /max\s*quantity/i,
+  /per\s*customer/i,
+  /per\s*order/i,
+];
 
 class ProductHandler {
   /**
@@ -18,26 +52,83 @@ class ProductHandler {
     this.config = config;
     this.navigation = navigationManager;
     this.cart = cartManager;
+    this.variants = new VariantSelector(page, SEL, config);
+    this.matcher = matcherFromConfig(config);
+    this.categories = new CategoryNavigator(page, SEL, config, navigationManager);
+    this.structured = new StructuredDataDiscovery(page, config);
+    // Category of the listing being searched (set by _navigateToCategory)
+    this.listingCategory = null;
   }
 
   /**
    * Find and add all configured products
-   * @returns {Promise<{totalAdded: number, results: Array<{product: string, status: string, message: string}>}>}
+   * With STOP_AT=search or STOP_AT=product, products are only located / opened
+   * (status 'found' / 'ready') and nothing is added to the cart.
+   * @param {Object} options
+   * @param {Map<Object, string>} options.skip - Products to skip (status 'duplicate_order') → reason
+   * @param {Map<Object, Object>} options.inCart - Products the cart already holds (CART_MODE=reconcile) → cart line; not searched again
+   * @returns {Promise<{totalAdded: number, results: Array<{product: string, title: string|null, quantity: number, variant: string|null, price: number|null, maxPrice: number|null, status: string, message: string}>}>}
    */
-  async processAllProducts() {
+  async processAllProducts(options = {}) {
     let totalAdded = 0;
     const results = [];
+    const skip = options.skip || new Map();
+    const inCart = options.inCart || new Map();
 
     for (const product of this.config.PRODUCTS) {
-      log('INFO', `Processing product: ${product.names[0]}`);
+      const requestedVariant = this._describeOptions(product.options);
+
+      if (skip.has(product)) {
+        log('WARN', `Skipping "${product.names[0]}": ${skip.get(product)}`);
+        results.push({
+          product: product.names[0],
+          title: null,
+          quantity: product.quantity,
+          variant: requestedVariant || null,
+          price: null,
+          maxPrice: product.maxPrice || null,
+          status: 'duplicate_order',
+          message: skip.get(product)
+        });
+        continue;
+      }
+      if (inCart.has(product)) {
+        const line = inCart.get(product);
+        results.push({
+          product: product.names[0],
+          title: line.title,
+          quantity: product.quantity,
+          variant: line.variant || requestedVariant || null,
+          price: line.unitPrice ?? null,
+          maxPrice: product.maxPrice || null,
+          status: 'success',
+          message: line.action === 'updated' ? `Already in cart, quantity set to ${product.quantity}` : 'Already in cart'
+        });
+        totalAdded++;
+        continue;
+      }
+      log('INFO', `Processing product: ${product.names[0]}${requestedVariant ? ` (${requestedVariant})` : ''}`);
 
       try {
         const result = await withRetry(
           async () => {
-            const addResult = await this.findAndAddProduct(product.names, product.quantity);
-            // Only retry on 'error' or 'not_found' status, not on limit_reached or out_of_stock
-            if (!addResult.success && (addResult.status === 'error' || addResult.status === 'not_found')) {
-              throw new Error(addResult.message);
+            const addResult = await this.findAndAddProduct(product.names, product.quantity, product.options, product.maxPrice, {
+              exclude: product.exclude,
+              require: product.require,
+              priceRange: product.priceRange,
+              game: product.game
+            });
+            // Throw failures so the retry policy can classify them by status -
+            // limit_reached, out_of_stock, variant_unavailable, over_budget, ambiguous, not_found (after the
+            // full search) and unconfirmed (adding again could double it) are terminal
+            if (!addResult.success) {
+              const err = new Error(addResult.message);
+              err.status = addResult.status;
+              err.variant = addResult.variant;
+              err.price = addResult.price;
+              err.candidates = addResult.candidates;
+              err.searchQuery = addResult.searchQuery;
+              throw err;
             }
             return addResult;
           },
@@ -48,27 +139,52 @@ class ProductHandler {
 
         results.push({
           product: product.names[0],
+          title: result.title || null,
           quantity: product.quantity,
+          variant: result.variant || null,
+          price: result.price ?? null,
+          maxPrice: product.maxPrice || null,
           status: result.status,
-          message: result.message
+          message: result.message,
+          ...(result.searchQuery ? { searchQuery: result.searchQuery } : {})
         });
 
-        if (result.success) {
+        if (result.status === 'success') {
           totalAdded++;
-          log('OK', `Successfully added: ${product.names[0]} x${product.quantity}`);
-        } else if (result.status === 'limit_reached') {
-          log('WARN', `Limit reached for "${product.names[0]}": ${result.message}`);
-        } else if (result.status === 'out_of_stock') {
-          log('WARN', `Out of stock: "${product.names[0]}"`);
+          log('OK', `Successfully added: ${product.names[0]}${result.variant ? ` [${result.variant}]` : ''} x${product.quantity}`);
+        } else {
+          log('OK', `${result.message}: ${product.names[0]}`);
         }
       } catch (err) {
+        const status = err.status || 'error';
         results.push({
           product: product.names[0],
+          title: null,
           quantity: product.quantity,
-          status: 'error',
-          message: err.message
+          variant: err.variant || requestedVariant || null,
+          price: err.price ?? null,
+          maxPrice: product.maxPrice || null,
+          status,
+          message: err.message,
+          ...(err.candidates ? { candidates: err.candidates } : {}),
+          ...(err.searchQuery ? { searchQuery: err.searchQuery } : {})
         });
-        await captureFailure(this.page, `add-product-${product.names[0].substring(0, 20)}`, err);
+
+        if (status === 'limit_reached') {
+          log('WARN', `Limit reached for "${product.names[0]}": ${err.message}`);
+        } else if (status === 'out_of_stock') {
+          log('WARN', `Out of stock: "${product.names[0]}"${err.variant ? ` [${err.variant}]` : ''}`);
+        } else if (status === 'variant_unavailable') {
+          log('WARN', `Variant unavailable for "${product.names[0]}": ${err.message}`);
+        } else if (status === 'over_budget') {
+          log('WARN', `Skipped "${product.names[0]}" - ${err.message}`);
+        } else if (status === 'ambiguous') {
+          log('WARN', `Not adding "${product.names[0]}": ${err.message}`);
+        } else {
+          await captureFailure(this.page, `add-product-${product.names[0].substring(0, 20)}`, err, {
+            details: { status, attempts: err.attempts || 1 }
+          });
+        }
       }
 
       // Close cart if open before processing next product
@@ -82,198 +198,464 @@ class ProductHandler {
    * Find and add a single product
    * @param {string[]} productNames - Product names/synonyms
    * @param {number} quantity - Quantity to add
-   * @returns {Promise<{success: boolean, status: 'success'|'limit_reached'|'out_of_stock'|'not_found'|'error', message: string}>}
+   * @param {Object<string, string>} [options] - Variant options (e.g. {size: 'L'})
+   * @param {number|null} [maxPrice] - Highest acceptable unit price (null = no cap)
+   * @param {Object} [constraints] - Matching constraints, applied to every listing before scoring
+   * @param {string[]} [constraints.exclude] - Reject titles containing any of these keywords
+   * @param {string[]} [constraints.require] - Reject titles missing any of these keywords
+   * @param {{min: number|null, max: number|null}|null} [constraints.priceRange] - Listed price range
+   * @param {string|null} [constraints.game] - Required game category
+   * @returns {Promise<{success: boolean, status: 'success'|'limit_reached'|'out_of_stock'|'variant_unavailable'|'over_budget'|'ambiguous'|'not_found'|'unconfirmed'|'error', message: string, variant?: string|null}>}
    */
-  async findAndAddProduct(productNames, quantity) {
-    // Strategy 1: Navigate by game category (Homepage → Category → Game)
-    log('INFO', 'Strategy 1: Navigating by game category');
-    const navigatedToCategory = await this._navigateToGameCategory(productNames[0]);
-    if (navigatedToCategory) {
-      await this._loadAllProducts();
-      const foundInCategory = await this._findProductInListing(productNames);
-      if (foundInCategory) {
-        return await this._addProductToCart(foundInCategory, quantity);
-      }
+  async findAndAddProduct(productNames, quantity, options = {}, maxPrice = null, constraints = {}) {
+    const cacheKey = this.config.DISCOVERY_CACHE ? discoveryKey(this.config, productNames) : null;
+    const found = await this._discover(productNames, constraints, cacheKey);
+    if (found.status === 'not_found') {
+      log('ERROR', 'Product not found with any strategy');
+      return { success: false, status: 'not_found', message: 'Product not found with any discovery strategy' };
     }
 
-    // Strategy 2: Browse from homepage and load products
-    log('INFO', 'Strategy 2: Browsing from homepage');
-    await this.navigation.goToHomepage();
-    await this._loadAllProducts();
-    const foundOnHome = await this._findProductInListing(productNames);
-    if (foundOnHome) {
-      return await this._addProductToCart(foundOnHome, quantity);
+    if (found.status === 'found' && cacheKey) {
+      rememberDiscovery(cacheKey, found.discovery);
     }
+    const result = found.record
+      ? await this._addFromRecord(found.record, quantity, options, maxPrice)
+      : await this._useListingMatch(found, quantity, options, maxPrice);
+    return found.searchQuery ? { ...result, searchQuery: found.searchQuery } : result;
+  }
 
-    // Strategy 3: Browse shop/all products page
-    log('INFO', 'Strategy 3: Navigating to all products');
-    const navigatedToShop = await this.navigation.goToShop();
-    if (navigatedToShop) {
-      await this._loadAllProducts();
-      const foundInShop = await this._findProductInListing(productNames);
-      if (foundInShop) {
-        return await this._addProductToCart(foundInShop, quantity);
+  /**
+   * Run every discovery strategy for each product without adding anything (the `match` command)
+   * Only navigation and search are used - nothing is added, and the discovery cache is read, not written.
+   * @param {Array<{names: string[], exclude?: string[], require?: string[], priceRange?: Object, game?: string}>} products
+   * @returns {Promise<Array<{product: string, names: string[], cached: Object|null, winner: Object|null, strategies: Array<Object>}>>}
+   */
+  async previewMatches(products) {
+    const report = [];
+    for (const product of products) {
+      const constraints = {
+        exclude: product.exclude,
+        require: product.require,
+        priceRange: product.priceRange,
+        game: product.game
+      };
+      const cached = this.config.DISCOVERY_CACHE ? getDiscovery(discoveryKey(this.config, product.names)) : null;
+
+      const strategies = [];
+      for (const strategy of DISCOVERY_STRATEGIES.filter(s => s.name !== 'structured-data' || this.config.STRUCTURED_DATA)) {
+        log('INFO', `Match preview "${product.names[0]}": ${strategy.label}`);
+        try {
+          const found = await this._runStrategy(strategy.name, product.names, constraints);
+          strategies.push(this._previewEntry(strategy.name, found));
+        } catch (err) {
+          log('WARN', `${strategy.label} failed: ${err.message}`);
+          strategies.push({ strategy: strategy.name, status: 'error', message: err.message, title: null, candidates: [] });
+        }
       }
+
+      const winner = strategies.find(s => s.status === 'found' || s.status === 'ambiguous') || null;
+      report.push({
+        product: product.names[0],
+        names: [...product.names],
+        cached: cached ? { strategy: cached.strategy, title: cached.title, lastFoundAt: cached.lastFoundAt } : null,
+        winner: winner ? { strategy: winner.strategy, status: winner.status, title: winner.title } : null,
+        strategies
+      });
     }
+    return report;
+  }
 
-    // Strategy 4: Fallback to search only if browsing fails
-    log('INFO', 'Strategy 4: Using search as fallback');
-    for (const name of productNames) {
-      const searched = await this.navigation.searchForProduct(name);
-      if (searched) {
-        const found = await this._findProductInListing(productNames);
-        if (found) {
-          return await this._addProductToCart(found, quantity);
-        }
+  /**
+   * Preview report entry for one strategy's result
+   * @param {string} strategy
+   * @param {Object} found - From _runStrategy
+   * @returns {{strategy: string, status: string, title: string|null, category: string|null, searchQuery: Object|null, candidates: Array<Object>}}
+   */
+  _previewEntry(strategy, found) {
+    const candidates = [...(found.candidates || [])]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MATCH_PREVIEW_CANDIDATES)
+      .map(c => ({
+        title: c.title,
+        score: Number(c.score.toFixed(3)),
+        rule: c.rule,
+        matchedAgainst: c.matchedAgainst,
+        accepted: c.eligible,
+        ...(c.excluded ? { excluded: c.excluded } : {}),
+        ...(c.page ? { page: c.page } : {}),
+        ...(c.source ? { source: c.source } : {})
+      }));
+    const discovery = found.discovery || {};
+    return {
+      strategy,
+      status: found.status,
+      title: discovery.title || null,
+      category: discovery.category ? discovery.category.title : this.listingCategory,
+      searchQuery: found.searchQuery || null,
+      candidates
+    };
+  }
+
+  /**
+   * Locate a product: how it was found last run (discovery cache), then every strategy in order
+   * A cached discovery that no longer finds the same title is dropped from the cache.
+   * @param {string[]} productNames
+   * @param {Object} constraints - See findAndAddProduct
+   * @param {string|null} cacheKey - Discovery cache key (null = cache off)
+   * @returns {Promise<{status: 'found'|'ambiguous'|'not_found', card: import('playwright').Locator|null, record?: Object, candidates: Array<Object>, discovery?: Object, searchQuery?: Object|null}>}
+   */
+  async _discover(productNames, constraints, cacheKey) {
+    const cached = cacheKey ? getDiscovery(cacheKey) : null;
+    if (cached) {
+      log('INFO', `Strategy 0: Replaying last discovery of "${cached.title}" (${cached.strategy})`);
+      const replayed = await this._runStrategy(cached.strategy, productNames, constraints, cached);
+      if (replayed.status === 'found' && normalizeText(replayed.discovery.title) === normalizeText(cached.title)) {
+        return replayed;
       }
+      forgetDiscovery(cacheKey, `"${cached.title}" is no longer found via ${cached.strategy}`);
     }
 
-    log('ERROR', 'Product not found with any strategy');
-    return { success: false, status: 'not_found', message: 'Product not found with any discovery strategy' };
+    const strategies = DISCOVERY_STRATEGIES.filter(s => s.name !== 'structured-data' || this.config.STRUCTURED_DATA);
+    for (const [i, strategy] of strategies.entries()) {
+      log('INFO', `Strategy ${i + 1}: ${strategy.label}`);
+      const found = await this._runStrategy(strategy.name, productNames, constraints);
+      if (found.status !== 'not_found') {
+        return found;
+      }
+    }
+    return { status: 'not_found', card: null, candidates: [] };
   }
 
   /**
-   * Navigate to game category: Homepage → Category Menu (top nav) → Game
-   * @param {string} productName
-   * @returns {Promise<boolean>}
+   * Run one discovery strategy
+   * With a cached discovery the strategy replays it: the cached category is opened directly and
+   * only the cached search query is tried.
+   * @param {string} strategy - A DISCOVERY_STRATEGIES name
+   * @param {string[]} productNames
+   * @param {Object} constraints - See findAndAddProduct
+   * @param {Object|null} [cached] - Discovery cache entry to replay
+   * @returns {Promise<{status: 'found'|'ambiguous'|'not_found', card: import('playwright').Locator|null, record?: Object, candidates: Array<Object>, discovery?: Object, searchQuery?: Object|null}>}
    */
-  async _navigateToGameCategory(productName) {
-    const lowerName = productName.toLowerCase();
-
-    // Determine which game category to navigate to
-    let gameCategory = null;
-    const gameMappings = [
-      { keywords: ['valorant', 'vlrnt', 'valo', 'frgmt', 'wngmn'], game: 'VALORANT' },
-      { keywords: ['league', 'lol', 'legends', 'arcane'], game: 'LEAGUE OF LEGENDS' },
-      { keywords: ['tft', 'teamfight'], game: 'TEAMFIGHT TACTICS' },
-      { keywords: ['wild rift', 'wildrift'], game: 'WILD RIFT' },
-      { keywords: ['lor', 'runeterra'], game: 'LEGENDS OF RUNETERRA' },
-    ];
+  async _runStrategy(strategy, productNames, constraints, cached = null) {
+    const notFound = { status: 'not_found', card: null, candidates: [] };
+    const inListing = async (details) => {
+      await this._loadAllProducts();
+      const found = await this._findProductInListing(productNames, constraints);
+      return found.status === 'found'
+        ? { ...found, discovery: { strategy, title: found.title, url: found.url, category: null, query: null, ...details } }
+        : found;
+    };
+
+    this.listingCategory = null;
+    switch (strategy) {
+      // Homepage → CATEGORIES menu → category
+      case 'category': {
+        const category = cached && cached.category
+          ? await this._openCachedCategory(cached.category)
+          : await this._navigateToCategory(productNames, constraints.game);
+        return category ? await inListing({ category }) : notFound;
+      }
 
-    for (const mapping of gameMappings) {
-      if (mapping.keywords.some(kw => lowerName.includes(kw))) {
-        gameCategory = mapping.game;
-        break;
+      case 'homepage':
+        await this.navigation.goToHomepage();
+        return await inListing({});
+
+      case 'shop':
+        return await this.navigation.goToShop() ? await inListing({}) : notFound;
+
+      // products.json, JSON-LD, sitemap
+      case 'structured-data': {
+        const found = await this._findViaStructuredData(productNames, constraints);
+        return found.status === 'found'
+          ? { ...found, card: null, discovery: { strategy, title: found.record.title, url: found.record.url, category: null, query: null } }
+          : { ...found, card: null };
       }
-    }
 
-    if (!gameCategory) {
-      log('WARN', 'Could not determine game category from product name');
-      return false;
+      case 'search': {
+        const found = cached && cached.query
+          ? await this._searchWithPlan(productNames, constraints, [cached.query])
+          : await this._searchWithPlan(productNames, constraints);
+        return found.status === 'found'
+          ? { ...found, discovery: { strategy, title: found.title, url: found.url, category: null, query: found.searchQuery } }
+          : found;
+      }
+
+      default:
+        log('WARN', `Unknown discovery strategy "${strategy}"`);
+        return notFound;
     }
+  }
 
-    log('INFO', `Navigating to game category: ${gameCategory}`);
+  /**
+   * Open a category remembered by the discovery cache
+   * The menu is re-read so a renamed or moved category isn't opened by a stale link.
+   * @param {{title: string, href: string|null, path: string[]}} cachedCategory
+   * @returns {Promise<{title: string, href: string|null, path: string[]}|null>}
+   */
+  async _openCachedCategory(cachedCategory) {
+    await this.categories.getTree();
+    const category = this.categories.resolve(cachedCategory.title);
+    if (!category) {
+      log('WARN', `Cached category ${cachedCategory.path.join(' > ')} is no longer in the CATEGORIES menu`);
+      return null;
+    }
+    log('INFO', `Navigating to cached category: ${category.path.join(' > ')}`);
+    if (await this.categories.navigateTo(category)) {
+      this.listingCategory = category.title;
+      return category;
+    }
+    return null;
+  }
 
-    // Step 1: Look for CATEGORIES link in top navigation header
-    const categoryTriggers = [
-      // Target the top nav bar specifically
-      () => this.page.locator('header a, nav a').filter({ hasText: /^CATEGORIES$/i }),
-      () => this.page.locator('header').getByRole('link', { name: /categories/i }),
-      () => this.page.locator('nav').getByRole('link', { name: /categories/i }),
-      () => this.page.locator('a:has-text("CATEGORIES")'),
-      () => this.page.locator('[class*="header"] a:has-text("Categories")'),
-      () => this.page.locator('[class*="nav"] a:has-text("Categories")'),
-    ];
+  /**
+   * Run planned search queries (see queryPlanner.js) until one returns a match
+   * Queries go from the full names to distinctive words to product type + franchise;
+   * the first query whose results hold a candidate above the threshold wins.
+   * @param {string[]} productNames
+   * @param {Object} constraints - See findAndAddProduct
+   * @param {Array<{query: string, kind: string}>|null} [queries] - Queries to run instead of the plan
+   * @returns {Promise<{status: 'found'|'ambiguous'|'not_found', card: import('playwright').Locator|null, candidates: Array<Object>, searchQuery: {query: string, kind: string}|null}>}
+   */
+  async _searchWithPlan(productNames, constraints, queries = null) {
+    queries = queries || planQueries(productNames, { franchise: this._franchiseFor(productNames, constraints.game) });
+    log('DEBUG', `Search plan: ${queries.map(q => `"${q.query}" (${q.kind})`).join(', ')}`);
 
-    // Try to hover/click category menu to reveal dropdown
-    let categoryMenuOpened = false;
-    for (const trigger of categoryTriggers) {
-      try {
-        const menu = trigger();
-        if (await menu.count() > 0 && await menu.first().isVisible()) {
-          await menu.first().hover();
-          await sleep(1000);
-          log('DEBUG', 'Hovered on CATEGORIES in top nav');
-          categoryMenuOpened = true;
-          break;
-        }
-      } catch {
-        // Continue
+    for (const { query, kind } of queries) {
+      if (!await this.navigation.searchForProduct(query)) {
+        continue;
+      }
+      const found = await this._findProductInListing(productNames, constraints);
+      if (found.status !== 'not_found') {
+        log('OK', `Search query "${query}" (${kind}) found ${found.status === 'found' ? 'the product' : 'ambiguous matches'}`);
+        return { ...found, searchQuery: { query, kind } };
       }
+      log('INFO', `No match for search query "${query}" (${kind})`);
     }
+    return { status: 'not_found', card: null, candidates: [], searchQuery: null };
+  }
 
-    if (!categoryMenuOpened) {
-      log('WARN', 'Could not find CATEGORIES menu in top nav');
+  /**
+   * Franchise for type + franchise search queries: the required game, else the category the names point at
+   * @param {string[]} productNames
+   * @param {string|null} game
+   * @returns {string|null}
+   */
+  _franchiseFor(productNames, game) {
+    if (game) {
+      const resolved = this.categories.resolve(game);
+      return resolved ? resolved.title : game;
     }
+    const inferred = this.categories.match(productNames);
+    return inferred ? inferred.category.title : null;
+  }
 
-    // Step 2: Look for the game link in the dropdown or visible nav
-    const gameSelectors = [
-      // Exact match in dropdown/submenu
-      () => this.page.locator('[class*="dropdown"], [class*="submenu"], [class*="menu"]').getByRole('link', { name: new RegExp(`^${gameCategory}$`, 'i') }),
-      () => this.page.locator('[class*="dropdown"], [class*="submenu"]').locator(`a:has-text("${gameCategory}")`),
-      // In visible nav
-      () => this.page.locator('header, nav').getByRole('link', { name: new RegExp(gameCategory, 'i') }),
-      () => this.page.locator(`header a:has-text("${gameCategory}"), nav a:has-text("${gameCategory}")`),
-      // More generic
-      () => this.page.getByRole('link', { name: new RegExp(gameCategory, 'i') }).first(),
-    ];
+  /**
+   * Add the matched listing card, or report an ambiguous listing without guessing
+   * @param {{status: 'found'|'ambiguous', card: import('playwright').Locator|null, candidates: Array<Object>}} listing - From _findProductInListing
+   * @param {number} quantity
+   * @param {Object<string, string>} options - Variant options
+   * @param {number|null} maxPrice
+   * @returns {Promise<Object>} Same shape as findAndAddProduct; ambiguous results carry the top candidates
+   */
+  async _useListingMatch(listing, quantity, options, maxPrice) {
+    if (listing.status === 'ambiguous') {
+      const top = listing.candidates
+        .filter(c => c.eligible)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5);
+      const summary = top.slice(0, 2).map(c => `"${c.title}" (${c.score.toFixed(3)})`).join(' vs ');
+      return {
+        success: false,
+        status: 'ambiguous',
+        message: `Ambiguous match: ${summary} - add a more specific name`,
+        candidates: top
+      };
+    }
+    return await this._addProductToCart(listing.card, quantity, options, maxPrice);
+  }
 
-    for (const selector of gameSelectors) {
-      try {
-        const link = selector();
-        if (await link.count() > 0) {
-          const element = link.first();
-          if (await element.isVisible()) {
-            await element.click();
-            await this.navigation._waitForPageLoad();
-            log('OK', `Navigated to ${gameCategory} category via top nav`);
-            return true;
-          }
-        }
-      } catch {
-        // Continue
+  /**
+   * Navigate to the product's category: Homepage → CATEGORIES menu (top nav) → Category
+   * The category comes from the menu's category tree (see CategoryNavigator).
+   * Sets this.listingCategory to the category title on success (null otherwise).
+   * @param {string[]} productNames - Product names/synonyms
+   * @param {string|null} [game] - Required game / category from the product spec; takes precedence over the names
+   * @returns {Promise<{title: string, href: string|null, path: string[]}|null>} The category opened, or null
+   */
+  async _navigateToCategory(productNames, game = null) {
+    this.listingCategory = null;
+    await this.categories.getTree();
+
+    let category = null;
+    if (game) {
+      category = this.categories.resolve(game);
+      if (!category) {
+        log('WARN', `Game "${game}" does not match any category in the CATEGORIES menu`);
+        return null;
       }
+    } else {
+      const match = this.categories.match(productNames);
+      if (!match) {
+        log('WARN', 'Could not determine a category from the product name');
+        return null;
+      }
+      log('DEBUG', `Category ${match.category.path.join(' > ')} matched on: ${match.keywords.join(', ')}`);
+      category = match.category;
     }
 
-    log('WARN', `Could not navigate to ${gameCategory} category`);
-    return false;
+    log('INFO', `Navigating to category: ${category.path.join(' > ')}`);
+    if (await this.categories.navigateTo(category)) {
+      this.listingCategory = category.title;
+      return category;
+    }
+    return null;
   }
 
   /**
-   * Try to navigate to a relevant category based on product name (legacy)
-   * @param {string} productName
-   * @returns {Promise<boolean>}
+   * Find the best-matching product in the current listing
+   * Every card is scored - on numbered pagination, every card on every page up to
+   * MAX_LISTING_PAGES. The best one must lead the runner-up by MATCH_MARGIN, otherwise
+   * the listing is 'ambiguous' and no card is returned.
+   * Cards rejected by the constraints are logged and kept in the candidates with an `excluded` reason.
+   * @param {string[]} productNames - Names to match
+   * @param {Object} [constraints] - See findAndAddProduct
+   * @returns {Promise<{status: 'found'|'ambiguous'|'not_found', card: import('playwright').Locator|null, candidates: Array<{index: number, page: number, title: string, score: number, matchedAgainst: string|null, rule: string|null, eligible: boolean, excluded?: string}>}>}
    */
-  async _navigateToRelevantCategory(productName) {
-    const lowerName = productName.toLowerCase();
+  async _findProductInListing(productNames, constraints = {}) {
+    await sleep(1000); // Wait for products to render
 
-    // Map keywords to category links
-    const categoryMappings = [
-      { keywords: ['valorant', 'vlrnt', 'valo'], linkText: /valorant/i },
-      { keywords: ['league', 'lol', 'legends'], linkText: /league/i },
-      { keywords: ['arcane'], linkText: /arcane/i },
-      { keywords: ['plush', 'keychain', 'collectible'], linkText: /collectibles|accessories/i },
-      { keywords: ['apparel', 'shirt', 'hoodie'], linkText: /apparel|clothing/i },
-    ];
+    const listed = await this._collectListing(constraints);
+    if (!listed) {
+      log('WARN', 'No product cards found on page');
+      await captureScreenshot(this.page, 'product-search-no-cards');
+      return { status: 'not_found', card: null, candidates: [] };
+    }
+
+    // One scoring path: the matcher's score decides eligibility, ranking and what gets logged
+    const scorable = listed.filter(l => !l.excluded);
+    const pick = pickBestMatch(this.matcher, scorable.map(l => l.title), productNames, {
+      margin: this.config.MATCH_MARGIN || 0,
+      constraints
+    });
+    const candidates = [
+      ...listed.filter(l => l.excluded).map(l => ({ index: l.index, page: l.page, title: l.title, score: 0, matchedAgainst: null, rule: null, eligible: false, excluded: l.excluded, entry: l })),
+      ...pick.candidates.map(c => ({ ...c, index: scorable[c.index].index, page: scorable[c.index].page, entry: scorable[c.index] }))
+    ].sort((a, b) => a.index - b.index);
+
+    for (const c of candidates.filter(c => c.excluded)) {
+      log('INFO', `Excluded "${c.title}": ${c.excluded}`);
+    }
+    const report = candidates.map(({ entry, ...rest }) => rest);
+
+    if (pick.status === 'not_found') {
+      // Product not found - log top 5 candidates for debugging
+      const excludedCount = candidates.filter(c => c.excluded).length;
+      if (excludedCount > 0) {
+        log('WARN', `${excludedCount} listing(s) dropped by exclusion constraints`);
+      }
+      await this._logTopCandidates(productNames, candidates.filter(c => !c.excluded), 5);
+      return { status: 'not_found', card: null, candidates: report };
+    }
 
-    for (const mapping of categoryMappings) {
-      if (mapping.keywords.some(kw => lowerName.includes(kw))) {
+    if (pick.status === 'ambiguous') {
+      await this._logTopCandidates(productNames, candidates.filter(c => c.eligible), 5, {
+        reason: `Ambiguous match: top candidates within margin ${this.config.MATCH_MARGIN}`,
+        screenshot: 'product-search-ambiguous'
+      });
+      return { status: 'ambiguous', card: null, candidates: report };
+    }
+
+    const best = candidates.find(c => c.index === scorable[pick.best.index].index);
+    const { runnerUp } = pick;
+    const onPage = listed.some(l => l.page > 1) ? ` on page ${best.page}` : '';
+    log('OK', `Found product${onPage}: "${best.title}" (score: ${best.score.toFixed(3)} ${best.rule} vs "${best.matchedAgainst}"${runnerUp ? `, runner-up ${runnerUp.score.toFixed(3)} "${runnerUp.title}"` : ''})`);
+
+    const card = await this._returnToCard(best.entry);
+    if (!card) {
+      log('WARN', `"${best.title}" is no longer on ${best.entry.pageUrl}`);
+      await captureScreenshot(this.page, 'product-search-card-gone');
+      return { status: 'not_found', card: null, candidates: report };
+    }
+    const crossCheck = this.config.STRUCTURED_DATA ? await this._crossCheck(productNames, best.title, constraints) : null;
+    return { status: 'found', card, title: best.title, url: best.entry.pageUrl, candidates: report, crossCheck };
+  }
+
+  /**
+   * Collect every card in the listing, following numbered pagination
+   * @param {Object} constraints - See findAndAddProduct
+   * @returns {Promise<Array<{index: number, page: number, pageUrl: string, pageIndex: number, title: string, card: import('playwright').Locator, excluded: string|null}>|null>} null if the first page has no cards
+   */
+  async _collectListing(constraints) {
+    const numbered = await this._detectPaginationMode() === 'numbered';
+    const maxPages = Math.max(1, this.config.MAX_LISTING_PAGES || 1);
+    const listed = [];
+    const seenTitles = new Set();
+    const visited = new Set();
+    let pageNumber = 1;
+
+    for (;;) {
+      const pageUrl = this.page.url();
+      visited.add(pageUrl);
+
+      const cards = await this._findCards();
+      if (!cards) {
+        if (pageNumber === 1) return null;
+        log('WARN', `No product cards on page ${pageNumber} (${pageUrl})`);
+        break;
+      }
+
+      // Collect every card - the first passing card may be a bundle listed before the exact item
+      const count = await cards.count();
+      log('DEBUG', `Found ${count} product cards${numbered ? ` on page ${pageNumber}` : ''}`);
+      for (let i = 0; i < count; i++) {
+        const card = cards.nth(i);
         try {
-          const categoryLink = this.page.getByRole('link', { name: mapping.linkText });
-          if (await categoryLink.count() > 0 && await categoryLink.first().isVisible()) {
-            await categoryLink.first().click();
-            await this.navigation._waitForPageLoad();
-            log('OK', `Navigated to category: ${mapping.linkText}`);
-            return true;
-          }
-        } catch {
-          // Continue
+          // Get product title text
+          const titleText = await this._getProductTitle(card);
+          if (!titleText) continue;
+
+          // The same product is often listed twice (featured + grid) - keep the first card
+          const key = normalizeText(titleText);
+          if (seenTitles.has(key)) continue;
+          seenTitles.add(key);
+
+          // Price range and game need the card / listing; keywords are checked by the matcher
+          const excluded = await this._attributeExclusion(card, titleText, constraints);
+          listed.push({ index: listed.length, page: pageNumber, pageUrl, pageIndex: i, title: titleText, card, excluded });
+        } catch (err) {
+          log('DEBUG', `Error checking card ${i}: ${err.message}`);
         }
       }
+
+      if (!numbered) break;
+      const next = await this._nextPageUrl();
+      if (!next || visited.has(next)) break;
+      if (pageNumber >= maxPages) {
+        log('WARN', `Stopped at MAX_LISTING_PAGES=${maxPages} - later pages were not checked`);
+        break;
+      }
+
+      try {
+        await this.page.goto(next, { waitUntil: 'domcontentloaded', timeout: this.config.NAV_TIMEOUT_MS });
+        await this.navigation._waitForPageLoad();
+        pageNumber++;
+      } catch (err) {
+        log('WARN', `Could not open listing page ${pageNumber + 1}: ${err.message}`);
+        break;
+      }
     }
 
-    return false;
+    if (pageNumber > 1) {
+      log('INFO', `Collected ${listed.length} listings from ${pageNumber} pages`);
+    }
+    return listed;
   }
 
   /**
-   * Find product in current listing
-   * @param {string[]} productNames - Names to match
+   * Product cards on the current page
    * @returns {Promise<import('playwright').Locator|null>}
    */
-  async _findProductInListing(productNames) {
-    await sleep(1000); // Wait for products to render
-
-    // Get all product cards
+  async _findCards() {
     const cardStrategies = [
       () => this.SEL.productCard(),
       () => this.SEL.productCardFallback1(),
@@ -281,122 +663,241 @@ class ProductHandler {
       () => this.SEL.productCardFallback3(),
     ];
 
-    let cards = null;
     for (const strategy of cardStrategies) {
       try {
         const locator = strategy();
-        const count = await locator.count();
-        if (count > 0) {
-          cards = locator;
-          log('DEBUG', `Found ${count} product cards`);
-          break;
+        if (await locator.count() > 0) {
+          return locator;
         }
       } catch {
         // Try next
       }
     }
+    return null;
+  }
 
-    if (!cards) {
-      log('WARN', 'No product cards found on page');
-      await captureScreenshot(this.page, 'product-search-no-cards');
+  /**
+   * Go back to a collected card's listing page and locate the card again
+   * Cards from earlier pages are stale once the next page has loaded, so the card is
+   * found by title (its old position is checked first).
+   * @param {{pageUrl: string, pageIndex: number, title: string, card: import('playwright').Locator}} entry - From _collectListing
+   * @returns {Promise<import('playwright').Locator|null>}
+   */
+  async _returnToCard(entry) {
+    if (this.page.url() === entry.pageUrl) {
+      return entry.card;
+    }
+
+    log('INFO', `Returning to listing page ${entry.pageUrl}`);
+    try {
+      await this.page.goto(entry.pageUrl, { waitUntil: 'domcontentloaded', timeout: this.config.NAV_TIMEOUT_MS });
+      await this.navigation._waitForPageLoad();
+    } catch (err) {
+      log('WARN', `Could not return to ${entry.pageUrl}: ${err.message}`);
       return null;
     }
 
-    // Collect all candidates with scores for logging on failure
-    const candidates = [];
+    const cards = await this._findCards();
+    if (!cards) return null;
+
+    const key = normalizeText(entry.title);
     const count = await cards.count();
-    
-    for (let i = 0; i < count; i++) {
-      const card = cards.nth(i);
+    const order = [entry.pageIndex, ...Array.from({ length: count }, (_, i) => i).filter(i => i !== entry.pageIndex)];
+    for (const i of order.filter(i => i < count)) {
       try {
-        // Get product title text
-        const titleText = await this._getProductTitle(card);
-        if (!titleText) continue;
-
-        // Calculate best match score against all target names
-        const matchResult = this._calculateBestMatchScore(titleText, productNames);
-        candidates.push({
-          index: i,
-          title: titleText,
-          score: matchResult.score,
-          matchedAgainst: matchResult.matchedAgainst,
-          card
-        });
-
-        // Check if this matches using fuzzyMatch (includes contains matching etc)
-        const match = fuzzyMatch(titleText, productNames, this.config.FUZZY_THRESHOLD);
-        if (match.matched) {
-          log('OK', `Found product: "${titleText}" (score: ${match.score.toFixed(2)}, matched: "${match.matchedName}")`);
-          return card;
+        const title = await this._getProductTitle(cards.nth(i));
+        if (title && normalizeText(title) === key) {
+          return cards.nth(i);
         }
-      } catch (err) {
-        log('DEBUG', `Error checking card ${i}: ${err.message}`);
+      } catch {
+        // Try next
       }
     }
+    return null;
+  }
+
+  /**
+   * Check a listing card against the price range and game constraints
+   * A card whose price or game can't be determined is not excluded.
+   * @param {import('playwright').Locator} card
+   * @param {string} title - Card title
+   * @param {Object} constraints - See findAndAddProduct
+   * @returns {Promise<string|null>} Why the card was rejected, or null if it passes
+   */
+  async _attributeExclusion(card, title, constraints) {
+    const range = constraints.priceRange;
+    const price = range && (range.min !== null || range.max !== null) ? await this._getCardPrice(card) : null;
+    return this._priceExclusion(price, range) || this._categoryExclusion(title, constraints.game, this.listingCategory);
+  }
 
-    // Product not found - log top 5 candidates for debugging
-    await this._logTopCandidates(productNames, candidates, 5);
+  /**
+   * Check a price against the price range constraint
+   * @param {number|null} price - null = unknown (never excluded)
+   * @param {{min: number|null, max: number|null}|null} range
+   * @returns {string|null} Why the price was rejected, or null if it passes
+   */
+  _priceExclusion(price, range) {
+    if (price === null || !range) {
+      return null;
+    }
+    if (range.min !== null && price < range.min) {
+      return `price ${formatAmount(price)} below range minimum ${formatAmount(range.min)}`;
+    }
+    if (range.max !== null && price > range.max) {
+      return `price ${formatAmount(price)} above range maximum ${formatAmount(range.max)}`;
+    }
     return null;
   }
 
   /**
-   * Calculate the best match score for a product title against target names
-   * @param {string} productTitle - The product title from the page
-   * @param {string[]} targetNames - Target names/synonyms to match against
-   * @returns {{score: number, matchedAgainst: string}}
+   * Check a title against the required game / category
+   * @param {string} title
+   * @param {string|null} game - Required game from the product spec
+   * @param {string|null} listingCategory - Category of the listing the title is in, if known
+   * @returns {string|null} Why the title was rejected, or null if it passes (or the category is unknown)
    */
-  _calculateBestMatchScore(productTitle, targetNames) {
-    const normalizedProduct = normalizeText(productTitle);
-    let bestScore = 0;
-    let matchedAgainst = targetNames[0] || '';
+  _categoryExclusion(title, game, listingCategory) {
+    if (!game) {
+      return null;
+    }
+    const resolved = this.categories.resolve(game);
+    const required = resolved ? resolved.title : game;
+    const inferred = this.categories.match([title]);
+    const category = listingCategory || (inferred ? inferred.category.title : null);
+    if (category && normalizeText(category) !== normalizeText(required)) {
+      return `category ${category} is not ${required}`;
+    }
+    return null;
+  }
 
-    for (const target of targetNames) {
-      const normalizedTarget = normalizeText(target);
+  /**
+   * Find the product in the storefront's structured data
+   * Price range and game constraints apply as for listings; keywords are checked by the matcher.
+   * @param {string[]} productNames
+   * @param {Object} constraints - See findAndAddProduct
+   * @returns {Promise<{status: 'found'|'ambiguous'|'not_found', record: Object|null, candidates: Array<Object>}>}
+   */
+  async _findViaStructuredData(productNames, constraints = {}) {
+    const catalog = await this.structured.getCatalog();
+    if (catalog.length === 0) {
+      return { status: 'not_found', record: null, candidates: [] };
+    }
 
-      // Exact match
-      if (normalizedProduct === normalizedTarget) {
-        return { score: 1.0, matchedAgainst: target };
+    // The whole catalog is checked, so attribute exclusions are only worth a summary
+    const scorable = [];
+    for (const record of catalog) {
+      const excluded = this._priceExclusion(record.price, constraints.priceRange)
+        || this._categoryExclusion(record.title, constraints.game, null);
+      if (excluded) {
+        log('DEBUG', `Excluded "${record.title}" (${record.source}): ${excluded}`);
+      } else {
+        scorable.push(record);
       }
+    }
+    if (scorable.length < catalog.length) {
+      log('INFO', `${catalog.length - scorable.length} of ${catalog.length} storefront products excluded by price range / game`);
+    }
 
-      // Contains match - high score
-      if (normalizedProduct.includes(normalizedTarget)) {
-        const score = 0.9;
-        if (score > bestScore) {
-          bestScore = score;
-          matchedAgainst = target;
-        }
-        continue;
-      }
+    const pick = pickBestMatch(this.matcher, scorable.map(r => r.title), productNames, {
+      margin: this.config.MATCH_MARGIN || 0,
+      constraints
+    });
+    for (const c of pick.candidates.filter(c => c.excluded)) {
+      log('INFO', `Excluded "${c.title}" (${scorable[c.index].source}): ${c.excluded}`);
+    }
+    const candidates = pick.candidates.map(c => ({ ...c, source: scorable[c.index].source, url: scorable[c.index].url }));
 
-      if (normalizedTarget.includes(normalizedProduct)) {
-        const score = 0.85;
-        if (score > bestScore) {
-          bestScore = score;
-          matchedAgainst = target;
-        }
-        continue;
-      }
+    if (pick.status === 'not_found') {
+      log('INFO', `No match in ${catalog.length} products of storefront data`);
+      return { status: 'not_found', record: null, candidates };
+    }
+    if (pick.status === 'ambiguous') {
+      await this._logTopCandidates(productNames, candidates.filter(c => c.eligible), 5, {
+        reason: `Ambiguous match in storefront data: top candidates within margin ${this.config.MATCH_MARGIN}`,
+        screenshot: 'product-search-ambiguous'
+      });
+      return { status: 'ambiguous', record: null, candidates };
+    }
 
-      // String similarity score
-      const score = stringSimilarity.compareTwoStrings(normalizedProduct, normalizedTarget);
-      if (score > bestScore) {
-        bestScore = score;
-        matchedAgainst = target;
-      }
+    const record = scorable[pick.best.index];
+    const state = record.available === false ? ', sold out' : '';
+    log('OK', `Found product in ${record.source}: "${record.title}" (score: ${pick.best.score.toFixed(3)} ${pick.best.rule}${record.price !== null ? `, ${formatAmount(record.price)}` : ''}${state})`);
+    return { status: 'found', record, candidates };
+  }
+
+  /**
+   * Open a structured-data product by URL and add it
+   * @param {Object} record - Catalog record (see StructuredDataDiscovery)
+   * @param {number} quantity
+   * @param {Object<string, string>} options
+   * @param {number|null} maxPrice
+   * @returns {Promise<Object>} Same shape as findAndAddProduct
+   */
+  async _addFromRecord(record, quantity, options, maxPrice) {
+    if (shouldStopAfter(this.config, 'search')) {
+      log('INFO', `STOP_AT=search - located "${record.title}", not opening it`);
+      return { success: true, status: 'found', message: `Found "${record.title}" in ${record.source} (STOP_AT=search)` };
+    }
+    if (!record.url) {
+      return { success: false, status: 'error', message: `Storefront data has no URL for "${record.title}"` };
     }
 
-    return { score: bestScore, matchedAgainst };
+    const url = new URL(record.url, this.config.URL).href;
+    try {
+      log('INFO', `Opening product page from ${record.source}: ${url}`);
+      await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.NAV_TIMEOUT_MS });
+      await this.navigation._waitForPageLoad();
+    } catch (err) {
+      await captureScreenshot(this.page, 'error-open-product-page');
+      return { success: false, status: 'error', message: `Could not open ${url}: ${err.message}` };
+    }
+    return await this._addFromProductPage(quantity, options, maxPrice);
+  }
+
+  /**
+   * Cross-check a listing match against the storefront's structured data
+   * Logs a warning when the data points at a different product; the listing match stands.
+   * @param {string[]} productNames
+   * @param {string} title - Title of the card picked from the listing
+   * @param {Object} constraints
+   * @returns {Promise<{checked: boolean, agrees: boolean|null, title: string|null, source: string|null}>}
+   */
+  async _crossCheck(productNames, title, constraints) {
+    const catalog = await this.structured.getCatalog();
+    if (catalog.length === 0) {
+      return { checked: false, agrees: null, title: null, source: null };
+    }
+
+    const known = this.structured.findByTitle(catalog, title);
+    const pick = pickBestMatch(this.matcher, catalog.map(r => r.title), productNames, {
+      margin: this.config.MATCH_MARGIN || 0,
+      constraints
+    });
+    const picked = pick.status === 'found' ? catalog[pick.best.index] : null;
+
+    if (!known) {
+      log('WARN', `Cross-check: "${title}" is not in the storefront data (${catalog[0].source})`);
+    } else if (picked && normalizeText(picked.title) !== normalizeText(title)) {
+      log('WARN', `Cross-check: listing match "${title}" but storefront data (${picked.source}) points to "${picked.title}"`);
+      return { checked: true, agrees: false, title: picked.title, source: picked.source };
+    } else {
+      log('DEBUG', `Cross-check: "${title}" confirmed by ${known.source}${known.available === false ? ' (listed as sold out)' : ''}`);
+    }
+    return { checked: true, agrees: known ? true : null, title: known ? known.title : null, source: known ? known.source : null };
   }
 
   /**
-   * Log top N candidate matches for debugging failed product search
+   * Log top N candidate matches for debugging a failed or ambiguous product search
    * @param {string[]} targetNames - What we were searching for
    * @param {Array<{index: number, title: string, score: number, matchedAgainst: string}>} candidates
    * @param {number} topN - Number of top candidates to log
+   * @param {Object} options
+   * @param {string} options.reason - Headline (default "Product not found")
+   * @param {string} options.screenshot - Screenshot name when there are candidates
    */
-  async _logTopCandidates(targetNames, candidates, topN = 5) {
-    log('WARN', `Product not found. Searched for: "${targetNames.join(' | ')}"`);
-    log('WARN', `Fuzzy threshold: ${this.config.FUZZY_THRESHOLD}`);
+  async _logTopCandidates(targetNames, candidates, topN = 5, options = {}) {
+    log('WARN', `${options.reason || 'Product not found'}. Searched for: "${targetNames.join(' | ')}"`);
+    log('WARN', `Match strategy: ${this.matcher.strategy}, threshold: ${this.matcher.threshold}, margin: ${this.config.MATCH_MARGIN}`);
 
     if (candidates.length === 0) {
       log('WARN', 'No product titles could be extracted from cards');
@@ -412,11 +913,11 @@ class ProductHandler {
     log('INFO', `Top ${topCandidates.length} candidate matches:`);
     for (let i = 0; i < topCandidates.length; i++) {
       const c = topCandidates[i];
-      log('INFO', `  ${i + 1}. "${c.title}" (score: ${c.score.toFixed(3)} vs "${c.matchedAgainst}")`);
+      log('INFO', `  ${i + 1}. "${c.title}" (score: ${c.score.toFixed(3)} ${c.rule || ''} vs "${c.matchedAgainst}")`);
     }
 
     // Take screenshot for debugging
-    await captureScreenshot(this.page, 'product-search-failed-with-candidates');
+    await captureScreenshot(this.page, options.screenshot || 'product-search-failed-with-candidates');
   }
 
   /**
@@ -460,63 +961,354 @@ class ProductHandler {
   }
 
   /**
-   * Add product to cart
+   * Get the listed price from a product card
+   * @param {import('playwright').Locator} card
+   * @returns {Promise<number|null>} null if no price could be read
+   */
+  async _getCardPrice(card) {
+    const priceSelectors = [
+      '.card__price',
+      '.product-card__price',
+      '.price-item--sale',
+      '.price-item--regular',
+      '[class*="price"]:not([class*="compare"])'
+    ];
+
+    for (const selector of priceSelectors) {
+      try {
+        const price = card.locator(selector).first();
+        if (await price.count() > 0) {
+          const amount = parsePrice(await price.textContent(), this.config.PRICE_LOCALE);
+          if (amount !== null) {
+            return amount;
+          }
+        }
+      } catch {
+        // Try next
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add product to cart: open product page → variant → sold out check → quantity → Add to Cart → verify cart line
    * @param {import('playwright').Locator} productCard
    * @param {number} quantity
-   * @returns {Promise<{success: boolean, status: 'success'|'limit_reached'|'out_of_stock'|'error', message: string}>}
+   * @param {Object<string, string>} [options] - Variant options
+   * @param {number|null} [maxPrice] - Highest acceptable unit price (null = no cap)
+   * @returns {Promise<{success: boolean, status: 'success'|'found'|'ready'|'limit_reached'|'out_of_stock'|'variant_unavailable'|'over_budget'|'unconfirmed'|'error', message: string, variant?: string|null}>}
    */
-  async _addProductToCart(productCard, quantity) {
-    // First, click on the product to go to product page
+  async _addProductToCart(productCard, quantity, options = {}, maxPrice = null) {
+    // STOP_AT=search - the product has been located, don't open it
+    if (shouldStopAfter(this.config, 'search')) {
+      const title = await this._getProductTitle(productCard);
+      log('INFO', `STOP_AT=search - located "${title || 'product'}", not opening it`);
+      await captureScreenshot(this.page, 'stop-search-found');
+      return { success: true, status: 'found', message: `Found "${title || 'product'}" (STOP_AT=search)` };
+    }
+
     log('INFO', 'Clicking product to open product page');
 
+    const opened = await this._openProductPage(productCard);
+    if (!opened.success) {
+      await captureScreenshot(this.page, 'error-open-product-page');
+      return { success: false, status: 'error', message: opened.message };
+    }
+
+    return await this._addFromProductPage(quantity, options, maxPrice);
+  }
+
+  /**
+   * Open the product page from a listing card
+   * Handles links that open in a new tab by moving the product URL into the current tab,
+   * since every manager holds a reference to this.page.
+   * @param {import('playwright').Locator} productCard
+   * @returns {Promise<{success: boolean, url: string|null, message: string}>}
+   */
+  async _openProductPage(productCard) {
+    const linkSelectors = [
+      'a[href*="/products/"]',
+      'a',
+      '.product-card__link',
+      '[class*="product"][class*="link"]'
+    ];
+
+    let link = null;
+    for (const selector of linkSelectors) {
+      try {
+        const candidate = productCard.locator(selector).first();
+        if (await candidate.count() > 0 && await candidate.isVisible()) {
+          link = candidate;
+          break;
+        }
+      } catch {
+        // Try next
+      }
+    }
+
     try {
-      // Try to find product link
-      const linkSelectors = [
-        'a[href*="/products/"]',
-        'a',
-        '.product-card__link',
-        '[class*="product"][class*="link"]'
-      ];
-
-      let clicked = false;
-      for (const selector of linkSelectors) {
+      const href = link ? await link.getAttribute('href').catch(() => null) : null;
+      const target = link ? await link.getAttribute('target').catch(() => null) : null;
+
+      if (href && target === '_blank') {
+        // Known new-tab link - open it in this tab instead
+        const url = new URL(href, this.page.url()).toString();
+        log('DEBUG', `Product link opens a new tab - navigating current tab to ${url}`);
+        await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.NAV_TIMEOUT_MS });
+      } else {
+        // Click and watch for a tab opened by script
+        const popupPromise = this.page.context().waitForEvent('page', { timeout: 3000 }).catch(() => null);
+        if (link) {
+          await link.click();
+        } else {
+          await productCard.click();
+        }
+
+        const popup = await popupPromise;
+        if (popup) {
+          await popup.waitForLoadState('domcontentloaded').catch(() => {});
+          const url = popup.url();
+          log('DEBUG', `Product opened in a new tab - moving ${url} to current tab`);
+          await popup.close().catch(() => {});
+          await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.NAV_TIMEOUT_MS });
+        }
+      }
+
+      await this.navigation._waitForPageLoad();
+    } catch (err) {
+      log('ERROR', `Failed to click product: ${err.message}`);
+      return { success: false, url: null, message: `Failed to click product: ${err.message}` };
+    }
+
+    const loaded = await this._waitForProductPage();
+    if (!loaded) {
+      log('ERROR', `Product page did not load (URL: ${this.page.url()})`);
+      return { success: false, url: this.page.url(), message: 'Product page did not load after clicking product' };
+    }
+
+    log('OK', `Product page opened: ${this.page.url()}`);
+    return { success: true, url: this.page.url(), message: 'Product page opened' };
+  }
+
+  /**
+   * Wait until the page looks like a product page (title + add-to-cart form or buttons)
+   * @returns {Promise<boolean>}
+   */
+  async _waitForProductPage() {
+    const indicators = [
+      () => this.SEL.productForm(),
+      () => this.SEL.addToCart(),
+      () => this.SEL.preorder(),
+      () => this.SEL.soldOut(),
+      () => this.SEL.soldOutFallback(),
+    ];
+
+    const startTime = Date.now();
+    while (Date.now() - startTime < this.config.NAV_TIMEOUT_MS) {
+      for (const indicator of indicators) {
         try {
-          const link = productCard.locator(selector).first();
-          if (await link.count() > 0 && await link.isVisible()) {
-            await link.click();
-            clicked = true;
-            break;
+          const locator = indicator();
+          if (await locator.count() > 0 && await locator.first().isVisible()) {
+            return true;
           }
         } catch {
           // Try next
         }
       }
+      await sleep(250);
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the product title shown on the product page
+   * @returns {Promise<string|null>}
+   */
+  async _getProductPageTitle() {
+    const strategies = [
+      () => this.SEL.productPageTitle(),
+      () => this.SEL.productPageTitleFallback(),
+    ];
 
-      if (!clicked) {
-        // Click the card itself
-        await productCard.click();
+    for (const strategy of strategies) {
+      try {
+        const title = strategy().first();
+        if (await title.count() > 0) {
+          const text = await title.textContent();
+          if (text && text.trim()) {
+            return text.trim();
+          }
+        }
+      } catch {
+        // Try next
       }
+    }
 
-      await this.navigation._waitForPageLoad();
-    } catch (err) {
-      log('ERROR', `Failed to click product: ${err.message}`);
-      return { success: false, status: 'error', message: `Failed to click product: ${err.message}` };
+    return null;
+  }
+
+  /**
+   * Run the add-to-cart steps on an already open product page
+   * @param {number} quantity
+   * @param {Object<string, string>} [options] - Variant options
+   * @param {number|null} [maxPrice] - Highest acceptable unit price (null = no cap)
+   * @returns {Promise<{success: boolean, status: 'success'|'ready'|'limit_reached'|'out_of_stock'|'variant_unavailable'|'over_budget'|'unconfirmed'|'error', message: string, variant: string|null, title?: string|null, price?: number|null}>}
+   */
+  async _addFromProductPage(quantity, options = {}, maxPrice = null) {
+    const productTitle = await this._getProductPageTitle();
+    log('INFO', `On product page: "${productTitle || 'unknown title'}"`);
+    await captureScreenshot(this.page, 'product-page');
+
+    // Select the requested variant first - the default variant may be sold out when ours isn't
+    const variantResult = await this.variants.selectVariant(options);
+    if (!variantResult.success) {
+      return variantResult;
     }
+    const variant = variantResult.variant;
 
-    // Check if sold out
+    // Check if sold out (after variant selection this reflects the chosen variant)
     if (await this._isSoldOut()) {
-      log('WARN', 'Product is sold out');
+      const message = variant ? `Variant "${variant}" is sold out` : 'Product is sold out';
+      log('WARN', message);
       await captureScreenshot(this.page, 'product-sold-out');
-      return { success: false, status: 'out_of_stock', message: 'Product is sold out' };
+      return { success: false, status: 'out_of_stock', message, variant };
+    }
+
+    // Price cap - read after variant selection so the price is the chosen variant's
+    const price = await this._getProductPrice();
+    const budget = checkBudget(price, maxPrice, `Price of "${productTitle || 'product'}"${variant ? ` [${variant}]` : ''}`);
+    if (!budget.ok) {
+      log('WARN', `Over budget: ${budget.message} - skipping`);
+      await captureScreenshot(this.page, 'product-over-budget');
+      return { success: false, status: 'over_budget', message: budget.message, variant, title: productTitle, price };
+    }
+    if (budget.capped) {
+      log('OK', budget.message);
+    } else if (maxPrice) {
+      log('WARN', `${budget.message} - relying on cart and review page totals`);
+    }
+
+    // STOP_AT=product - product page open and variant selected, don't add
+    if (shouldStopAfter(this.config, 'product')) {
+      log('INFO', `STOP_AT=product - "${productTitle || 'product'}" is ready to add, not adding`);
+      await captureScreenshot(this.page, 'stop-product-ready');
+      return { success: true, status: 'ready', message: `Product page ready${variant ? ` [${variant}]` : ''} (STOP_AT=product)`, variant };
     }
 
     // Set quantity (enforces QTY1 configuration)
     if (quantity > 1) {
-      await this._setQuantity(quantity);
+      const quantitySet = await this._setQuantity(quantity);
+      await captureScreenshot(this.page, quantitySet ? 'product-quantity-set' : 'product-quantity-not-set');
     }
 
     // Click Add to Cart and return structured result
-    return await this._clickAddToCart();
+    const addResult = await this._clickAddToCart(productTitle, variant);
+    if (!addResult.success) {
+      return { ...addResult, variant };
+    }
+
+    // Confirm the cart line holds the requested quantity
+    const verified = await this._verifyCartQuantity(productTitle, quantity, addResult, variant);
+    return { ...verified, variant, title: productTitle, price };
+  }
+
+  /**
+   * Verify the cart line for the product matches the requested quantity, correcting it if possible
+   * @param {string|null} productTitle - Title from the product page
+   * @param {number} quantity - Requested quantity
+   * @param {{success: boolean, status: string, message: string, confirmedBy?: string}} addResult - Result of the Add to Cart click
+   * @param {string|null} [variant] - Selected variant, used to pick the right line when several variants are in the cart
+   * @returns {Promise<{success: boolean, status: 'success'|'limit_reached'|'unconfirmed'|'error', message: string}>}
+   *   unconfirmed when the cart line couldn't be read, or the cart confirmed the add but no line matches the
+   *   page title (renamed or variant-suffixed) - the item may well be in the cart, so adding again could double it
+   */
+  async _verifyCartQuantity(productTitle, quantity, addResult, variant = null) {
+    if (!productTitle) {
+      log('ERROR', 'Product title unknown - cannot verify the cart line');
+      await captureScreenshot(this.page, 'cart-line-unverified');
+      return { success: false, status: 'unconfirmed', message: `${addResult.message}, but the cart line could not be verified (product title unknown)` };
+    }
+
+    let observed = await this.cart.getLineQuantity(productTitle, variant, 'add-to-cart');
+    if (observed === null) {
+      log('ERROR', `Could not read the cart to verify "${productTitle}" x${quantity}`);
+      await captureScreenshot(this.page, 'cart-line-unverified');
+      return { success: false, status: 'unconfirmed', message: `${addResult.message}, but the cart could not be read to verify it` };
+    }
+
+    if (observed === 0) {
+      log('ERROR', `"${productTitle}" not found in cart after Add to Cart`);
+      await captureScreenshot(this.page, 'cart-line-missing');
+      // Only a cart drawer / confirmation on the page vouched for the add - it can be retried
+      if (addResult.confirmedBy === 'page') {
+        return { success: false, status: 'error', message: 'Item not found in cart after Add to Cart' };
+      }
+      return { success: false, status: 'unconfirmed', message: `${addResult.message}, but no cart line matches "${productTitle}"` };
+    }
+
+    if (observed !== quantity) {
+      log('WARN', `Cart holds ${observed} of "${productTitle}" but ${quantity} requested - correcting`);
+      await captureScreenshot(this.page, 'cart-quantity-mismatch');
+      await this.cart.updateQuantity(productTitle, quantity, variant);
+      await sleep(1000);
+      observed = await this.cart.getLineQuantity(productTitle, variant, 'add-to-cart');
+    }
+
+    if (observed === quantity) {
+      log('OK', `Cart verified: "${productTitle}" x${quantity}`);
+      await captureScreenshot(this.page, 'cart-quantity-verified');
+      return { success: true, status: 'success', message: `Added x${quantity} (cart verified)` };
+    }
+
+    if (observed !== null && observed > 0 && observed < quantity) {
+      const message = `Cart holds ${observed} of ${quantity} requested - site limited the quantity`;
+      log('WARN', message);
+      await captureScreenshot(this.page, 'limit-reached-quantity');
+      return { success: false, status: 'limit_reached', message };
+    }
+
+    const message = `Cart quantity mismatch for "${productTitle}": expected ${quantity}, found ${observed}`;
+    log('ERROR', message);
+    await captureScreenshot(this.page, 'error-cart-quantity');
+    return { success: false, status: 'error', message };
+  }
+
+  /**
+   * Describe requested variant options for logging ("size=L, color=Black")
+   * @param {Object<string, string>} [options]
+   * @returns {string}
+   */
+  _describeOptions(options) {
+    return Object.entries(options || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+  }
+
+  /**
+   * Read the current price on the product page
+   * @returns {Promise<number|null>} null if no price could be read
+   */
+  async _getProductPrice() {
+    const strategies = [
+      () => this.SEL.productPrice(),
+      () => this.SEL.productPriceFallback(),
+    ];
+
+    for (const strategy of strategies) {
+      try {
+        const prices = strategy();
+        const count = await prices.count();
+        for (let i = 0; i < count; i++) {
+          const element = prices.nth(i);
+          if (!await element.isVisible()) continue;
+          const price = parsePrice(await element.textContent(), this.config.PRICE_LOCALE);
+          if (price !== null) return price;
+        }
+      } catch {
+        // Try next
+      }
+    }
+
+    return null;
   }
 
   /**
@@ -559,6 +1351,7 @@ class ProductHandler {
   /**
    * Set product quantity
    * @param {number} quantity
+   * @returns {Promise<boolean>} Whether the quantity was set
    */
   async _setQuantity(quantity) {
     log('INFO', `Setting quantity to ${quantity}`);
@@ -579,8 +1372,13 @@ class ProductHandler {
           if (await element.isVisible()) {
             await element.clear();
             await element.fill(quantity.toString());
+            const value = await element.inputValue().catch(() => '');
+            if (parseInt(value, 10) !== quantity) {
+              log('WARN', `Quantity input shows "${value}" after filling ${quantity}`);
+              continue;
+            }
             log('OK', `Set quantity via input to ${quantity}`);
-            return;
+            return true;
           }
         }
       } catch {
@@ -605,7 +1403,7 @@ class ProductHandler {
             await sleep(200);
           }
           log('OK', `Set quantity via button clicks to ${quantity}`);
-          return;
+          return true;
         }
       } catch {
         // Try next
@@ -613,14 +1411,20 @@ class ProductHandler {
     }
 
     log('WARN', 'Could not set quantity - using default');
+    return false;
   }
 
   /**
    * Click Add to Cart button with multiple fallback strategies
    * Supports: Add to Cart, Buy Now, Preorder buttons
-   * @returns {Promise<{success: boolean, status: 'success'|'limit_reached'|'out_of_stock'|'error', message: string}>}
+   * The cart API response to the click decides the outcome; without one, limit messages and
+   * cart drawer / confirmation on the page are checked, then the cart itself is fetched.
+   * @param {string|null} productTitle - Title from the product page, to find its cart line
+   * @param {string|null} [variant] - Selected variant title
+   * @returns {Promise<{success: boolean, status: 'success'|'limit_reached'|'out_of_stock'|'unconfirmed'|'error', message: string, confirmedBy?: 'cart_api'|'page'|'cart'}>}
+   *   unconfirmed when nothing showed the item was added; confirmedBy says what showed it on success
    */
-  async _clickAddToCart() {
+  async _clickAddToCart(productTitle, variant = null) {
     log('INFO', 'Clicking Add to Cart / Buy / Preorder');
 
     const strategies = [
@@ -644,7 +1448,14 @@ class ProductHandler {
     ];
 
     try {
+      const since = this.cart.network.mark();
       await clickWithFallback(this.page, strategies, 'Add to Cart', this.config.ACTION_TIMEOUT_MS);
+
+      const response = await this.cart.network.waitFor(['add'], since, ADD_RESPONSE_TIMEOUT_MS);
+      if (response && response.ok !== null) {
+        return await this._addResultFromResponse(response);
+      }
+      log('DEBUG', 'No cart API response to Add to Cart - checking the page');
       await sleep(1500);
 
       // Check for limit/error messages after clicking
@@ -659,12 +1470,19 @@ class ProductHandler {
       const addedSuccessfully = await this._verifyItemAdded();
       if (addedSuccessfully) {
         log('OK', 'Item successfully added to cart');
-        return { success: true, status: 'success', message: 'Item added to cart' };
+        return { success: true, status: 'success', message: 'Item added to cart', confirmedBy: 'page' };
       }
 
-      // Item may have been added even without confirmation popup
-      log('INFO', 'Add to Cart clicked (confirmation not detected, proceeding)');
-      return { success: true, status: 'success', message: 'Add to Cart clicked' };
+      // No confirmation on the page - the item may still have been added, so ask the cart
+      const cart = await this.cart.network.refresh();
+      if (cart && productTitle && this.cart.findLine(cart, productTitle, variant)) {
+        log('OK', 'Item found in cart after Add to Cart');
+        return { success: true, status: 'success', message: 'Item added to cart (cart checked)', confirmedBy: 'cart' };
+      }
+
+      log('ERROR', 'Add to Cart not confirmed - no cart API response, no confirmation on the page and no cart line');
+      await captureScreenshot(this.page, 'add-to-cart-unconfirmed');
+      return { success: false, status: 'unconfirmed', message: 'Add to Cart clicked but not confirmed' };
 
     } catch (err) {
       log('ERROR', `Failed to click Add to Cart: ${err.message}`);
@@ -673,22 +1491,39 @@ class ProductHandler {
     }
   }
 
+  /**
+   * Add to Cart result from the cart API response
+   * @param {{ok: boolean, status: number, lines: Array<Object>, message: string|null}} response - From CartNetworkMonitor.waitFor
+   * @returns {Promise<{success: boolean, status: 'success'|'limit_reached'|'out_of_stock'|'error', message: string, confirmedBy?: 'cart_api'}>}
+   */
+  async _addResultFromResponse(response) {
+    if (response.ok) {
+      const added = response.lines.map(l => `"${l.title}"${l.variant ? ` [${l.variant}]` : ''} (x${l.quantity ?? '?'} in cart)`).join(', ');
+      log('OK', `Item added to cart: ${added}`);
+      return { success: true, status: 'success', message: 'Item added to cart (cart API)', confirmedBy: 'cart_api' };
+    }
+
+    const message = (response.message || `Cart API rejected the item (HTTP ${response.status})`).substring(0, 100);
+    if (LIMIT_PATTERNS.some(pattern => pattern.test(message))) {
+      log('WARN', `Purchase limit detected: ${message}`);
+      await captureScreenshot(this.page, 'limit-reached');
+      return { success: false, status: 'limit_reached', message };
+    }
+    if (/sold\s*out|out\s*of\s*stock|unavailable/i.test(message)) {
+      log('WARN', `Add to Cart rejected: ${message}`);
+      await captureScreenshot(this.page, 'product-sold-out');
+      return { success: false, status: 'out_of_stock', message };
+    }
+    log('ERROR', `Add to Cart rejected: ${message}`);
+    await captureScreenshot(this.page, 'error-add-to-cart');
+    return { success: false, status: 'error', message };
+  }
+
   /**
    * Check for purchase limit messages after adding to cart
    * @returns {Promise<{limitReached: boolean, message: string}>}
    */
   async _checkForPurchaseLimit() {
-    const limitPatterns = [
-      /limit(ed)?\s*(to|of|reached|per)/i,
-      /maximum\s*(quantity|purchase|allowed)/i,
-      /already\s*(purchased|in\s*cart)/i,
-      /one\s*per\s*(customer|order|account)/i,
-      /cannot\s*add\s*more/i,
-      /max\s*quantity/i,
-      /per\s*customer/i,
-      /per\s*order/i,
-    ];
-
     // Check using selectors
     const limitStrategies = [
       () => this.SEL.purchaseLimitMessage(),
@@ -710,7 +1545,7 @@ class ProductHandler {
           if (await element.isVisible()) {
             const text = await element.textContent();
             // Verify it's actually a limit message, not just random text with "limit"
-            for (const pattern of limitPatterns) {
+            for (const pattern of LIMIT_PATTERNS) {
               if (pattern.test(text)) {
                 return { limitReached: true, message: text.trim().substring(0, 100) };
               }
@@ -730,7 +1565,7 @@ class ProductHandler {
         const msg = errorMessages.nth(i);
         if (await msg.isVisible()) {
           const text = await msg.textContent();
-          for (const pattern of limitPatterns) {
+          for (const pattern of LIMIT_PATTERNS) {
             if (pattern.test(text)) {
               return { limitReached: true, message: text.trim().substring(0, 100) };
             }
@@ -790,64 +1625,143 @@ class ProductHandler {
   }
 
   /**
-   * Load all products (handle pagination/infinite scroll)
+   * Load all products on the current listing
+   * Load More buttons are clicked and infinite scroll is scrolled until the card count stops
+   * growing. Numbered pages are left alone - _findProductInListing walks them.
+   * @returns {Promise<'numbered'|'load-more'|'scroll'>} Pagination mode of the listing
    */
   async _loadAllProducts() {
-    log('INFO', 'Loading all products (pagination/scroll)');
-    let previousCount = 0;
-    let attempts = 0;
-    const maxAttempts = 10;
-
-    while (attempts < maxAttempts) {
-      // Get current product count
-      const cards = this.SEL.productCard();
-      const currentCount = await cards.count().catch(() => 0);
-
-      if (currentCount === previousCount && attempts > 0) {
-        log('INFO', `All products loaded: ${currentCount} items`);
-        break;
+    const mode = await this._detectPaginationMode();
+    if (mode === 'numbered') {
+      log('INFO', 'Listing uses numbered pages - each page is read while matching');
+      return mode;
+    }
+
+    log('INFO', `Loading all products (${mode === 'load-more' ? 'load more button' : 'scroll'})`);
+    const countCards = async () => {
+      const cards = await this._findCards();
+      return cards ? await cards.count().catch(() => 0) : 0;
+    };
+    let previousCount = await countCards();
+    let grew = false;
+
+    for (let attempts = 0; attempts < 10; attempts++) {
+      if (mode === 'load-more') {
+        if (!await this._clickLoadMore()) break;
+      } else {
+        await this._scrollToLoadMore();
       }
+      await sleep(1000);
+
+      const currentCount = await countCards();
+      if (currentCount === previousCount) break;
       previousCount = currentCount;
+      grew = true;
+    }
 
-      // Try Load More button
-      const loadMoreClicked = await this._clickLoadMore();
-      if (!loadMoreClicked) {
-        // Try scrolling
-        await this._scrollToLoadMore();
+    log('INFO', `All products loaded: ${previousCount} items${mode === 'scroll' && grew ? ' (infinite scroll)' : ''}`);
+    return mode;
+  }
+
+  /**
+   * Tell the listing's pagination apart
+   * - 'load-more': a Load More / Show More button appends cards to the page
+   * - 'numbered':  page links (or a rel=next link) lead to further listing pages
+   * - 'scroll':    no controls - infinite scroll, or everything is on one page
+   * @returns {Promise<'numbered'|'load-more'|'scroll'>}
+   */
+  async _detectPaginationMode() {
+    if (await this._findLoadMore()) {
+      return 'load-more';
+    }
+    if (await this._nextPageUrl()) {
+      return 'numbered';
+    }
+    try {
+      const nav = this.SEL.paginationNav();
+      if (await nav.count() > 0 && await nav.first().locator('a[href]').count() > 0) {
+        return 'numbered';
       }
+    } catch {
+      // No pagination nav
+    }
+    return 'scroll';
+  }
 
-      attempts++;
-      await sleep(1000);
+  /**
+   * URL of the next listing page
+   * Only links that stay on the same listing (same path, or a page parameter) count, so an
+   * unrelated "Next drop" link in the header isn't mistaken for pagination.
+   * @returns {Promise<string|null>}
+   */
+  async _nextPageUrl() {
+    const strategies = [
+      () => this.SEL.paginationNextFallback(),
+      () => this.SEL.paginationNext(),
+      () => this.SEL.paginationNextHead(),
+    ];
+
+    const current = new URL(this.page.url());
+    for (const strategy of strategies) {
+      try {
+        const links = strategy();
+        const count = Math.min(await links.count(), 5);
+        for (let i = 0; i < count; i++) {
+          const href = await links.nth(i).getAttribute('href');
+          if (!href) continue;
+          const url = new URL(href, current);
+          const samePath = url.pathname.replace(/\/+$/, '') === current.pathname.replace(/\/+$/, '');
+          if (url.origin === current.origin && url.href !== current.href && (samePath || /[?&]page=\d+|\/page\/\d+/.test(url.href))) {
+            return url.href;
+          }
+        }
+      } catch {
+        // Try next
+      }
     }
+    return null;
   }
 
   /**
-   * Click Load More button if present
-   * @returns {Promise<boolean>}
+   * Visible Load More button, if any
+   * @returns {Promise<import('playwright').Locator|null>}
    */
-  async _clickLoadMore() {
+  async _findLoadMore() {
     const strategies = [
       () => this.SEL.loadMoreButton(),
       () => this.SEL.loadMoreFallback1(),
       () => this.SEL.loadMoreFallback2(),
-      () => this.SEL.paginationNext(),
-      () => this.SEL.paginationNextFallback(),
     ];
 
     for (const strategy of strategies) {
       try {
         const btn = strategy();
         if (await btn.count() > 0 && await btn.first().isVisible()) {
-          await btn.first().click();
-          log('DEBUG', 'Clicked load more button');
-          return true;
+          return btn.first();
         }
       } catch {
         // Try next
       }
     }
+    return null;
+  }
 
-    return false;
+  /**
+   * Click Load More button if present
+   * @returns {Promise<boolean>}
+   */
+  async _clickLoadMore() {
+    const btn = await this._findLoadMore();
+    if (!btn) {
+      return false;
+    }
+    try {
+      await btn.click();
+      log('DEBUG', 'Clicked load more button');
+      return true;
+    } catch {
+      return false;
+    }
   }
 
   /**
@@ -3,8 +3,14 @@
  * Self-healing web automation bot for Riot Games merchandise store
  * Supports CONNECT mode: connects to your existing Chrome browser (you sign in manually)
  */
-const { log, captureScreenshot, captureFailure, sleep, initRunContext, setAccountContext, saveAccountResults } = require('../util.js');
+const { log, captureScreenshot, captureFailure, sleep, initRunContext, getRunContext, getAccountContext, setAccountContext, saveAccountResults, saveRunArtifact, askYesNo } = require('../util.js');
 const { getSelectors } = require('../selectors.js');
+const { configureRetries } = require('../retry.js');
+const { resolveStopAt, runsPast } = require('../stages.js');
+const { canResumeFrom, resumedCheckoutItems } = require('../checkoutSteps.js');
+const { formatAmount } = require('../budget.js');
+const { findDuplicateOrders } = require('../ledger.js');
+const { planCartReconciliation, planCartRestore, linesNotOrdered } = require('../cartReconcile.js');
 const { connectToExistingChrome, launchBraveOrFallback, isBrowserAlive, closeBrowser } = require('../brave.js');
 const NavigationManager = require('./NavigationManager.js');
 const ProductHandler = require('./ProductHandler.js');
@@ -30,6 +36,12 @@ class RiotMerchBot {
     this.product = null;
     this.checkout = null;
     this.account = null;
+
+    // Where the run halts (STOP_AT or legacy flags) and what each halt reached
+    this.stopAt = resolveStopAt(config);
+    this.stopSummaries = [];
+    // What happened to each account's original cart (cart-restore.json)
+    this.restoreReports = [];
   }
 
   /**
@@ -44,6 +56,7 @@ class RiotMerchBot {
     
     // Initialize run context for unified artifacts (logs/screenshots per run)
     initRunContext();
+    configureRetries(this.config);
     
     this._logConfig();
 
@@ -60,7 +73,7 @@ class RiotMerchBot {
 
       // If we're connected to existing browser, check if we need to navigate
       if (this.isConnectedMode) {
-        if (!currentUrl.includes('merch.riotgames.com')) {
+        if (!currentUrl.includes(new URL(this.config.URL).host)) {
           log('INFO', 'Navigating to Riot Merch...');
           await this.navigation.goToHomepage();
         } else {
@@ -75,10 +88,11 @@ class RiotMerchBot {
 
       await captureScreenshot(this.page, 'homepage');
 
-      // Check DRY_RUN mode
-      if (this.config.DRY_RUN) {
-        log('INFO', '=== DRY RUN MODE - Stopping after navigation ===');
+      // STOP_AT=homepage (DRY_RUN) - stop after navigation
+      if (this.stopAt.stage === 'homepage') {
+        log('INFO', `=== STOP_AT=homepage (${this.stopAt.source}) - Stopping after navigation ===`);
         await this._logPageInfo();
+        this._writeStopSummary('homepage');
         return;
       }
 
@@ -104,6 +118,80 @@ class RiotMerchBot {
     }
   }
 
+  /**
+   * `match` command - preview product discovery without touching the cart or the account
+   * Every discovery strategy runs for each product; the ranked candidates are logged and
+   * written to match-report.json. No sign-in check, cart clearing, add-to-cart or sign-out.
+   * @param {Array<{names: string[]}>} [products] - Ad-hoc products (default: config.PRODUCTS)
+   * @returns {Promise<Object>} The report
+   */
+  async runMatch(products = null) {
+    log('INFO', '===========================================');
+    log('INFO', '     RIOT MERCH BOT - MATCH PREVIEW');
+    log('INFO', '===========================================');
+
+    initRunContext();
+    configureRetries(this.config);
+    const targets = products && products.length > 0 ? products : this.config.PRODUCTS;
+    log('INFO', `Matching: ${this.config.MATCH_STRATEGY}, threshold ${this.config.FUZZY_THRESHOLD}, margin ${this.config.MATCH_MARGIN}`);
+
+    try {
+      await this.initialize();
+      await this.navigation.goToHomepage();
+
+      const results = await this.product.previewMatches(targets);
+      const report = {
+        generatedAt: new Date().toISOString(),
+        url: this.config.URL,
+        matching: {
+          strategy: this.config.MATCH_STRATEGY,
+          threshold: this.config.FUZZY_THRESHOLD,
+          margin: this.config.MATCH_MARGIN,
+          stylised: this.config.MATCH_STYLISED
+        },
+        products: results
+      };
+      this._logMatchReport(report);
+      saveRunArtifact('match-report.json', report);
+      return report;
+    } finally {
+      await this.cleanup({ keepOpen: false });
+    }
+  }
+
+  /**
+   * Log a match preview report: per product, each strategy's ranked candidates
+   * @param {Object} report - From runMatch
+   */
+  _logMatchReport(report) {
+    const { threshold } = report.matching;
+    for (const product of report.products) {
+      log('INFO', '');
+      log('INFO', `=== "${product.product}" ===`);
+      if (product.cached) {
+        log('INFO', `Cached discovery: "${product.cached.title}" via ${product.cached.strategy}`);
+      }
+
+      for (const entry of product.strategies) {
+        const where = [entry.category, entry.searchQuery ? `query "${entry.searchQuery.query}"` : null].filter(Boolean).join(', ');
+        const outcome = entry.status === 'found' ? `found "${entry.title}"` : entry.status;
+        log('INFO', `  ${entry.strategy}${where ? ` (${where})` : ''}: ${outcome}`);
+        entry.candidates.forEach((c, i) => {
+          const verdict = c.excluded ? 'EXCLUDED' : c.accepted ? 'ACCEPT' : 'REJECT';
+          const detail = c.excluded ? ` - ${c.excluded}` : c.rule ? ` - ${c.rule}` : '';
+          log('INFO', `    ${String(i + 1).padStart(2)}. ${c.score.toFixed(3)} [${verdict}] "${c.title}"${c.page > 1 ? ` (page ${c.page})` : ''}${detail}`);
+        });
+      }
+
+      if (product.winner) {
+        log(product.winner.status === 'found' ? 'OK' : 'WARN', `A run would use ${product.winner.strategy}: ${product.winner.status === 'found' ? `"${product.winner.title}"` : 'ambiguous - nothing added'}`);
+      } else {
+        log('WARN', `No candidate reaches threshold ${threshold} with any strategy`);
+      }
+    }
+    log('INFO', '');
+  }
+
   /**
    * Run single account flow (original behavior)
    * Used when no accounts are configured
@@ -318,42 +406,88 @@ class RiotMerchBot {
    */
   async _runProductFlow() {
     let success = false;
+    let original = null;
+    let order = null;
 
     try {
-      // Step 1: Clear any existing cart items
-      log('INFO', 'Clearing any existing cart items...');
-      await this.cart.clearCart();
+      const skip = this._findRecentlyOrdered();
 
-      // Step 2: Process products (find and add to cart)
-      log('INFO', '=== FINDING AND ADDING PRODUCTS ===');
-      const productResult = await this.product.processAllProducts();
-      log('INFO', `Total products added to cart: ${productResult.totalAdded}`);
-
-      // Log individual product results
-      for (const r of productResult.results) {
-        if (r.status === 'limit_reached') {
-          log('INFO', `  [LIMIT] ${r.product}: ${r.message}`);
-        } else if (r.status === 'out_of_stock') {
-          log('INFO', `  [OUT OF STOCK] ${r.product}`);
-        } else if (r.status === 'error' || r.status === 'not_found') {
-          log('INFO', `  [FAILED] ${r.product}: ${r.message}`);
+      // Restarted mid-checkout: carry on from the step the page is on instead of rebuilding the cart
+      const resumed = await this._resumeCheckout(skip);
+      if (resumed) {
+        success = resumed.success;
+      } else {
+        // Step 1: Save the cart as the user left it, then clear it or reconcile it with the configured products (CART_MODE)
+        // STOP_AT=search / product never adds anything, so the cart is left as it is
+        let inCart = new Map();
+        if (runsPast(this.config, 'product')) {
+          original = await this.cart.saveOriginalCart();
+          inCart = await this._prepareCart(skip, original);
+        } else {
+          log('INFO', `STOP_AT=${this.stopAt.stage} - leaving the cart as it is (CART_MODE=${this.config.CART_MODE} not applied)`);
         }
-      }
 
-      if (productResult.totalAdded === 0) {
-        log('WARN', 'No products were added to cart');
-        // Check if it's due to limits or stock issues (move to next account scenario)
-        const hasLimitOrStock = productResult.results.some(r => 
-          r.status === 'limit_reached' || r.status === 'out_of_stock'
-        );
-        if (hasLimitOrStock) {
-          log('INFO', 'Products unavailable due to limits or stock - would move to next account in multi-account mode');
+        // Step 2: Process products (find and add to cart), skipping recent orders when this run places orders
+        log('INFO', '=== FINDING AND ADDING PRODUCTS ===');
+        const productResult = await this.product.processAllProducts({ skip, inCart });
+        log('INFO', `Total products added to cart: ${productResult.totalAdded}`);
+        const cart = await this.cart.getCart('after');
+        this._logCart(cart);
+        await this.cart.closeIfOpen();
+
+        // Log individual product results
+        for (const r of productResult.results) {
+          if (r.status === 'limit_reached') {
+            log('INFO', `  [LIMIT] ${r.product}: ${r.message}`);
+          } else if (r.status === 'out_of_stock') {
+            log('INFO', `  [OUT OF STOCK] ${r.product}${r.variant ? ` [${r.variant}]` : ''}`);
+          } else if (r.status === 'variant_unavailable') {
+            log('INFO', `  [NO VARIANT] ${r.product}: ${r.message}`);
+          } else if (r.status === 'over_budget') {
+            log('INFO', `  [OVER BUDGET] ${r.product}: ${r.message}`);
+          } else if (r.status === 'ambiguous') {
+            log('INFO', `  [AMBIGUOUS] ${r.product}: ${r.message}`);
+          } else if (r.status === 'duplicate_order') {
+            log('INFO', `  [ALREADY ORDERED] ${r.product}: ${r.message}`);
+          } else if (r.status === 'unconfirmed') {
+            log('INFO', `  [UNCONFIRMED] ${r.product}: ${r.message} - check the cart before checking out`);
+          } else if (r.status === 'error' || r.status === 'not_found') {
+            log('INFO', `  [FAILED] ${r.product}: ${r.message}`);
+          }
+        }
+
+        // STOP_AT=search / product / add-to-cart - halt before checkout
+        if (['search', 'product', 'add-to-cart'].includes(this.stopAt.stage)) {
+          log('INFO', `=== STOP_AT=${this.stopAt.stage} (${this.stopAt.source}) - halting before checkout ===`);
+          if (!original) {
+            log('INFO', 'Cart left as it was before the run');
+          }
+          await this._safeScreenshot(`stop-${this.stopAt.stage}`);
+          this._writeStopSummary(this.stopAt.stage, {
+            completed: productResult.results.every(r => ['success', 'found', 'ready'].includes(r.status)),
+            products: productResult.results,
+            cart
+          });
+          success = true;
+        } else if (productResult.totalAdded === 0) {
+          log('WARN', 'No products were added to cart');
+          // Check if it's due to limits or stock issues (move to next account scenario)
+          const hasLimitOrStock = productResult.results.some(r => 
+            r.status === 'limit_reached' || r.status === 'out_of_stock'
+          );
+          if (hasLimitOrStock) {
+            log('INFO', 'Products unavailable due to limits or stock - would move to next account in multi-account mode');
+          }
+          await captureScreenshot(this.page, 'no-products-added');
+        } else {
+          // Step 3: Handle checkout
+          const checkout = await this._handleCheckout(productResult.totalAdded, productResult.results);
+          success = checkout.success;
+          if (checkout.status === 'placed' || checkout.status === 'placed_unconfirmed') {
+            // What the order held: the ledger entry's items, else the cart going into checkout
+            order = { lines: checkout.order ? checkout.order.items : (cart.state === 'unknown' ? null : cart.lines) };
+          }
         }
-        await captureScreenshot(this.page, 'no-products-added');
-      } else {
-        // Step 3: Handle checkout
-        await this._handleCheckout(productResult.totalAdded);
-        success = true;
       }
 
     } catch (err) {
@@ -361,6 +495,9 @@ class RiotMerchBot {
       await this._safeScreenshot('error-product-flow');
     }
 
+    // Put back what was in the cart before the run and wasn't ordered (RESTORE_CART)
+    await this._restoreOriginalCart(original, order);
+
     // Step 4: ALWAYS sign out at the end
     log('INFO', '');
     log('INFO', '=== SIGNING OUT ===');
@@ -373,6 +510,267 @@ class RiotMerchBot {
     }
   }
 
+  /**
+   * Resume a checkout the page is already on - a run restarted mid-checkout in a CONNECT_EXISTING tab
+   * The cart is left as it is; the review page checks it against the configured products instead of
+   * the products added this run (see resumedCheckoutItems).
+   * @param {Map<Object, string>} skip - Products skipped this run (not expected on the review page)
+   * @returns {Promise<{success: boolean, status: string, order?: Object|null}|null>} See _handleCheckout; null if the page isn't on a checkout step
+   */
+  async _resumeCheckout(skip) {
+    if (!runsPast(this.config, 'cart')) {
+      return null;
+    }
+    const current = await this.checkout.detectStep();
+    if (!canResumeFrom(current)) {
+      return null;
+    }
+
+    log('INFO', `=== RESUMING CHECKOUT AT THE ${current.step.toUpperCase()} STEP ===`);
+    const expected = resumedCheckoutItems(this.config.PRODUCTS.filter(p => !skip.has(p)));
+    return this._handleCheckout(expected.length, expected);
+  }
+
+  /**
+   * Get the cart ready for adding products
+   * CART_MODE=clear empties it. CART_MODE=reconcile keeps lines of configured products (correcting
+   * their quantity), removes surplus lines and lines of skipped products, and - with CART_UNRELATED=remove -
+   * lines of other products. A skipped product's line that can't be removed stops the run before checkout.
+   * @param {Map<Object, string>} skip - Products skipped this run (their lines are removed)
+   * @param {Object} before - The cart before the run (CartManager.saveOriginalCart)
+   * @returns {Promise<Map<Object, {title: string, variant: string|null, quantity: number, unitPrice: number|null, lineTotal: number|null, action: string}>>} Products already in the cart
+   */
+  async _prepareCart(skip, before) {
+    if (this.config.CART_MODE !== 'reconcile') {
+      log('INFO', 'Clearing any existing cart items...');
+      await this.cart.clearCart();
+      return new Map();
+    }
+
+    log('INFO', '=== RECONCILING CART ===');
+    if (before.state === 'unknown') {
+      log('WARN', 'Could not read the cart - adding every product');
+      return new Map();
+    }
+
+    const products = this.config.PRODUCTS.filter(p => !skip.has(p));
+    const skipped = this.config.PRODUCTS.filter(p => skip.has(p));
+    const plan = planCartReconciliation(before.lines, products, this.product.matcher, { unrelated: this.config.CART_UNRELATED, skipped });
+    const inCart = new Map();
+
+    for (const { product, line } of plan.keep) {
+      log('OK', `Already in cart: "${line.title}"${line.variant ? ` [${line.variant}]` : ''} x${line.quantity}`);
+      inCart.set(product, { ...line, action: 'kept' });
+    }
+    for (const { product, line, from, to } of plan.update) {
+      log('INFO', `Cart holds ${from ?? '?'} of "${line.title}" - setting quantity to ${to}`);
+      if (await this.cart.updateQuantity(line.title, to, line.variant) && await this.cart.getLineQuantity(line.title, line.variant, 'reconcile') === to) {
+        inCart.set(product, { ...line, quantity: to, action: 'updated' });
+      } else {
+        log('WARN', `Could not update "${line.title}" - it will be added again`);
+      }
+    }
+    for (const { line, reason, skipped: skippedProduct } of plan.remove) {
+      log('INFO', `Removing "${line.title}"${line.variant ? ` [${line.variant}]` : ''}: ${reason}`);
+      if (await this.cart.removeItem(line.title, line.variant)) {
+        continue;
+      }
+      if (skippedProduct) {
+        // Checking out would order it again
+        throw new Error(`Could not remove "${line.title}" from the cart - ${skip.get(skippedProduct)}`);
+      }
+      log('WARN', `Could not remove "${line.title}" from the cart`);
+    }
+    for (const line of plan.unrelated) {
+      log('INFO', `Keeping unrelated cart item "${line.title}"${line.variant ? ` [${line.variant}]` : ''} x${line.quantity ?? '?'}`);
+    }
+
+    log('INFO', `Cart reconciled: ${plan.keep.length} kept, ${plan.update.length} updated, ${plan.remove.length} removed, ${plan.add.length} to add`);
+    await this.cart.closeIfOpen();
+    return inCart;
+  }
+
+  /**
+   * Put the cart back the way it was before the run: re-add its original lines through the product
+   * pipeline, correct quantities and remove what the run added
+   * Offered per RESTORE_CART once the original cart had items and the cart no longer matches it.
+   * After an order, original lines it included are left out; if its lines are unknown nothing is restored.
+   * The outcome - including anything that couldn't be restored - goes to cart-restore.json.
+   * @param {Object|null} original - Cart before the run (CartManager.saveOriginalCart), null if the run failed before reading it
+   * @param {{lines: Array<Object>|null}|null} [order] - Order placed this run (lines null if unknown), null if none
+   */
+  async _restoreOriginalCart(original, order = null) {
+    if (!original || original.state !== 'items' || original.lines.length === 0) {
+      return;
+    }
+
+    log('INFO', '');
+    log('INFO', '=== ORIGINAL CART ===');
+    const describe = line => `"${line.title}"${line.variant ? ` [${line.variant}]` : ''} x${line.quantity ?? '?'}`;
+    const report = { decision: null, original: original.lines, ordered: [], restored: [], notRestored: [], leftover: [] };
+
+    try {
+      if (order && !order.lines) {
+        log('WARN', 'Order placed but its lines are unknown - not restoring the original cart');
+        report.decision = 'order_unknown';
+        report.notRestored = original.lines.map(line => ({ ...line, reason: 'may have been ordered - order lines unknown' }));
+        return;
+      }
+      if (order) {
+        const remaining = linesNotOrdered(original.lines, order.lines, this.product.matcher);
+        report.ordered = original.lines.filter(line => !remaining.includes(line));
+        for (const line of report.ordered) {
+          log('INFO', `Ordered with this run, not restoring: ${describe(line)}`);
+        }
+        if (remaining.length === 0) {
+          report.decision = 'ordered';
+          return;
+        }
+        original = { ...original, lines: remaining };
+      }
+
+      const current = await this.cart.getCart('restore');
+      if (current.state === 'unknown') {
+        log('WARN', 'Could not read the cart - original items not restored');
+        report.decision = 'unreadable';
+        report.notRestored = original.lines.map(line => ({ ...line, reason: 'cart could not be read' }));
+        return;
+      }
+
+      const plan = planCartRestore(original.lines, current.lines, this.product.matcher);
+      if (plan.add.length === 0 && plan.update.length === 0 && plan.remove.length === 0) {
+        log('OK', 'Cart still holds its original items');
+        report.decision = 'not_needed';
+        report.restored = plan.keep.map(({ product }) => ({ ...product.line, action: 'kept' }));
+        return;
+      }
+
+      const missing = plan.add.length + plan.update.length;
+      const { restore, decision } = await this._confirmRestore(missing, plan.remove.length);
+      report.decision = decision;
+      if (!restore) {
+        report.restored = plan.keep.map(({ product }) => ({ ...product.line, action: 'kept' }));
+        report.notRestored = [...plan.update.map(u => u.product.line), ...plan.add.map(p => p.line)]
+          .map(line => ({ ...line, reason: `not restored (${decision})` }));
+        for (const line of report.notRestored) {
+          log('WARN', `Not restored: ${describe(line)}`);
+        }
+        return;
+      }
+
+      for (const { line } of plan.remove) {
+        if (!await this.cart.removeItem(line.title, line.variant)) {
+          report.leftover.push({ ...line, reason: 'could not be removed' });
+        }
+      }
+      for (const { product } of plan.keep) {
+        report.restored.push({ ...product.line, action: 'kept' });
+      }
+      for (const { product, line, to } of plan.update) {
+        if (await this.cart.updateQuantity(line.title, to, line.variant) && await this.cart.getLineQuantity(line.title, line.variant, 'restore') === to) {
+          report.restored.push({ ...product.line, action: 'updated' });
+        } else {
+          report.notRestored.push({ ...product.line, reason: `quantity could not be set back to ${to}` });
+        }
+      }
+
+      // Restoring always adds, whatever STOP_AT says - STOP_AT only governs the configured products
+      const restorer = new ProductHandler(this.page, this.SEL, { ...this.config, STOP_AT: 'review' }, this.navigation, this.cart);
+      for (const product of plan.add) {
+        const { line } = product;
+        if (line.variant && !line.options) {
+          report.notRestored.push({ ...line, reason: 'variant options unknown - the cart only showed the variant title' });
+          continue;
+        }
+        await this.cart.closeIfOpen();
+        log('INFO', `Restoring ${describe(line)}`);
+        const result = await restorer.findAndAddProduct(product.names, product.quantity, product.options);
+        if (result.success) {
+          report.restored.push({ ...line, action: 'added' });
+        } else {
+          report.notRestored.push({ ...line, reason: `${result.status}: ${result.message}` });
+        }
+      }
+      await this.cart.closeIfOpen();
+
+      log(report.notRestored.length === 0 ? 'OK' : 'WARN', `Original cart restored: ${report.restored.length} of ${original.lines.length} line(s)`);
+      for (const line of report.notRestored) {
+        log('WARN', `  Not restored: ${describe(line)} - ${line.reason}`);
+      }
+      for (const line of report.leftover) {
+        log('WARN', `  Still in the cart from this run: ${describe(line)}`);
+      }
+    } catch (err) {
+      log('ERROR', `Restoring the original cart failed: ${err.message}`);
+      report.decision = report.decision || 'error';
+      const handled = new Set([...report.restored, ...report.notRestored].map(describe));
+      report.notRestored.push(...original.lines.filter(line => !handled.has(describe(line))).map(line => ({ ...line, reason: err.message })));
+    } finally {
+      this._writeRestoreReport(report);
+    }
+  }
+
+  /**
+   * Whether to restore the original cart, per RESTORE_CART
+   * @param {number} missing - Original lines missing or with a changed quantity
+   * @param {number} added - Lines the run added (removed by restoring)
+   * @returns {Promise<{restore: boolean, decision: 'auto'|'off'|'accepted'|'declined'|'no_terminal'}>}
+   */
+  async _confirmRestore(missing, added) {
+    if (this.config.RESTORE_CART === 'off') {
+      log('INFO', `${missing} original cart line(s) not restored (RESTORE_CART=off)`);
+      return { restore: false, decision: 'off' };
+    }
+    if (this.config.RESTORE_CART === 'auto') {
+      return { restore: true, decision: 'auto' };
+    }
+
+    const removes = added > 0 ? ` This removes ${added} line(s) added by this run.` : '';
+    const { answer, asked } = await askYesNo(`Restore ${missing} line(s) that were in the cart before the run?${removes}`);
+    if (!asked) {
+      log('INFO', 'RESTORE_CART=ask but there is no terminal to ask on - not restoring (set RESTORE_CART=auto to restore unattended)');
+      return { restore: false, decision: 'no_terminal' };
+    }
+    return { restore: answer, decision: answer ? 'accepted' : 'declined' };
+  }
+
+  /**
+   * Add a restore outcome to cart-restore.json
+   * @param {Object} report
+   */
+  _writeRestoreReport(report) {
+    const accountIndex = getAccountContext();
+    this.restoreReports.push({
+      timestamp: new Date().toISOString(),
+      account: accountIndex >= 0 ? accountIndex + 1 : null,
+      ...report
+    });
+    saveRunArtifact('cart-restore.json', {
+      runId: getRunContext().runId,
+      restores: this.restoreReports
+    });
+  }
+
+  /**
+   * Log what the cart holds
+   * @param {Object} cart - From CartManager.getCart
+   */
+  _logCart(cart) {
+    if (cart.state === 'unknown') {
+      log('WARN', 'Could not read the cart');
+      return;
+    }
+    const subtotal = cart.subtotal !== null ? formatAmount(cart.subtotal, cart.currency) : 'unknown';
+    log('INFO', `Cart: ${cart.itemCount} item(s) in ${cart.lines.length} line(s), subtotal ${subtotal}`);
+    for (const line of cart.lines) {
+      const price = line.unitPrice !== null ? ` @ ${formatAmount(line.unitPrice, line.currency)}` : '';
+      log('INFO', `  ${line.title}${line.variant ? ` [${line.variant}]` : ''} x${line.quantity ?? '?'}${price}`);
+    }
+    for (const discount of cart.discounts) {
+      log('INFO', `  Discount: ${discount.label}`);
+    }
+  }
+
   /**
    * Perform sign out with multiple strategies
    */
@@ -473,45 +871,130 @@ class RiotMerchBot {
   }
 
   /**
-   * Handle checkout flow
-   * @param {number} totalAdded - Number of products added
+   * Handle checkout after products were added, halting at the STOP_AT stage
+   * @param {number} totalAdded - Number of products added to cart
+   * @param {Array<Object>} productResults - Per-product results (for the stop summary)
+   * @returns {Promise<{success: boolean, status: string, order?: Object|null}>} success is true if checkout
+   *   reached its target (stop stage or order placed); status is CheckoutManager.performCheckout's, or
+   *   'skipped' / 'stopped' when checkout didn't start
    */
-  async _handleCheckout(totalAdded) {
+  async _handleCheckout(totalAdded, productResults = []) {
     if (totalAdded === 0) {
       log('WARN', 'Skipping checkout - no products in cart');
-      return;
+      return { success: false, status: 'skipped' };
     }
 
-    if (!this.config.CHECKOUT_ENABLED) {
-      log('INFO', 'Checkout disabled - stopping at cart');
+    if (this.stopAt.stage === 'cart') {
+      log('INFO', `STOP_AT=cart (${this.stopAt.source}) - stopping at cart`);
       await this.cart.openCart();
       await captureScreenshot(this.page, 'cart-final');
-      return;
+      this._writeStopSummary('cart', { products: productResults, cart: await this.cart.getCart('cart') });
+      return { success: true, status: 'stopped' };
     }
 
     log('INFO', '=== STARTING CHECKOUT FLOW ===');
-    const checkoutSuccess = await this.checkout.performCheckout();
+    const checkoutResult = await this.checkout.performCheckout(productResults);
 
-    if (checkoutSuccess) {
+    if (checkoutResult.status === 'placed') {
       log('OK', '===========================================');
       log('OK', '     CHECKOUT COMPLETED');
       log('OK', '===========================================');
+      if (checkoutResult.order) {
+        log('OK', `Order ${checkoutResult.order.orderNumber || '(number unknown)'}, total ${checkoutResult.order.total ?? 'unknown'}`);
+      }
       await captureScreenshot(this.page, 'checkout-complete');
+    } else if (checkoutResult.status === 'placed_unconfirmed') {
+      log('WARN', checkoutResult.message);
+      log('WARN', `Recorded in the order ledger as unconfirmed - it blocks reordering these products for ${this.config.LEDGER_WINDOW_HOURS}h`);
+      await captureScreenshot(this.page, 'checkout-unconfirmed');
+    } else if (checkoutResult.status === 'stopped') {
+      log('OK', `Checkout halted after ${checkoutResult.stage} as configured (${this.stopAt.source})`);
+      await captureScreenshot(this.page, 'checkout-stopped');
     } else {
-      log('ERROR', 'Checkout did not complete successfully');
+      log('ERROR', `Checkout did not complete successfully: ${checkoutResult.message}`);
       await captureScreenshot(this.page, 'checkout-failed');
     }
+
+    if (checkoutResult.status !== 'placed') {
+      this._writeStopSummary(checkoutResult.stage || 'add-to-cart', {
+        completed: checkoutResult.success,
+        products: productResults,
+        checkout: checkoutResult
+      });
+    }
+
+    return { success: checkoutResult.success, status: checkoutResult.status, order: checkoutResult.order || null };
+  }
+
+  /**
+   * Products already in the order ledger within LEDGER_WINDOW_HOURS for this store and account
+   * Only checked when this run places orders; ALLOW_DUPLICATE_ORDERS=1 logs them but orders anyway.
+   * @returns {Map<Object, string>} Product → reason to skip
+   */
+  _findRecentlyOrdered() {
+    const skip = new Map();
+    if (this.stopAt.stage !== null) {
+      return skip;
+    }
+
+    const duplicates = findDuplicateOrders(this.config);
+    for (const duplicate of duplicates) {
+      if (this.config.ALLOW_DUPLICATE_ORDERS) {
+        log('WARN', `${duplicate.message} - ordering again (ALLOW_DUPLICATE_ORDERS=1)`);
+      } else {
+        skip.set(duplicate.product, `${duplicate.message} - set ALLOW_DUPLICATE_ORDERS=1 to order again`);
+      }
+    }
+    if (duplicates.length === 0) {
+      log('OK', `Order ledger: no orders for these products in the last ${this.config.LEDGER_WINDOW_HOURS}h`);
+    }
+    return skip;
+  }
+
+  /**
+   * Record where the run halted and write stop-summary.json to the run folder
+   * @param {string} reached - Last stage completed
+   * @param {Object} details
+   * @param {boolean} details.completed - Whether the stage fully succeeded (default true)
+   * @param {Array<Object>} details.products - Per-product results
+   * @param {Object} details.checkout - Checkout result
+   * @param {Object} details.cart - Cart model (CartManager.getCart) when the run stopped at or before the cart
+   * The summary's cartUntouched is true when the run stops before add-to-cart - the cart was neither cleared nor reconciled.
+   */
+  _writeStopSummary(reached, details = {}) {
+    const accountIndex = getAccountContext();
+    this.stopSummaries.push({
+      timestamp: new Date().toISOString(),
+      account: accountIndex >= 0 ? accountIndex + 1 : null,
+      stopAt: this.stopAt.stage,
+      source: this.stopAt.source,
+      reached,
+      completed: details.completed !== false,
+      url: this.page ? this.page.url() : null,
+      products: details.products || [],
+      cart: details.cart || null,
+      cartUntouched: !runsPast(this.config, 'product'),
+      checkout: details.checkout || null
+    });
+
+    saveRunArtifact('stop-summary.json', {
+      runId: getRunContext().runId,
+      stops: this.stopSummaries
+    });
   }
 
   /**
    * Cleanup - disconnect from browser (don't close it in connect mode)
+   * @param {Object} [options]
+   * @param {boolean} [options.keepOpen] - Leave a launched browser open (default KEEP_OPEN)
    */
-  async cleanup() {
+  async cleanup(options = {}) {
+    const { keepOpen = this.config.KEEP_OPEN } = options;
     if (this.isConnectedMode) {
       log('INFO', 'Disconnecting from browser (your browser stays open)...');
       await closeBrowser(this.browser, this.context, true);
       log('OK', 'Disconnected');
-    } else if (this.config.KEEP_OPEN && this.page && await isBrowserAlive(this.page)) {
+    } else if (keepOpen && this.page && await isBrowserAlive(this.page)) {
       log('INFO', 'KEEP_OPEN enabled - browser will stay open');
       log('INFO', 'Press Ctrl+C to exit');
       await new Promise(() => {});
@@ -522,19 +1005,55 @@ class RiotMerchBot {
     }
   }
 
+  /**
+   * Describe a product's matching constraints for the config log
+   * @param {Object} product - Product spec
+   * @returns {string} Empty when the product has no constraints
+   */
+  _describeConstraints(product) {
+    const parts = [];
+    if (product.exclude && product.exclude.length > 0) parts.push(`exclude ${product.exclude.join(', ')}`);
+    if (product.require && product.require.length > 0) parts.push(`require ${product.require.join(', ')}`);
+    if (product.priceRange) {
+      const { min, max } = product.priceRange;
+      parts.push(`price ${min !== null ? formatAmount(min) : 'any'}-${max !== null ? formatAmount(max) : 'any'}`);
+    }
+    if (product.game) parts.push(`game ${product.game}`);
+    return parts.join('; ');
+  }
+
   /**
    * Log current configuration
    */
   _logConfig() {
     log('INFO', '--- Configuration ---');
     log('INFO', `URL: ${this.config.URL}`);
+    if (this.config.TEST_MODE) {
+      log('INFO', 'TEST_MODE: true (mock storefront)');
+    }
     log('INFO', `DRY_RUN: ${this.config.DRY_RUN}`);
     log('INFO', `CHECKOUT_ENABLED: ${this.config.CHECKOUT_ENABLED}`);
     log('INFO', `FULL_SEND: ${this.config.FULL_SEND}`);
+    log('INFO', `STOP_AT: ${this.stopAt.stage || 'none - order will be placed'} (${this.stopAt.source})`);
+    log('INFO', `Retries: ${this.config.MAX_RETRIES} attempts, ${this.config.RETRY_BASE_DELAY_MS}-${this.config.RETRY_MAX_DELAY_MS}ms backoff, budget ${this.config.RETRY_BUDGET || 'unlimited'}`);
+    log('INFO', `Matching: ${this.config.MATCH_STRATEGY}, threshold ${this.config.FUZZY_THRESHOLD}, margin ${this.config.MATCH_MARGIN}${this.config.MATCH_STYLISED ? ', stylised names' : ''}${this.config.STRUCTURED_DATA ? ', storefront data' : ''}${this.config.DISCOVERY_CACHE ? ', discovery cache' : ''}`);
+    const hinted = Object.keys(this.config.CATEGORY_HINTS || {});
+    if (hinted.length > 0) {
+      log('INFO', `Category hints: ${hinted.join(', ')}`);
+    }
     log('INFO', `Products to find: ${this.config.PRODUCTS.length}`);
     for (const product of this.config.PRODUCTS) {
-      log('INFO', `  - "${product.names[0]}" x${product.quantity}`);
+      const options = Object.entries(product.options || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+      const cap = product.maxPrice ? `, max ${formatAmount(product.maxPrice)}` : '';
+      log('INFO', `  - "${product.names[0]}" x${product.quantity}${options ? ` (${options})` : ''}${cap}`);
+      const constraints = this._describeConstraints(product);
+      if (constraints) {
+        log('INFO', `      match: ${constraints}`);
+      }
     }
+    log('INFO', `Max order total: ${this.config.MAX_ORDER_TOTAL > 0 ? formatAmount(this.config.MAX_ORDER_TOTAL) : 'no cap'}`);
+    log('INFO', `Order ledger: ${this.config.LEDGER_WINDOW_HOURS}h window${this.config.ALLOW_DUPLICATE_ORDERS ? ', duplicates allowed' : ''}`);
+    log('INFO', `Cart: ${this.config.CART_MODE}${this.config.CART_MODE === 'reconcile' ? `, unrelated items ${this.config.CART_UNRELATED === 'remove' ? 'removed' : 'kept'}` : ''}${this.config.PRICE_LOCALE ? `, prices read as ${this.config.PRICE_LOCALE}` : ''}, restore original: ${this.config.RESTORE_CART}`);
     if (this.config.DISCOUNT_CODE) {
       log('INFO', `Discount code: ${this.config.DISCOUNT_CODE}`);
     }
@@ -0,0 +1,320 @@
+/**
+ * Structured Data Discovery - Finds products in the data the storefront publishes for machines
+ * Sources (first one with products wins for a given handle):
+ *   1. products.json  - Shopify product JSON: canonical title, handle, variants, prices, availability
+ *   2. JSON-LD        - schema.org Product / ItemList blocks on the current page
+ *   3. sitemap.xml    - product URLs with image titles (no price or availability)
+ * The catalog is fetched once per run and store. Nothing here depends on CSS class names.
+ */
+const { log, normalizeText, parsePrice, saveRunArtifact, getRunContext } = require('../util.js');
+
+// products.json page size (Shopify's maximum) and page cap
+const PRODUCTS_PAGE_SIZE = 250;
+const MAX_PRODUCT_PAGES = 10;
+
+// Product sitemaps followed from a sitemap index
+const MAX_SITEMAPS = 5;
+
+// Catalogs by run + store origin
+const catalogCache = new Map();
+
+/**
+ * Handle from a product URL ("/products/poro-plush?variant=1" → "poro-plush")
+ * @param {string} url
+ * @returns {string|null}
+ */
+function handleFromUrl(url) {
+  const match = String(url || '').match(/\/products\/([^/?#.]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Availability from a schema.org availability URL
+ * @param {string} availability - e.g. "https://schema.org/InStock"
+ * @returns {boolean|null}
+ */
+function schemaAvailable(availability) {
+  const value = String(availability || '').toLowerCase();
+  if (/instock|preorder|presale|limitedavailability|onlineonly/.test(value)) return true;
+  if (/outofstock|soldout|discontinued/.test(value)) return false;
+  return null;
+}
+
+/**
+ * Products from Shopify products.json / product.js entries
+ * @param {Array<Object>} products
+ * @returns {Array<Object>} Catalog records
+ */
+function recordsFromProductJson(products) {
+  return (products || []).filter(p => p && p.title).map(product => {
+    const variants = (product.variants || []).map(v => ({
+      title: v.title && v.title !== 'Default Title' ? v.title : null,
+      // products.json has decimal strings, product.js has cents
+      price: typeof v.price === 'number' ? v.price / 100 : parsePrice(v.price),
+      available: typeof v.available === 'boolean' ? v.available : null
+    }));
+    const prices = variants.map(v => v.price).filter(p => p !== null);
+    return {
+      title: product.title,
+      handle: product.handle || null,
+      url: product.handle ? `/products/${product.handle}` : null,
+      price: prices.length > 0 ? Math.min(...prices) : null,
+      available: variants.some(v => v.available === null) ? null : variants.some(v => v.available),
+      variants,
+      source: 'products.json'
+    };
+  });
+}
+
+/**
+ * Products from parsed JSON-LD blocks (Product, ItemList of Products, @graph)
+ * @param {Array<Object>} blocks
+ * @returns {Array<Object>} Catalog records
+ */
+function recordsFromJsonLd(blocks) {
+  const records = [];
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('Product') && node.name) {
+      const offers = [].concat(node.offers || []).flatMap(o => (o && o.offers ? [].concat(o.offers) : [o]));
+      const prices = offers.map(o => parsePrice(String(o.price ?? o.lowPrice ?? ''))).filter(p => p !== null);
+      const availability = offers.map(o => schemaAvailable(o.availability)).filter(a => a !== null);
+      const url = node.url || (node.offers && node.offers.url) || null;
+      records.push({
+        title: String(node.name).trim(),
+        handle: handleFromUrl(url) || node.sku || null,
+        url,
+        price: prices.length > 0 ? Math.min(...prices) : null,
+        available: availability.length > 0 ? availability.some(a => a) : null,
+        variants: [],
+        source: 'json-ld'
+      });
+      return;
+    }
+
+    visit(node['@graph']);
+    visit(node.itemListElement);
+    visit(node.item);
+  };
+  visit(blocks);
+  return records;
+}
+
+/**
+ * Locations in a sitemap or sitemap index
+ * @param {string} xml
+ * @returns {Array<{loc: string, title: string|null}>}
+ */
+function parseSitemap(xml) {
+  const entries = [];
+  const blocks = String(xml || '').match(/<(url|sitemap)>[\s\S]*?<\/\1>/g) || [];
+  for (const block of blocks) {
+    const loc = block.match(/<loc>\s*([^<]+?)\s*<\/loc>/);
+    if (!loc) continue;
+    const title = block.match(/<image:title>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/image:title>/);
+    entries.push({ loc: decodeXml(loc[1]), title: title ? decodeXml(title[1]).trim() : null });
+  }
+  return entries;
+}
+
+/**
+ * Decode XML entities
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+class StructuredDataDiscovery {
+  /**
+   * @param {import('playwright').Page} page
+   * @param {Object} config - Configuration
+   */
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+  }
+
+  /**
+   * Product catalog for the store, fetched once per run
+   * JSON-LD products on the current page are merged in on every call.
+   * @returns {Promise<Array<{title: string, handle: string|null, url: string|null, price: number|null, available: boolean|null, variants: Array<Object>, source: string}>>}
+   */
+  async getCatalog() {
+    if (!this.config.STRUCTURED_DATA) {
+      return [];
+    }
+
+    const key = this._cacheKey();
+    if (!catalogCache.has(key)) {
+      const fetched = await this._fetchProductJson();
+      const records = fetched.length > 0 ? fetched : await this._fetchSitemap();
+      catalogCache.set(key, records);
+      if (records.length > 0) {
+        log('OK', `Storefront data: ${records.length} products from ${records[0].source}`);
+        saveRunArtifact('structured-catalog.json', { origin: key.split('|')[1], products: records });
+      } else {
+        log('INFO', 'Storefront publishes no products.json or product sitemap');
+      }
+    }
+
+    return this._merge(catalogCache.get(key), await this.readJsonLd());
+  }
+
+  /**
+   * Products described by JSON-LD blocks on the current page
+   * @returns {Promise<Array<Object>>}
+   */
+  async readJsonLd() {
+    try {
+      const texts = await this.page.locator('script[type="application/ld+json"]')
+        .evaluateAll(nodes => nodes.map(n => n.textContent || ''));
+      const blocks = [];
+      for (const text of texts) {
+        try {
+          blocks.push(JSON.parse(text));
+        } catch {
+          // Skip malformed blocks - themes ship broken JSON-LD surprisingly often
+        }
+      }
+      return recordsFromJsonLd(blocks);
+    } catch (err) {
+      log('DEBUG', `Could not read JSON-LD: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Catalog record for a listing title (normalized title equality)
+   * @param {Array<Object>} catalog
+   * @param {string} title
+   * @returns {Object|null}
+   */
+  findByTitle(catalog, title) {
+    const key = normalizeText(title);
+    return catalog.find(r => normalizeText(r.title) === key) || null;
+  }
+
+  /**
+   * Fetch every page of products.json
+   * @returns {Promise<Array<Object>>}
+   */
+  async _fetchProductJson() {
+    const records = [];
+    for (let page = 1; page <= MAX_PRODUCT_PAGES; page++) {
+      const data = await this._getJson(`/products.json?limit=${PRODUCTS_PAGE_SIZE}&page=${page}`);
+      const products = data && Array.isArray(data.products) ? data.products : [];
+      records.push(...recordsFromProductJson(products));
+      if (products.length < PRODUCTS_PAGE_SIZE) break;
+    }
+    return records;
+  }
+
+  /**
+   * Read product URLs (and image titles) from the sitemap, following a sitemap index
+   * @returns {Promise<Array<Object>>}
+   */
+  async _fetchSitemap() {
+    const root = parseSitemap(await this._getText('/sitemap.xml'));
+    const productSitemaps = root.filter(e => /\.xml(\?|$)/.test(e.loc) && /product/i.test(e.loc)).slice(0, MAX_SITEMAPS);
+    const entries = productSitemaps.length > 0
+      ? (await Promise.all(productSitemaps.map(async e => parseSitemap(await this._getText(e.loc))))).flat()
+      : root;
+
+    return entries
+      .filter(e => handleFromUrl(e.loc))
+      .map(e => {
+        const handle = handleFromUrl(e.loc);
+        return {
+          // Without an image title the handle is the best title available
+          title: e.title || handle.replace(/-/g, ' '),
+          handle,
+          url: e.loc,
+          price: null,
+          available: null,
+          variants: [],
+          source: 'sitemap'
+        };
+      });
+  }
+
+  /**
+   * Merge records, keeping the first record per handle (or title)
+   * @param {...Array<Object>} lists
+   * @returns {Array<Object>}
+   */
+  _merge(...lists) {
+    const seen = new Set();
+    const merged = [];
+    for (const record of lists.flat()) {
+      const key = record.handle || normalizeText(record.title);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push(record);
+    }
+    return merged;
+  }
+
+  /**
+   * GET a store path as JSON
+   * @param {string} path
+   * @returns {Promise<Object|null>} null on any failure
+   */
+  async _getJson(path) {
+    const text = await this._getText(path);
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * GET a store path (or absolute URL) with the browser's cookies
+   * @param {string} path
+   * @returns {Promise<string>} Empty on any failure
+   */
+  async _getText(path) {
+    try {
+      const url = new URL(path, this.config.URL).href;
+      const response = await this.page.request.get(url, { timeout: Math.min(this.config.NAV_TIMEOUT_MS || 15000, 15000) });
+      if (!response.ok()) {
+        log('DEBUG', `${path}: HTTP ${response.status()}`);
+        return '';
+      }
+      return await response.text();
+    } catch (err) {
+      log('DEBUG', `${path}: ${err.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * Catalog cache key - one catalog per run and store
+   * @returns {string}
+   */
+  _cacheKey() {
+    let origin = '';
+    try {
+      origin = new URL(this.config.URL).origin;
+    } catch {
+      origin = String(this.config.URL || '');
+    }
+    return `${getRunContext().runId}|${origin}`;
+  }
+}
+
+module.exports = StructuredDataDiscovery;
@@ -0,0 +1,321 @@
+/**
+ * Variant Selector - Picks product options (size, color, edition) on the product page
+ * Supports select dropdowns, radio swatches and button groups.
+ */
+const { log, captureScreenshot, sleep, normalizeText } = require('../util.js');
+
+// Common spellings of apparel sizes so "size=L" matches a "Large" swatch and vice versa
+const SIZE_ALIASES = {
+  xs: ['extra small', 'x small'],
+  s: ['small'],
+  m: ['medium'],
+  l: ['large'],
+  xl: ['extra large', 'x large'],
+  xxl: ['2xl', 'xx large', '2x large'],
+  xxxl: ['3xl', 'xxx large', '3x large'],
+};
+
+// Text appended to option labels by themes ("L - Sold out", "Black (Unavailable)")
+const AVAILABILITY_SUFFIX = /\s*[-(]?\s*(sold out|out of stock|unavailable)\)?\s*$/i;
+
+class VariantSelector {
+  /**
+   * @param {import('playwright').Page} page
+   * @param {Object} SEL - Selectors object
+   * @param {Object} config - Configuration
+   */
+  constructor(page, SEL, config) {
+    this.page = page;
+    this.SEL = SEL;
+    this.config = config;
+  }
+
+  /**
+   * Select every requested option on the current product page
+   * @param {Object<string, string>} options - Option name → value (e.g. {size: 'L', color: 'Black'})
+   * @returns {Promise<{success: boolean, status: 'success'|'out_of_stock'|'variant_unavailable', message: string, variant: string|null}>}
+   */
+  async selectVariant(options) {
+    const entries = Object.entries(options || {});
+    if (entries.length === 0) {
+      return { success: true, status: 'success', message: 'No variant options requested', variant: null };
+    }
+
+    const requested = entries.map(([name, value]) => `${name}=${value}`).join(', ');
+    log('INFO', `Selecting variant: ${requested}`);
+
+    const chosen = [];
+    for (const [name, value] of entries) {
+      const result = await this._selectOption(name, value);
+
+      if (result.status === 'no_picker') {
+        log('WARN', `No "${name}" option picker found on product page`);
+        await captureScreenshot(this.page, 'variant-picker-missing');
+        return { success: false, status: 'variant_unavailable', message: `Product has no "${name}" option`, variant: null };
+      }
+
+      if (result.status === 'missing') {
+        const available = result.available.length > 0 ? ` (available: ${result.available.join(', ')})` : '';
+        log('WARN', `${name} "${value}" not offered${available}`);
+        await captureScreenshot(this.page, 'variant-value-missing');
+        return { success: false, status: 'variant_unavailable', message: `${name} "${value}" is not offered${available}`, variant: null };
+      }
+
+      if (result.status === 'sold_out') {
+        log('WARN', `${name} "${result.label}" is sold out`);
+        await captureScreenshot(this.page, 'variant-sold-out');
+        return { success: false, status: 'out_of_stock', message: `Variant ${name} "${result.label}" is sold out`, variant: result.label };
+      }
+
+      log('OK', `Selected ${name}: ${result.label} (${result.picker})`);
+      chosen.push(result.label);
+    }
+
+    // Let the theme update price / Add to Cart state for the new variant
+    await sleep(500);
+
+    const variant = chosen.join(' / ');
+    await captureScreenshot(this.page, 'variant-selected');
+    return { success: true, status: 'success', message: `Selected variant ${variant}`, variant };
+  }
+
+  /**
+   * Select one option value, trying each picker style in turn
+   * @param {string} name - Option name
+   * @param {string} value - Requested value
+   * @returns {Promise<{status: 'selected'|'sold_out'|'missing'|'no_picker', label?: string, picker?: string, available?: string[]}>}
+   */
+  async _selectOption(name, value) {
+    const pickers = [
+      { type: 'select', run: () => this._selectFromDropdown(name, value) },
+      { type: 'radio', run: () => this._selectFromRadios(name, value) },
+      { type: 'buttons', run: () => this._selectFromButtons(name, value) },
+    ];
+
+    for (const picker of pickers) {
+      try {
+        const result = await picker.run();
+        if (result) {
+          return { ...result, picker: picker.type };
+        }
+      } catch (err) {
+        log('DEBUG', `${picker.type} picker failed for "${name}": ${err.message}`);
+        // Try next
+      }
+    }
+
+    return { status: 'no_picker' };
+  }
+
+  /**
+   * Select a value from a <select> dropdown
+   * @param {string} name
+   * @param {string} value
+   * @returns {Promise<Object|null>} null if there is no dropdown for this option
+   */
+  async _selectFromDropdown(name, value) {
+    const select = await this._firstVisible([
+      () => this.SEL.variantSelect(name),
+      () => this.SEL.variantSelectFallback(name),
+    ]);
+    if (!select) return null;
+
+    const choices = await select.locator('option').evaluateAll(options => options.map(o => ({
+      value: o.value,
+      label: (o.textContent || '').trim(),
+      unavailable: o.disabled || o.dataset.available === 'false'
+    })));
+
+    const match = this._matchChoice(choices, value);
+    if (!match) {
+      return { status: 'missing', available: this._availableLabels(choices) };
+    }
+    if (match.unavailable || AVAILABILITY_SUFFIX.test(match.label)) {
+      return { status: 'sold_out', label: this._cleanLabel(match.label) };
+    }
+
+    await select.selectOption(match.value);
+    return { status: 'selected', label: this._cleanLabel(match.label) };
+  }
+
+  /**
+   * Select a value from radio swatches
+   * @param {string} name
+   * @param {string} value
+   * @returns {Promise<Object|null>} null if there is no radio group for this option
+   */
+  async _selectFromRadios(name, value) {
+    const group = await this._firstVisible([
+      () => this.SEL.variantRadioGroup(name),
+      () => this.SEL.variantRadioGroupFallback(name),
+    ]);
+    if (!group) return null;
+
+    const radios = group.locator('input[type="radio"]');
+    const choices = await radios.evaluateAll(inputs => inputs.map(input => {
+      const label = (input.labels && input.labels[0]) || null;
+      const labelClass = label ? label.className : '';
+      return {
+        value: input.value,
+        label: ((label && label.textContent) || input.value || '').trim(),
+        unavailable: input.disabled ||
+          input.dataset.available === 'false' ||
+          /disabled|unavailable|sold-out/i.test(`${input.className} ${labelClass}`)
+      };
+    }));
+    if (choices.length === 0) return null;
+
+    const index = this._matchIndex(choices, value);
+    if (index < 0) {
+      return { status: 'missing', available: this._availableLabels(choices) };
+    }
+
+    const match = choices[index];
+    if (match.unavailable || AVAILABILITY_SUFFIX.test(match.label)) {
+      return { status: 'sold_out', label: this._cleanLabel(match.label) };
+    }
+
+    // Swatch inputs are usually visually hidden - click the label when possible
+    const radio = radios.nth(index);
+    const id = await radio.getAttribute('id');
+    const label = id ? group.locator(`label[for="${id}"]`) : null;
+    if (label && await label.count() > 0 && await label.first().isVisible()) {
+      await label.first().click();
+    } else {
+      await radio.check({ force: true });
+    }
+
+    return { status: 'selected', label: this._cleanLabel(match.label) };
+  }
+
+  /**
+   * Select a value from a button group
+   * @param {string} name
+   * @param {string} value
+   * @returns {Promise<Object|null>} null if there is no button group for this option
+   */
+  async _selectFromButtons(name, value) {
+    const group = await this._firstVisible([
+      () => this.SEL.variantButtonGroup(name),
+      () => this.SEL.variantButtonGroupFallback(name),
+    ]);
+    if (!group) return null;
+
+    const buttons = group.locator('button, [role="button"], [data-value]');
+    const choices = await buttons.evaluateAll(elements => elements.map(el => ({
+      value: el.dataset.value || el.getAttribute('value') || '',
+      label: (el.textContent || '').trim(),
+      unavailable: el.disabled ||
+        el.getAttribute('aria-disabled') === 'true' ||
+        el.dataset.available === 'false' ||
+        /disabled|unavailable|sold-out/i.test(el.className)
+    })));
+    if (choices.length === 0) return null;
+
+    const index = this._matchIndex(choices, value);
+    if (index < 0) {
+      return { status: 'missing', available: this._availableLabels(choices) };
+    }
+
+    const match = choices[index];
+    if (match.unavailable || AVAILABILITY_SUFFIX.test(match.label)) {
+      return { status: 'sold_out', label: this._cleanLabel(match.label) };
+    }
+
+    await buttons.nth(index).click();
+    return { status: 'selected', label: this._cleanLabel(match.label) };
+  }
+
+  /**
+   * Return the first visible locator from a list of strategies
+   * @param {Function[]} strategies
+   * @returns {Promise<import('playwright').Locator|null>}
+   */
+  async _firstVisible(strategies) {
+    for (const strategy of strategies) {
+      try {
+        const locator = strategy();
+        const count = await locator.count();
+        for (let i = 0; i < count; i++) {
+          if (await locator.nth(i).isVisible()) {
+            return locator.nth(i);
+          }
+        }
+      } catch {
+        // Try next
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the choice matching the requested value
+   * @param {Array<{value: string, label: string}>} choices
+   * @param {string} value
+   * @returns {Object|null}
+   */
+  _matchChoice(choices, value) {
+    const index = this._matchIndex(choices, value);
+    return index >= 0 ? choices[index] : null;
+  }
+
+  /**
+   * Index of the choice matching the requested value
+   * Exact label/value match wins; size aliases ("L" ↔ "Large") are tried second.
+   * @param {Array<{value: string, label: string}>} choices
+   * @param {string} value
+   * @returns {number} -1 if nothing matches
+   */
+  _matchIndex(choices, value) {
+    const wanted = this._valueForms(value);
+    const forms = choices.map(c => [
+      normalizeText(this._cleanLabel(c.label)),
+      normalizeText(c.value || '')
+    ]);
+
+    const exact = forms.findIndex(f => f.includes(normalizeText(value)));
+    if (exact >= 0) return exact;
+
+    return forms.findIndex(f => f.some(form => wanted.includes(form)));
+  }
+
+  /**
+   * All accepted spellings of a requested value
+   * @param {string} value
+   * @returns {string[]}
+   */
+  _valueForms(value) {
+    const normalized = normalizeText(value);
+    const forms = new Set([normalized]);
+    for (const [short, longs] of Object.entries(SIZE_ALIASES)) {
+      if (normalized === short || longs.includes(normalized)) {
+        forms.add(short);
+        longs.forEach(l => forms.add(l));
+      }
+    }
+    return [...forms];
+  }
+
+  /**
+   * Strip availability suffixes from an option label
+   * @param {string} label
+   * @returns {string}
+   */
+  _cleanLabel(label) {
+    return String(label || '').replace(AVAILABILITY_SUFFIX, '').trim();
+  }
+
+  /**
+   * Labels of choices that can currently be selected
+   * @param {Array<{label: string, unavailable: boolean}>} choices
+   * @returns {string[]}
+   */
+  _availableLabels(choices) {
+    return choices
+      .filter(c => !c.unavailable && !AVAILABILITY_SUFFIX.test(c.label))
+      .map(c => this._cleanLabel(c.label))
+      .filter(l => l);
+  }
+}
+
+module.exports = VariantSelector;
@@ -1,131 +1,227 @@
 /**
  * Configuration management for Riot Merch Bot
+ *
+ * Sources, highest precedence first:
+ *   1. Environment variables / .env
+ *   2. Config file (riot-merch.config.json, or CONFIG_FILE) - see configSchema.js
+ *   3. Built-in defaults
  */
+const path = require('path');
+const dotenv = require('dotenv');
 const { getString, getNumber, getBoolean } = require('./env.js');
+const { parseEnvAccounts, parseEnvProducts, parseEnvCategoryHints, parseKeywordList } = require('./envLists.js');
+const { loadConfigFile, getFileValue, validateAgainstSchema, toConfigFile, CONFIG_SCHEMA, DEFAULT_CONFIG_FILE } = require('./configSchema.js');
+
+// Load .env file from project root
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Load the optional config file - its values become the defaults for env lookups
+// CONFIG_FILE=none runs from .env alone
+const CONFIG_FILE_PATH = getString('CONFIG_FILE', DEFAULT_CONFIG_FILE);
+const configFile = CONFIG_FILE_PATH.toLowerCase() === 'none'
+  ? { path: null, loaded: false, data: {}, errors: [] }
+  : loadConfigFile(CONFIG_FILE_PATH);
+
+/**
+ * Read a config file value (falls back to defaultValue when absent)
+ * @param {string} fieldPath - Dotted path, e.g. "browser.headless"
+ * @param {*} defaultValue
+ */
+function fromFile(fieldPath, defaultValue) {
+  return getFileValue(configFile.data, fieldPath, defaultValue);
+}
 
 // Determine if FULL_SEND mode is active
-const FULL_SEND = getBoolean('FULL_SEND', false);
+const FULL_SEND = getBoolean('FULL_SEND', fromFile('modes.fullSend', false));
 
 /**
- * Parse Riot accounts from environment variables
- * Supports two formats:
- * 1. Numbered: RIOT_USER_1, RIOT_PASS_1, RIOT_USER_2, RIOT_PASS_2, etc.
- * 2. JSON: RIOT_ACCOUNTS=[{"username":"user1","password":"pass1"}]
+ * Parse Riot accounts from environment variables (see parseEnvAccounts), else the config file
  * @returns {Array<{username: string, password: string}>}
  */
 function parseRiotAccounts() {
-  const accounts = [];
-
-  // Try JSON format first
-  const jsonAccounts = getString('RIOT_ACCOUNTS', '');
-  if (jsonAccounts) {
-    try {
-      const parsed = JSON.parse(jsonAccounts);
-      if (Array.isArray(parsed)) {
-        for (const acc of parsed) {
-          if (acc.username && acc.password) {
-            accounts.push({
-              username: acc.username,
-              password: acc.password
-            });
-          }
-        }
+  const accounts = parseEnvAccounts();
+
+  // Fall back to accounts from the config file
+  if (accounts.length === 0) {
+    for (const acc of fromFile('accounts', [])) {
+      if (acc && acc.username && acc.password) {
+        accounts.push({ username: acc.username, password: acc.password });
       }
-    } catch (err) {
-      // JSON parse failed, continue to numbered format
     }
   }
 
-  // If no JSON accounts, try numbered format
-  if (accounts.length === 0) {
-    for (let i = 1; i <= 20; i++) { // Support up to 20 accounts
-      const username = getString(`RIOT_USER_${i}`, '');
-      const password = getString(`RIOT_PASS_${i}`, '');
-      if (username && password) {
-        accounts.push({ username, password });
+  return accounts;
+}
+
+/**
+ * Parse products
+ * PRODUCTn env vars (see parseEnvProducts) take precedence; otherwise the config file's products list is used.
+ * @returns {Array<{names: string[], quantity: number, options: Object<string, string>, maxPrice: number|null, exclude: string[], require: string[], priceRange: {min: number|null, max: number|null}|null, game: string|null}>}
+ */
+function parseProducts() {
+  const products = parseEnvProducts();
+  if (products.length > 0) {
+    return products;
+  }
+
+  for (const product of fromFile('products', [])) {
+    if (!product || !Array.isArray(product.names)) continue;
+    const names = product.names.filter(n => typeof n === 'string').map(n => n.trim()).filter(n => n);
+    if (names.length === 0) continue;
+
+    const options = {};
+    for (const [name, value] of Object.entries(product.options || {})) {
+      if (typeof value === 'string' && value.trim()) {
+        options[name.toLowerCase()] = value.trim();
       }
     }
+    products.push({
+      names,
+      quantity: Number.isInteger(product.quantity) ? Math.max(1, product.quantity) : 1,
+      options,
+      maxPrice: typeof product.maxPrice === 'number' && product.maxPrice > 0 ? product.maxPrice : null,
+      exclude: Array.isArray(product.exclude) ? parseKeywordList(product.exclude.join(',')) : [],
+      require: Array.isArray(product.require) ? parseKeywordList(product.require.join(',')) : [],
+      priceRange: product.priceRange && typeof product.priceRange === 'object'
+        ? { min: product.priceRange.min ?? null, max: product.priceRange.max ?? null }
+        : null,
+      game: typeof product.game === 'string' && product.game.trim() ? product.game.trim() : null
+    });
   }
+  return products;
+}
 
-  return accounts;
+/**
+ * Parse category keyword hints
+ * Env format: "VALORANT: wngmn, frgmt; ARCANE: jinx, vi"; the config file gives an object
+ * (category title → keywords) and is used when the env var is unset.
+ * @returns {Object<string, string[]>}
+ */
+function parseCategoryHints() {
+  const envValue = getString('CATEGORY_HINTS', '');
+  if (!envValue.trim()) {
+    const fileHints = fromFile('search.categoryHints', {});
+    return fileHints && typeof fileHints === 'object' && !Array.isArray(fileHints) ? fileHints : {};
+  }
+
+  return parseEnvCategoryHints();
 }
 
+// TEST_MODE points the bot at the bundled mock storefront (src/mock/server.js)
+const TEST_MODE = getBoolean('TEST_MODE', fromFile('modes.testMode', false));
+const MOCK_PORT = getNumber('MOCK_PORT', fromFile('mockPort', 4173));
+
 const config = {
   // ----- Target URL -----
-  URL: 'https://merch.riotgames.com',
+  URL: TEST_MODE ? `http://127.0.0.1:${MOCK_PORT}` : 'https://merch.riotgames.com',
+  TEST_MODE: TEST_MODE,
+  MOCK_PORT: MOCK_PORT,
 
   // ----- Mode Settings -----
-  DRY_RUN: getBoolean('DRY_RUN', true),
-  CHECKOUT_ENABLED: getBoolean('CHECKOUT_ENABLED', false),
+  DRY_RUN: getBoolean('DRY_RUN', fromFile('modes.dryRun', true)),
+  CHECKOUT_ENABLED: getBoolean('CHECKOUT_ENABLED', fromFile('modes.checkoutEnabled', false)),
   FULL_SEND: FULL_SEND,
-  KEEP_OPEN: getBoolean('KEEP_OPEN', true),
-  HEADLESS: getBoolean('HEADLESS', false),
+  // Halt after this stage (see stages.js) - overrides DRY_RUN/CHECKOUT_ENABLED/FULL_SEND when set
+  STOP_AT: getString('STOP_AT', fromFile('modes.stopAt', '')).trim().toLowerCase(),
+  KEEP_OPEN: getBoolean('KEEP_OPEN', fromFile('modes.keepOpen', true)),
+  HEADLESS: getBoolean('HEADLESS', fromFile('browser.headless', false)),
 
   // ----- Timeout Settings (adjusted for FULL_SEND mode) -----
-  NAV_TIMEOUT_MS: FULL_SEND ? 10000 : getNumber('NAV_TIMEOUT_MS', 45000),
-  ACTION_TIMEOUT_MS: FULL_SEND ? 5000 : getNumber('ACTION_TIMEOUT_MS', 30000),
-  MAX_RETRIES: FULL_SEND ? 2 : getNumber('MAX_RETRIES', 3),
+  NAV_TIMEOUT_MS: FULL_SEND ? 10000 : getNumber('NAV_TIMEOUT_MS', fromFile('browser.navTimeoutMs', 45000)),
+  ACTION_TIMEOUT_MS: FULL_SEND ? 5000 : getNumber('ACTION_TIMEOUT_MS', fromFile('browser.actionTimeoutMs', 30000)),
+  MAX_RETRIES: FULL_SEND ? 2 : getNumber('MAX_RETRIES', fromFile('retry.maxRetries', 3)),
+
+  // ----- Retry Policy (see retry.js) -----
+  RETRY_BASE_DELAY_MS: getNumber('RETRY_BASE_DELAY_MS', fromFile('retry.baseDelayMs', FULL_SEND ? 100 : 250)),
+  RETRY_MAX_DELAY_MS: getNumber('RETRY_MAX_DELAY_MS', fromFile('retry.maxDelayMs', FULL_SEND ? 1000 : 5000)),
+  RETRY_JITTER: getNumber('RETRY_JITTER', fromFile('retry.jitter', 0.2)),
+  RETRY_BUDGET: getNumber('RETRY_BUDGET', fromFile('retry.budget', 20)),  // Total retries per run (0 = unlimited)
 
   // ----- Search Settings -----
-  FUZZY_THRESHOLD: getNumber('FUZZY_THRESHOLD', 0.5),
+  FUZZY_THRESHOLD: getNumber('FUZZY_THRESHOLD', fromFile('search.fuzzyThreshold', 0.5)),
+  MATCH_MARGIN: getNumber('MATCH_MARGIN', fromFile('search.matchMargin', 0.05)),
+  // Similarity strategy for titles that aren't exact / contains matches: dice | token-set | jaro-winkler
+  MATCH_STRATEGY: getString('MATCH_STRATEGY', fromFile('search.strategy', 'dice')).trim().toLowerCase(),
+  // Read stylised tokens ("VLRNT", "WNGMN") as the words they abbreviate
+  MATCH_STYLISED: getBoolean('MATCH_STYLISED', fromFile('search.stylised', true)),
+  // Use the store's products.json / JSON-LD / sitemap to find products and cross-check listing matches
+  STRUCTURED_DATA: getBoolean('STRUCTURED_DATA', fromFile('search.structuredData', true)),
+  // Numbered listing pages read per listing before giving up on later pages
+  MAX_LISTING_PAGES: getNumber('MAX_LISTING_PAGES', fromFile('search.maxListingPages', 10)),
+  // Try how each product was found last run first (logs/discovery-cache.json)
+  DISCOVERY_CACHE: getBoolean('DISCOVERY_CACHE', fromFile('search.discoveryCache', true)),
+  // Extra keywords that point a product at a CATEGORIES menu entry (category title → keywords)
+  CATEGORY_HINTS: parseCategoryHints(),
 
   // ----- Browser Settings -----
   // Connect to existing Chrome (user signs in manually first)
   // Launch Chrome with: chrome.exe --remote-debugging-port=9222
-  CONNECT_EXISTING: getBoolean('CONNECT_EXISTING', false),
-  CDP_ENDPOINT: getString('CDP_ENDPOINT', 'http://127.0.0.1:9222'),
+  CONNECT_EXISTING: getBoolean('CONNECT_EXISTING', fromFile('browser.connectExisting', false)),
+  CDP_ENDPOINT: getString('CDP_ENDPOINT', fromFile('browser.cdpEndpoint', 'http://127.0.0.1:9222')),
 
-  BRAVE_PATH: getString('BRAVE_PATH', 'C:\\Program Files\\BraveSoftware\\Brave-Browser\\Application\\brave.exe'),
-  USER_DATA_DIR: getString('USER_DATA_DIR', ''),
-  PROFILE_DIR: getString('PROFILE_DIR', 'Default'),
-  MULTI_ACCOUNT_FRESH_CONTEXT: getBoolean('MULTI_ACCOUNT_FRESH_CONTEXT', true),
+  BRAVE_PATH: getString('BRAVE_PATH', fromFile('browser.bravePath', 'C:\\Program Files\\BraveSoftware\\Brave-Browser\\Application\\brave.exe')),
+  USER_DATA_DIR: getString('USER_DATA_DIR', fromFile('browser.userDataDir', '')),
+  PROFILE_DIR: getString('PROFILE_DIR', fromFile('browser.profileDir', 'Default')),
+  MULTI_ACCOUNT_FRESH_CONTEXT: getBoolean('MULTI_ACCOUNT_FRESH_CONTEXT', fromFile('browser.multiAccountFreshContext', true)),
 
   // ----- Riot Accounts (for multi-account support) -----
   RIOT_ACCOUNTS: parseRiotAccounts(),
-  MAX_ACCOUNTS: getNumber('MAX_ACCOUNTS', 0), // 0 = no limit
-
-  // ----- Products (dynamically loaded) -----
-  PRODUCTS: (function() {
-    const products = [];
-    for (let i = 1; i <= 5; i++) {
-      const nameKey = `PRODUCT${i}`;
-      const qtyKey = `QTY${i}`;
-      const nameValue = getString(nameKey, '');
-      if (nameValue) {
-        products.push({
-          // Split by pipe for synonym support
-          names: nameValue.split('|').map(n => n.trim()).filter(n => n),
-          quantity: Math.max(1, getNumber(qtyKey, 1))
-        });
-      }
-    }
-    return products;
-  })(),
+  MAX_ACCOUNTS: getNumber('MAX_ACCOUNTS', fromFile('maxAccounts', 0)), // 0 = no limit
+
+  // ----- Products (PRODUCTn env vars or config file) -----
+  PRODUCTS: parseProducts(),
+
+  // ----- Budget -----
+  MAX_ORDER_TOTAL: getNumber('MAX_ORDER_TOTAL', fromFile('maxOrderTotal', 0)), // 0 = no cap
+  // Store locale for reading prices ("de-DE" reads "1.234,56"); empty = infer from each price
+  PRICE_LOCALE: getString('PRICE_LOCALE', fromFile('priceLocale', '')).trim(),
+
+  // ----- Order ledger (logs/orders-ledger.json) -----
+  LEDGER_WINDOW_HOURS: getNumber('LEDGER_WINDOW_HOURS', fromFile('ledger.windowHours', 24)),
+  ALLOW_DUPLICATE_ORDERS: getBoolean('ALLOW_DUPLICATE_ORDERS', fromFile('ledger.allowDuplicates', false)),
+
+  // ----- Cart -----
+  // clear: empty the cart before adding products | reconcile: keep what's already right, fix the rest
+  CART_MODE: getString('CART_MODE', fromFile('cart.mode', 'clear')).trim().toLowerCase(),
+  // Reconcile mode: keep or remove cart lines that aren't configured products
+  CART_UNRELATED: getString('CART_UNRELATED', fromFile('cart.unrelated', 'keep')).trim().toLowerCase(),
+  // Put back what was in the cart before the run: ask (on a terminal) | auto | off
+  RESTORE_CART: getString('RESTORE_CART', fromFile('cart.restore', 'ask')).trim().toLowerCase(),
 
   // ----- Discount Code -----
-  DISCOUNT_CODE: getString('DISCOUNT_CODE', ''),
+  DISCOUNT_CODE: getString('DISCOUNT_CODE', fromFile('discountCode', '')),
 
   // ----- Checkout Information -----
   CHECKOUT: {
-    email: getString('EMAIL', ''),
-    firstName: getString('FIRST_NAME', ''),
-    lastName: getString('LAST_NAME', ''),
-    phone: getString('PHONE', ''),
-    address1: getString('ADDRESS1', ''),
-    address2: getString('ADDRESS2', ''),
-    city: getString('CITY', ''),
-    state: getString('STATE', ''),
-    zip: getString('ZIP', ''),
-    country: getString('COUNTRY', 'United States')
+    email: getString('EMAIL', fromFile('checkout.email', '')),
+    firstName: getString('FIRST_NAME', fromFile('checkout.firstName', '')),
+    lastName: getString('LAST_NAME', fromFile('checkout.lastName', '')),
+    phone: getString('PHONE', fromFile('checkout.phone', '')),
+    address1: getString('ADDRESS1', fromFile('checkout.address1', '')),
+    address2: getString('ADDRESS2', fromFile('checkout.address2', '')),
+    city: getString('CITY', fromFile('checkout.city', '')),
+    state: getString('STATE', fromFile('checkout.state', '')),
+    zip: getString('ZIP', fromFile('checkout.zip', '')),
+    country: getString('COUNTRY', fromFile('checkout.country', 'United States'))
   },
 
   // ----- Payment Information -----
   PAYMENT: {
-    cardNumber: getString('CARD_NUMBER', ''),
-    cardExpMonth: getString('CARD_EXP_MONTH', ''),
-    cardExpYear: getString('CARD_EXP_YEAR', ''),
-    cardCvv: getString('CARD_CVV', '')
+    cardNumber: getString('CARD_NUMBER', fromFile('payment.cardNumber', '')),
+    cardExpMonth: getString('CARD_EXP_MONTH', fromFile('payment.cardExpMonth', '')),
+    cardExpYear: getString('CARD_EXP_YEAR', fromFile('payment.cardExpYear', '')),
+    cardCvv: getString('CARD_CVV', fromFile('payment.cardCvv', ''))
   }
 };
 
+// ----- Config file info + validation -----
+// Every problem is collected (file parse/schema errors, then the merged result) so they can be reported at once
+config.CONFIG_FILE = configFile.loaded ? configFile.path : null;
+config.CONFIG_ERRORS = configFile.errors.map(e => ({ ...e, source: 'file' }));
+for (const error of validateAgainstSchema(toConfigFile(config, { withSecrets: true }), CONFIG_SCHEMA)) {
+  if (!config.CONFIG_ERRORS.some(e => e.path === error.path)) {
+    config.CONFIG_ERRORS.push({ ...error, source: 'env' });
+  }
+}
+
 module.exports = config;
@@ -0,0 +1,344 @@
+/**
+ * Config file schema and validation for Riot Merch Bot
+ * - Loads the JSON config file (riot-merch.config.json by default)
+ * - Validates it against CONFIG_SCHEMA, collecting every problem with its field path
+ * - Converts a runtime config object (or product) back to the file format
+ */
+const fs = require('fs');
+const path = require('path');
+const { STAGES } = require('./stages.js');
+const { STRATEGIES } = require('./matching.js');
+const { CART_MODES, UNRELATED_ACTIONS, RESTORE_MODES } = require('./cartReconcile.js');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'riot-merch.config.json');
+
+// ----- Schema building blocks -----
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const integer = (extra = {}) => ({ type: 'number', integer: true, ...extra });
+const boolean = () => ({ type: 'boolean' });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+const CONFIG_SCHEMA = object({
+  modes: object({
+    dryRun: boolean(),
+    checkoutEnabled: boolean(),
+    fullSend: boolean(),
+    keepOpen: boolean(),
+    testMode: boolean(),
+    stopAt: string({ enum: ['', ...STAGES] }),
+  }),
+  mockPort: integer({ min: 1, max: 65535 }),
+  browser: object({
+    headless: boolean(),
+    connectExisting: boolean(),
+    cdpEndpoint: string(),
+    bravePath: string(),
+    userDataDir: string(),
+    profileDir: string(),
+    multiAccountFreshContext: boolean(),
+    navTimeoutMs: integer({ min: 1000 }),
+    actionTimeoutMs: integer({ min: 500 }),
+  }),
+  retry: object({
+    maxRetries: integer({ min: 1 }),
+    baseDelayMs: integer({ min: 0 }),
+    maxDelayMs: integer({ min: 0 }),
+    jitter: number({ min: 0, max: 1 }),
+    budget: integer({ min: 0 }),
+  }),
+  search: object({
+    fuzzyThreshold: number({ min: 0, max: 1 }),
+    matchMargin: number({ min: 0, max: 1 }),
+    strategy: string({ enum: STRATEGIES }),
+    stylised: boolean(),
+    structuredData: boolean(),
+    maxListingPages: integer({ min: 1 }),
+    discoveryCache: boolean(),
+    categoryHints: object({}, { additionalProperties: array(string({ nonEmpty: true })) }),
+  }),
+  products: array(object({
+    names: array(string({ nonEmpty: true }), { minItems: 1 }),
+    quantity: integer({ min: 1 }),
+    options: object({}, { additionalProperties: string({ nonEmpty: true }) }),
+    maxPrice: number({ min: 0 }),
+    exclude: array(string({ nonEmpty: true })),
+    require: array(string({ nonEmpty: true })),
+    priceRange: object({
+      min: number({ min: 0 }),
+      max: number({ min: 0 }),
+    }),
+    game: string({ nonEmpty: true }),
+  }, { required: ['names'] })),
+  maxOrderTotal: number({ min: 0 }),
+  priceLocale: string(),
+  ledger: object({
+    windowHours: number({ min: 0 }),
+    allowDuplicates: boolean(),
+  }),
+  cart: object({
+    mode: string({ enum: CART_MODES }),
+    unrelated: string({ enum: UNRELATED_ACTIONS }),
+    restore: string({ enum: RESTORE_MODES }),
+  }),
+  discountCode: string(),
+  checkout: object({
+    email: string(),
+    firstName: string(),
+    lastName: string(),
+    phone: string(),
+    address1: string(),
+    address2: string(),
+    city: string(),
+    state: string(),
+    zip: string(),
+    country: string(),
+  }),
+  payment: object({
+    cardNumber: string(),
+    cardExpMonth: string(),
+    cardExpYear: string(),
+    cardCvv: string(),
+  }),
+  accounts: array(object({
+    username: string({ nonEmpty: true }),
+    password: string({ nonEmpty: true }),
+  }, { required: ['username', 'password'] })),
+  maxAccounts: integer({ min: 0 }),
+});
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node, collecting every error
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} fieldPath - Path of this value (e.g. "products[0].quantity")
+ * @param {Array<{path: string, message: string}>} errors - Collected errors (mutated)
+ * @returns {Array<{path: string, message: string}>}
+ */
+function validateAgainstSchema(value, schema, fieldPath = '', errors = []) {
+  const at = fieldPath || '(root)';
+
+  if (typeOf(value) !== schema.type) {
+    errors.push({ path: at, message: `expected ${schema.type}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (schema.nonEmpty && value.trim() === '') {
+        errors.push({ path: at, message: 'must not be empty' });
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${schema.enum.filter(v => v).join(', ')}, got "${value}"` });
+      }
+      break;
+
+    case 'number':
+      if (!Number.isFinite(value)) {
+        errors.push({ path: at, message: 'must be a finite number' });
+      } else {
+        if (schema.integer && !Number.isInteger(value)) {
+          errors.push({ path: at, message: `must be an integer, got ${value}` });
+        }
+        if (schema.min !== undefined && value < schema.min) {
+          errors.push({ path: at, message: `must be >= ${schema.min}, got ${value}` });
+        }
+        if (schema.max !== undefined && value > schema.max) {
+          errors.push({ path: at, message: `must be <= ${schema.max}, got ${value}` });
+        }
+      }
+      break;
+
+    case 'array':
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+      }
+      value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${fieldPath}[${i}]`, errors));
+      break;
+
+    case 'object':
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push({ path: fieldPath ? `${fieldPath}.${key}` : key, message: 'is required' });
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+        const childSchema = schema.properties[key] || schema.additionalProperties;
+        if (!childSchema) {
+          errors.push({ path: childPath, message: 'unknown field' });
+        } else if (child !== undefined) {
+          validateAgainstSchema(child, childSchema, childPath, errors);
+        }
+      }
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate the config file
+ * A missing file is not an error - the bot then runs from .env alone.
+ * @param {string} [filePath] - Config file path (default: riot-merch.config.json in project root)
+ * @returns {{path: string, loaded: boolean, data: Object, errors: Array<{path: string, message: string}>}}
+ */
+function loadConfigFile(filePath = DEFAULT_CONFIG_FILE) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    return { path: resolved, loaded: false, data: {}, errors: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    return { path: resolved, loaded: false, data: {}, errors: [{ path: '(file)', message: `invalid JSON: ${err.message}` }] };
+  }
+
+  const errors = validateAgainstSchema(data, CONFIG_SCHEMA);
+  // Ignore the whole file if it's not an object - field lookups would be meaningless
+  return { path: resolved, loaded: true, data: typeOf(data) === 'object' ? data : {}, errors };
+}
+
+/**
+ * Read a dotted path from the config file data
+ * Values with the wrong type are ignored here (they are reported by validation).
+ * @param {Object} data - Parsed config file
+ * @param {string} fieldPath - e.g. "browser.headless"
+ * @param {*} defaultValue
+ * @returns {*}
+ */
+function getFileValue(data, fieldPath, defaultValue) {
+  let value = data;
+  for (const key of fieldPath.split('.')) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      return defaultValue;
+    }
+    value = value[key];
+  }
+  if (defaultValue !== undefined && value !== null && typeOf(value) !== typeOf(defaultValue)) {
+    return defaultValue;
+  }
+  return value;
+}
+
+/**
+ * Copy of an object without null / undefined values
+ * @param {Object} value
+ * @returns {Object}
+ */
+function withoutNulls(value) {
+  return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== null && v !== undefined));
+}
+
+/**
+ * Convert a runtime product (see config.js parseProducts) to the config file format
+ * @param {Object} p
+ * @returns {Object}
+ */
+function productToConfigFile(p) {
+  return {
+    names: [...p.names],
+    quantity: p.quantity,
+    ...(Object.keys(p.options || {}).length > 0 ? { options: { ...p.options } } : {}),
+    ...(p.maxPrice !== null && p.maxPrice !== undefined ? { maxPrice: p.maxPrice } : {}),
+    ...(p.exclude && p.exclude.length > 0 ? { exclude: [...p.exclude] } : {}),
+    ...(p.require && p.require.length > 0 ? { require: [...p.require] } : {}),
+    ...(p.priceRange ? { priceRange: withoutNulls(p.priceRange) } : {}),
+    ...(p.game ? { game: p.game } : {}),
+  };
+}
+
+/**
+ * Convert a runtime config object to the config file format
+ * @param {Object} config - Runtime config (see config.js)
+ * @param {Object} options
+ * @param {boolean} options.withSecrets - Include account passwords and card details (default false)
+ * @returns {Object}
+ */
+function toConfigFile(config, options = {}) {
+  const file = {
+    modes: {
+      dryRun: config.DRY_RUN,
+      checkoutEnabled: config.CHECKOUT_ENABLED,
+      fullSend: config.FULL_SEND,
+      keepOpen: config.KEEP_OPEN,
+      testMode: config.TEST_MODE,
+      stopAt: config.STOP_AT,
+    },
+    mockPort: config.MOCK_PORT,
+    browser: {
+      headless: config.HEADLESS,
+      connectExisting: config.CONNECT_EXISTING,
+      cdpEndpoint: config.CDP_ENDPOINT,
+      bravePath: config.BRAVE_PATH,
+      userDataDir: config.USER_DATA_DIR,
+      profileDir: config.PROFILE_DIR,
+      multiAccountFreshContext: config.MULTI_ACCOUNT_FRESH_CONTEXT,
+      navTimeoutMs: config.NAV_TIMEOUT_MS,
+      actionTimeoutMs: config.ACTION_TIMEOUT_MS,
+    },
+    retry: {
+      maxRetries: config.MAX_RETRIES,
+      baseDelayMs: config.RETRY_BASE_DELAY_MS,
+      maxDelayMs: config.RETRY_MAX_DELAY_MS,
+      jitter: config.RETRY_JITTER,
+      budget: config.RETRY_BUDGET,
+    },
+    search: {
+      fuzzyThreshold: config.FUZZY_THRESHOLD,
+      matchMargin: config.MATCH_MARGIN,
+      strategy: config.MATCH_STRATEGY,
+      stylised: config.MATCH_STYLISED,
+      structuredData: config.STRUCTURED_DATA,
+      maxListingPages: config.MAX_LISTING_PAGES,
+      discoveryCache: config.DISCOVERY_CACHE,
+      ...(Object.keys(config.CATEGORY_HINTS || {}).length > 0 ? { categoryHints: { ...config.CATEGORY_HINTS } } : {}),
+    },
+    products: config.PRODUCTS.map(productToConfigFile),
+    maxOrderTotal: config.MAX_ORDER_TOTAL,
+    priceLocale: config.PRICE_LOCALE,
+    ledger: {
+      windowHours: config.LEDGER_WINDOW_HOURS,
+      allowDuplicates: config.ALLOW_DUPLICATE_ORDERS,
+    },
+    cart: {
+      mode: config.CART_MODE,
+      unrelated: config.CART_UNRELATED,
+      restore: config.RESTORE_CART,
+    },
+    discountCode: config.DISCOUNT_CODE,
+    checkout: { ...config.CHECKOUT },
+    maxAccounts: config.MAX_ACCOUNTS,
+  };
+
+  if (options.withSecrets) {
+    file.payment = { ...config.PAYMENT };
+    file.accounts = config.RIOT_ACCOUNTS.map(a => ({ username: a.username, password: a.password }));
+  }
+
+  return file;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  DEFAULT_CONFIG_FILE,
+  validateAgainstSchema,
+  loadConfigFile,
+  getFileValue,
+  productToConfigFile,
+  toConfigFile
+};
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * One-shot converter: .env → riot-merch.config.json
+ * Only the keys the env file sets are written; the project .env and the shell environment are ignored.
+ * Values go through the same typed getters and list parsers as config.js, read from the parsed file.
+ *
+ * Usage:
+ *   node src/convertEnv.js [envFile] [outFile] [--with-secrets] [--force]
+ *
+ *   envFile         - .env file to read (default: .env in project root)
+ *   outFile         - Config file to write (default: riot-merch.config.json in project root)
+ *   --with-secrets  - Also write account passwords and card details (default: keep them in .env)
+ *   --force         - Overwrite an existing config file
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { getString, getNumber, getBoolean } = require('./env.js');
+const { parseEnvAccounts, parseEnvProducts, parseEnvCategoryHints } = require('./envLists.js');
+const { DEFAULT_CONFIG_FILE, CONFIG_SCHEMA, validateAgainstSchema, productToConfigFile } = require('./configSchema.js');
+
+// Config file path and type for each plain env key the bot reads (see config.js)
+// choice values are trimmed and lower-cased, trimmed ones only trimmed - as config.js reads them
+const ENV_FIELDS = {
+  DRY_RUN: ['modes.dryRun', 'boolean'],
+  CHECKOUT_ENABLED: ['modes.checkoutEnabled', 'boolean'],
+  FULL_SEND: ['modes.fullSend', 'boolean'],
+  KEEP_OPEN: ['modes.keepOpen', 'boolean'],
+  TEST_MODE: ['modes.testMode', 'boolean'],
+  STOP_AT: ['modes.stopAt', 'choice'],
+  MOCK_PORT: ['mockPort', 'number'],
+  HEADLESS: ['browser.headless', 'boolean'],
+  CONNECT_EXISTING: ['browser.connectExisting', 'boolean'],
+  CDP_ENDPOINT: ['browser.cdpEndpoint', 'string'],
+  BRAVE_PATH: ['browser.bravePath', 'string'],
+  USER_DATA_DIR: ['browser.userDataDir', 'string'],
+  PROFILE_DIR: ['browser.profileDir', 'string'],
+  MULTI_ACCOUNT_FRESH_CONTEXT: ['browser.multiAccountFreshContext', 'boolean'],
+  NAV_TIMEOUT_MS: ['browser.navTimeoutMs', 'number'],
+  ACTION_TIMEOUT_MS: ['browser.actionTimeoutMs', 'number'],
+  MAX_RETRIES: ['retry.maxRetries', 'number'],
+  RETRY_BASE_DELAY_MS: ['retry.baseDelayMs', 'number'],
+  RETRY_MAX_DELAY_MS: ['retry.maxDelayMs', 'number'],
+  RETRY_JITTER: ['retry.jitter', 'number'],
+  RETRY_BUDGET: ['retry.budget', 'number'],
+  FUZZY_THRESHOLD: ['search.fuzzyThreshold', 'number'],
+  MATCH_MARGIN: ['search.matchMargin', 'number'],
+  MATCH_STRATEGY: ['search.strategy', 'choice'],
+  MATCH_STYLISED: ['search.stylised', 'boolean'],
+  STRUCTURED_DATA: ['search.structuredData', 'boolean'],
+  MAX_LISTING_PAGES: ['search.maxListingPages', 'number'],
+  DISCOVERY_CACHE: ['search.discoveryCache', 'boolean'],
+  MAX_ORDER_TOTAL: ['maxOrderTotal', 'number'],
+  PRICE_LOCALE: ['priceLocale', 'trimmed'],
+  LEDGER_WINDOW_HOURS: ['ledger.windowHours', 'number'],
+  ALLOW_DUPLICATE_ORDERS: ['ledger.allowDuplicates', 'boolean'],
+  CART_MODE: ['cart.mode', 'choice'],
+  CART_UNRELATED: ['cart.unrelated', 'choice'],
+  RESTORE_CART: ['cart.restore', 'choice'],
+  DISCOUNT_CODE: ['discountCode', 'string'],
+  EMAIL: ['checkout.email', 'string'],
+  FIRST_NAME: ['checkout.firstName', 'string'],
+  LAST_NAME: ['checkout.lastName', 'string'],
+  PHONE: ['checkout.phone', 'string'],
+  ADDRESS1: ['checkout.address1', 'string'],
+  ADDRESS2: ['checkout.address2', 'string'],
+  CITY: ['checkout.city', 'string'],
+  STATE: ['checkout.state', 'string'],
+  ZIP: ['checkout.zip', 'string'],
+  COUNTRY: ['checkout.country', 'string'],
+  MAX_ACCOUNTS: ['maxAccounts', 'number'],
+  CARD_NUMBER: ['payment.cardNumber', 'string'],
+  CARD_EXP_MONTH: ['payment.cardExpMonth', 'string'],
+  CARD_EXP_YEAR: ['payment.cardExpYear', 'string'],
+  CARD_CVV: ['payment.cardCvv', 'string'],
+};
+
+
+// Read an env value by type; null / undefined when the file doesn't set it
+const READERS = {
+  string: (key, env) => getString(key, null, env),
+  trimmed: (key, env) => getString(key, null, env)?.trim(),
+  choice: (key, env) => getString(key, null, env)?.trim().toLowerCase(),
+  number: (key, env) => getNumber(key, null, env),
+  boolean: (key, env) => getBoolean(key, null, env),
+};
+
+/**
+ * Set a dotted path on an object, creating the objects along it
+ * @param {Object} target
+ * @param {string} fieldPath - e.g. "browser.headless"
+ * @param {*} value
+ */
+function setPath(target, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  let to = target;
+  for (const part of parts.slice(0, -1)) {
+    to = to[part] = to[part] || {};
+  }
+  to[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Config file holding the keys an env file sets - everything else keeps its built-in default
+ * FULL_SEND is written as modes.fullSend only; the timeouts it forces at run time aren't written.
+ * @param {Object<string, string>} envValues - Parsed env file (dotenv.parse)
+ * @param {Object} [options]
+ * @param {boolean} [options.withSecrets] - Also write account passwords and card details (default false)
+ * @returns {{file: Object, errors: Array<{path: string, message: string}>}} errors from the schema check
+ */
+function convertEnv(envValues, options = {}) {
+  const file = {};
+  for (const [key, [fieldPath, type]] of Object.entries(ENV_FIELDS)) {
+    if (fieldPath.startsWith('payment.') && !options.withSecrets) continue;
+    const value = READERS[type](key, envValues);
+    if (value !== null && value !== undefined) {
+      setPath(file, fieldPath, value);
+    }
+  }
+
+  const categoryHints = parseEnvCategoryHints(envValues);
+  if (Object.keys(categoryHints).length > 0) {
+    setPath(file, 'search.categoryHints', categoryHints);
+  }
+  const products = parseEnvProducts(envValues);
+  if (products.length > 0) {
+    file.products = products.map(productToConfigFile);
+  }
+  const accounts = options.withSecrets ? parseEnvAccounts(envValues) : [];
+  if (accounts.length > 0) {
+    file.accounts = accounts;
+  }
+
+  return { file, errors: validateAgainstSchema(file, CONFIG_SCHEMA) };
+}
+
+module.exports = {
+  convertEnv
+};
+
+// Run standalone: node src/convertEnv.js [envFile] [outFile] [--with-secrets] [--force]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter(a => a.startsWith('--')));
+  const [envArg, outArg] = args.filter(a => !a.startsWith('--'));
+
+  const envFile = path.resolve(envArg || path.join(__dirname, '..', '.env'));
+  const outFile = path.resolve(outArg || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(envFile)) {
+    console.error(`Env file not found: ${envFile}`);
+    process.exit(1);
+  }
+  if (fs.existsSync(outFile) && !flags.has('--force')) {
+    console.error(`${outFile} already exists - pass --force to overwrite`);
+    process.exit(1);
+  }
+
+  const withSecrets = flags.has('--with-secrets');
+  const { file, errors } = convertEnv(dotenv.parse(fs.readFileSync(envFile)), { withSecrets });
+
+  if (errors.length > 0) {
+    console.warn(`Converted config has ${errors.length} problem(s) - fix them in ${path.basename(outFile)}:`);
+    for (const error of errors) {
+      console.warn(`  ${error.path}: ${error.message}`);
+    }
+  }
+
+  fs.writeFileSync(outFile, JSON.stringify(file, null, 2) + '\n');
+  console.log(`Wrote ${outFile} (${(file.products || []).length} product(s))`);
+  if (!withSecrets) {
+    console.log('Account passwords and card details were left in .env (use --with-secrets to include them)');
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Discovery cache for Riot Merch Bot
+ * - Remembers how each product was last found (strategy, category, search query, matched title)
+ *   in logs/discovery-cache.json, per store
+ * - The next run replays that first; an entry is dropped as soon as its title isn't found that way
+ * - Reset with `npm run reset-discovery` (or delete the file); DISCOVERY_CACHE=0 turns it off
+ */
+const fs = require('fs');
+const path = require('path');
+const { log, normalizeText, LOG_DIR } = require('./util.js');
+const { storeKey } = require('./ledger.js');
+
+const DISCOVERY_CACHE_FILE = path.join(LOG_DIR, 'discovery-cache.json');
+
+/**
+ * Load the cache
+ * A missing or unreadable file is an empty cache - it is rebuilt by the next run.
+ * @param {string} [file]
+ * @returns {{version: number, entries: Object<string, Object>}}
+ */
+function loadDiscoveryCache(file = DISCOVERY_CACHE_FILE) {
+  if (!fs.existsSync(file)) {
+    return { version: 1, entries: {} };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const entries = data && typeof data.entries === 'object' && !Array.isArray(data.entries) ? data.entries : {};
+    return { version: 1, entries };
+  } catch (err) {
+    log('WARN', `Discovery cache ${file} is unreadable (${err.message}) - starting empty`);
+    return { version: 1, entries: {} };
+  }
+}
+
+/**
+ * Write the cache (temp file + rename, like the order ledger)
+ * @param {{version: number, entries: Object<string, Object>}} cache
+ * @param {string} file
+ */
+function saveDiscoveryCache(cache, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Cache key for a product: store host + its names
+ * Editing a product's names starts a fresh entry.
+ * @param {Object} config - Bot configuration
+ * @param {string[]} names - Product names / synonyms
+ * @returns {string}
+ */
+function discoveryKey(config, names) {
+  return `${storeKey(config)}|${names.map(normalizeText).join(' | ')}`;
+}
+
+/**
+ * Cached discovery for a product
+ * @param {string} key - From discoveryKey
+ * @param {string} [file]
+ * @returns {{strategy: string, category: {title: string, href: string|null, path: string[]}|null, query: {query: string, kind: string}|null, url: string|null, title: string, foundAt: string, lastFoundAt: string, hits: number}|null}
+ */
+function getDiscovery(key, file = DISCOVERY_CACHE_FILE) {
+  return loadDiscoveryCache(file).entries[key] || null;
+}
+
+/**
+ * Store (or refresh) how a product was found
+ * @param {string} key - From discoveryKey
+ * @param {Object} discovery
+ * @param {string} discovery.strategy - 'category' | 'homepage' | 'shop' | 'structured-data' | 'search'
+ * @param {string} discovery.title - Matched listing title
+ * @param {{title: string, href: string|null, path: string[]}|null} [discovery.category] - Category listing it was found in
+ * @param {{query: string, kind: string}|null} [discovery.query] - Search query that found it
+ * @param {string|null} [discovery.url] - Listing or product URL
+ * @param {string} [file]
+ * @returns {Object} The stored entry
+ */
+function rememberDiscovery(key, discovery, file = DISCOVERY_CACHE_FILE) {
+  const cache = loadDiscoveryCache(file);
+  const previous = cache.entries[key];
+  const now = new Date().toISOString();
+  const same = previous && previous.strategy === discovery.strategy && normalizeText(previous.title) === normalizeText(discovery.title);
+
+  const entry = {
+    strategy: discovery.strategy,
+    category: discovery.category || null,
+    query: discovery.query || null,
+    url: discovery.url || null,
+    title: discovery.title,
+    foundAt: same ? previous.foundAt : now,
+    lastFoundAt: now,
+    hits: same ? (previous.hits || 0) + 1 : 1
+  };
+  cache.entries[key] = entry;
+  saveDiscoveryCache(cache, file);
+  log('DEBUG', `Discovery cached: "${entry.title}" via ${entry.strategy}`);
+  return entry;
+}
+
+/**
+ * Drop a product's entry
+ * @param {string} key - From discoveryKey
+ * @param {string} reason - Logged
+ * @param {string} [file]
+ * @returns {boolean} Whether there was an entry
+ */
+function forgetDiscovery(key, reason, file = DISCOVERY_CACHE_FILE) {
+  const cache = loadDiscoveryCache(file);
+  if (!cache.entries[key]) {
+    return false;
+  }
+  delete cache.entries[key];
+  saveDiscoveryCache(cache, file);
+  log('INFO', `Discovery cache entry dropped: ${reason}`);
+  return true;
+}
+
+/**
+ * Delete the whole cache
+ * @param {string} [file]
+ * @returns {number} Entries removed
+ */
+function resetDiscoveryCache(file = DISCOVERY_CACHE_FILE) {
+  const count = Object.keys(loadDiscoveryCache(file).entries).length;
+  fs.rmSync(file, { force: true });
+  return count;
+}
+
+module.exports = {
+  DISCOVERY_CACHE_FILE,
+  loadDiscoveryCache,
+  discoveryKey,
+  getDiscovery,
+  rememberDiscovery,
+  forgetDiscovery,
+  resetDiscoveryCache
+};
@@ -1,17 +1,13 @@
 /**
  * Environment variable loading utilities
+ * Each getter reads process.env unless given another source (e.g. a parsed .env file)
  */
-const path = require('path');
-const dotenv = require('dotenv');
-
-// Load .env file from project root
-dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 /**
  * Get string env var with default
  */
-function getString(key, defaultValue = '') {
-  const value = process.env[key];
+function getString(key, defaultValue = '', source = process.env) {
+  const value = source[key];
   if (value === undefined || value === null || value === '') {
     return defaultValue;
   }
@@ -22,8 +18,8 @@ function getString(key, defaultValue = '') {
 /**
  * Get number env var with default
  */
-function getNumber(key, defaultValue = 0) {
-  const value = process.env[key];
+function getNumber(key, defaultValue = 0, source = process.env) {
+  const value = source[key];
   if (value === undefined || value === null || value === '') {
     return defaultValue;
   }
@@ -34,8 +30,8 @@ function getNumber(key, defaultValue = 0) {
 /**
  * Get boolean env var (1/0 or true/false)
  */
-function getBoolean(key, defaultValue = false) {
-  const value = process.env[key];
+function getBoolean(key, defaultValue = false, source = process.env) {
+  const value = source[key];
   if (value === undefined || value === null || value === '') {
     return defaultValue;
   }
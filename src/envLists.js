@@ -0,0 +1,162 @@
+/**
+ * Env keys that hold lists and maps - numbered PRODUCTn / RIOT_USER_n keys, RIOT_ACCOUNTS and
+ * CATEGORY_HINTS - read from process.env or a parsed .env file (see convertEnv.js)
+ * Config file fallbacks are left to config.js.
+ */
+const { getString, getNumber } = require('./env.js');
+
+/**
+ * Parse Riot accounts from env keys
+ * Supports two formats:
+ * 1. Numbered: RIOT_USER_1, RIOT_PASS_1, RIOT_USER_2, RIOT_PASS_2, etc.
+ * 2. JSON: RIOT_ACCOUNTS=[{"username":"user1","password":"pass1"}]
+ * @param {Object<string, string>} [source] - Env values (default process.env)
+ * @returns {Array<{username: string, password: string}>}
+ */
+function parseEnvAccounts(source = process.env) {
+  const accounts = [];
+
+  // Try JSON format first
+  const jsonAccounts = getString('RIOT_ACCOUNTS', '', source);
+  if (jsonAccounts) {
+    try {
+      const parsed = JSON.parse(jsonAccounts);
+      if (Array.isArray(parsed)) {
+        for (const acc of parsed) {
+          if (acc.username && acc.password) {
+            accounts.push({
+              username: acc.username,
+              password: acc.password
+            });
+          }
+        }
+      }
+    } catch (err) {
+      // JSON parse failed, continue to numbered format
+    }
+  }
+
+  // If no JSON accounts, try numbered format
+  if (accounts.length === 0) {
+    for (let i = 1; i <= 20; i++) { // Support up to 20 accounts
+      const username = getString(`RIOT_USER_${i}`, '', source);
+      const password = getString(`RIOT_PASS_${i}`, '', source);
+      if (username && password) {
+        accounts.push({ username, password });
+      }
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * Numbered env keys present for a prefix, in numeric order (PRODUCT1, PRODUCT2, ... PRODUCT12)
+ * @param {string} prefix
+ * @param {Object<string, string>} [source] - Env values (default process.env)
+ * @returns {number[]}
+ */
+function numberedEnvKeys(prefix, source = process.env) {
+  const pattern = new RegExp(`^${prefix}(\\d+)$`);
+  return Object.keys(source)
+    .map(key => key.match(pattern))
+    .filter(match => match)
+    .map(match => parseInt(match[1], 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Parse products from PRODUCTn / QTYn / OPTIONSn / MAX_PRICEn env keys (any number of them)
+ * Matching constraints: EXCLUDEn / REQUIREn (comma separated keywords), PRICE_RANGEn ("10-40") and GAMEn.
+ * @param {Object<string, string>} [source] - Env values (default process.env)
+ * @returns {Array<{names: string[], quantity: number, options: Object<string, string>, maxPrice: number|null, exclude: string[], require: string[], priceRange: {min: number|null, max: number|null}|null, game: string|null}>}
+ */
+function parseEnvProducts(source = process.env) {
+  const products = [];
+  for (const i of numberedEnvKeys('PRODUCT', source)) {
+    const nameValue = getString(`PRODUCT${i}`, '', source);
+    if (nameValue) {
+      products.push({
+        // Split by pipe for synonym support
+        names: nameValue.split('|').map(n => n.trim()).filter(n => n),
+        quantity: Math.max(1, getNumber(`QTY${i}`, 1, source)),
+        // Variant options, e.g. OPTIONS1="size=L, color=Black"
+        options: parseVariantOptions(getString(`OPTIONS${i}`, '', source)),
+        // Highest acceptable unit price (empty / 0 = no cap)
+        maxPrice: getNumber(`MAX_PRICE${i}`, 0, source) || null,
+        // Matching constraints, e.g. EXCLUDE1="2-pack, pin" REQUIRE1="plush" PRICE_RANGE1="10-40" GAME1="valorant"
+        exclude: parseKeywordList(getString(`EXCLUDE${i}`, '', source)),
+        require: parseKeywordList(getString(`REQUIRE${i}`, '', source)),
+        priceRange: parsePriceRange(getString(`PRICE_RANGE${i}`, '', source)),
+        game: getString(`GAME${i}`, '', source).trim() || null
+      });
+    }
+  }
+  return products;
+}
+
+/**
+ * Parse category keyword hints from CATEGORY_HINTS
+ * Format: "VALORANT: wngmn, frgmt; ARCANE: jinx, vi"
+ * @param {Object<string, string>} [source] - Env values (default process.env)
+ * @returns {Object<string, string[]>} Category title → keywords; empty when unset
+ */
+function parseEnvCategoryHints(source = process.env) {
+  const hints = {};
+  for (const entry of getString('CATEGORY_HINTS', '', source).split(';')) {
+    const [category, ...rest] = entry.split(':');
+    const keywords = parseKeywordList(rest.join(':'));
+    if (category && category.trim() && keywords.length > 0) {
+      hints[category.trim()] = keywords;
+    }
+  }
+  return hints;
+}
+
+/**
+ * Parse variant options for a product
+ * Format: "size=L, color=Black" (option names are case-insensitive)
+ * @param {string} value
+ * @returns {Object<string, string>}
+ */
+function parseVariantOptions(value) {
+  const options = {};
+  for (const pair of String(value || '').split(/[,;]/)) {
+    const [name, ...rest] = pair.split('=');
+    const optionValue = rest.join('=').trim();
+    if (name && name.trim() && optionValue) {
+      options[name.trim().toLowerCase()] = optionValue;
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse a comma separated keyword list
+ * @param {string} value - e.g. "bundle, 2-pack, pin"
+ * @returns {string[]}
+ */
+function parseKeywordList(value) {
+  return String(value || '').split(/[,;]/).map(k => k.trim()).filter(k => k);
+}
+
+/**
+ * Parse a price range
+ * Format: "10-40", "-40" (max only) or "10-" (min only); unparseable bounds become NaN so validation reports them
+ * @param {string} value
+ * @returns {{min: number|null, max: number|null}|null} null if empty
+ */
+function parsePriceRange(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const [minText = '', maxText = ''] = text.split(/\s*-\s*/);
+  const bound = part => (part.trim() === '' ? null : Number(part.replace(/[$,\s]/g, '')));
+  return { min: bound(minText), max: bound(maxText) };
+}
+
+module.exports = {
+  parseEnvAccounts,
+  parseEnvProducts,
+  parseEnvCategoryHints,
+  parseKeywordList
+};
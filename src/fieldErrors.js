@@ -0,0 +1,109 @@
+/**
+ * Checkout field errors
+ * When a checkout step rejects a value, the inline message next to the field is mapped back to
+ * the config field that fed it (CHECKOUT.zip, PAYMENT.cardNumber, ...) so the run stops with
+ * what was typed and what the store said, instead of failing later on a missing Pay now button.
+ */
+const { maskSensitive } = require('./util.js');
+
+// Config fields typed into checkout forms. hint matches a control's name / id / autocomplete, an
+// error element's id, or the message itself; first match wins, so narrower fields come first.
+// mask: characters left visible in reports (card number last 4, phone last 2), 0 hides the value completely.
+const CHECKOUT_FIELDS = [
+  { path: 'CHECKOUT.email', label: 'Email', hint: /e-?mail/i },
+  { path: 'CHECKOUT.phone', label: 'Phone', hint: /phone|\btel\b/i, mask: 2 },
+  { path: 'CHECKOUT.firstName', label: 'First Name', hint: /first.?name|given.?name/i },
+  { path: 'CHECKOUT.lastName', label: 'Last Name', hint: /last.?name|family.?name|surname/i },
+  { path: 'CHECKOUT.zip', label: 'ZIP Code', hint: /zip|postal/i },
+  { path: 'CHECKOUT.country', label: 'Country', hint: /country/i },
+  { path: 'CHECKOUT.city', label: 'City', hint: /city|address.?level2/i },
+  { path: 'CHECKOUT.state', label: 'State', hint: /state|province|region|address.?level1/i },
+  { path: 'CHECKOUT.address2', label: 'Address Line 2', hint: /address.?(line.?)?2|apartment|suite/i },
+  { path: 'CHECKOUT.address1', label: 'Address Line 1', hint: /address|street/i },
+  { path: 'PAYMENT.cardCvv', label: 'CVV', hint: /cvv|cvc|csc|security.?code/i, mask: 0 },
+  { path: 'PAYMENT.cardExpYear', label: 'Expiry Year', hint: /year/i, mask: 0 },
+  // A combined MM/YY field is typed from month + year; reported under the month
+  { path: 'PAYMENT.cardExpMonth', label: 'Expiry', hint: /expir|exp.?date|cc.?exp|month/i, mask: 0 },
+  { path: 'PAYMENT.cardNumber', label: 'Card Number', hint: /card.?number|cc.?number|^number$/i, mask: 4 },
+  { path: 'DISCOUNT_CODE', label: 'Discount Code', hint: /discount|promo|coupon/i },
+];
+
+/**
+ * Checkout field for a config path
+ * @param {string} path - e.g. 'CHECKOUT.zip'
+ * @returns {Object|null} CHECKOUT_FIELDS entry
+ */
+function checkoutField(path) {
+  return CHECKOUT_FIELDS.find(f => f.path === path) || null;
+}
+
+/**
+ * Value as it may appear in logs and reports
+ * @param {string|null} path - Config path
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function maskFieldValue(path, value) {
+  if (value === null || value === undefined) return null;
+  const field = checkoutField(path);
+  if (!field || field.mask === undefined) return value;
+  return field.mask > 0 ? maskSensitive(value, field.mask) : '****';
+}
+
+/**
+ * Map an inline error back to the config field that fed it
+ * The control the message belongs to is matched against the filled fields by name / id first;
+ * otherwise the control's attributes, the error element's id and finally the message are matched
+ * against the field hints.
+ * @param {Object} error
+ * @param {string} error.message - Text shown by the store
+ * @param {string|null} [error.errorId] - id of the error element ("error-zip")
+ * @param {{name: string|null, id: string|null, autocomplete: string|null}|null} [error.control] - Field the message is attached to
+ * @param {Array<{path: string, label: string, value: string, name: string|null, id: string|null}>} filled - Fields FormFiller filled
+ * @returns {{field: string|null, path: string|null, value: string|null, message: string}}
+ *   value is what was typed (masked where sensitive), null if the field wasn't filled by the bot
+ */
+function matchFieldError(error, filled) {
+  const control = error.control || {};
+  let entry = filled.find(f =>
+    (control.name && f.name === control.name) || (control.id && f.id === control.id));
+
+  let field = entry ? checkoutField(entry.path) : null;
+  if (!field) {
+    const clues = [control.name, control.id, control.autocomplete, error.errorId, error.message].filter(Boolean);
+    for (const clue of clues) {
+      field = CHECKOUT_FIELDS.find(f => f.hint.test(clue));
+      if (field) break;
+    }
+    entry = field ? filled.find(f => f.path === field.path) : null;
+  }
+
+  if (!field) {
+    return { field: null, path: null, value: null, message: error.message };
+  }
+  return {
+    field: field.label,
+    path: field.path,
+    value: entry ? maskFieldValue(field.path, entry.value) : null,
+    message: error.message
+  };
+}
+
+/**
+ * One-line description of a field error
+ * @param {{field: string|null, path: string|null, value: string|null, message: string}} fieldError
+ * @returns {string} e.g. 'CHECKOUT.zip "1234": Enter a valid ZIP code'
+ */
+function describeFieldError(fieldError) {
+  const where = fieldError.path || 'page';
+  const value = fieldError.value !== null ? ` "${fieldError.value}"` : '';
+  return `${where}${value}: ${fieldError.message}`;
+}
+
+module.exports = {
+  CHECKOUT_FIELDS,
+  checkoutField,
+  maskFieldValue,
+  matchFieldError,
+  describeFieldError
+};
@@ -0,0 +1,176 @@
+/**
+ * Local order ledger for Riot Merch Bot
+ * - Every placed order is appended to logs/orders-ledger.json (order number, total, items)
+ * - Before a FULL_SEND run, configured products already ordered within LEDGER_WINDOW_HOURS
+ *   (same store, same account) are refused unless ALLOW_DUPLICATE_ORDERS=1
+ */
+const fs = require('fs');
+const path = require('path');
+const { log, normalizeText, getRunContext, getAccountContext, LOG_DIR } = require('./util.js');
+const { matcherFromConfig } = require('./matching.js');
+
+const LEDGER_FILE = path.join(LOG_DIR, 'orders-ledger.json');
+
+/**
+ * Load the ledger
+ * A missing or unreadable file is treated as empty so the run isn't blocked; an unreadable one is
+ * logged and flagged so recordOrder moves it aside instead of overwriting it.
+ * @param {string} [file]
+ * @returns {{version: number, orders: Array<Object>, unreadable?: boolean}}
+ */
+function loadLedger(file = LEDGER_FILE) {
+  if (!fs.existsSync(file)) {
+    return { version: 1, orders: [] };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { version: 1, orders: Array.isArray(data.orders) ? data.orders : [] };
+  } catch (err) {
+    log('WARN', `Order ledger ${file} is unreadable (${err.message}) - duplicate order check has nothing to go on`);
+    return { version: 1, orders: [], unreadable: true };
+  }
+}
+
+/**
+ * Append an order to the ledger
+ * Written to a temp file and renamed so a crash mid-write can't corrupt the ledger.
+ * @param {Object} order
+ * @param {string|null} order.orderNumber
+ * @param {string} order.store - Store host
+ * @param {string|null} order.account - Account username (null = browser session)
+ * @param {number|null} order.total
+ * @param {Array<{title: string, variant: string|null, quantity: number|null, unitPrice: number|null}>} order.items
+ * @param {boolean} [order.unconfirmed] - Submitted but no confirmation page seen (stored as unconfirmed: true)
+ * @param {string} [file]
+ * @returns {Object} The stored entry
+ */
+function recordOrder(order, file = LEDGER_FILE) {
+  const ledger = loadLedger(file);
+  if (ledger.unreadable) {
+    const kept = `${file}.unreadable-${Date.now()}`;
+    fs.renameSync(file, kept);
+    log('WARN', `Unreadable order ledger moved to ${kept} - starting a new one`);
+  }
+
+  const entry = {
+    orderNumber: order.orderNumber || null,
+    placedAt: order.placedAt || new Date().toISOString(),
+    runId: getRunContext().runId,
+    store: order.store,
+    account: order.account || null,
+    total: order.total ?? null,
+    items: (order.items || []).map(item => ({
+      title: item.title,
+      variant: item.variant || null,
+      quantity: item.quantity ?? null,
+      unitPrice: item.unitPrice ?? null
+    })),
+    ...(order.unconfirmed ? { unconfirmed: true } : {})
+  };
+  ledger.orders.push(entry);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: ledger.version, orders: ledger.orders }, null, 2));
+  fs.renameSync(tmp, file);
+
+  log('OK', `Order ${entry.orderNumber || '(number unknown)'} recorded in ledger${entry.unconfirmed ? ' as unconfirmed' : ''}`);
+  return entry;
+}
+
+/**
+ * Ledger key for the account currently running (username in multi-account mode)
+ * @param {Object} config - Bot configuration
+ * @returns {string|null}
+ */
+function currentAccountKey(config) {
+  const index = getAccountContext();
+  const account = index >= 0 ? (config.RIOT_ACCOUNTS || [])[index] : null;
+  return account ? account.username : null;
+}
+
+/**
+ * Store host for ledger entries
+ * @param {Object} config - Bot configuration
+ * @returns {string}
+ */
+function storeKey(config) {
+  try {
+    return new URL(config.URL).host;
+  } catch {
+    return String(config.URL || '');
+  }
+}
+
+/**
+ * Whether a ledger item is the configured product
+ * Titles are fuzzy-matched against the product's names; when the product specifies
+ * options, every option value must also appear in the ordered variant.
+ * @param {{title: string, variant: string|null}} item
+ * @param {{names: string[], options: Object<string, string>}} product
+ * @param {{match: Function}} matcher - From matcherFromConfig
+ * @returns {boolean}
+ */
+function itemMatchesProduct(item, product, matcher) {
+  if (!item.title || !matcher.match(item.title, product.names).matched) {
+    return false;
+  }
+  const values = Object.values(product.options || {});
+  if (values.length === 0 || !item.variant) {
+    return true;
+  }
+  const words = ` ${normalizeText(item.variant)} `;
+  return values.every(value => words.includes(` ${normalizeText(value)} `));
+}
+
+/**
+ * Find configured products already ordered within the ledger window
+ * Unconfirmed orders (submitted, no confirmation page seen) count too - they may have gone through.
+ * @param {Object} config - Bot configuration
+ * @param {Object} options
+ * @param {Array<Object>} options.products - Products to check (default config.PRODUCTS)
+ * @param {string|null} options.account - Account key (default: current account)
+ * @param {Date} options.now - Current time
+ * @param {string} options.file - Ledger file
+ * @returns {Array<{product: Object, order: Object, message: string}>} One entry per blocked product (most recent order)
+ */
+function findDuplicateOrders(config, options = {}) {
+  const products = options.products || config.PRODUCTS;
+  const account = options.account !== undefined ? options.account : currentAccountKey(config);
+  const now = options.now || new Date();
+  const windowMs = Math.max(0, config.LEDGER_WINDOW_HOURS || 0) * 60 * 60 * 1000;
+  const store = storeKey(config);
+  const matcher = matcherFromConfig(config);
+
+  const recent = loadLedger(options.file).orders
+    .filter(order => order.store === store && (order.account || null) === account)
+    .filter(order => now - new Date(order.placedAt) <= windowMs)
+    .sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+
+  const duplicates = [];
+  for (const product of products) {
+    for (const order of recent) {
+      const item = (order.items || []).find(i => itemMatchesProduct(i, product, matcher));
+      if (item) {
+        const hours = ((now - new Date(order.placedAt)) / 3600000).toFixed(1);
+        duplicates.push({
+          product,
+          order,
+          message: `"${item.title}"${item.variant ? ` [${item.variant}]` : ''} already ordered ${hours}h ago (order ${order.orderNumber || 'unknown'}${order.unconfirmed ? ', unconfirmed' : ''})`
+        });
+        break;
+      }
+    }
+  }
+  return duplicates;
+}
+
+module.exports = {
+  LEDGER_FILE,
+  loadLedger,
+  recordOrder,
+  currentAccountKey,
+  storeKey,
+  itemMatchesProduct,
+  findDuplicateOrders
+};
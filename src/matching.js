@@ -0,0 +1,447 @@
+/**
+ * Product title matching for Riot Merch Bot
+ * One scoring path for every decision and log line: a matcher scores a listing title against
+ * a product's names, and the same score decides eligibility (score >= FUZZY_THRESHOLD) and ranking.
+ *
+ * Score tiers (per name, best name wins):
+ *   1.0        exact match after normalization
+ *   0.80-0.95  title contains the name (more extra words = lower)
+ *   0.80-0.90  title has every word of the name, with other words in between
+ *   0.71-0.80  title has most of the name's words (>= 70%, numbers count)
+ *   0.70-0.80  name contains the title - the listing lacks some requested words
+ *   0-0.80     MATCH_STRATEGY similarity × 0.8: 'dice' (bigrams), 'token-set' or 'jaro-winkler' (per word)
+ *
+ * With stylised normalization (MATCH_STYLISED, default on) vowel-less tokens like "VLRNT",
+ * "FRGMT" and "WNGMN" are treated as the words they abbreviate, and slashed or dotted
+ * names ("K/DA", "T.F.T") are read as one word, before any scoring.
+ */
+const stringSimilarity = require('string-similarity');
+
+const STRATEGIES = ['dice', 'token-set', 'jaro-winkler'];
+
+// Share of the name's words that must appear in the title for the word-coverage tier
+const WORD_COVERAGE_MIN = 0.7;
+
+// Similarity is weaker evidence than containment: it is scaled into the 0-0.8 band so it never
+// outranks a contains match ("Wingman Plush" is a token subset of "VLRNT // FRGMT WNGMN Keychain Plush",
+// which token-set alone would score 1.0)
+const SIMILARITY_WEIGHT = 0.8;
+
+/**
+ * Normalize text for comparison
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')  // Remove special chars
+    .replace(/\s+/g, ' ')       // Normalize whitespace
+    .trim();
+}
+
+/**
+ * Check a title against keyword constraints
+ * Keywords match whole words after normalization ("2-pack" matches "Plush 2-Pack", "pin" doesn't match "Spinner").
+ * @param {string} title
+ * @param {Object} constraints
+ * @param {string[]} constraints.exclude - Titles containing any of these are rejected
+ * @param {string[]} constraints.require - Titles must contain all of these
+ * @returns {string|null} Why the title was rejected, or null if it passes
+ */
+function titleExclusion(title, constraints = {}) {
+  const words = ` ${normalizeText(title)} `;
+  const has = keyword => words.includes(` ${normalizeText(keyword)} `);
+
+  const excluded = (constraints.exclude || []).find(has);
+  if (excluded) {
+    return `contains excluded keyword "${excluded}"`;
+  }
+  const missing = (constraints.require || []).find(keyword => !has(keyword));
+  if (missing) {
+    return `missing required keyword "${missing}"`;
+  }
+  return null;
+}
+
+/**
+ * Whether a token is written in stylised form (letters only, no vowels, e.g. "vlrnt")
+ * @param {string} token - Normalized token
+ * @returns {boolean}
+ */
+function isStylised(token) {
+  return token.length >= 3 && /^[a-z]+$/.test(token) && !/[aeiouy]/.test(token);
+}
+
+/**
+ * Whether a stylised token abbreviates a word
+ * Same first letter, the token's letters appear in order among the word's consonants
+ * and cover at least 80% of them ("frgmt" → "fragment", "wngmn" → "wingman").
+ * @param {string} token - Stylised token
+ * @param {string} word - Plain word
+ * @returns {boolean}
+ */
+function abbreviates(token, word) {
+  if (!isStylised(token) || isStylised(word) || token[0] !== word[0]) {
+    return false;
+  }
+  const consonants = word.replace(/[aeiouy]/g, '');
+  let i = 0;
+  for (const ch of consonants) {
+    if (ch === token[i]) i++;
+  }
+  return i === token.length && token.length >= consonants.length * 0.8;
+}
+
+/**
+ * Whether two normalized tokens name the same word
+ * @param {string} a
+ * @param {string} b
+ * @param {boolean} stylised - Accept stylised abbreviations
+ * @returns {boolean}
+ */
+function sameToken(a, b, stylised) {
+  if (a === b || a === `${b}s` || b === `${a}s`) {
+    return true;
+  }
+  return stylised && (abbreviates(a, b) || abbreviates(b, a));
+}
+
+/**
+ * Split text into normalized tokens
+ * @param {string} text
+ * @param {boolean} stylised - Join slashed / dotted names ("K/DA" → "kda")
+ * @returns {string[]}
+ */
+function tokenize(text, stylised) {
+  const joined = stylised ? text.replace(/(?<=\w)[/.](?=\w)/g, '') : text;
+  return normalizeText(joined).split(' ').filter(t => t);
+}
+
+/**
+ * Rewrite the title's tokens in the name's spelling where they are the same word
+ * so that every later comparison works on plain text
+ * @param {string[]} titleTokens
+ * @param {string[]} nameTokens
+ * @param {boolean} stylised
+ * @returns {string[]}
+ */
+function alignTokens(titleTokens, nameTokens, stylised) {
+  return titleTokens.map(token => nameTokens.find(n => sameToken(token, n, stylised)) || token);
+}
+
+/**
+ * Share of the longer text's words that the shorter text covers (0-1)
+ * @param {string[]} shorter - Tokens contained in longer
+ * @param {string[]} longer
+ * @returns {number}
+ */
+function wordRatio(shorter, longer) {
+  return longer.length > 0 ? shorter.length / longer.length : 0;
+}
+
+/**
+ * Longest-common-subsequence ratio of two strings (0-1), 2·LCS / (|a| + |b|)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function lcsRatio(a, b) {
+  if (!a.length && !b.length) return 1;
+  let prev = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const row = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], row[j - 1]);
+    }
+    prev = row;
+  }
+  return (2 * prev[b.length]) / (a.length + b.length);
+}
+
+/**
+ * Token-set ratio: compares the shared words with each side's leftovers,
+ * so word order and duplicated words don't matter
+ * @param {string[]} a - Tokens
+ * @param {string[]} b - Tokens
+ * @returns {number} 0-1
+ */
+function tokenSetRatio(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(t => setB.has(t)).sort();
+  const onlyA = [...setA].filter(t => !setB.has(t)).sort();
+  const onlyB = [...setB].filter(t => !setA.has(t)).sort();
+
+  const base = shared.join(' ');
+  const withA = [base, ...onlyA].filter(s => s).join(' ');
+  const withB = [base, ...onlyB].filter(s => s).join(' ');
+  if (!base) {
+    return lcsRatio(withA, withB);
+  }
+  return Math.max(lcsRatio(base, withA), lcsRatio(base, withB), lcsRatio(withA, withB));
+}
+
+/**
+ * Jaro-Winkler similarity (0-1) - favours strings sharing a prefix
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (!matchedB[j] && a[i] === b[j]) {
+        matchedA[i] = matchedB[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!matchedA[i]) continue;
+    while (!matchedB[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Word-level Jaro-Winkler: every name word is paired with its closest title word and the
+ * pair scores are averaged, so extra words in a long title don't drown out the name
+ * @param {string[]} titleTokens
+ * @param {string[]} nameTokens
+ * @returns {number} 0-1
+ */
+function wordJaroWinkler(titleTokens, nameTokens) {
+  if (nameTokens.length === 0) return 0;
+  const total = nameTokens.reduce((sum, word) => sum + Math.max(0, ...titleTokens.map(t => jaroWinkler(t, word))), 0);
+  return total / nameTokens.length;
+}
+
+/**
+ * Similarity of two token lists under a strategy
+ * @param {string} strategy - One of STRATEGIES
+ * @param {string[]} titleTokens
+ * @param {string[]} nameTokens
+ * @returns {number} 0-1
+ */
+function similarity(strategy, titleTokens, nameTokens) {
+  switch (strategy) {
+    case 'token-set':
+      return tokenSetRatio(titleTokens, nameTokens);
+    case 'jaro-winkler':
+      return wordJaroWinkler(titleTokens, nameTokens);
+    default:
+      return stringSimilarity.compareTwoStrings(titleTokens.join(' '), nameTokens.join(' '));
+  }
+}
+
+/**
+ * Whether tokens contain needle as a contiguous run
+ * @param {string[]} tokens
+ * @param {string[]} needle
+ * @returns {boolean}
+ */
+function containsRun(tokens, needle) {
+  return ` ${tokens.join(' ')} `.includes(` ${needle.join(' ')} `);
+}
+
+/**
+ * Whether text contains a phrase as whole words (stylised spellings accepted)
+ * @param {string} text - e.g. "VLRNT // FRGMT WNGMN Keychain Plush"
+ * @param {string} phrase - e.g. "valorant", "wild rift"
+ * @param {boolean} [stylised] - Stylised-text normalization (default true)
+ * @returns {boolean}
+ */
+function containsPhrase(text, phrase, stylised = true) {
+  const words = tokenize(phrase, stylised);
+  const tokens = alignTokens(tokenize(text, stylised), words, stylised);
+  return words.length > 0 && containsRun(tokens, words);
+}
+
+/**
+ * Score a title against one name
+ * @param {string} title
+ * @param {string} name
+ * @param {{strategy: string, stylised: boolean}} options
+ * @returns {{score: number, rule: 'exact'|'contains'|'contained'|'words'|string}}
+ */
+function scoreName(title, name, options) {
+  const nameTokens = tokenize(name, options.stylised);
+  const titleTokens = alignTokens(tokenize(title, options.stylised), nameTokens, options.stylised);
+  if (nameTokens.length === 0 || titleTokens.length === 0) {
+    return { score: 0, rule: options.strategy };
+  }
+
+  if (titleTokens.join(' ') === nameTokens.join(' ')) {
+    return { score: 1, rule: 'exact' };
+  }
+  // Contains match - high score, less for every extra word ("Keychain Plush 2-Pack" < "Keychain Plush")
+  if (containsRun(titleTokens, nameTokens)) {
+    return { score: 0.8 + 0.15 * wordRatio(nameTokens, titleTokens), rule: 'contains' };
+  }
+  if (nameTokens.every(t => titleTokens.includes(t))) {
+    return { score: 0.8 + 0.1 * wordRatio(nameTokens, titleTokens), rule: 'words' };
+  }
+
+  let best = { score: SIMILARITY_WEIGHT * similarity(options.strategy, titleTokens, nameTokens), rule: options.strategy };
+
+  // Word coverage - most of the name's significant words appear in the title, in any order
+  const significant = nameTokens.filter(t => t.length > 2 || /\d/.test(t));
+  if (significant.length > 0) {
+    const coverage = significant.filter(t => titleTokens.includes(t)).length / significant.length;
+    const score = 0.5 + 0.3 * coverage;
+    if (coverage >= WORD_COVERAGE_MIN && score > best.score) {
+      best = { score, rule: 'words' };
+    }
+  }
+
+  // The listing is a shorter form of the name - it may lack exactly what tells variants apart
+  if (containsRun(nameTokens, titleTokens)) {
+    const score = 0.7 + 0.1 * wordRatio(titleTokens, nameTokens);
+    if (score > best.score) {
+      best = { score, rule: 'contained' };
+    }
+  }
+  return best;
+}
+
+/**
+ * Create a matcher
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - One of STRATEGIES (default 'dice')
+ * @param {number} [options.threshold] - Minimum score for a match (default 0.5)
+ * @param {boolean} [options.stylised] - Stylised-text normalization (default true)
+ * @returns {{strategy: string, threshold: number, score: Function, match: Function}}
+ */
+function createMatcher(options = {}) {
+  const settings = {
+    strategy: STRATEGIES.includes(options.strategy) ? options.strategy : 'dice',
+    threshold: typeof options.threshold === 'number' ? options.threshold : 0.5,
+    stylised: options.stylised !== false
+  };
+
+  /**
+   * Best score of a title against a product's names
+   * @param {string} title - Listing / line item title
+   * @param {string[]} names - Product names/synonyms
+   * @param {Object} [constraints] - Keyword constraints checked before scoring (see titleExclusion)
+   * @returns {{score: number, matchedAgainst: string|null, rule: string|null, excluded?: string}}
+   */
+  const score = (title, names, constraints = {}) => {
+    const excluded = titleExclusion(title, constraints);
+    if (excluded) {
+      return { score: 0, matchedAgainst: null, rule: null, excluded };
+    }
+
+    let best = { score: 0, matchedAgainst: names[0] || null, rule: null };
+    for (const name of names) {
+      const result = scoreName(title, name, settings);
+      if (result.score > best.score) {
+        best = { score: result.score, matchedAgainst: name, rule: result.rule };
+      }
+    }
+    return best;
+  };
+
+  /**
+   * Whether a title matches a product's names
+   * @param {string} title
+   * @param {string[]} names
+   * @param {Object} [constraints]
+   * @returns {{matched: boolean, score: number, matchedName: string|null, rule: string|null, excluded?: string}}
+   */
+  const match = (title, names, constraints = {}) => {
+    const result = score(title, names, constraints);
+    return {
+      matched: !result.excluded && result.score >= settings.threshold,
+      score: result.score,
+      matchedName: result.matchedAgainst,
+      rule: result.rule,
+      ...(result.excluded ? { excluded: result.excluded } : {})
+    };
+  };
+
+  return { ...settings, score, match };
+}
+
+/**
+ * Create the matcher configured for a run
+ * @param {Object} config - Bot configuration
+ * @returns {ReturnType<typeof createMatcher>}
+ */
+function matcherFromConfig(config) {
+  return createMatcher({
+    strategy: config.MATCH_STRATEGY,
+    threshold: config.FUZZY_THRESHOLD,
+    stylised: config.MATCH_STYLISED
+  });
+}
+
+/**
+ * Rank listing titles for a product and pick one
+ * The best eligible title must lead the runner-up by margin, otherwise the result is 'ambiguous'.
+ * Titles are expected to be deduplicated by the caller.
+ * @param {ReturnType<typeof createMatcher>} matcher
+ * @param {string[]} titles - Listing titles in page order
+ * @param {string[]} names - Product names/synonyms
+ * @param {Object} [options]
+ * @param {number} [options.margin] - MATCH_MARGIN
+ * @param {Object} [options.constraints] - Keyword constraints
+ * @returns {{status: 'found'|'ambiguous'|'not_found', best: Object|null, runnerUp: Object|null, candidates: Array<{index: number, title: string, score: number, matchedAgainst: string|null, rule: string|null, eligible: boolean, excluded?: string}>}}
+ */
+function pickBestMatch(matcher, titles, names, options = {}) {
+  const candidates = titles.map((title, index) => {
+    const result = matcher.score(title, names, options.constraints);
+    return {
+      index,
+      title,
+      score: result.score,
+      matchedAgainst: result.matchedAgainst,
+      rule: result.rule,
+      eligible: !result.excluded && result.score >= matcher.threshold,
+      ...(result.excluded ? { excluded: result.excluded } : {})
+    };
+  });
+
+  const ranked = candidates.filter(c => c.eligible).sort((a, b) => b.score - a.score);
+  const [best = null, runnerUp = null] = ranked;
+  if (!best) {
+    return { status: 'not_found', best: null, runnerUp: null, candidates };
+  }
+  if (runnerUp && best.score - runnerUp.score < (options.margin || 0)) {
+    return { status: 'ambiguous', best: null, runnerUp: null, candidates };
+  }
+  return { status: 'found', best, runnerUp, candidates };
+}
+
+module.exports = {
+  STRATEGIES,
+  normalizeText,
+  titleExclusion,
+  containsPhrase,
+  tokenSetRatio,
+  jaroWinkler,
+  createMatcher,
+  matcherFromConfig,
+  pickBestMatch
+};
@@ -0,0 +1,201 @@
+/**
+ * Fixture catalog for the mock storefront
+ * Titles mirror the style of real Riot Merch listings (stylised names, bundles, near-duplicates)
+ * so discovery and matching behave like they do against the live site.
+ *
+ * Prices are in cents (Shopify convention) - the cart API returns them as-is.
+ * status: 'in_stock' | 'sold_out' | 'preorder'
+ * limit: maximum quantity per customer (0 = no limit)
+ * options: variant pickers [{name, values, style: 'radio'|'select'|'buttons'}] (optional)
+ * soldOutVariants: variant titles ("L / White") that are sold out while the product is in stock
+ */
+
+const CATEGORIES = [
+  { handle: 'valorant', title: 'VALORANT' },
+  { handle: 'league-of-legends', title: 'LEAGUE OF LEGENDS' },
+  { handle: 'teamfight-tactics', title: 'TEAMFIGHT TACTICS' },
+  { handle: 'arcane', title: 'ARCANE' },
+];
+
+const PRODUCTS = [
+  // ----- VALORANT -----
+  { handle: 'vlrnt-frgmt-wngmn-keychain-plush', title: 'VLRNT // FRGMT WNGMN Keychain Plush', category: 'valorant', type: 'Plush', price: 2400, status: 'in_stock', limit: 2 },
+  { handle: 'vlrnt-frgmt-wngmn-keychain-plush-2-pack', title: 'VLRNT // FRGMT WNGMN Keychain Plush 2-Pack', category: 'valorant', type: 'Plush', price: 4400, status: 'in_stock', limit: 0 },
+  { handle: 'wingman-plush', title: 'Wingman Plush', category: 'valorant', type: 'Plush', price: 3500, status: 'in_stock', limit: 0 },
+  { handle: 'valorant-spike-keychain', title: 'VALORANT Spike Keychain', category: 'valorant', type: 'Accessories', price: 1800, status: 'in_stock', limit: 0 },
+  { handle: 'valorant-radianite-pin-set', title: 'VALORANT Radianite Pin Set', category: 'valorant', type: 'Pins', price: 2000, status: 'in_stock', limit: 0 },
+  { handle: 'valorant-reyna-statue', title: 'VALORANT Reyna Statue', category: 'valorant', type: 'Statues', price: 20000, status: 'preorder', limit: 1 },
+  {
+    handle: 'valorant-jett-hoodie', title: 'VALORANT Jett Hoodie', category: 'valorant', type: 'Apparel', price: 7000, status: 'in_stock', limit: 0,
+    options: [
+      { name: 'Size', values: ['S', 'M', 'L', 'XL'], style: 'radio' },
+      { name: 'Color', values: ['Black', 'White'], style: 'select' },
+    ],
+    soldOutVariants: ['L / White'],
+  },
+  { handle: 'valorant-champions-2025-tee', title: 'VALORANT Champions 2025 Tee', category: 'valorant', type: 'Apparel', price: 3500, status: 'sold_out', limit: 0 },
+  { handle: 'valorant-prime-vandal-replica', title: 'VALORANT Prime Vandal Replica', category: 'valorant', type: 'Collectibles', price: 15000, status: 'in_stock', limit: 1 },
+  { handle: 'valorant-sage-figure', title: 'VALORANT Sage Figure', category: 'valorant', type: 'Figures', price: 4000, status: 'in_stock', limit: 0 },
+  { handle: 'valorant-neon-lightning-mousepad', title: 'VALORANT Neon Lightning Mousepad', category: 'valorant', type: 'Accessories', price: 3000, status: 'in_stock', limit: 0 },
+  { handle: 'valorant-killjoy-bot-plush', title: 'VALORANT Killjoy Bot Plush', category: 'valorant', type: 'Plush', price: 3200, status: 'in_stock', limit: 0 },
+
+  // ----- LEAGUE OF LEGENDS -----
+  { handle: 'poro-plush', title: 'Poro Plush', category: 'league-of-legends', type: 'Plush', price: 2500, status: 'in_stock', limit: 0 },
+  { handle: 'jinx-unlocked-statue', title: 'Jinx Unlocked Statue', category: 'league-of-legends', type: 'Statues', price: 20000, status: 'sold_out', limit: 0 },
+  {
+    handle: 'worlds-2025-jacket', title: 'League of Legends Worlds 2025 Jacket', category: 'league-of-legends', type: 'Apparel', price: 12000, status: 'in_stock', limit: 0,
+    options: [
+      { name: 'Size', values: ['Small', 'Medium', 'Large', 'X-Large'], style: 'buttons' },
+    ],
+    soldOutVariants: ['X-Large'],
+  },
+  { handle: 'teemo-plush', title: 'Teemo Plush', category: 'league-of-legends', type: 'Plush', price: 2800, status: 'in_stock', limit: 0 },
+  { handle: 'ahri-figure', title: 'Ahri Figure', category: 'league-of-legends', type: 'Figures', price: 4500, status: 'in_stock', limit: 0 },
+
+  // ----- ARCANE -----
+  { handle: 'arcane-jinx-hoodie', title: 'Arcane Jinx Hoodie', category: 'arcane', type: 'Apparel', price: 7500, status: 'in_stock', limit: 0 },
+  { handle: 'arcane-enamel-pin-set', title: 'Arcane Enamel Pin Set', category: 'arcane', type: 'Pins', price: 2000, status: 'in_stock', limit: 0 },
+
+  // ----- TEAMFIGHT TACTICS -----
+  { handle: 'tft-little-legends-blind-box-series-3', title: 'TFT Little Legends Blind Box Series 3', category: 'teamfight-tactics', type: 'Collectibles', price: 1500, status: 'in_stock', limit: 0 },
+  { handle: 'pengu-plush', title: 'Pengu Plush', category: 'teamfight-tactics', type: 'Plush', price: 3000, status: 'in_stock', limit: 0 },
+];
+
+const SHIPPING_METHODS = [
+  { id: 'standard', title: 'Standard Shipping', price: 500 },
+  { id: 'express', title: 'Express Shipping', price: 1500 },
+];
+
+const COUNTRIES = ['United States', 'Canada', 'United Kingdom'];
+
+const US_STATES = [
+  { code: 'AL', name: 'Alabama' }, { code: 'AK', name: 'Alaska' }, { code: 'AZ', name: 'Arizona' },
+  { code: 'AR', name: 'Arkansas' }, { code: 'CA', name: 'California' }, { code: 'CO', name: 'Colorado' },
+  { code: 'CT', name: 'Connecticut' }, { code: 'DE', name: 'Delaware' }, { code: 'DC', name: 'District of Columbia' },
+  { code: 'FL', name: 'Florida' }, { code: 'GA', name: 'Georgia' }, { code: 'HI', name: 'Hawaii' },
+  { code: 'ID', name: 'Idaho' }, { code: 'IL', name: 'Illinois' }, { code: 'IN', name: 'Indiana' },
+  { code: 'IA', name: 'Iowa' }, { code: 'KS', name: 'Kansas' }, { code: 'KY', name: 'Kentucky' },
+  { code: 'LA', name: 'Louisiana' }, { code: 'ME', name: 'Maine' }, { code: 'MD', name: 'Maryland' },
+  { code: 'MA', name: 'Massachusetts' }, { code: 'MI', name: 'Michigan' }, { code: 'MN', name: 'Minnesota' },
+  { code: 'MS', name: 'Mississippi' }, { code: 'MO', name: 'Missouri' }, { code: 'MT', name: 'Montana' },
+  { code: 'NE', name: 'Nebraska' }, { code: 'NV', name: 'Nevada' }, { code: 'NH', name: 'New Hampshire' },
+  { code: 'NJ', name: 'New Jersey' }, { code: 'NM', name: 'New Mexico' }, { code: 'NY', name: 'New York' },
+  { code: 'NC', name: 'North Carolina' }, { code: 'ND', name: 'North Dakota' }, { code: 'OH', name: 'Ohio' },
+  { code: 'OK', name: 'Oklahoma' }, { code: 'OR', name: 'Oregon' }, { code: 'PA', name: 'Pennsylvania' },
+  { code: 'RI', name: 'Rhode Island' }, { code: 'SC', name: 'South Carolina' }, { code: 'SD', name: 'South Dakota' },
+  { code: 'TN', name: 'Tennessee' }, { code: 'TX', name: 'Texas' }, { code: 'UT', name: 'Utah' },
+  { code: 'VT', name: 'Vermont' }, { code: 'VA', name: 'Virginia' }, { code: 'WA', name: 'Washington' },
+  { code: 'WV', name: 'West Virginia' }, { code: 'WI', name: 'Wisconsin' }, { code: 'WY', name: 'Wyoming' },
+];
+
+// Codes accepted by the payment step
+const DISCOUNT_CODES = {
+  RIOT10: { title: 'RIOT10', percent: 10 },
+};
+
+/**
+ * Look up a product by handle
+ * @param {string} handle
+ * @returns {Object|null}
+ */
+function findProduct(handle) {
+  return PRODUCTS.find(p => p.handle === handle) || null;
+}
+
+/**
+ * Expand a product's options into variants (Shopify-style: one variant per option combination)
+ * Products without options have a single default variant whose id is the product handle.
+ * @param {Object} product
+ * @returns {Array<{id: string, title: string|null, options: string[], available: boolean}>}
+ */
+function productVariants(product) {
+  const available = product.status !== 'sold_out';
+  if (!product.options || product.options.length === 0) {
+    return [{ id: product.handle, title: null, options: [], available }];
+  }
+
+  let combos = [[]];
+  for (const option of product.options) {
+    combos = combos.flatMap(combo => option.values.map(value => [...combo, value]));
+  }
+
+  const soldOut = product.soldOutVariants || [];
+  return combos.map(values => {
+    const title = values.join(' / ');
+    return {
+      id: `${product.handle}--${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      title,
+      options: values,
+      available: available && !soldOut.includes(title)
+    };
+  });
+}
+
+/**
+ * Look up a product and variant by variant id (or product handle for the default variant)
+ * @param {string} id
+ * @returns {{product: Object, variant: Object}|null}
+ */
+function findVariant(id) {
+  for (const product of PRODUCTS) {
+    if (product.handle !== id && !String(id).startsWith(`${product.handle}--`)) continue;
+    const variants = productVariants(product);
+    const variant = product.handle === id ? variants[0] : variants.find(v => v.id === id);
+    if (variant) return { product, variant };
+  }
+  return null;
+}
+
+/**
+ * Look up a category by handle
+ * @param {string} handle
+ * @returns {{handle: string, title: string}|null}
+ */
+function findCategory(handle) {
+  return CATEGORIES.find(c => c.handle === handle) || null;
+}
+
+/**
+ * Products in a category ('all' returns the whole catalog)
+ * @param {string} handle
+ * @returns {Object[]}
+ */
+function productsInCategory(handle) {
+  if (handle === 'all') return PRODUCTS;
+  return PRODUCTS.filter(p => p.category === handle);
+}
+
+/**
+ * Naive storefront search: every query word must appear in the title
+ * (this is deliberately as strict as the real site search)
+ * @param {string} query
+ * @returns {Object[]}
+ */
+function searchProducts(query) {
+  const words = String(query || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w);
+  if (words.length === 0) return [];
+
+  return PRODUCTS.filter(p => {
+    const title = p.title.toLowerCase();
+    return words.every(w => title.includes(w));
+  });
+}
+
+module.exports = {
+  CATEGORIES,
+  PRODUCTS,
+  SHIPPING_METHODS,
+  COUNTRIES,
+  US_STATES,
+  DISCOUNT_CODES,
+  findProduct,
+  productVariants,
+  findVariant,
+  findCategory,
+  productsInCategory,
+  searchProducts
+};
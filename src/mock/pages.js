@@ -0,0 +1,945 @@
+/**
+ * HTML templates for the mock storefront
+ * Markup follows a typical Shopify theme (product cards, cart drawer, multi-step checkout)
+ * so the bot's selector fallbacks are exercised the same way as on the live site.
+ */
+const { CATEGORIES, SHIPPING_METHODS, COUNTRIES, US_STATES, productVariants } = require('./catalog.js');
+
+/**
+ * Escape text for HTML output
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Sitemap index pointing at the product sitemap (Shopify layout)
+ * @param {string} origin - e.g. http://127.0.0.1:4173
+ * @returns {string}
+ */
+function renderSitemapIndex(origin) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>${origin}/sitemap_products_1.xml</loc></sitemap>
+</sitemapindex>`;
+}
+
+/**
+ * Product sitemap with image titles (Shopify lists the product title as image:title)
+ * @param {string} origin
+ * @param {Object[]} products
+ * @returns {string}
+ */
+function renderProductSitemap(origin, products) {
+  const urls = products.map(product => `
+  <url>
+    <loc>${origin}/products/${escapeHtml(product.handle)}</loc>
+    <changefreq>daily</changefreq>
+    <image:image><image:title>${escapeHtml(product.title)}</image:title></image:image>
+  </url>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">${urls}
+</urlset>`;
+}
+
+/**
+ * Format cents as a USD price string
+ * @param {number} cents
+ * @returns {string}
+ */
+function formatMoney(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+const STYLES = `
+  body { font-family: Arial, sans-serif; margin: 0; color: #111; }
+  .site-header { display: flex; align-items: center; gap: 24px; padding: 12px 24px; background: #111; color: #fff; }
+  .site-header a { color: #fff; text-decoration: none; }
+  .site-nav { display: flex; gap: 16px; }
+  .nav-item { position: relative; }
+  .dropdown-menu { display: none; position: absolute; top: 100%; left: 0; background: #222; padding: 8px; min-width: 200px; z-index: 10; }
+  .dropdown-menu a { display: block; padding: 6px 8px; }
+  .has-dropdown:hover .dropdown-menu, .has-dropdown:focus-within .dropdown-menu { display: block; }
+  .account-links { display: flex; gap: 12px; margin-left: auto; }
+  main { padding: 24px; }
+  .product-grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 16px; }
+  .product-card { border: 1px solid #ddd; padding: 12px; }
+  .card__media { height: 120px; background: #eee; }
+  .badge { display: inline-block; background: #c00; color: #fff; padding: 2px 6px; font-size: 12px; }
+  .cookie-banner { position: fixed; bottom: 0; left: 0; right: 0; background: #333; color: #fff; padding: 16px; z-index: 50; }
+  .cart-drawer { position: fixed; top: 0; right: 0; bottom: 0; width: 380px; background: #fff; border-left: 1px solid #ccc; padding: 16px; z-index: 40; overflow-y: auto; }
+  .cart-item { border-bottom: 1px solid #eee; padding: 8px 0; }
+  .form-message--error, .field-error { color: #c00; }
+  .checkout { display: grid; grid-template-columns: 2fr 1fr; gap: 32px; }
+  .checkout label { display: block; margin-top: 8px; }
+  .order-summary { background: #f6f6f6; padding: 16px; }
+  .order-summary__line, .total-line, .review-block__row { display: flex; justify-content: space-between; gap: 8px; padding: 4px 0; }
+  .pagination { margin-top: 16px; display: flex; gap: 8px; }
+  .variant-picker { border: 0; padding: 0; margin: 12px 0; }
+  .visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+  .swatch, .variant-button { display: inline-block; border: 1px solid #999; padding: 6px 12px; margin-right: 6px; cursor: pointer; background: #fff; }
+  input:checked + .swatch, .variant-button[aria-pressed="true"] { border-color: #111; background: #111; color: #fff; }
+  .is-unavailable { text-decoration: line-through; color: #999; }
+`;
+
+// Client-side behaviour: cookie banner, cart drawer, AJAX add to cart, load more, checkout card frame
+const CLIENT_SCRIPT = `
+(function () {
+  function money(cents) { return '$' + (cents / 100).toFixed(2); }
+  function esc(s) { var d = document.createElement('div'); d.textContent = s == null ? '' : String(s); return d.innerHTML; }
+
+  function postJson(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(function (res) {
+      return res.json().then(function (data) { return { ok: res.ok, data: data }; });
+    });
+  }
+
+  function renderCart(cart) {
+    document.querySelectorAll('.cart-count').forEach(function (el) { el.textContent = cart.item_count; });
+    document.querySelectorAll('[data-cart-lines]').forEach(function (container) {
+      if (cart.items.length === 0) {
+        container.innerHTML = '<p class="cart-empty">Your cart is empty</p>';
+      } else {
+        container.innerHTML = cart.items.map(function (item, i) {
+          return '<div class="cart-item" data-line="' + (i + 1) + '" data-key="' + esc(item.key) + '">' +
+            '<a class="cart-item__title" href="' + esc(item.url) + '">' + esc(item.product_title) + '</a>' +
+            (item.variant_title ? '<p class="cart-item__variant">' + esc(item.variant_title) + '</p>' : '') +
+            '<span class="cart-item__price">' + money(item.price) + '</span>' +
+            '<input type="number" min="0" name="updates[]" value="' + item.quantity + '" aria-label="Quantity for ' + esc(item.product_title) + '">' +
+            '<span class="cart-item__line-price">' + money(item.final_line_price) + '</span>' +
+            '<button type="button" class="cart-remove" aria-label="Remove ' + esc(item.product_title) + '">Remove</button>' +
+            '</div>';
+        }).join('');
+      }
+    });
+    document.querySelectorAll('[data-cart-subtotal]').forEach(function (el) { el.textContent = money(cart.total_price); });
+    document.querySelectorAll('[data-cart-footer]').forEach(function (el) { el.hidden = cart.items.length === 0; });
+  }
+
+  function refreshCart() {
+    return fetch('/cart.js', { headers: { 'Accept': 'application/json' } })
+      .then(function (res) { return res.json(); })
+      .then(function (cart) { renderCart(cart); return cart; });
+  }
+
+  function changeLine(line, quantity) {
+    return postJson('/cart/change.js', { line: line, quantity: quantity }).then(function (res) { renderCart(res.data); });
+  }
+
+  function openDrawer() {
+    var drawer = document.getElementById('cart-drawer');
+    if (!drawer) return Promise.resolve();
+    return refreshCart().then(function () { drawer.hidden = false; });
+  }
+
+  document.addEventListener('click', function (e) {
+    var target = e.target;
+    if (target.closest('.cart-link') && document.getElementById('cart-drawer')) {
+      e.preventDefault();
+      openDrawer();
+      return;
+    }
+    if (target.closest('.cart-drawer__close')) {
+      document.getElementById('cart-drawer').hidden = true;
+      return;
+    }
+    if (target.closest('.cart-remove')) {
+      var item = target.closest('.cart-item');
+      changeLine(parseInt(item.getAttribute('data-line'), 10), 0);
+      return;
+    }
+    if (target.closest('[data-go-checkout]')) {
+      window.location.href = '/checkout';
+      return;
+    }
+    if (target.closest('.qty-plus') || target.closest('.qty-minus')) {
+      var input = document.getElementById('Quantity');
+      var value = parseInt(input.value, 10) || 1;
+      input.value = target.closest('.qty-plus') ? value + 1 : Math.max(1, value - 1);
+      return;
+    }
+    if (target.closest('#cookie-accept') || target.closest('#cookie-reject')) {
+      document.cookie = 'cookies_accepted=1; path=/';
+      document.getElementById('cookie-banner').remove();
+      return;
+    }
+    if (target.closest('.load-more')) {
+      var btn = target.closest('.load-more');
+      var grid = document.querySelector('.product-grid');
+      fetch(btn.getAttribute('data-url'), { headers: { 'Accept': 'text/html' } }).then(function (res) {
+        var next = res.headers.get('X-Next-Page');
+        return res.text().then(function (html) {
+          grid.insertAdjacentHTML('beforeend', html);
+          if (next) {
+            btn.setAttribute('data-url', btn.getAttribute('data-url').replace(/page=\\d+/, 'page=' + next));
+          } else {
+            btn.remove();
+          }
+        });
+      });
+    }
+  });
+
+  function commitQuantity(e) {
+    var input = e.target;
+    if (input.name !== 'updates[]') return;
+    var item = input.closest('.cart-item');
+    changeLine(parseInt(item.getAttribute('data-line'), 10), Math.max(0, parseInt(input.value, 10) || 0));
+  }
+  document.addEventListener('change', commitQuantity);
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Enter' && e.target.name === 'updates[]') {
+      e.preventDefault();
+      commitQuantity(e);
+    }
+  });
+
+  // Variant pickers: keep the hidden variant id and the Add to Cart button in sync with the selection
+  var variantData = document.getElementById('product-variants');
+  if (variantData) {
+    var variants = JSON.parse(variantData.textContent);
+    var addButton = document.querySelector('.product-form__submit');
+    var addLabel = addButton.textContent;
+    var selectedValues = function () {
+      return Array.prototype.map.call(document.querySelectorAll('[data-option-index]'), function (picker) {
+        if (picker.tagName === 'SELECT') return picker.value;
+        var checked = picker.querySelector('input:checked, [aria-pressed="true"]');
+        return checked ? (checked.value || checked.getAttribute('data-value')) : null;
+      });
+    };
+    var updateVariant = function () {
+      var title = selectedValues().join(' / ');
+      var variant = variants.filter(function (v) { return v.title === title; })[0];
+      document.querySelector('.product-form [name="id"]').value = variant ? variant.id : '';
+      var available = !!(variant && variant.available);
+      addButton.disabled = !available;
+      addButton.classList.toggle('sold-out', !available);
+      addButton.textContent = available ? addLabel : 'Sold Out';
+    };
+    document.querySelectorAll('[data-option-index]').forEach(function (picker) {
+      picker.addEventListener('change', updateVariant);
+      picker.addEventListener('click', function (e) {
+        var button = e.target.closest('.variant-button');
+        if (!button) return;
+        picker.querySelectorAll('.variant-button').forEach(function (b) { b.setAttribute('aria-pressed', b === button ? 'true' : 'false'); });
+        updateVariant();
+      });
+    });
+    updateVariant();
+  }
+
+  var productForm = document.querySelector('.product-form');
+  if (productForm) {
+    productForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      var message = productForm.querySelector('.form-message');
+      message.hidden = true;
+      var body = { id: productForm.querySelector('[name="id"]').value, quantity: parseInt(productForm.querySelector('[name="quantity"]').value, 10) || 1 };
+      postJson('/cart/add.js', body).then(function (res) {
+        if (!res.ok) {
+          message.textContent = res.data.description || 'Could not add to cart';
+          message.hidden = false;
+          return;
+        }
+        openDrawer();
+      });
+    });
+  }
+
+  var paymentForm = document.querySelector('form[data-payment-form]');
+  if (paymentForm) {
+    paymentForm.addEventListener('submit', function () {
+      var frame = document.querySelector('iframe[name="card-fields"]');
+      var doc = frame && frame.contentDocument;
+      if (!doc) return;
+      ['number', 'expiry', 'cvc', 'name'].forEach(function (field) {
+        var source = doc.querySelector('[name="' + field + '"]');
+        var hidden = paymentForm.querySelector('input[type="hidden"][name="card_' + field + '"]');
+        if (source && hidden) hidden.value = source.value;
+      });
+    });
+  }
+
+  refreshCart();
+})();
+`;
+
+/**
+ * Site header with CATEGORIES dropdown, search, account links and cart link
+ * @param {Object} session
+ * @returns {string}
+ */
+function renderHeader(session) {
+  const categoryLinks = CATEGORIES
+    .map(c => `<a href="/collections/${c.handle}">${escapeHtml(c.title)}</a>`)
+    .join('\n          ');
+
+  const accountLinks = session.signedIn
+    ? '<a href="/account">My Account</a>\n        <a href="/account/logout" class="sign-out">Sign Out</a>'
+    : '<a href="/account/login">Sign In</a>';
+
+  return `
+    <header class="site-header">
+      <a href="/" class="logo">RIOT MERCH</a>
+      <nav class="site-nav" aria-label="Main">
+        <div class="nav-item has-dropdown">
+          <a href="/collections/all" class="nav-link">CATEGORIES</a>
+          <div class="dropdown-menu">
+          ${categoryLinks}
+          </div>
+        </div>
+        <a href="/collections/all" class="nav-link">Shop All</a>
+      </nav>
+      <form action="/search" method="get" role="search" class="search-form">
+        <input type="search" name="q" placeholder="Search products" aria-label="Search products">
+        <button type="submit" aria-label="Submit search">Search</button>
+      </form>
+      <div class="account-links">
+        ${accountLinks}
+      </div>
+      <a href="/cart" class="cart-link" aria-label="Cart">Cart (<span class="cart-count">0</span>)</a>
+    </header>`;
+}
+
+/**
+ * Cookie banner - shown until accepted/rejected
+ * @param {Object} session
+ * @returns {string}
+ */
+function renderCookieBanner(session) {
+  if (session.cookiesAccepted) return '';
+  return `
+    <div id="cookie-banner" class="cookie-banner" role="dialog" aria-label="Cookie consent">
+      <p>We use cookies to run the store and improve your experience.</p>
+      <button type="button" id="cookie-accept">Accept All Cookies</button>
+      <button type="button" id="cookie-reject">Reject All</button>
+    </div>`;
+}
+
+/**
+ * Cart drawer - lines are rendered client-side from /cart.js
+ * @returns {string}
+ */
+function renderCartDrawer() {
+  return `
+    <div class="cart-drawer" id="cart-drawer" role="dialog" aria-label="Cart" hidden>
+      <div class="cart-drawer__header">
+        <h2>Your Cart</h2>
+        <button type="button" class="cart-drawer__close" aria-label="Close cart">&times;</button>
+      </div>
+      <div data-cart-lines></div>
+      <div class="cart-drawer__footer" data-cart-footer hidden>
+        <p class="cart-subtotal">Subtotal <span data-cart-subtotal></span></p>
+        <button type="button" class="checkout-button" data-go-checkout>Check out</button>
+      </div>
+    </div>`;
+}
+
+/**
+ * Storefront page layout
+ * @param {Object} session
+ * @param {string} title
+ * @param {string} body
+ * @returns {string}
+ */
+function renderLayout(session, title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - Riot Merch (mock)</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  ${renderHeader(session)}
+  <main>
+${body}
+  </main>
+  ${renderCartDrawer()}
+  ${renderCookieBanner(session)}
+  <script>${CLIENT_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+/**
+ * schema.org Product for JSON-LD blocks
+ * @param {Object} product
+ * @returns {Object}
+ */
+function productSchema(product) {
+  return {
+    '@type': 'Product',
+    name: product.title,
+    sku: product.handle,
+    url: `/products/${product.handle}`,
+    category: product.type,
+    offers: {
+      '@type': 'Offer',
+      price: (product.price / 100).toFixed(2),
+      priceCurrency: 'USD',
+      availability: product.status === 'sold_out'
+        ? 'https://schema.org/OutOfStock'
+        : product.status === 'preorder' ? 'https://schema.org/PreOrder' : 'https://schema.org/InStock'
+    }
+  };
+}
+
+/**
+ * JSON-LD script block
+ * @param {Object} data
+ * @returns {string}
+ */
+function renderJsonLd(data) {
+  const json = JSON.stringify({ '@context': 'https://schema.org', ...data }).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+/**
+ * Single product card for listings
+ * @param {Object} product
+ * @returns {string}
+ */
+function renderProductCard(product) {
+  const badge = product.status === 'sold_out'
+    ? '<span class="badge">Sold out</span>'
+    : product.status === 'preorder' ? '<span class="badge">Pre-order</span>' : '';
+
+  return `
+      <div class="product-card" data-product-handle="${escapeHtml(product.handle)}">
+        <a class="card__link" href="/products/${escapeHtml(product.handle)}">
+          <div class="card__media"></div>
+          <h3 class="card__title">${escapeHtml(product.title)}</h3>
+        </a>
+        <span class="card__price">${formatMoney(product.price)}</span>
+        ${badge}
+      </div>`;
+}
+
+/**
+ * Product cards only (used for load-more fragments)
+ * @param {Object[]} products
+ * @returns {string}
+ */
+function renderProductCards(products) {
+  return products.map(renderProductCard).join('');
+}
+
+/**
+ * Homepage with featured products
+ * @param {Object} session
+ * @param {Object[]} featured
+ * @returns {string}
+ */
+function renderHomePage(session, featured) {
+  const body = `
+    <section class="hero">
+      <h1>Official Riot Games Merch</h1>
+    </section>
+    <section class="featured">
+      <h2>Featured</h2>
+      <div class="product-grid">${renderProductCards(featured)}
+      </div>
+    </section>`;
+  return renderLayout(session, 'Home', body);
+}
+
+/**
+ * Numbered page links (Previous 1 2 3 Next)
+ * @param {string} basePath - Listing path without query
+ * @param {number} page - Current page
+ * @param {number} totalPages
+ * @returns {string}
+ */
+function renderPagination(basePath, page, totalPages) {
+  if (totalPages <= 1) return '';
+  const href = n => `${escapeHtml(basePath)}?page=${n}`;
+  const numbers = [];
+  for (let n = 1; n <= totalPages; n++) {
+    numbers.push(n === page
+      ? `<span class="pagination__current" aria-current="page">${n}</span>`
+      : `<a class="pagination__page" href="${href(n)}">${n}</a>`);
+  }
+  return `
+    <nav class="pagination" aria-label="Pagination">
+      ${page > 1 ? `<a class="pagination__prev" rel="prev" href="${href(page - 1)}">Previous</a>` : ''}
+      ${numbers.join('\n      ')}
+      ${page < totalPages ? `<a class="pagination__next" rel="next" href="${href(page + 1)}">Next</a>` : ''}
+    </nav>`;
+}
+
+/**
+ * Collection listing with a Load More button, or numbered page links
+ * @param {Object} session
+ * @param {{title: string, handle: string}} collection
+ * @param {Object[]} products - Products on this page
+ * @param {number|null} nextPage
+ * @param {{page: number, totalPages: number}|null} [numbered] - Render numbered pagination instead of Load More
+ * @returns {string}
+ */
+function renderCollectionPage(session, collection, products, nextPage, numbered = null) {
+  let loadMore = '';
+  if (numbered) {
+    loadMore = renderPagination(`/collections/${collection.handle}`, numbered.page, numbered.totalPages);
+  } else if (nextPage) {
+    loadMore = `<button type="button" class="load-more" data-url="/collections/${escapeHtml(collection.handle)}?page=${nextPage}&view=grid">Load More</button>`;
+  }
+
+  const body = `
+    <h1 class="collection__title">${escapeHtml(collection.title)}</h1>
+    <div class="product-grid">${renderProductCards(products)}
+    </div>
+    ${loadMore}
+    ${renderJsonLd({
+      '@type': 'ItemList',
+      name: collection.title,
+      itemListElement: products.map((product, index) => ({ '@type': 'ListItem', position: index + 1, item: productSchema(product) }))
+    })}`;
+  return renderLayout(session, collection.title, body);
+}
+
+/**
+ * Search results page
+ * @param {Object} session
+ * @param {string} query
+ * @param {Object[]} products
+ * @returns {string}
+ */
+function renderSearchPage(session, query, products) {
+  const results = products.length > 0
+    ? `<div class="product-grid">${renderProductCards(products)}
+    </div>`
+    : '<p class="search__empty">No results found. Try a different search.</p>';
+
+  const body = `
+    <h1>Search results for "${escapeHtml(query)}"</h1>
+    <p class="search__count">${products.length} result${products.length === 1 ? '' : 's'}</p>
+    ${results}`;
+  return renderLayout(session, `Search: ${query}`, body);
+}
+
+/**
+ * Product detail page (in stock / sold out / preorder)
+ * @param {Object} session
+ * @param {Object} product
+ * @returns {string}
+ */
+function renderProductPage(session, product) {
+  const category = CATEGORIES.find(c => c.handle === product.category);
+  const variants = productVariants(product);
+  const options = product.options || [];
+
+  let button;
+  if (product.status === 'sold_out') {
+    button = '<button type="button" name="add" class="product-form__submit sold-out" disabled>Sold Out</button>';
+  } else if (product.status === 'preorder') {
+    button = '<button type="submit" name="add" class="product-form__submit">Pre-Order</button>';
+  } else {
+    button = '<button type="submit" name="add" class="product-form__submit">Add to cart</button>';
+  }
+
+  const body = `
+    <nav class="breadcrumbs"><a href="/">Home</a> / <a href="/collections/${escapeHtml(product.category)}">${escapeHtml(category ? category.title : '')}</a></nav>
+    <div class="product-page" data-handle="${escapeHtml(product.handle)}">
+      <h1 class="product__title">${escapeHtml(product.title)}</h1>
+      <p class="product__price" data-price="${product.price}">${formatMoney(product.price)}</p>
+      <p class="product__type">${escapeHtml(product.type)}</p>
+      <form class="product-form" action="/cart/add" method="post">
+        <input type="hidden" name="id" value="${escapeHtml(variants[0].id)}">
+        ${options.map((option, index) => renderVariantPicker(product, option, index)).join('')}
+        <label for="Quantity">Quantity</label>
+        <div class="quantity">
+          <button type="button" class="qty-minus" aria-label="Decrease quantity">&minus;</button>
+          <input type="number" id="Quantity" name="quantity" value="1" min="1">
+          <button type="button" class="qty-plus" aria-label="Increase quantity">+</button>
+        </div>
+        ${button}
+        <div class="form-message form-message--error" role="alert" hidden></div>
+      </form>
+      ${options.length > 0 ? `<script type="application/json" id="product-variants">${JSON.stringify(variants).replace(/</g, '\\u003c')}</script>` : ''}
+    </div>
+    ${renderJsonLd(productSchema(product))}`;
+  return renderLayout(session, product.title, body);
+}
+
+/**
+ * Variant option picker in the style given by the catalog (radio swatches, select or button group)
+ * Values are only marked unavailable for single-option products - with several options
+ * availability depends on the combination and shows on the Add to Cart button instead.
+ * @param {Object} product
+ * @param {{name: string, values: string[], style: string}} option
+ * @param {number} index - Option position
+ * @returns {string}
+ */
+function renderVariantPicker(product, option, index) {
+  const soldOut = product.options.length === 1 ? (product.soldOutVariants || []) : [];
+  const id = value => `Option-${option.name}-${value}`.replace(/[^A-Za-z0-9-]/g, '-');
+  const name = escapeHtml(option.name);
+
+  if (option.style === 'select') {
+    return `
+        <div class="variant-picker">
+          <label for="Option-${name}">${name}</label>
+          <select id="Option-${name}" name="option-${name}" data-option-index="${index}">
+            ${option.values.map(value => `<option value="${escapeHtml(value)}"${soldOut.includes(value) ? ' disabled' : ''}>${escapeHtml(value)}${soldOut.includes(value) ? ' - Sold out' : ''}</option>`).join('')}
+          </select>
+        </div>`;
+  }
+
+  if (option.style === 'buttons') {
+    return `
+        <div class="variant-picker" role="group" aria-label="${name}" data-option-index="${index}">
+          <span class="variant-picker__label">${name}</span>
+          ${option.values.map((value, i) => `<button type="button" class="variant-button${soldOut.includes(value) ? ' is-unavailable' : ''}" data-value="${escapeHtml(value)}" aria-pressed="${i === 0 ? 'true' : 'false'}"${soldOut.includes(value) ? ' data-available="false"' : ''}>${escapeHtml(value)}</button>`).join('')}
+        </div>`;
+  }
+
+  return `
+        <fieldset class="variant-picker" data-option-index="${index}">
+          <legend>${name}</legend>
+          ${option.values.map((value, i) => `<input type="radio" class="visually-hidden" id="${id(value)}" name="option-${name}" value="${escapeHtml(value)}"${i === 0 ? ' checked' : ''}${soldOut.includes(value) ? ' data-available="false"' : ''}><label for="${id(value)}" class="swatch${soldOut.includes(value) ? ' is-unavailable' : ''}">${escapeHtml(value)}</label>`).join('')}
+        </fieldset>`;
+}
+
+/**
+ * Full cart page - lines are rendered client-side from /cart.js
+ * @param {Object} session
+ * @returns {string}
+ */
+function renderCartPage(session) {
+  const body = `
+    <h1>Your Cart</h1>
+    <div class="cart-page" data-cart-lines></div>
+    <div class="cart-page__footer" data-cart-footer hidden>
+      <p class="cart-total">Subtotal <span data-cart-subtotal></span></p>
+      <button type="button" class="checkout-button" data-go-checkout>Check out</button>
+    </div>`;
+  return renderLayout(session, 'Cart', body);
+}
+
+/**
+ * Sign in page
+ * @param {Object} session
+ * @returns {string}
+ */
+function renderLoginPage(session) {
+  const body = `
+    <h1>Sign In</h1>
+    <form method="post" action="/account/login" class="login-form">
+      <label for="username">Username</label>
+      <input id="username" name="username" type="text" autocomplete="username">
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password">
+      <button type="submit">Sign In</button>
+    </form>`;
+  return renderLayout(session, 'Sign In', body);
+}
+
+/**
+ * Account page
+ * @param {Object} session
+ * @returns {string}
+ */
+function renderAccountPage(session) {
+  const orders = session.orders.length > 0
+    ? session.orders.map(o => `<li>Order #${escapeHtml(o.number)} - ${formatMoney(o.total)}</li>`).join('')
+    : '<li>No orders yet</li>';
+
+  const body = `
+    <h1>My Account</h1>
+    <ul class="account-orders">${orders}</ul>`;
+  return renderLayout(session, 'My Account', body);
+}
+
+/**
+ * Simple 404 page
+ * @param {Object} session
+ * @returns {string}
+ */
+function renderNotFoundPage(session) {
+  return renderLayout(session, 'Not Found', '<h1>Page not found</h1>');
+}
+
+// ==========================================
+// CHECKOUT
+// ==========================================
+
+/**
+ * Order summary sidebar shown on every checkout step
+ * @param {Object} summary - From server's summarizeCheckout()
+ * @returns {string}
+ */
+function renderOrderSummary(summary) {
+  const lines = summary.lines.map(line => `
+        <div class="order-summary__line" data-handle="${escapeHtml(line.handle)}">
+          <span class="line__title">${escapeHtml(line.title)}</span>
+          <span class="line__variant">${escapeHtml(line.variantTitle || '')}</span>
+          <span class="line__quantity">Qty: ${line.quantity}</span>
+          <span class="line__unit-price">${formatMoney(line.price)}</span>
+          <span class="line__price">${formatMoney(line.price * line.quantity)}</span>
+        </div>`).join('');
+
+  const shipping = summary.shipping === null
+    ? '<span class="total-line__price">Calculated at next step</span>'
+    : `<span class="total-line__price">${formatMoney(summary.shipping)}</span>`;
+
+  const discount = summary.discount > 0
+    ? `
+        <div class="total-line total-line--discount"><span>Discount (${escapeHtml(summary.discountCode)})</span><span class="total-line__price">-${formatMoney(summary.discount)}</span></div>`
+    : '';
+
+  return `
+      <aside class="order-summary" aria-label="Order summary">
+        <h2>Order summary</h2>${lines}
+        <div class="total-line total-line--subtotal"><span>Subtotal</span><span class="total-line__price">${formatMoney(summary.subtotal)}</span></div>${discount}
+        <div class="total-line total-line--shipping"><span>Shipping</span>${shipping}</div>
+        <div class="total-line total-line--total"><span>Total</span><span class="total-line__price">USD ${formatMoney(summary.total)}</span></div>
+      </aside>`;
+}
+
+/**
+ * Contact / ship-to / method review rows shown on later checkout steps
+ * @param {Object} checkout - Session checkout state
+ * @param {boolean} includeMethod
+ * @returns {string}
+ */
+function renderReviewBlock(checkout, includeMethod) {
+  const info = checkout.information || {};
+  const address = [info.address1, info.address2, info.city, `${info.province || ''} ${info.zip || ''}`.trim(), info.country]
+    .filter(part => part && part.trim())
+    .join(', ');
+
+  let methodRow = '';
+  if (includeMethod) {
+    const method = SHIPPING_METHODS.find(m => m.id === checkout.shippingMethod) || SHIPPING_METHODS[0];
+    methodRow = `
+        <div class="review-block__row review-block__row--method"><span class="review-block__label">Method</span><span class="review-block__value">${escapeHtml(method.title)} · ${formatMoney(method.price)}</span></div>`;
+  }
+
+  return `
+      <div class="review-block">
+        <div class="review-block__row review-block__row--contact"><span class="review-block__label">Contact</span><span class="review-block__value">${escapeHtml(info.email || '')}</span><a href="/checkout/information">Change</a></div>
+        <div class="review-block__row review-block__row--ship-to"><span class="review-block__label">Ship to</span><span class="review-block__value">${escapeHtml(address)}</span><a href="/checkout/information">Change</a></div>${methodRow}
+      </div>`;
+}
+
+/**
+ * Field wrapper with optional inline error
+ * @param {Object} field
+ * @param {Object} errors - Map of field name -> message
+ * @returns {string}
+ */
+function renderField(field, errors) {
+  const error = errors[field.name];
+  const errorAttrs = error ? ` aria-invalid="true" aria-describedby="error-${field.name}"` : '';
+  const errorHtml = error ? `\n          <p class="field-error" id="error-${field.name}">${escapeHtml(error)}</p>` : '';
+
+  let control;
+  if (field.options) {
+    const options = field.options
+      .map(o => `<option value="${escapeHtml(o.value)}"${o.value === field.value ? ' selected' : ''}>${escapeHtml(o.label)}</option>`)
+      .join('');
+    control = `<select id="checkout_${field.name}" name="${field.name}" autocomplete="${field.autocomplete}"${errorAttrs}>${options}</select>`;
+  } else {
+    control = `<input id="checkout_${field.name}" type="${field.type || 'text'}" name="${field.name}" autocomplete="${field.autocomplete}" value="${escapeHtml(field.value)}"${errorAttrs}>`;
+  }
+
+  return `
+        <div class="field field--${field.name}">
+          <label for="checkout_${field.name}">${escapeHtml(field.label)}</label>
+          ${control}${errorHtml}
+        </div>`;
+}
+
+/**
+ * Checkout page layout (no storefront header, Shopify style breadcrumbs)
+ * @param {string} step
+ * @param {string} title
+ * @param {string} main
+ * @param {Object} summary
+ * @returns {string}
+ */
+function renderCheckoutLayout(step, title, main, summary) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - Checkout - Riot Merch (mock)</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main class="checkout checkout--${step}" data-step="${step}">
+    <div class="checkout__main">
+      <nav class="breadcrumbs" aria-label="Checkout steps">Information &gt; Shipping &gt; Payment</nav>
+${main}
+    </div>
+${renderOrderSummary(summary)}
+  </main>
+  <script>${CLIENT_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+/**
+ * Checkout step 1: contact + shipping address
+ * @param {Object} checkout - Session checkout state
+ * @param {Object} summary
+ * @param {Object} errors - Map of field name -> message
+ * @returns {string}
+ */
+function renderInformationStep(checkout, summary, errors = {}) {
+  const info = checkout.information || {};
+  const countryOptions = COUNTRIES.map(c => ({ value: c, label: c }));
+  const stateOptions = [{ value: '', label: 'Select a state' }].concat(US_STATES.map(s => ({ value: s.code, label: s.name })));
+
+  const contactFields = [
+    { name: 'email', label: 'Email', type: 'email', autocomplete: 'email', value: info.email },
+    { name: 'phone', label: 'Phone', type: 'tel', autocomplete: 'tel', value: info.phone },
+  ];
+  const addressFields = [
+    { name: 'country', label: 'Country', autocomplete: 'country', value: info.country || COUNTRIES[0], options: countryOptions },
+    { name: 'firstName', label: 'First name', autocomplete: 'given-name', value: info.firstName },
+    { name: 'lastName', label: 'Last name', autocomplete: 'family-name', value: info.lastName },
+    { name: 'address1', label: 'Address', autocomplete: 'address-line1', value: info.address1 },
+    { name: 'address2', label: 'Apartment, suite, etc. (optional)', autocomplete: 'address-line2', value: info.address2 },
+    { name: 'city', label: 'City', autocomplete: 'address-level2', value: info.city },
+    { name: 'province', label: 'State', autocomplete: 'address-level1', value: info.province, options: stateOptions },
+    { name: 'zip', label: 'ZIP code', autocomplete: 'postal-code', value: info.zip },
+  ];
+
+  const main = `
+      <form method="post" action="/checkout/information" novalidate>
+        <h2>Contact</h2>${contactFields.map(f => renderField(f, errors)).join('')}
+        <h2>Shipping address</h2>${addressFields.map(f => renderField(f, errors)).join('')}
+        <button type="submit" class="step__footer__continue-btn">Continue to shipping</button>
+      </form>`;
+  return renderCheckoutLayout('information', 'Information', main, summary);
+}
+
+/**
+ * Checkout step 2: shipping method
+ * @param {Object} checkout
+ * @param {Object} summary
+ * @returns {string}
+ */
+function renderShippingStep(checkout, summary) {
+  const selected = checkout.shippingMethod || SHIPPING_METHODS[0].id;
+  const methods = SHIPPING_METHODS.map(m => `
+          <label class="shipping-method">
+            <input type="radio" name="shipping_method" value="${m.id}"${m.id === selected ? ' checked' : ''}>
+            <span class="shipping-method__title">${escapeHtml(m.title)}</span>
+            <span class="shipping-method__price">${formatMoney(m.price)}</span>
+          </label>`).join('');
+
+  const main = `${renderReviewBlock(checkout, false)}
+      <form method="post" action="/checkout/shipping">
+        <h2>Shipping method</h2>
+        <fieldset class="shipping-methods">${methods}
+        </fieldset>
+        <button type="submit" class="step__footer__continue-btn">Continue to payment</button>
+      </form>`;
+  return renderCheckoutLayout('shipping', 'Shipping', main, summary);
+}
+
+/**
+ * Checkout step 3: payment (card fields in an iframe) + discount code + Pay now
+ * @param {Object} checkout
+ * @param {Object} summary
+ * @param {Object} errors - Map of field name -> message
+ * @returns {string}
+ */
+function renderPaymentStep(checkout, summary, errors = {}) {
+  const discountError = errors.discount
+    ? `\n          <p class="field-error" id="error-discount">${escapeHtml(errors.discount)}</p>`
+    : '';
+  const paymentErrors = ['card_number', 'card_expiry', 'card_cvc']
+    .filter(name => errors[name])
+    .map(name => `\n          <p class="field-error" id="error-${name}">${escapeHtml(errors[name])}</p>`)
+    .join('');
+
+  const main = `${renderReviewBlock(checkout, true)}
+      <form method="post" action="/checkout/discount" class="discount-form">
+        <label for="discount">Discount code</label>
+        <input id="discount" name="discount" type="text" value=""${errors.discount ? ' aria-invalid="true"' : ''}>
+        <button type="submit">Apply</button>${discountError}
+      </form>
+      <form method="post" action="/checkout/complete" data-payment-form>
+        <h2>Payment</h2>
+        <p>All transactions are secure and encrypted.</p>
+        <iframe name="card-fields" title="Secure payment input frame" src="/checkout/card-frame" width="420" height="220"></iframe>${paymentErrors}
+        <input type="hidden" name="card_number" value="">
+        <input type="hidden" name="card_expiry" value="">
+        <input type="hidden" name="card_cvc" value="">
+        <input type="hidden" name="card_name" value="">
+        <button type="submit" class="step__footer__continue-btn">Pay now</button>
+      </form>`;
+  return renderCheckoutLayout('payment', 'Payment', main, summary);
+}
+
+/**
+ * Card fields rendered inside the payment iframe
+ * @returns {string}
+ */
+function renderCardFrame() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Card fields</title></head>
+<body>
+  <form class="card-fields" onsubmit="return false">
+    <input name="number" type="text" inputmode="numeric" placeholder="Card number" autocomplete="cc-number">
+    <input name="expiry" type="text" placeholder="MM / YY" autocomplete="cc-exp">
+    <input name="cvc" type="text" placeholder="Security code (CVC)" autocomplete="cc-csc">
+    <input name="name" type="text" placeholder="Name on card" autocomplete="cc-name">
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * Order confirmation page
+ * @param {Object} order
+ * @returns {string}
+ */
+function renderThankYouPage(order) {
+  const main = `
+      <div class="order-confirmation">
+        <h1>Thank you, ${escapeHtml(order.information.firstName || 'customer')}!</h1>
+        <p class="order-confirmation__status">Your order is confirmed</p>
+        <p class="order-number">Order number: <strong>#${escapeHtml(order.number)}</strong></p>
+        <p>A confirmation email was sent to ${escapeHtml(order.information.email)}.</p>
+        <a href="/">Continue shopping</a>
+      </div>`;
+  return renderCheckoutLayout('thank-you', 'Thank you', main, order.summary);
+}
+
+module.exports = {
+  escapeHtml,
+  formatMoney,
+  renderHomePage,
+  renderCollectionPage,
+  renderProductCards,
+  renderSearchPage,
+  renderProductPage,
+  renderCartPage,
+  renderLoginPage,
+  renderAccountPage,
+  renderNotFoundPage,
+  renderInformationStep,
+  renderShippingStep,
+  renderPaymentStep,
+  renderCardFrame,
+  renderThankYouPage,
+  renderSitemapIndex,
+  renderProductSitemap
+};
@@ -0,0 +1,659 @@
+/**
+ * Mock Riot Merch storefront
+ * Serves fixture pages (homepage, categories, search, product pages, cart, checkout)
+ * so the full bot flow can run offline against http://127.0.0.1:<port>.
+ * Structured data is served like Shopify does it: JSON-LD on product and collection pages,
+ * /products.json, /products/<handle>.js and /sitemap.xml.
+ * All Products is split into numbered pages; game collections use a Load More button.
+ *
+ * Usage:
+ *   npm run mock             - Start the storefront on MOCK_PORT (default 4173)
+ *   TEST_MODE=1 npm start    - Bot starts the storefront itself and points config.URL at it
+ *
+ * Nothing here talks to merch.riotgames.com - orders only exist in memory.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { log } = require('../util.js');
+const catalog = require('./catalog.js');
+const pages = require('./pages.js');
+
+const DEFAULT_PORT = 4173;
+const PAGE_SIZE = 8;
+
+/**
+ * Create a mock storefront server (not yet listening)
+ * @param {Object} options
+ * @param {boolean} [options.signedIn=true] - Whether new sessions start signed in
+ * @returns {{server: http.Server, start: (port?: number) => Promise<string>, stop: () => Promise<void>}}
+ */
+function createMockServer(options = {}) {
+  const { signedIn = true } = options;
+  const sessions = new Map();
+  let nextOrderNumber = 1001;
+
+  /**
+   * Get (or create) the session for a request
+   */
+  function getSession(req, res) {
+    const cookies = parseCookies(req.headers.cookie || '');
+    let sid = cookies.mock_sid;
+    if (!sid || !sessions.has(sid)) {
+      sid = crypto.randomBytes(8).toString('hex');
+      sessions.set(sid, {
+        signedIn,
+        cart: [],
+        checkout: { information: null, shippingMethod: null, discountCode: null },
+        orders: []
+      });
+      res.setHeader('Set-Cookie', `mock_sid=${sid}; Path=/; HttpOnly`);
+    }
+    const session = sessions.get(sid);
+    session.cookiesAccepted = cookies.cookies_accepted === '1';
+    return session;
+  }
+
+  /**
+   * Option names and values of a cart line's variant ([] for products without options)
+   */
+  function optionsWithValues(line) {
+    const found = catalog.findVariant(line.key);
+    if (!found || !found.product.options) return [];
+    return found.product.options.map((option, i) => ({ name: option.name, value: found.variant.options[i] }));
+  }
+
+  /**
+   * Shopify-style cart JSON
+   */
+  function cartJson(session) {
+    const items = session.cart.map(line => ({
+      id: line.key,
+      key: line.key,
+      handle: line.handle,
+      title: line.variantTitle ? `${line.title} - ${line.variantTitle}` : line.title,
+      product_title: line.title,
+      variant_title: line.variantTitle,
+      options_with_values: optionsWithValues(line),
+      quantity: line.quantity,
+      price: line.price,
+      line_price: line.price * line.quantity,
+      final_line_price: line.price * line.quantity,
+      url: `/products/${line.handle}`
+    }));
+    const total = items.reduce((sum, item) => sum + item.line_price, 0);
+    return {
+      token: 'mock',
+      item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+      items,
+      original_total_price: total,
+      total_price: total,
+      total_discount: 0,
+      currency: 'USD'
+    };
+  }
+
+  /**
+   * Add a product to the cart, enforcing stock and purchase limits
+   * @returns {{ok: boolean, status?: number, description?: string, line?: Object}}
+   */
+  function addToCart(session, id, quantity) {
+    const found = catalog.findVariant(id);
+    if (!found) {
+      return { ok: false, status: 404, description: 'Product not found' };
+    }
+    const { product, variant } = found;
+    if (!variant.available) {
+      const name = variant.title ? `${product.title} - ${variant.title}` : product.title;
+      return { ok: false, status: 422, description: `${name} is sold out.` };
+    }
+
+    const qty = Math.max(1, parseInt(quantity, 10) || 1);
+    let line = session.cart.find(l => l.key === variant.id);
+    // Purchase limits apply per product, across all of its variants
+    const existing = session.cart
+      .filter(l => l.handle === product.handle)
+      .reduce((sum, l) => sum + l.quantity, 0);
+
+    if (product.limit > 0 && existing + qty > product.limit) {
+      return {
+        ok: false,
+        status: 422,
+        description: `Limit reached - you can only purchase ${product.limit} per customer.`
+      };
+    }
+
+    if (line) {
+      line.quantity += qty;
+    } else {
+      line = {
+        key: variant.id,
+        handle: product.handle,
+        title: product.title,
+        variantTitle: variant.title,
+        price: product.price,
+        quantity: qty
+      };
+      session.cart.push(line);
+    }
+    return { ok: true, line };
+  }
+
+  /**
+   * Shopify-style product JSON (/products.json entries; prices as decimal strings)
+   */
+  function productJson(product) {
+    return {
+      id: product.handle,
+      title: product.title,
+      handle: product.handle,
+      product_type: product.type,
+      tags: [product.category],
+      variants: catalog.productVariants(product).map(variant => ({
+        id: variant.id,
+        title: variant.title || 'Default Title',
+        price: (product.price / 100).toFixed(2),
+        available: variant.available
+      })),
+      options: (product.options || []).map(option => ({ name: option.name, values: option.values }))
+    };
+  }
+
+  /**
+   * Change a cart line quantity (0 removes the line)
+   * @param {Object} session
+   * @param {{line?: number, id?: string, quantity: number}} change
+   */
+  function changeCart(session, change) {
+    let index = -1;
+    if (change.line) {
+      index = parseInt(change.line, 10) - 1;
+    } else if (change.id) {
+      index = session.cart.findIndex(l => l.key === change.id);
+    }
+    const line = session.cart[index];
+    if (!line) return false;
+
+    const quantity = Math.max(0, parseInt(change.quantity, 10) || 0);
+    if (quantity === 0) {
+      session.cart.splice(index, 1);
+      return true;
+    }
+
+    const product = catalog.findProduct(line.handle);
+    const others = session.cart
+      .filter(l => l !== line && l.handle === line.handle)
+      .reduce((sum, l) => sum + l.quantity, 0);
+    line.quantity = product && product.limit > 0 ? Math.min(quantity, Math.max(0, product.limit - others)) : quantity;
+    if (line.quantity === 0) {
+      session.cart.splice(index, 1);
+    }
+    return true;
+  }
+
+  /**
+   * Order summary totals for the checkout sidebar
+   */
+  function summarizeCheckout(session, includeShipping) {
+    const lines = session.cart.map(l => ({ ...l }));
+    const subtotal = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+
+    const code = session.checkout.discountCode;
+    const discountDef = code ? catalog.DISCOUNT_CODES[code] : null;
+    const discount = discountDef ? Math.round(subtotal * discountDef.percent / 100) : 0;
+
+    let shipping = null;
+    if (includeShipping) {
+      const method = catalog.SHIPPING_METHODS.find(m => m.id === session.checkout.shippingMethod) || catalog.SHIPPING_METHODS[0];
+      shipping = method.price;
+    }
+
+    return {
+      lines,
+      subtotal,
+      discount,
+      discountCode: code,
+      shipping,
+      total: subtotal - discount + (shipping || 0)
+    };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    const session = getSession(req, res);
+    const method = req.method;
+
+    // ----- Storefront pages -----
+    if (method === 'GET' && pathname === '/') {
+      const featured = catalog.PRODUCTS.filter(p => p.status !== 'sold_out').slice(0, PAGE_SIZE);
+      return sendHtml(res, pages.renderHomePage(session, featured));
+    }
+
+    let match = pathname.match(/^\/collections\/([\w-]+)$/);
+    if (method === 'GET' && match) {
+      const collection = match[1] === 'all'
+        ? { handle: 'all', title: 'All Products' }
+        : catalog.findCategory(match[1]);
+      if (!collection) return sendHtml(res, pages.renderNotFoundPage(session), 404);
+
+      const products = catalog.productsInCategory(collection.handle);
+      const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+      const slice = products.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+      const nextPage = page * PAGE_SIZE < products.length ? page + 1 : null;
+      // All Products uses classic numbered pages, game collections use Load More
+      const numbered = collection.handle === 'all'
+        ? { page, totalPages: Math.max(1, Math.ceil(products.length / PAGE_SIZE)) }
+        : null;
+
+      // Load-more fragment request
+      if (url.searchParams.get('view') === 'grid') {
+        if (nextPage) res.setHeader('X-Next-Page', String(nextPage));
+        return sendHtml(res, pages.renderProductCards(slice));
+      }
+      return sendHtml(res, pages.renderCollectionPage(session, collection, slice, nextPage, numbered));
+    }
+
+    if (method === 'GET' && pathname === '/search') {
+      const query = url.searchParams.get('q') || '';
+      return sendHtml(res, pages.renderSearchPage(session, query, catalog.searchProducts(query)));
+    }
+
+    match = pathname.match(/^\/products\/([\w-]+)$/);
+    if (method === 'GET' && match) {
+      const product = catalog.findProduct(match[1]);
+      if (!product) return sendHtml(res, pages.renderNotFoundPage(session), 404);
+      return sendHtml(res, pages.renderProductPage(session, product));
+    }
+
+    // ----- Structured data (Shopify compatible) -----
+    if (method === 'GET' && pathname === '/products.json') {
+      const limit = Math.min(250, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 30));
+      const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+      return sendJson(res, { products: catalog.PRODUCTS.slice((page - 1) * limit, page * limit).map(productJson) });
+    }
+
+    match = pathname.match(/^\/products\/([\w-]+)\.js$/);
+    if (method === 'GET' && match) {
+      const product = catalog.findProduct(match[1]);
+      if (!product) return sendJson(res, { status: 404, description: 'Not found' }, 404);
+      return sendJson(res, productJson(product));
+    }
+
+    if (method === 'GET' && pathname === '/sitemap.xml') {
+      return sendXml(res, pages.renderSitemapIndex(origin(req)));
+    }
+
+    if (method === 'GET' && pathname === '/sitemap_products_1.xml') {
+      return sendXml(res, pages.renderProductSitemap(origin(req), catalog.PRODUCTS));
+    }
+
+    // ----- Cart API (Shopify compatible) -----
+    if (method === 'GET' && pathname === '/cart.js') {
+      return sendJson(res, cartJson(session));
+    }
+
+    if (method === 'POST' && (pathname === '/cart/add.js' || pathname === '/cart/add')) {
+      const body = await readBody(req);
+      const result = addToCart(session, body.id || body.handle, body.quantity);
+      if (pathname === '/cart/add') return redirect(res, '/cart');
+      if (!result.ok) {
+        return sendJson(res, { status: result.status, message: 'Cart Error', description: result.description }, result.status);
+      }
+      const item = cartJson(session).items.find(i => i.key === result.line.key);
+      return sendJson(res, item);
+    }
+
+    if (method === 'POST' && (pathname === '/cart/change.js' || pathname === '/cart/change')) {
+      const body = await readBody(req);
+      changeCart(session, body);
+      return sendJson(res, cartJson(session));
+    }
+
+    if (method === 'POST' && pathname === '/cart/clear.js') {
+      session.cart = [];
+      return sendJson(res, cartJson(session));
+    }
+
+    if (method === 'GET' && pathname === '/cart') {
+      return sendHtml(res, pages.renderCartPage(session));
+    }
+
+    // ----- Account -----
+    if (method === 'GET' && pathname === '/account') {
+      if (!session.signedIn) return redirect(res, '/account/login');
+      return sendHtml(res, pages.renderAccountPage(session));
+    }
+
+    if (method === 'GET' && pathname === '/account/login') {
+      return sendHtml(res, pages.renderLoginPage(session));
+    }
+
+    if (method === 'POST' && pathname === '/account/login') {
+      const body = await readBody(req);
+      if (body.username && body.password) {
+        session.signedIn = true;
+        return redirect(res, '/');
+      }
+      return sendHtml(res, pages.renderLoginPage(session), 401);
+    }
+
+    if (method === 'GET' && pathname === '/account/logout') {
+      session.signedIn = false;
+      return redirect(res, '/');
+    }
+
+    // ----- Checkout -----
+    if (pathname.startsWith('/checkout')) {
+      return handleCheckout(req, res, session, pathname, method);
+    }
+
+    return sendHtml(res, pages.renderNotFoundPage(session), 404);
+  }
+
+  async function handleCheckout(req, res, session, pathname, method) {
+    const checkout = session.checkout;
+
+    if (method === 'GET' && pathname === '/checkout/card-frame') {
+      return sendHtml(res, pages.renderCardFrame());
+    }
+
+    const thankYou = pathname.match(/^\/checkout\/thank-you\/([\w-]+)$/);
+    if (method === 'GET' && thankYou) {
+      const order = session.orders.find(o => o.number === thankYou[1]);
+      if (!order) return sendHtml(res, pages.renderNotFoundPage(session), 404);
+      return sendHtml(res, pages.renderThankYouPage(order));
+    }
+
+    if (session.cart.length === 0) {
+      return redirect(res, '/cart');
+    }
+
+    if (method === 'GET' && pathname === '/checkout') {
+      return redirect(res, '/checkout/information');
+    }
+
+    if (pathname === '/checkout/information') {
+      if (method === 'POST') {
+        const body = await readBody(req);
+        checkout.information = pick(body, ['email', 'phone', 'country', 'firstName', 'lastName', 'address1', 'address2', 'city', 'province', 'zip']);
+        const errors = validateInformation(checkout.information);
+        if (Object.keys(errors).length > 0) {
+          return sendHtml(res, pages.renderInformationStep(checkout, summarizeCheckout(session, false), errors), 422);
+        }
+        return redirect(res, '/checkout/shipping');
+      }
+      return sendHtml(res, pages.renderInformationStep(checkout, summarizeCheckout(session, false)));
+    }
+
+    // Later steps need a valid address
+    if (!checkout.information || Object.keys(validateInformation(checkout.information)).length > 0) {
+      return redirect(res, '/checkout/information');
+    }
+
+    if (pathname === '/checkout/shipping') {
+      if (method === 'POST') {
+        const body = await readBody(req);
+        const selected = catalog.SHIPPING_METHODS.find(m => m.id === body.shipping_method);
+        checkout.shippingMethod = selected ? selected.id : catalog.SHIPPING_METHODS[0].id;
+        return redirect(res, '/checkout/payment');
+      }
+      return sendHtml(res, pages.renderShippingStep(checkout, summarizeCheckout(session, false)));
+    }
+
+    if (!checkout.shippingMethod) {
+      return redirect(res, '/checkout/shipping');
+    }
+
+    if (method === 'GET' && pathname === '/checkout/payment') {
+      return sendHtml(res, pages.renderPaymentStep(checkout, summarizeCheckout(session, true)));
+    }
+
+    if (method === 'POST' && pathname === '/checkout/discount') {
+      const body = await readBody(req);
+      const code = String(body.discount || '').trim().toUpperCase();
+      if (!catalog.DISCOUNT_CODES[code]) {
+        return sendHtml(res, pages.renderPaymentStep(checkout, summarizeCheckout(session, true), {
+          discount: 'Enter a valid discount code'
+        }), 422);
+      }
+      checkout.discountCode = code;
+      return redirect(res, '/checkout/payment');
+    }
+
+    if (method === 'POST' && pathname === '/checkout/complete') {
+      const body = await readBody(req);
+      const errors = validatePayment(body);
+      if (Object.keys(errors).length > 0) {
+        return sendHtml(res, pages.renderPaymentStep(checkout, summarizeCheckout(session, true), errors), 422);
+      }
+
+      const order = {
+        number: `RM-${nextOrderNumber++}`,
+        information: { ...checkout.information },
+        summary: summarizeCheckout(session, true),
+        createdAt: new Date().toISOString()
+      };
+      order.total = order.summary.total;
+      session.orders.push(order);
+      session.cart = [];
+      session.checkout = { information: null, shippingMethod: null, discountCode: null };
+      return redirect(res, `/checkout/thank-you/${order.number}`);
+    }
+
+    return sendHtml(res, pages.renderNotFoundPage(session), 404);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      log('ERROR', `Mock store error on ${req.method} ${req.url}: ${err.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+      }
+      res.end('Internal error');
+    });
+  });
+
+  return {
+    server,
+    /**
+     * Start listening on 127.0.0.1
+     * @param {number} [port]
+     * @returns {Promise<string>} Base URL
+     */
+    start(port = DEFAULT_PORT) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          server.removeListener('error', reject);
+          const url = `http://127.0.0.1:${server.address().port}`;
+          log('OK', `Mock storefront listening at ${url}`);
+          resolve(url);
+        });
+      });
+    },
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    }
+  };
+}
+
+/**
+ * Create and start a mock storefront in one call
+ * @param {number} [port]
+ * @param {Object} [options] - See createMockServer
+ * @returns {Promise<{url: string, stop: () => Promise<void>}>}
+ */
+async function startMockServer(port = DEFAULT_PORT, options = {}) {
+  const mock = createMockServer(options);
+  const url = await mock.start(port);
+  return { url, stop: mock.stop };
+}
+
+/**
+ * Validate the information step like the real checkout does
+ * @param {Object} info
+ * @returns {Object} Map of field name -> message
+ */
+function validateInformation(info) {
+  const errors = {};
+  if (!info.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(info.email)) {
+    errors.email = 'Enter a valid email';
+  }
+  if (info.phone && info.phone.replace(/\D/g, '').length < 10) {
+    errors.phone = 'Enter a valid phone number';
+  }
+  if (!info.lastName) errors.lastName = 'Enter a last name';
+  if (!info.address1) errors.address1 = 'Enter an address';
+  if (!info.city) errors.city = 'Enter a city';
+
+  const country = info.country || 'United States';
+  if (country === 'United States') {
+    if (!info.province) errors.province = 'Select a state / province';
+    if (!/^\d{5}(-\d{4})?$/.test(info.zip || '')) errors.zip = 'Enter a valid ZIP code';
+  } else if (country === 'Canada') {
+    if (!/^[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d$/.test(info.zip || '')) errors.zip = 'Enter a valid postal code';
+  } else if (!info.zip) {
+    errors.zip = 'Enter a postal code';
+  }
+  return errors;
+}
+
+/**
+ * Validate card fields copied out of the payment iframe
+ * @param {Object} body
+ * @returns {Object} Map of field name -> message
+ */
+function validatePayment(body) {
+  const errors = {};
+  const number = String(body.card_number || '').replace(/\D/g, '');
+  if (number.length < 12 || number.length > 19) {
+    errors.card_number = 'Enter a valid card number';
+  }
+
+  const expiry = String(body.card_expiry || '').match(/^(\d{1,2})\s*\/\s*(\d{2,4})$/);
+  if (!expiry) {
+    errors.card_expiry = 'Enter a valid expiration date';
+  } else {
+    const month = parseInt(expiry[1], 10);
+    const year = 2000 + (parseInt(expiry[2], 10) % 100);
+    const now = new Date();
+    if (month < 1 || month > 12 || year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) {
+      errors.card_expiry = 'Enter a valid expiration date';
+    }
+  }
+
+  if (!/^\d{3,4}$/.test(String(body.card_cvc || ''))) {
+    errors.card_cvc = 'Enter the CVV or security code on your card';
+  }
+  return errors;
+}
+
+/**
+ * Parse a Cookie header into a map
+ * @param {string} header
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Copy string fields from a request body (trimmed, missing fields become '')
+ * @param {Object} obj
+ * @param {string[]} keys
+ * @returns {Object<string, string>}
+ */
+function pick(obj, keys) {
+  const result = {};
+  for (const key of keys) {
+    result[key] = typeof obj[key] === 'string' ? obj[key].trim() : '';
+  }
+  return result;
+}
+
+/**
+ * Read a JSON or form-encoded request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const type = req.headers['content-type'] || '';
+      if (type.includes('application/json')) {
+        try {
+          resolve(JSON.parse(data || '{}'));
+        } catch {
+          resolve({});
+        }
+      } else {
+        resolve(Object.fromEntries(new URLSearchParams(data)));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Response helpers
+ */
+function sendHtml(res, html, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+function sendJson(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function sendXml(res, xml) {
+  res.writeHead(200, { 'Content-Type': 'application/xml; charset=utf-8' });
+  res.end(xml);
+}
+
+/**
+ * Origin the request was made to (for absolute sitemap URLs)
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function origin(req) {
+  return `http://${req.headers.host || '127.0.0.1'}`;
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+module.exports = {
+  createMockServer,
+  startMockServer,
+  DEFAULT_PORT
+};
+
+// Run standalone: node src/mock/server.js [port]
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_PORT, 10) || DEFAULT_PORT;
+  startMockServer(port).catch((err) => {
+    log('ERROR', `Failed to start mock storefront: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,320 @@
+/**
+ * Pre-flight config checker for Riot Merch Bot
+ * Semantic validation that runs before any browser is launched:
+ * - Email / phone format (per country)
+ * - Card number (Luhn), expiry in the future, CVV length
+ * - US ZIP ↔ state consistency
+ * - FUZZY_THRESHOLD range, MATCH_STRATEGY name
+ * - Product matching constraints (price range order, exclude/require keyword conflicts)
+ * - MAX_ORDER_TOTAL sanity (and a warning when orders are placed without it), PRICE_LOCALE tag
+ * - CART_MODE / CART_UNRELATED / RESTORE_CART values (and a warning when kept cart items would be ordered)
+ * - Warnings for checkout fields that will be left to site defaults
+ */
+const { maskSensitive, decimalSeparator } = require('./util.js');
+const { runsPast } = require('./stages.js');
+const { STRATEGIES } = require('./matching.js');
+const { CART_MODES, UNRELATED_ACTIONS, RESTORE_MODES } = require('./cartReconcile.js');
+
+// US states: code → name and 3-digit ZIP prefix ranges
+const US_STATES = {
+  AL: { name: 'Alabama', zips: [[350, 369]] },
+  AK: { name: 'Alaska', zips: [[995, 999]] },
+  AZ: { name: 'Arizona', zips: [[850, 865]] },
+  AR: { name: 'Arkansas', zips: [[716, 729]] },
+  CA: { name: 'California', zips: [[900, 961]] },
+  CO: { name: 'Colorado', zips: [[800, 816]] },
+  CT: { name: 'Connecticut', zips: [[60, 69]] },
+  DE: { name: 'Delaware', zips: [[197, 199]] },
+  DC: { name: 'District of Columbia', zips: [[200, 200], [202, 205], [569, 569]] },
+  FL: { name: 'Florida', zips: [[320, 349]] },
+  GA: { name: 'Georgia', zips: [[300, 319], [398, 399]] },
+  HI: { name: 'Hawaii', zips: [[967, 968]] },
+  ID: { name: 'Idaho', zips: [[832, 838]] },
+  IL: { name: 'Illinois', zips: [[600, 629]] },
+  IN: { name: 'Indiana', zips: [[460, 479]] },
+  IA: { name: 'Iowa', zips: [[500, 528]] },
+  KS: { name: 'Kansas', zips: [[660, 679]] },
+  KY: { name: 'Kentucky', zips: [[400, 427]] },
+  LA: { name: 'Louisiana', zips: [[700, 714]] },
+  ME: { name: 'Maine', zips: [[39, 49]] },
+  MD: { name: 'Maryland', zips: [[206, 219]] },
+  MA: { name: 'Massachusetts', zips: [[10, 27], [55, 55]] },
+  MI: { name: 'Michigan', zips: [[480, 499]] },
+  MN: { name: 'Minnesota', zips: [[550, 567]] },
+  MS: { name: 'Mississippi', zips: [[386, 397]] },
+  MO: { name: 'Missouri', zips: [[630, 658]] },
+  MT: { name: 'Montana', zips: [[590, 599]] },
+  NE: { name: 'Nebraska', zips: [[680, 693]] },
+  NV: { name: 'Nevada', zips: [[889, 898]] },
+  NH: { name: 'New Hampshire', zips: [[30, 38]] },
+  NJ: { name: 'New Jersey', zips: [[70, 89]] },
+  NM: { name: 'New Mexico', zips: [[870, 884]] },
+  NY: { name: 'New York', zips: [[5, 5], [100, 149]] },
+  NC: { name: 'North Carolina', zips: [[270, 289]] },
+  ND: { name: 'North Dakota', zips: [[580, 588]] },
+  OH: { name: 'Ohio', zips: [[430, 459]] },
+  OK: { name: 'Oklahoma', zips: [[730, 749]] },
+  OR: { name: 'Oregon', zips: [[970, 979]] },
+  PA: { name: 'Pennsylvania', zips: [[150, 196]] },
+  RI: { name: 'Rhode Island', zips: [[28, 29]] },
+  SC: { name: 'South Carolina', zips: [[290, 299]] },
+  SD: { name: 'South Dakota', zips: [[570, 577]] },
+  TN: { name: 'Tennessee', zips: [[370, 385]] },
+  TX: { name: 'Texas', zips: [[750, 799], [885, 885]] },
+  UT: { name: 'Utah', zips: [[840, 847]] },
+  VT: { name: 'Vermont', zips: [[50, 54], [56, 59]] },
+  VA: { name: 'Virginia', zips: [[201, 201], [220, 246]] },
+  WA: { name: 'Washington', zips: [[980, 994]] },
+  WV: { name: 'West Virginia', zips: [[247, 268]] },
+  WI: { name: 'Wisconsin', zips: [[530, 549]] },
+  WY: { name: 'Wyoming', zips: [[820, 831]] },
+};
+
+// Country name/code → phone rules (digits after stripping formatting and country code)
+const PHONE_RULES = [
+  { countries: ['united states', 'us', 'usa'], code: '1', digits: [10], example: '555-123-4567' },
+  { countries: ['canada', 'ca'], code: '1', digits: [10], example: '416-555-0123' },
+  { countries: ['united kingdom', 'uk', 'gb', 'great britain'], code: '44', digits: [10], trunkPrefix: '0', example: '07700 900123' },
+];
+
+// Checkout fields the forms fill - empty ones are left to whatever the site defaults to
+const CHECKOUT_FIELDS = ['email', 'firstName', 'lastName', 'phone', 'address1', 'city', 'state', 'zip', 'country'];
+const PAYMENT_FIELDS = ['cardNumber', 'cardExpMonth', 'cardExpYear', 'cardCvv'];
+
+/**
+ * Whether the country is the United States
+ * @param {string} country
+ * @returns {boolean}
+ */
+function isUnitedStates(country) {
+  return PHONE_RULES[0].countries.includes(String(country || '').trim().toLowerCase());
+}
+
+/**
+ * Resolve a US state name or code to its code
+ * @param {string} state
+ * @returns {string|null}
+ */
+function resolveUsState(state) {
+  const value = String(state || '').trim();
+  if (US_STATES[value.toUpperCase()]) return value.toUpperCase();
+  const byName = Object.entries(US_STATES).find(([, s]) => s.name.toLowerCase() === value.toLowerCase());
+  return byName ? byName[0] : null;
+}
+
+/**
+ * Luhn checksum
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = parseInt(digits[i], 10);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+/**
+ * Validate email format
+ * @param {string} email
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email);
+}
+
+/**
+ * Validate phone format for a country
+ * Unknown countries get a generic E.164 length check (7-15 digits).
+ * @param {string} phone
+ * @param {string} country
+ * @returns {{valid: boolean, expected: string}}
+ */
+function checkPhone(phone, country) {
+  let digits = String(phone).replace(/\D/g, '');
+  const hasPlus = String(phone).trim().startsWith('+');
+  const rule = PHONE_RULES.find(r => r.countries.includes(String(country || '').trim().toLowerCase()));
+
+  if (!rule) {
+    return { valid: digits.length >= 7 && digits.length <= 15, expected: '7-15 digits' };
+  }
+
+  if ((hasPlus || digits.length > Math.max(...rule.digits)) && digits.startsWith(rule.code)) {
+    digits = digits.slice(rule.code.length);
+  } else if (rule.trunkPrefix && digits.startsWith(rule.trunkPrefix)) {
+    digits = digits.slice(rule.trunkPrefix.length);
+  }
+
+  return { valid: rule.digits.includes(digits.length), expected: `${rule.digits.join('/')} digits, e.g. ${rule.example}` };
+}
+
+/**
+ * Run all pre-flight checks
+ * Checkout/payment problems are errors when checkout will run (or when strict), otherwise warnings.
+ * @param {Object} config - Bot configuration
+ * @param {Object} options
+ * @param {boolean} options.strict - Treat checkout/payment problems as errors even if checkout is disabled
+ * @param {Date} options.now - Current date (for expiry checks)
+ * @returns {{ok: boolean, errors: Array<{field: string, message: string}>, warnings: Array<{field: string, message: string}>}}
+ */
+function runPreflight(config, options = {}) {
+  const now = options.now || new Date();
+  const checkoutWillRun = options.strict || runsPast(config, 'cart');
+  const errors = [];
+  const warnings = [];
+
+  const error = (field, message) => errors.push({ field, message });
+  const checkoutProblem = (field, message) => (checkoutWillRun ? errors : warnings).push({ field, message });
+  const warn = (field, message) => warnings.push({ field, message });
+
+  // ----- Search settings -----
+  const threshold = config.FUZZY_THRESHOLD;
+  if (typeof threshold !== 'number' || Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+    error('FUZZY_THRESHOLD', `must be between 0 and 1, got ${threshold}`);
+  } else if (threshold < 0.3) {
+    warn('FUZZY_THRESHOLD', `${threshold} is very loose - unrelated products may match`);
+  } else if (threshold > 0.9) {
+    warn('FUZZY_THRESHOLD', `${threshold} is very strict - small title differences will fail to match`);
+  }
+  if (config.MATCH_STRATEGY && !STRATEGIES.includes(config.MATCH_STRATEGY)) {
+    error('MATCH_STRATEGY', `must be one of ${STRATEGIES.join(', ')}, got "${config.MATCH_STRATEGY}"`);
+  }
+
+  (config.PRODUCTS || []).forEach((product, i) => {
+    const field = `products[${i}]`;
+    const range = product.priceRange;
+    if (range && typeof range.min === 'number' && typeof range.max === 'number' && range.min > range.max) {
+      error(`${field}.priceRange`, `min ${range.min} is above max ${range.max} - nothing can match`);
+    }
+    const conflicting = (product.require || []).filter(k => (product.exclude || []).some(e => e.toLowerCase() === k.toLowerCase()));
+    if (conflicting.length > 0) {
+      error(`${field}.exclude`, `"${conflicting.join('", "')}" is both required and excluded - nothing can match`);
+    }
+  });
+
+  // ----- Budget -----
+  if (typeof config.MAX_ORDER_TOTAL === 'number' && config.MAX_ORDER_TOTAL < 0) {
+    error('MAX_ORDER_TOTAL', `must be 0 (no cap) or a positive amount, got ${config.MAX_ORDER_TOTAL}`);
+  } else if (!config.MAX_ORDER_TOTAL && runsPast(config, 'review')) {
+    warn('MAX_ORDER_TOTAL', 'not set - orders will be placed without a total cap');
+  }
+  if (config.PRICE_LOCALE && !decimalSeparator(config.PRICE_LOCALE)) {
+    error('PRICE_LOCALE', `"${config.PRICE_LOCALE}" is not a valid locale tag (e.g. en-US, de-DE)`);
+  }
+
+  // ----- Cart -----
+  if (config.CART_MODE && !CART_MODES.includes(config.CART_MODE)) {
+    error('CART_MODE', `must be one of ${CART_MODES.join(', ')}, got "${config.CART_MODE}"`);
+  }
+  if (config.CART_UNRELATED && !UNRELATED_ACTIONS.includes(config.CART_UNRELATED)) {
+    error('CART_UNRELATED', `must be one of ${UNRELATED_ACTIONS.join(', ')}, got "${config.CART_UNRELATED}"`);
+  } else if (config.CART_MODE === 'reconcile' && config.CART_UNRELATED === 'keep' && runsPast(config, 'review')) {
+    warn('CART_UNRELATED', 'keep - items already in the cart that are not configured products will be ordered too');
+  }
+  if (config.RESTORE_CART && !RESTORE_MODES.includes(config.RESTORE_CART)) {
+    error('RESTORE_CART', `must be one of ${RESTORE_MODES.join(', ')}, got "${config.RESTORE_CART}"`);
+  }
+  // ----- Checkout profile -----
+  const checkout = config.CHECKOUT || {};
+
+  for (const field of CHECKOUT_FIELDS) {
+    if (!checkout[field]) {
+      warn(`CHECKOUT.${field}`, 'empty - will be left to the site default');
+    }
+  }
+
+  if (checkout.email && !isValidEmail(checkout.email)) {
+    checkoutProblem('CHECKOUT.email', `"${checkout.email}" is not a valid email address`);
+  }
+
+  if (checkout.phone) {
+    const phone = checkPhone(checkout.phone, checkout.country);
+    if (!phone.valid) {
+      checkoutProblem('CHECKOUT.phone', `"${checkout.phone}" is not a valid phone number for ${checkout.country || 'the selected country'} (expected ${phone.expected})`);
+    }
+  }
+
+  if (isUnitedStates(checkout.country)) {
+    const stateCode = checkout.state ? resolveUsState(checkout.state) : null;
+    if (checkout.state && !stateCode) {
+      checkoutProblem('CHECKOUT.state', `"${checkout.state}" is not a US state name or code`);
+    }
+
+    if (checkout.zip) {
+      const zipMatch = String(checkout.zip).trim().match(/^(\d{5})(-\d{4})?$/);
+      if (!zipMatch) {
+        checkoutProblem('CHECKOUT.zip', `"${checkout.zip}" is not a US ZIP code (12345 or 12345-6789)`);
+      } else if (stateCode) {
+        const prefix = parseInt(zipMatch[1].slice(0, 3), 10);
+        const inState = US_STATES[stateCode].zips.some(([lo, hi]) => prefix >= lo && prefix <= hi);
+        if (!inState) {
+          checkoutProblem('CHECKOUT.zip', `ZIP ${checkout.zip} is not in ${US_STATES[stateCode].name} (${stateCode})`);
+        }
+      }
+    }
+  }
+
+  // ----- Payment -----
+  const payment = config.PAYMENT || {};
+  const hasPayment = PAYMENT_FIELDS.some(field => payment[field]);
+
+  if (!hasPayment) {
+    warn('PAYMENT', 'no card details - payment will need to be entered manually');
+  } else {
+    for (const field of PAYMENT_FIELDS) {
+      if (!payment[field]) {
+        checkoutProblem(`PAYMENT.${field}`, 'missing while other card details are set');
+      }
+    }
+
+    if (payment.cardNumber) {
+      const digits = String(payment.cardNumber).replace(/[\s-]/g, '');
+      if (!/^\d{12,19}$/.test(digits)) {
+        checkoutProblem('PAYMENT.cardNumber', `${maskSensitive(digits)} must be 12-19 digits`);
+      } else if (!luhnValid(digits)) {
+        checkoutProblem('PAYMENT.cardNumber', `${maskSensitive(digits)} fails the Luhn check (typo?)`);
+      }
+    }
+
+    if (payment.cardCvv && !/^\d{3,4}$/.test(String(payment.cardCvv).trim())) {
+      checkoutProblem('PAYMENT.cardCvv', 'must be 3 or 4 digits');
+    }
+
+    if (payment.cardExpMonth || payment.cardExpYear) {
+      const month = parseInt(payment.cardExpMonth, 10);
+      let year = parseInt(payment.cardExpYear, 10);
+      if (!Number.isNaN(year) && year < 100) year += 2000;
+
+      if (Number.isNaN(month) || month < 1 || month > 12) {
+        checkoutProblem('PAYMENT.cardExpMonth', `"${payment.cardExpMonth}" is not a month (1-12)`);
+      } else if (Number.isNaN(year)) {
+        checkoutProblem('PAYMENT.cardExpYear', `"${payment.cardExpYear}" is not a year`);
+      } else {
+        // Cards are valid through the last day of the expiry month
+        const expiresAfter = new Date(year, month, 1);
+        if (expiresAfter <= now) {
+          checkoutProblem('PAYMENT.cardExpYear', `card expired ${String(month).padStart(2, '0')}/${year}`);
+        }
+      }
+    }
+  }
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  US_STATES,
+  runPreflight,
+  luhnValid,
+  isValidEmail,
+  checkPhone,
+  resolveUsState
+};
@@ -0,0 +1,111 @@
+/**
+ * Search query planner for the search fallback strategy
+ * Site search often returns nothing for long or stylised names ("VLRNT // FRGMT WNGMN Keychain Plush"),
+ * so queries go from specific to broad:
+ *   1. full        - each configured name as written (punctuation-only words like "//" dropped)
+ *   2. distinctive - the name without stopwords, punctuation and product-type words
+ *   3. type        - product type plus franchise ("VALORANT plush")
+ * The caller runs them in order and stops at the first query whose results hold a match.
+ */
+const { normalizeText } = require('./util.js');
+
+// Product types, multi-word types first so "blind box" wins over "box"
+const PRODUCT_TYPES = [
+  'blind box', 'art book', 'mouse pad', 't shirt', 'tee shirt', 'phone case', 'water bottle', 'enamel pin',
+  'plush', 'plushie', 'keychain', 'hoodie', 'sweatshirt', 'crewneck', 'jacket', 'tee', 'shirt', 'jersey',
+  'hat', 'cap', 'beanie', 'figure', 'statue', 'figurine', 'pin', 'pins', 'mousepad', 'deskmat', 'poster',
+  'print', 'mug', 'tumbler', 'bottle', 'sticker', 'stickers', 'backpack', 'bag', 'tote', 'lanyard',
+  'socks', 'book', 'puzzle', 'replica', 'collectible'
+];
+
+// Words that never make a search more specific
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'or', 'for', 'with', 'in', 'on', 'by', 'to',
+  'edition', 'limited', 'exclusive', 'official', 'set', 'pack', 'series', 'new'
+]);
+
+/**
+ * Words of a name with punctuation-only tokens ("//", "-") dropped
+ * Original casing is kept - the words are typed into the search box.
+ * @param {string} name
+ * @returns {string[]}
+ */
+function queryWords(name) {
+  return String(name || '')
+    .split(/\s+/)
+    .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(word => normalizeText(word) !== '');
+}
+
+/**
+ * Product types named in a product name, in PRODUCT_TYPES order
+ * @param {string} name
+ * @returns {string[]} Normalized types, e.g. ['plush', 'keychain']
+ */
+function productTypes(name) {
+  let text = ` ${normalizeText(name)} `;
+  const found = [];
+  for (const type of PRODUCT_TYPES) {
+    if (text.includes(` ${type} `)) {
+      found.push(type);
+      // Consume the words so "enamel pin" doesn't also count as "pin"
+      text = text.replace(` ${type} `, ' ');
+    }
+  }
+  return found;
+}
+
+/**
+ * The words of a name that narrow a search: no stopwords or product-type words
+ * Numbers stay - they often tell editions apart.
+ * @param {string} name
+ * @returns {string[]}
+ */
+function distinctiveTokens(name) {
+  const typeWords = new Set(productTypes(name).flatMap(type => type.split(' ')));
+  return queryWords(name).filter(word => {
+    const key = normalizeText(word);
+    return !STOP_WORDS.has(key) && !typeWords.has(key);
+  });
+}
+
+/**
+ * Ordered search queries for a product
+ * @param {string[]} names - Product names / synonyms
+ * @param {Object} [options]
+ * @param {string|null} [options.franchise] - Game / franchise the product belongs to (e.g. a category title)
+ * @returns {Array<{query: string, kind: 'full'|'distinctive'|'type', name: string}>} Unique queries, most specific first
+ */
+function planQueries(names, options = {}) {
+  const { franchise = null } = options;
+  const planned = [];
+  const seen = new Set();
+  const add = (query, kind, name) => {
+    const key = normalizeText(query);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    planned.push({ query, kind, name });
+  };
+
+  for (const name of names) {
+    add(queryWords(name).join(' '), 'full', name);
+  }
+  for (const name of names) {
+    add(distinctiveTokens(name).join(' '), 'distinctive', name);
+  }
+  for (const name of names) {
+    const [type] = productTypes(name);
+    if (type) {
+      add(franchise ? `${franchise} ${type}` : type, 'type', name);
+    }
+  }
+  return planned;
+}
+
+module.exports = {
+  PRODUCT_TYPES,
+  STOP_WORDS,
+  productTypes,
+  distinctiveTokens,
+  planQueries
+};
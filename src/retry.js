@@ -0,0 +1,254 @@
+/**
+ * Retry policy engine for Riot Merch Bot
+ * - Classifies errors as transient (worth retrying) or terminal (retrying can't help)
+ * - Exponential backoff with jitter
+ * - Per-run retry budget shared by every caller
+ * - onRetry hook (defaults to a captureFailure artifact per failed attempt) and onGiveUp hook
+ *   (defaults to a failures.jsonl entry for the final attempt, with why retrying stopped)
+ */
+const { log, logFailure, captureScreenshot, captureFailure, sleep, sanitizeFilename } = require('./util.js');
+
+// Result statuses that describe the store, not a flaky page - retrying won't change them
+// (unconfirmed: an add that may have landed - retrying could add it twice)
+const TERMINAL_STATUSES = ['out_of_stock', 'limit_reached', 'variant_unavailable', 'over_budget', 'ambiguous', 'not_found', 'unconfirmed'];
+
+// Error messages that describe a flaky page (timeouts, detached elements, navigation races)
+const TRANSIENT_PATTERNS = [
+  /timeout/i,
+  /timed out/i,
+  /detached/i,
+  /not attached/i,
+  /element is not (visible|stable|enabled)/i,
+  /intercepts pointer events/i,
+  /execution context was destroyed/i,
+  /navigation/i,
+  /net::ERR_/i,
+  /ECONNRESET|ECONNREFUSED|socket hang up/i,
+];
+
+// Error messages that mean the browser itself is gone - no retry can recover
+const TERMINAL_PATTERNS = [
+  /target (page, context or browser )?(has been )?closed/i,
+  /browser has been closed/i,
+  /browser has disconnected/i,
+];
+
+const DEFAULT_POLICY = {
+  baseDelayMs: 250,
+  maxDelayMs: 5000,
+  jitter: 0.2
+};
+
+// Active backoff policy and retry budget for the current run (limit 0 = unlimited)
+let _policy = { ...DEFAULT_POLICY };
+let _budget = { limit: 0, used: 0 };
+
+/**
+ * Configure the run-wide retry policy and reset the retry budget (call once at run start)
+ * @param {Object} config - Bot configuration
+ * @param {number} config.RETRY_BASE_DELAY_MS - First retry delay
+ * @param {number} config.RETRY_MAX_DELAY_MS - Delay cap
+ * @param {number} config.RETRY_JITTER - Jitter fraction (0-1)
+ * @param {number} config.RETRY_BUDGET - Total retries allowed this run (0 = unlimited)
+ */
+function configureRetries(config = {}) {
+  _policy = {
+    baseDelayMs: config.RETRY_BASE_DELAY_MS ?? DEFAULT_POLICY.baseDelayMs,
+    maxDelayMs: config.RETRY_MAX_DELAY_MS ?? DEFAULT_POLICY.maxDelayMs,
+    jitter: config.RETRY_JITTER ?? DEFAULT_POLICY.jitter
+  };
+  resetRetryBudget(config.RETRY_BUDGET);
+}
+
+/**
+ * Reset the per-run retry budget
+ * @param {number} limit - Total retries allowed this run (0 = unlimited)
+ */
+function resetRetryBudget(limit = 0) {
+  _budget = { limit: Math.max(0, limit || 0), used: 0 };
+}
+
+/**
+ * Get retry budget usage for the current run
+ * @returns {{limit: number, used: number, remaining: number|null}}
+ */
+function getRetryStats() {
+  return {
+    limit: _budget.limit,
+    used: _budget.used,
+    remaining: _budget.limit > 0 ? Math.max(0, _budget.limit - _budget.used) : null
+  };
+}
+
+/**
+ * Take one retry from the run budget
+ * @returns {boolean} False if the budget is exhausted
+ */
+function _consumeRetry() {
+  if (_budget.limit > 0 && _budget.used >= _budget.limit) {
+    return false;
+  }
+  _budget.used++;
+  return true;
+}
+
+/**
+ * Classify an error as transient or terminal
+ * Errors may carry a result status (err.status) or an explicit err.retryable flag.
+ * Unrecognised errors are treated as transient.
+ * @param {Error|string} error
+ * @returns {'transient'|'terminal'}
+ */
+function classifyError(error) {
+  if (error && typeof error === 'object') {
+    if (error.retryable === false) return 'terminal';
+    if (error.retryable === true) return 'transient';
+    if (error.status && TERMINAL_STATUSES.includes(error.status)) return 'terminal';
+  }
+
+  const message = error instanceof Error ? error.message : String(error || '');
+  if (TERMINAL_PATTERNS.some(pattern => pattern.test(message))) return 'terminal';
+  if (TRANSIENT_PATTERNS.some(pattern => pattern.test(message))) return 'transient';
+
+  return 'transient';
+}
+
+/**
+ * Compute backoff delay for a retry attempt
+ * @param {number} attempt - Failed attempt number (1-based)
+ * @param {{baseDelayMs: number, maxDelayMs: number, jitter: number}} policy
+ * @returns {number} Delay in ms
+ */
+function computeDelay(attempt, policy = _policy) {
+  const exponential = policy.baseDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+  const capped = Math.min(policy.maxDelayMs, exponential);
+  const jitter = Math.min(1, Math.max(0, policy.jitter || 0));
+  const factor = 1 - jitter + Math.random() * 2 * jitter;
+  return Math.round(capped * factor);
+}
+
+/**
+ * Default onRetry hook: record the failed attempt as a failure artifact
+ * @param {{error: Error, attempt: number, maxRetries: number, delayMs: number, kind: string, description: string, page: Object}} info
+ */
+async function captureRetryFailure(info) {
+  await captureFailure(info.page || null, `retry-${sanitizeFilename(info.description)}`, info.error, {
+    details: {
+      attempt: info.attempt,
+      maxRetries: info.maxRetries,
+      delayMs: info.delayMs,
+      kind: info.kind
+    }
+  });
+}
+
+/**
+ * Default onGiveUp hook: record the final failed attempt in failures.jsonl
+ * No screenshot here - retry() takes its own on giving up (screenshotOnFail).
+ * @param {{error: Error, attempt: number, maxRetries: number, kind: string, reason: string, description: string, page: Object}} info
+ */
+function recordFinalFailure(info) {
+  let url = 'no-page';
+  if (info.page) {
+    try {
+      url = info.page.url();
+    } catch {
+      url = 'unknown';
+    }
+  }
+  logFailure(`retry-${sanitizeFilename(info.description)}`, url, info.error, {
+    details: {
+      attempt: info.attempt,
+      maxRetries: info.maxRetries,
+      kind: info.kind,
+      reason: info.reason,
+      final: true
+    }
+  });
+}
+
+/**
+ * Retry an action according to the retry policy
+ * Terminal errors and exhausted budgets are rethrown immediately.
+ * The thrown error is annotated with err.attempts and err.retryKind.
+ * @param {Function} action - Async function to retry
+ * @param {number} maxRetries - Maximum attempts
+ * @param {string} description - Description for logging
+ * @param {Object} options - Additional options
+ * @param {Object} options.page - Playwright page for screenshots/artifacts
+ * @param {boolean} options.screenshotOnFail - Take screenshot on final failure (default true)
+ * @param {Function} options.onRetry - Hook called before each retry (default: captureRetryFailure)
+ * @param {Function} options.onGiveUp - Hook called with the final failed attempt and its reason (default: recordFinalFailure)
+ * @param {Function} options.classify - Error classifier override
+ * @param {Object} options.policy - Backoff overrides {baseDelayMs, maxDelayMs, jitter}
+ */
+async function retry(action, maxRetries, description, options = {}) {
+  const policy = { ..._policy, ...(options.policy || {}) };
+  const classify = options.classify || classifyError;
+  const onRetry = options.onRetry === undefined ? captureRetryFailure : options.onRetry;
+  const onGiveUp = options.onGiveUp === undefined ? recordFinalFailure : options.onGiveUp;
+  const attemptsAllowed = Math.max(1, maxRetries || 1);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await action(attempt);
+    } catch (error) {
+      const kind = classify(error);
+      const message = error instanceof Error ? error.message : String(error);
+
+      let giveUpReason = null;
+      if (kind === 'terminal') {
+        giveUpReason = 'terminal error';
+      } else if (attempt >= attemptsAllowed) {
+        giveUpReason = 'max attempts reached';
+      } else if (!_consumeRetry()) {
+        giveUpReason = `run retry budget exhausted (${_budget.used}/${_budget.limit})`;
+      }
+
+      if (giveUpReason) {
+        log('WARN', `Giving up on ${description} after attempt ${attempt}/${attemptsAllowed} (${giveUpReason}): ${message}`);
+        if (onGiveUp) {
+          try {
+            await onGiveUp({ error, attempt, maxRetries: attemptsAllowed, kind, reason: giveUpReason, description, page: options.page });
+          } catch (hookErr) {
+            log('DEBUG', `onGiveUp hook failed: ${hookErr.message}`);
+          }
+        }
+        if (options.page && options.screenshotOnFail !== false) {
+          await captureScreenshot(options.page, `error-${sanitizeFilename(description)}`);
+        }
+        if (error && typeof error === 'object') {
+          error.attempts = attempt;
+          error.retryKind = kind;
+        }
+        throw error;
+      }
+
+      const delayMs = computeDelay(attempt, policy);
+      log('WARN', `Retry ${attempt}/${attemptsAllowed} for ${description} in ${delayMs}ms (${kind}): ${message}`);
+
+      if (onRetry) {
+        try {
+          await onRetry({ error, attempt, maxRetries: attemptsAllowed, delayMs, kind, description, page: options.page });
+        } catch (hookErr) {
+          log('DEBUG', `onRetry hook failed: ${hookErr.message}`);
+        }
+      }
+
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  DEFAULT_POLICY,
+  retry,
+  classifyError,
+  computeDelay,
+  captureRetryFailure,
+  recordFinalFailure,
+  configureRetries,
+  resetRetryBudget,
+  getRetryStats
+};
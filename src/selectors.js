@@ -3,6 +3,16 @@
  * Multi-tier fallback approach for self-healing
  */
 
+/**
+ * Build a regex matching a variant option label ("Size", "Size: L", "Select size")
+ * @param {string} name - Option name
+ * @returns {RegExp}
+ */
+function optionNamePattern(name) {
+  const escaped = String(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`, 'i');
+}
+
 /**
  * Get all selectors bound to a page
  * @param {import('playwright').Page} page
@@ -39,6 +49,16 @@ function getSelectors(page) {
     navShopFallback2: () => page.locator('nav a:has-text("Shop"), header a:has-text("Shop")'),
     navAllProducts: () => page.getByRole('link', { name: /all products|view all|shop all/i }),
 
+    // CATEGORIES menu trigger in the top nav (hover reveals the dropdown)
+    categoryMenuTrigger: () => page.locator('header a, nav a').filter({ hasText: /^CATEGORIES$/i }),
+    categoryMenuTriggerFallback1: () => page.locator('header').getByRole('link', { name: /categories/i }),
+    categoryMenuTriggerFallback2: () => page.locator('nav').getByRole('link', { name: /categories/i }),
+    categoryMenuTriggerFallback3: () => page.locator('[class*="header"] a:has-text("Categories"), [class*="nav"] a:has-text("Categories"), a:has-text("CATEGORIES")'),
+
+    // Category dropdown panel (used when the trigger's own menu item holds no links)
+    categoryMenu: () => page.locator('.dropdown-menu, [class*="dropdown"] ul, [class*="submenu"]'),
+    categoryMenuFallback: () => page.locator('[class*="mega-menu"], [class*="megamenu"], [role="menu"]'),
+
     // ==========================================
     // PRODUCT LISTING
     // ==========================================
@@ -69,11 +89,33 @@ function getSelectors(page) {
     loadMoreFallback2: () => page.locator('.load-more, .show-more, [class*="load-more"]'),
     paginationNext: () => page.getByRole('link', { name: /next/i }),
     paginationNextFallback: () => page.locator('.pagination-next, .next-page, a[rel="next"]'),
+    paginationNextHead: () => page.locator('head link[rel="next"]'),
+    paginationNav: () => page.locator('nav.pagination, .pagination, nav[aria-label*="pagination" i]'),
 
     // ==========================================
     // PRODUCT PAGE
     // ==========================================
 
+    // Product page title / add-to-cart form (used to confirm the product page has loaded)
+    productPageTitle: () => page.locator('.product__title, .product-single__title, .product-title h1, main h1'),
+    productPageTitleFallback: () => page.locator('h1'),
+    productForm: () => page.locator('form[action*="/cart/add"], .product-form, [class*="product-form"]'),
+
+    // Product page price (current variant)
+    productPrice: () => page.locator('.product__price, .product-single__price, [data-product-price], .price-item--sale, .price-item--regular'),
+    productPriceFallback: () => page.locator('main [class*="price"]:not([class*="compare"])'),
+
+    // Variant option pickers (name = option name from the product spec, e.g. "size")
+    // Select dropdowns
+    variantSelect: (name) => page.getByLabel(optionNamePattern(name)).and(page.locator('select')),
+    variantSelectFallback: (name) => page.locator(`select[name*="${name}" i], select[data-option-name*="${name}" i], select[id*="${name}" i]`),
+    // Radio swatches (fieldset + legend, or ARIA radiogroup)
+    variantRadioGroup: (name) => page.locator('fieldset').filter({ has: page.locator('legend', { hasText: optionNamePattern(name) }) }),
+    variantRadioGroupFallback: (name) => page.getByRole('radiogroup', { name: optionNamePattern(name) }),
+    // Button groups
+    variantButtonGroup: (name) => page.getByRole('group', { name: optionNamePattern(name) }),
+    variantButtonGroupFallback: (name) => page.locator(`[data-option-name*="${name}" i], [data-option*="${name}" i]`),
+
     // Quantity selector
     quantityInput: () => page.getByRole('spinbutton', { name: /quantity/i }),
     quantityInputFallback1: () => page.locator('input[name="quantity"], input[type="number"][name*="qty"]'),
@@ -144,6 +186,9 @@ function getSelectors(page) {
     // Cart total
     cartTotal: () => page.locator('.cart-total, .cart-subtotal, [class*="cart-total"]'),
 
+    // Cart-level discounts (automatic discounts, applied codes)
+    cartDiscount: () => page.locator('.cart-discount, .cart__discount, [class*="cart-discount"], [data-cart-discount]'),
+
     // Cart close button
     cartClose: () => page.getByRole('button', { name: /close/i }),
     cartCloseFallback1: () => page.locator('.cart-drawer__close, .drawer__close, .close-drawer'),
@@ -235,6 +280,15 @@ function getSelectors(page) {
     continueToPaymentFallback1: () => page.locator('button:has-text("Continue to payment")'),
     continueToPaymentFallback2: () => page.locator('button[type="submit"]:has-text("Continue")'),
 
+    // Only on checkouts with a separate review page after payment
+    continueToReview: () => page.getByRole('button', { name: /review order|continue to review/i }),
+    continueToReviewFallback: () => page.locator('button:has-text("Review order")'),
+
+    // Step detection: the page's own step marker, shipping method options, card fields
+    checkoutStep: () => page.locator('[data-step]'),
+    shippingMethodOption: () => page.locator('input[name*="shipping_method"], input[name*="shipping_rate"], input[name*="shippingMethod"], .shipping-method input[type="radio"]'),
+    paymentFields: () => page.locator('iframe[name*="card"], iframe[src*="stripe"], iframe[title*="payment" i], input[autocomplete="cc-number"]'),
+
     // ==========================================
     // DISCOUNT CODE
     // ==========================================
@@ -282,6 +336,26 @@ function getSelectors(page) {
     cardNameInput: () => page.locator('input[name="name"], input[name="cardName"]'),
     cardNameFallback: () => page.locator('input[autocomplete="cc-name"]'),
 
+    // ==========================================
+    // ORDER REVIEW
+    // ==========================================
+
+    // Line items in the order summary
+    reviewLineItem: () => page.locator('.order-summary__line, [data-order-summary-section="line-items"] tr.product'),
+    reviewLineItemFallback: () => page.locator('[class*="order-summary"] [class*="line-item"], [class*="order-summary"] [class*="product"]'),
+
+    // Contact / ship to / shipping method rows
+    reviewContact: () => page.locator('.review-block__row--contact .review-block__value'),
+    reviewContactFallback: () => page.locator('[class*="review-block"]:has-text("Contact") [class*="value"], [class*="review-block"]:has-text("Contact") bdo'),
+    reviewShipTo: () => page.locator('.review-block__row--ship-to .review-block__value'),
+    reviewShipToFallback: () => page.locator('[class*="review-block"]:has-text("Ship to") [class*="value"], [class*="review-block"]:has-text("Ship to") address'),
+    reviewShippingMethod: () => page.locator('.review-block__row--method .review-block__value'),
+    reviewShippingMethodFallback: () => page.locator('[class*="review-block"]:has-text("Method") [class*="value"], [class*="review-block"]:has-text("Shipping method") [class*="value"]'),
+
+    // Subtotal / discount / shipping / taxes / total rows
+    reviewTotalLine: () => page.locator('.order-summary .total-line'),
+    reviewTotalLineFallback: () => page.locator('[class*="total-line"], [data-order-summary-section="payment-lines"] tr'),
+
     // ==========================================
     // FINAL CHECKOUT
     // ==========================================
@@ -296,6 +370,8 @@ function getSelectors(page) {
     // Order confirmation
     orderConfirmation: () => page.locator('.order-confirmation, .thank-you, :text("order confirmed")'),
     orderConfirmationFallback: () => page.locator(':text("thank you"), :text("order number"), h1:has-text("Confirmation")'),
+    orderNumber: () => page.locator('.order-number, .os-order-number, [data-order-number]'),
+    orderNumberFallback: () => page.locator(':text-matches("order (number|no\\.?|#)", "i")'),
 
     // ==========================================
     // LOADING STATES
@@ -310,7 +386,10 @@ function getSelectors(page) {
     // ==========================================
 
     errorMessage: () => page.locator('.error, .error-message, [class*="error"], [role="alert"]'),
-    fieldError: () => page.locator('.field-error, .input-error, .invalid-feedback'),
+    fieldError: () => page.locator('.field-error, .input-error, .invalid-feedback, .field__message--error, [id^="error-for-"]'),
+
+    // Error page shown instead of a checkout step
+    checkoutErrorPage: () => page.locator('h1:has-text("not found"), h1:has-text("something went wrong"), .checkout-error, .notice--error, [data-checkout-error]'),
 
     // ==========================================
     // ACCOUNT / SIGN IN / SIGN OUT
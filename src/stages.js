@@ -0,0 +1,83 @@
+/**
+ * Run stages for STOP_AT
+ * The bot halts cleanly after the STOP_AT stage and writes stop-summary.json.
+ *
+ * Legacy flags map onto stages when STOP_AT is not set:
+ *   DRY_RUN=1          → homepage
+ *   CHECKOUT_ENABLED=0 → cart
+ *   FULL_SEND=0        → review
+ * With none of those (FULL_SEND=1), the run goes to completion and places the order.
+ * STOP_AT can never go past review - placing an order always requires FULL_SEND=1.
+ */
+
+// Stages in run order
+const STAGES = [
+  'homepage',     // Storefront reached
+  'search',       // Every product located in a listing / search results
+  'product',      // Product pages opened and variants selected
+  'add-to-cart',  // Products added to cart
+  'cart',         // Cart opened with the items
+  'contact',      // Checkout contact info filled
+  'shipping',     // Shipping address filled, shipping method step reached
+  'payment',      // Discount applied, payment details filled
+  'review',       // Final review page, order not placed
+];
+
+/**
+ * Resolve where the run should stop
+ * @param {Object} config - Bot configuration
+ * @returns {{stage: string|null, source: string}} stage null = run to completion (place order)
+ */
+function resolveStopAt(config) {
+  if (config.STOP_AT) {
+    return { stage: config.STOP_AT, source: 'STOP_AT' };
+  }
+  if (config.DRY_RUN) {
+    return { stage: 'homepage', source: 'DRY_RUN=1' };
+  }
+  if (!config.CHECKOUT_ENABLED) {
+    return { stage: 'cart', source: 'CHECKOUT_ENABLED=0' };
+  }
+  if (!config.FULL_SEND) {
+    return { stage: 'review', source: 'FULL_SEND=0' };
+  }
+  return { stage: null, source: 'FULL_SEND=1' };
+}
+
+/**
+ * Position of a stage in the run (-1 if unknown)
+ * @param {string} stage
+ * @returns {number}
+ */
+function stageIndex(stage) {
+  return STAGES.indexOf(stage);
+}
+
+/**
+ * Whether the run should halt after the given stage
+ * @param {Object} config - Bot configuration
+ * @param {string} stage - Stage just completed
+ * @returns {boolean}
+ */
+function shouldStopAfter(config, stage) {
+  return resolveStopAt(config).stage === stage;
+}
+
+/**
+ * Whether the run goes past the given stage
+ * @param {Object} config - Bot configuration
+ * @param {string} stage
+ * @returns {boolean}
+ */
+function runsPast(config, stage) {
+  const stopAt = resolveStopAt(config).stage;
+  return stopAt === null || stageIndex(stopAt) > stageIndex(stage);
+}
+
+module.exports = {
+  STAGES,
+  resolveStopAt,
+  stageIndex,
+  shouldStopAfter,
+  runsPast
+};
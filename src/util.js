@@ -1,13 +1,14 @@
 /**
  * Utility functions for Riot Merch Bot
  * - Logging
- * - Retry with exponential backoff
+ * - Retry (delegates to retry.js policy engine)
  * - Screenshot capture
- * - Fuzzy matching
+ * - Fuzzy matching (delegates to matching.js)
  */
 const fs = require('fs');
 const path = require('path');
-const stringSimilarity = require('string-similarity');
+const readline = require('readline');
+const { createMatcher, normalizeText, titleExclusion } = require('./matching.js');
 
 const SS_DIR = path.join(__dirname, '..', 'screens');
 const LOG_DIR = path.join(__dirname, '..', 'logs');
@@ -99,6 +100,7 @@ function log(level, message) {
  * @param {Error|string} error - Error object or message
  * @param {Object} options - Additional options
  * @param {number} options.accountIndex - Account index override (uses context if not set)
+ * @param {Object} options.details - Extra fields for the failures.jsonl entry (e.g. retry attempt/delay)
  */
 function logFailure(step, url, error, options = {}) {
   const accountIndex = options.accountIndex !== undefined 
@@ -117,7 +119,8 @@ function logFailure(step, url, error, options = {}) {
       accountIndex,
       step,
       url,
-      error: errorMsg
+      error: errorMsg,
+      ...(options.details || {})
     };
     const failuresFile = path.join(_runContext.runDir, 'failures.jsonl');
     fs.appendFileSync(failuresFile, JSON.stringify(failureEntry) + '\n');
@@ -125,43 +128,21 @@ function logFailure(step, url, error, options = {}) {
 }
 
 /**
- * Retry an action with exponential backoff
+ * Retry an action using the run's retry policy (see retry.js)
+ * Transient errors are retried with backoff + jitter; terminal errors are rethrown immediately.
  * @param {Function} action - Async function to retry
- * @param {number} maxRetries - Maximum retry attempts
+ * @param {number} maxRetries - Maximum attempts
  * @param {string} description - Description for logging
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options (see retry.js retry())
  * @param {Object} options.page - Playwright page for screenshots
- * @param {boolean} options.screenshotOnFail - Take screenshot on failure
+ * @param {boolean} options.screenshotOnFail - Take screenshot on final failure
+ * @param {Function} options.onRetry - Hook called before each retry
+ * @param {Function} options.onGiveUp - Hook called with the final failed attempt
  */
 async function withRetry(action, maxRetries, description, options = {}) {
-  let attempts = 0;
-  const backoffs = [100, 200, 400, 800, 1600]; // Exponential backoff
-
-  while (attempts < maxRetries) {
-    try {
-      const result = await action();
-      return result;
-    } catch (error) {
-      attempts++;
-      log('WARN', `Retry ${attempts}/${maxRetries} for ${description}: ${error.message}`);
-
-      // Take screenshot on failure if page provided
-      if (options.page && options.screenshotOnFail !== false) {
-        await captureScreenshot(options.page, `retry-${attempts}-${sanitizeFilename(description)}`);
-      }
-
-      if (attempts < maxRetries) {
-        const delay = backoffs[attempts - 1] || 1600;
-        await sleep(delay);
-      } else {
-        // Final failure - capture error screenshot
-        if (options.page) {
-          await captureScreenshot(options.page, `error-${sanitizeFilename(description)}`);
-        }
-        throw error;
-      }
-    }
-  }
+  // Required lazily - retry.js depends on this module
+  const { retry } = require('./retry.js');
+  return await retry(action, maxRetries, description, options);
 }
 
 /**
@@ -249,9 +230,17 @@ async function captureScreenshot(page, name, fullPageOrOptions = true) {
  * @param {Error|string} error - Error object or message
  * @param {Object} options - Additional options
  * @param {number} options.accountIndex - Account index override
+ * @param {Object} options.details - Extra fields for the failures.jsonl entry
  */
 async function captureFailure(page, step, error, options = {}) {
-  const url = page ? await page.url().catch(() => 'unknown') : 'no-page';
+  let url = 'no-page';
+  if (page) {
+    try {
+      url = page.url();
+    } catch {
+      url = 'unknown';
+    }
+  }
   logFailure(step, url, error, options);
   
   if (page) {
@@ -277,57 +266,148 @@ function sanitizeFilename(str) {
 
 /**
  * Fuzzy match product name against target
+ * Uses the default matcher (see matching.js); code with the bot config should use matcherFromConfig.
  * @param {string} productName - Product name from page
  * @param {string[]} targetNames - Target names/synonyms to match
  * @param {number} threshold - Similarity threshold (0-1)
- * @returns {{matched: boolean, score: number, matchedName: string}}
+ * @param {Object} [constraints] - Keyword constraints checked before scoring (see titleExclusion)
+ * @returns {{matched: boolean, score: number, matchedName: string|null, rule: string|null, excluded?: string}}
  */
-function fuzzyMatch(productName, targetNames, threshold = 0.5) {
-  const normalizedProduct = normalizeText(productName);
+function fuzzyMatch(productName, targetNames, threshold = 0.5, constraints = {}) {
+  return createMatcher({ threshold }).match(productName, targetNames, constraints);
+}
 
-  for (const target of targetNames) {
-    const normalizedTarget = normalizeText(target);
+// Currency codes recognised in price text ("USD $45.00", "45,00 EUR")
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'KRW', 'INR', 'BRL', 'MXN', 'HKD', 'SGD', 'CNY', 'TRY'];
 
-    // Exact match (case-insensitive)
-    if (normalizedProduct === normalizedTarget) {
-      return { matched: true, score: 1.0, matchedName: target };
-    }
+// Currency symbols, prefixed dollars first so "CA$" isn't read as "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['NZ$', 'NZD'], ['HK$', 'HKD'],
+  ['S$', 'SGD'], ['R$', 'BRL'], ['MX$', 'MXN'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₩', 'KRW'], ['₹', 'INR'],
+  ['₺', 'TRY'], ['zł', 'PLN'], ['$', 'USD']
+];
 
-    // Contains match
-    if (normalizedProduct.includes(normalizedTarget) || normalizedTarget.includes(normalizedProduct)) {
-      return { matched: true, score: 0.9, matchedName: target };
-    }
+// Numbers in a price: digits with '.', ',' or apostrophe separators; spaces only before a group of three
+const PRICE_NUMBER = /\d+(?:(?:[.,']|[ \u00a0\u202f](?=\d{3}(?!\d)))\d+)*/g;
 
-    // Fuzzy similarity
-    const score = stringSimilarity.compareTwoStrings(normalizedProduct, normalizedTarget);
-    if (score >= threshold) {
-      return { matched: true, score, matchedName: target };
-    }
+// Minus sign before a number, possibly ahead of its currency ("-$5.00", "$-5.00", "−5,00 €")
+const NEGATIVE_PREFIX = /[-\u2212]\s*[^\d\s\-\u2212]*\s*$/;
+
+// Currency codes right before / after a number - upper case only, so words like "try" don't count
+const LEADING_CODE = new RegExp(`\\b(${CURRENCY_CODES.join('|')})$`);
+const TRAILING_CODE = new RegExp(`^(${CURRENCY_CODES.join('|')})\\b`);
 
-    // Word-level matching (all target words present)
-    const targetWords = normalizedTarget.split(/\s+/).filter(w => w.length > 2);
-    const productWords = normalizedProduct.split(/\s+/);
-    const matchedWords = targetWords.filter(tw =>
-      productWords.some(pw => pw.includes(tw) || tw.includes(pw))
-    );
-    if (targetWords.length > 0 && matchedWords.length >= targetWords.length * 0.7) {
-      return { matched: true, score: 0.8, matchedName: target };
+/**
+ * Decimal separator for a locale ("de-DE" → ",", "en-US" → ".")
+ * @param {string} locale - BCP 47 tag
+ * @returns {string|null} null for an unknown locale
+ */
+function decimalSeparator(locale) {
+  try {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+    return part ? part.value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a matched number into an amount
+ * Without a known decimal separator it is inferred: with both '.' and ',' the last one is the
+ * decimal point; a lone separator followed by exactly three digits groups thousands ("1,234", "1.234").
+ * @param {string} number - e.g. "1.234,56"
+ * @param {string|null} decimal - '.' or ',' when known
+ * @returns {number}
+ */
+function toAmount(number, decimal) {
+  const digits = number.replace(/[\s\u00a0\u202f']/g, '');
+  if (!decimal) {
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot >= 0 || lastComma >= 0) {
+      const separator = lastDot >= 0 ? '.' : ',';
+      const parts = digits.split(separator);
+      const grouping = parts.length > 2 || (parts[1].length === 3 && parts[0] !== '0');
+      decimal = grouping ? (separator === '.' ? ',' : '.') : separator;
+    } else {
+      decimal = '.';
     }
   }
+  const group = decimal === '.' ? ',' : '.';
+  return parseFloat(digits.split(group).join('').replace(decimal, '.'));
+}
+
+/**
+ * Currency named in a price text, by ISO code or symbol
+ * @param {string} text - e.g. "USD $45.00", "45,00 €"
+ * @returns {string|null} ISO 4217 code
+ */
+function detectCurrency(text) {
+  const value = String(text || '');
+  const code = value.toUpperCase().match(new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`));
+  if (code) return code[1];
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => value.includes(s));
+  return symbol ? symbol[1] : null;
+}
+
+/**
+ * Whether a currency symbol or code ends the text before a number ("$45", "USD 45", "$ -5")
+ * @param {string} before - Text between the previous number and this one
+ * @returns {boolean}
+ */
+function currencyBefore(before) {
+  const lead = before.replace(/[\s\-\u2212]+$/, '');
+  return CURRENCY_SYMBOLS.some(([s]) => lead.endsWith(s)) || LEADING_CODE.test(lead);
+}
+
+/**
+ * Whether a currency symbol or code starts the text after a number ("45,00 €", "45 EUR")
+ * @param {string} after - Text between this number and the next one
+ * @returns {boolean}
+ */
+function currencyAfter(after) {
+  const trail = after.replace(/^\s+/, '');
+  return CURRENCY_SYMBOLS.some(([s]) => trail.startsWith(s)) || TRAILING_CODE.test(trail);
+}
 
-  return { matched: false, score: 0, matchedName: null };
+/**
+ * Parse a displayed price ("$45.00", "USD $1,234.50", "-$5.00", "1.234,56 €", "CHF 1'234.50")
+ * The amount is the first number after a currency symbol or code, then the first one followed by
+ * one, else the last number - so quantities in the same text ("2 x $45.00", "Qty: 2 $45.00") aren't
+ * taken for the price.
+ * @param {string} text
+ * @param {string|null} [locale] - Store locale (PRICE_LOCALE); without it the decimal separator is inferred
+ * @returns {number|null} Amount in currency units, null if no amount found
+ */
+function parsePrice(text, locale = null) {
+  const value = String(text || '');
+  const numbers = [...value.matchAll(PRICE_NUMBER)];
+  if (numbers.length === 0) return null;
+
+  const spans = numbers.map((match, i) => {
+    const start = i > 0 ? numbers[i - 1].index + numbers[i - 1][0].length : 0;
+    const next = i + 1 < numbers.length ? numbers[i + 1].index : value.length;
+    return { number: match[0], before: value.slice(start, match.index), after: value.slice(match.index + match[0].length, next) };
+  });
+  const price = spans.find(span => currencyBefore(span.before))
+    || spans.find(span => currencyAfter(span.after))
+    || spans[spans.length - 1];
+
+  const amount = toAmount(price.number, locale ? decimalSeparator(locale) : null);
+  if (Number.isNaN(amount)) return null;
+  return NEGATIVE_PREFIX.test(price.before) ? -amount : amount;
 }
 
 /**
- * Normalize text for comparison
+ * Parse a displayed price with its currency
  * @param {string} text
+ * @param {string|null} [locale] - See parsePrice
+ * @returns {{amount: number|null, currency: string|null}}
  */
-function normalizeText(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ')  // Remove special chars
-    .replace(/\s+/g, ' ')       // Normalize whitespace
-    .trim();
+function parseMoney(text, locale = null) {
+  return { amount: parsePrice(text, locale), currency: detectCurrency(text) };
 }
 
 /**
@@ -426,6 +506,37 @@ async function fillIfNotEmpty(page, selector, value, fieldName) {
   }
 }
 
+/**
+ * Ask a yes/no question on the terminal
+ * Without a terminal (piped, scheduled runs), or when nobody answers in time, the default is used.
+ * @param {string} question - Shown with " [y/N] " or " [Y/n] "
+ * @param {Object} [options]
+ * @param {boolean} [options.defaultAnswer] - Answer for an empty reply, a timeout or no terminal (default false)
+ * @param {number} [options.timeoutMs] - How long to wait for a reply (default 60s)
+ * @returns {Promise<{answer: boolean, asked: boolean}>} asked is false when there was no terminal
+ */
+async function askYesNo(question, options = {}) {
+  const { defaultAnswer = false, timeoutMs = 60000 } = options;
+  if (!process.stdin.isTTY) {
+    return { answer: defaultAnswer, asked: false };
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const reply = await new Promise(resolve => {
+      const timer = setTimeout(() => resolve(''), timeoutMs);
+      rl.question(`${question} ${defaultAnswer ? '[Y/n]' : '[y/N]'} `, text => {
+        clearTimeout(timer);
+        resolve(text);
+      });
+    });
+    const text = reply.trim().toLowerCase();
+    return { answer: text === '' ? defaultAnswer : /^y(es)?$/.test(text), asked: true };
+  } finally {
+    rl.close();
+  }
+}
+
 /**
  * Mask sensitive data for logging
  * @param {string} value
@@ -477,6 +588,25 @@ function saveAccountResults(results) {
   }
 }
 
+/**
+ * Save a JSON artifact to the run folder (falls back to LOG_DIR when no run context exists)
+ * @param {string} filename - e.g. "stop-summary.json"
+ * @param {Object} data - JSON-serializable data
+ * @returns {string|null} Path written, or null on failure
+ */
+function saveRunArtifact(filename, data) {
+  try {
+    const dir = _runContext.runDir || LOG_DIR;
+    const filepath = path.join(dir, filename);
+    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    log('INFO', `Saved ${filename} to ${dir}`);
+    return filepath;
+  } catch (err) {
+    log('WARN', `Failed to save ${filename}: ${err.message}`);
+    return null;
+  }
+}
+
 /**
  * Create error context for logging
  * @param {string} step - Current step name
@@ -516,12 +646,19 @@ module.exports = {
   captureFailure,
   sanitizeFilename,
   fuzzyMatch,
+  titleExclusion,
   normalizeText,
+  parsePrice,
+  parseMoney,
+  detectCurrency,
+  decimalSeparator,
   waitForAny,
   clickWithFallback,
   fillIfNotEmpty,
+  askYesNo,
   maskSensitive,
   saveAccountResults,
+  saveRunArtifact,
   createErrorContext,
   formatAccountError,
   initRunContext,
@@ -0,0 +1,144 @@
+/**
+ * Cart reconciliation tests - which cart lines are kept, corrected, removed or left alone for the
+ * configured products (CART_MODE=reconcile), and the plan that puts the original cart back
+ * (leaving out lines that were ordered)
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatcher } = require('../src/matching.js');
+const { planCartReconciliation, planCartRestore, linesNotOrdered } = require('../src/cartReconcile.js');
+
+const matcher = createMatcher({ strategy: 'dice', threshold: 0.5, stylised: true });
+
+const PORO = { names: ['Poro Plush'], quantity: 2, options: {} };
+const HOODIE = { names: ['Jinx Hoodie'], quantity: 1, options: { size: 'L' } };
+const PIN = { names: ['Teemo Pin'], quantity: 1, options: {} };
+
+/**
+ * Cart line
+ * @param {string} title
+ * @param {number|null} quantity
+ * @param {string|null} [variant]
+ * @returns {{title: string, variant: string|null, quantity: number|null}}
+ */
+function line(title, quantity, variant = null) {
+  return { title, variant, quantity };
+}
+
+/**
+ * Plan reduced to titles per bucket
+ * @param {ReturnType<typeof planCartReconciliation>} plan
+ * @returns {Object<string, string[]>}
+ */
+function titles(plan) {
+  return {
+    keep: plan.keep.map(k => k.line.title),
+    update: plan.update.map(u => `${u.line.title} ${u.from}→${u.to}`),
+    add: plan.add.map(p => p.names[0]),
+    remove: plan.remove.map(r => r.line.title),
+    unrelated: plan.unrelated.map(l => l.title)
+  };
+}
+
+describe('planCartReconciliation', () => {
+  it('keeps matching lines, corrects quantities and adds what is missing', () => {
+    const lines = [line('Poro Plush', 1), line('Jinx Hoodie', 1, 'L / Black')];
+    assert.deepEqual(titles(planCartReconciliation(lines, [PORO, HOODIE, PIN], matcher)), {
+      keep: ['Jinx Hoodie'],
+      update: ['Poro Plush 1→2'],
+      add: ['Teemo Pin'],
+      remove: [],
+      unrelated: []
+    });
+  });
+
+  it('adds a product whose line has the wrong options', () => {
+    const plan = planCartReconciliation([line('Jinx Hoodie', 1, 'M / Black')], [HOODIE], matcher);
+    assert.deepEqual(titles(plan).add, ['Jinx Hoodie']);
+    assert.deepEqual(titles(plan).unrelated, ['Jinx Hoodie']);
+  });
+
+  it('removes a second line for a product that already has one', () => {
+    const plan = planCartReconciliation([line('Poro Plush', 2), line('Poro Plush', 1)], [PORO], matcher);
+    assert.deepEqual(titles(plan).keep, ['Poro Plush']);
+    assert.deepEqual(plan.remove.map(r => r.reason), ['extra line for "Poro Plush"']);
+  });
+
+  it('keeps unrelated lines by default and removes them with unrelated=remove', () => {
+    const lines = [line('Poro Plush', 2), line('Arcane Poster', 1)];
+    assert.deepEqual(titles(planCartReconciliation(lines, [PORO], matcher)).unrelated, ['Arcane Poster']);
+
+    const plan = planCartReconciliation(lines, [PORO], matcher, { unrelated: 'remove' });
+    assert.deepEqual(plan.unrelated, []);
+    assert.deepEqual(plan.remove.map(r => [r.line.title, r.reason]), [['Arcane Poster', 'not a configured product']]);
+  });
+
+  it('removes lines of skipped products even when unrelated lines are kept', () => {
+    const lines = [line('Poro Plush', 2), line('Teemo Pin', 1), line('Arcane Poster', 1)];
+    const plan = planCartReconciliation(lines, [PORO], matcher, { unrelated: 'keep', skipped: [PIN] });
+
+    assert.deepEqual(titles(plan), {
+      keep: ['Poro Plush'],
+      update: [],
+      add: [],
+      remove: ['Teemo Pin'],
+      unrelated: ['Arcane Poster']
+    });
+    assert.equal(plan.remove[0].skipped, PIN);
+    assert.equal(plan.remove[0].reason, '"Teemo Pin" is skipped this run');
+  });
+
+  it('lets a configured product claim a line before a skipped one', () => {
+    const plan = planCartReconciliation([line('Poro Plush', 2)], [PORO], matcher, { skipped: [{ ...PORO }] });
+    assert.deepEqual(titles(plan).keep, ['Poro Plush']);
+    assert.deepEqual(plan.remove, []);
+  });
+});
+
+describe('planCartRestore', () => {
+  it('removes what the run added and re-adds or corrects the original lines', () => {
+    const original = [line('Arcane Poster', 1), line('Poro Plush', 3), line('Teemo Pin', 1)];
+    const current = [line('Poro Plush', 2), line('Jinx Hoodie', 1, 'L / Black'), line('Teemo Pin', 1)];
+    const plan = planCartRestore(original, current, matcher);
+
+    assert.deepEqual(titles(plan), {
+      keep: ['Teemo Pin'],
+      update: ['Poro Plush 2→3'],
+      add: ['Arcane Poster'],
+      remove: ['Jinx Hoodie'],
+      unrelated: []
+    });
+    assert.equal(plan.add[0].line, original[0]);
+  });
+
+  it('matches original lines by their listed options', () => {
+    const original = [{ ...line('Jinx Hoodie', 1, 'L'), options: { size: 'L' } }];
+    const plan = planCartRestore(original, [line('Jinx Hoodie', 1, 'M')], matcher);
+    assert.deepEqual(titles(plan).add, ['Jinx Hoodie']);
+    assert.deepEqual(titles(plan).remove, ['Jinx Hoodie']);
+  });
+
+  it('treats an unknown original quantity as one', () => {
+    const plan = planCartRestore([line('Poro Plush', null)], [line('Poro Plush', 1)], matcher);
+    assert.deepEqual(titles(plan).keep, ['Poro Plush']);
+  });
+});
+
+describe('linesNotOrdered', () => {
+  it('leaves out original lines the order included', () => {
+    const original = [line('Arcane Poster', 1), line('Teemo Pin', 1)];
+    const ordered = [line('Poro Plush', 2), line('Teemo Pin', 1)];
+    assert.deepEqual(linesNotOrdered(original, ordered, matcher), [original[0]]);
+  });
+
+  it('keeps an original line whose variant was not ordered', () => {
+    const original = [{ ...line('Jinx Hoodie', 1, 'L'), options: { size: 'L' } }];
+    assert.deepEqual(linesNotOrdered(original, [line('Jinx Hoodie', 1, 'M')], matcher), original);
+    assert.deepEqual(linesNotOrdered(original, [line('Jinx Hoodie', 1, 'L')], matcher), []);
+  });
+
+  it('keeps every original line when the order held none of them', () => {
+    const original = [line('Arcane Poster', 1)];
+    assert.deepEqual(linesNotOrdered(original, [], matcher), original);
+  });
+});
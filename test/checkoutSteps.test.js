@@ -0,0 +1,152 @@
+/**
+ * Checkout step detection tests - step names in URLs and markers, each step from the signals
+ * CheckoutManager reads off the page, and which signal wins when they disagree
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stepFromName, stepFromUrl, detectCheckoutStep, canResumeFrom, resumedCheckoutItems } = require('../src/checkoutSteps.js');
+
+const STORE = 'https://merch.riotgames.com';
+
+/**
+ * Step and source for a set of signals
+ * @param {Object} signals - See detectCheckoutStep
+ * @returns {string} e.g. "shipping/url"
+ */
+function detect(signals) {
+  const { step, source } = detectCheckoutStep({ url: `${STORE}/`, ...signals });
+  return `${step}/${source}`;
+}
+
+describe('stepFromName', () => {
+  it('maps store step names and aliases', () => {
+    assert.equal(stepFromName('contact_information'), 'information');
+    assert.equal(stepFromName('Shipping Method'), 'shipping');
+    assert.equal(stepFromName('payment-method'), 'payment');
+    assert.equal(stepFromName('order_review'), 'review');
+    assert.equal(stepFromName('thank-you'), 'confirmation');
+  });
+
+  it('gives null for empty and unknown names', () => {
+    assert.equal(stepFromName(''), null);
+    assert.equal(stepFromName(null), null);
+    assert.equal(stepFromName('processing'), null);
+  });
+});
+
+describe('stepFromUrl', () => {
+  it('reads the last path segment naming a step', () => {
+    assert.equal(stepFromUrl(`${STORE}/checkout/information`), 'information');
+    assert.equal(stepFromUrl(`${STORE}/checkouts/c/abc123/shipping`), 'shipping');
+    assert.equal(stepFromUrl(`${STORE}/checkout/thank-you/RM-1001`), 'confirmation');
+  });
+
+  it('prefers the step query parameter', () => {
+    assert.equal(stepFromUrl(`${STORE}/checkouts/abc123?step=payment_method`), 'payment');
+    assert.equal(stepFromUrl(`${STORE}/checkout/information?step=shipping_method`), 'shipping');
+  });
+
+  it('ignores URLs outside the checkout and unparseable ones', () => {
+    assert.equal(stepFromUrl(`${STORE}/products/shipping-box`), null);
+    assert.equal(stepFromUrl(`${STORE}/pages/payment`), null);
+    assert.equal(stepFromUrl(`${STORE}/checkouts/abc123`), null);
+    assert.equal(stepFromUrl('not a url'), null);
+  });
+});
+
+describe('detectCheckoutStep', () => {
+  it('detects each step from the URL', () => {
+    assert.equal(detect({ url: `${STORE}/checkout/information` }), 'information/url');
+    assert.equal(detect({ url: `${STORE}/checkout/shipping` }), 'shipping/url');
+    assert.equal(detect({ url: `${STORE}/checkout/payment` }), 'payment/url');
+    assert.equal(detect({ url: `${STORE}/checkout/review` }), 'review/url');
+    assert.equal(detect({ url: `${STORE}/checkout/thank-you/RM-1` }), 'confirmation/url');
+  });
+
+  it('detects each step from the step marker', () => {
+    for (const step of ['information', 'shipping', 'payment', 'review']) {
+      assert.equal(detect({ marker: step }), `${step}/marker`);
+    }
+  });
+
+  it('detects each step from the visible forms', () => {
+    assert.equal(detect({ contactForm: true }), 'information/form');
+    assert.equal(detect({ shippingMethods: true }), 'shipping/form');
+    assert.equal(detect({ paymentFields: true }), 'payment/form');
+    assert.equal(detect({ placeOrder: true }), 'review/form');
+  });
+
+  it('detects the confirmation and error pages', () => {
+    assert.equal(detect({ confirmation: true }), 'confirmation/page');
+    const error = detectCheckoutStep({ url: `${STORE}/checkout/payment`, errorText: 'Something went wrong' });
+    assert.deepEqual(error, { step: 'error', source: 'page', detail: 'Something went wrong' });
+  });
+
+  it('gives unknown when nothing points at a step', () => {
+    assert.deepEqual(detectCheckoutStep({ url: `${STORE}/cart` }), { step: 'unknown', source: 'none', detail: `${STORE}/cart` });
+  });
+
+  describe('precedence', () => {
+    it('puts a confirmation message first', () => {
+      assert.equal(detect({ confirmation: true, errorText: 'Error', marker: 'payment', url: `${STORE}/checkout/payment`, paymentFields: true }), 'confirmation/page');
+    });
+
+    it('treats page errors next to a checkout form as field errors, not an error page', () => {
+      assert.equal(detect({ errorText: 'Card declined', paymentFields: true, url: `${STORE}/checkout/payment` }), 'payment/url');
+      assert.equal(detect({ errorText: 'Enter a ZIP code', contactForm: true }), 'information/form');
+    });
+
+    it('puts the step marker before the URL', () => {
+      assert.equal(detect({ marker: 'shipping', url: `${STORE}/checkout/information` }), 'shipping/marker');
+    });
+
+    it('falls back to the URL when the marker is not a step', () => {
+      assert.equal(detect({ marker: 'processing', url: `${STORE}/checkout/payment` }), 'payment/url');
+    });
+
+    it('puts the URL before the forms', () => {
+      assert.equal(detect({ url: `${STORE}/checkout/shipping`, contactForm: true, paymentFields: true }), 'shipping/url');
+    });
+
+    it('ranks payment fields over shipping methods over the contact form over Place order', () => {
+      assert.equal(detect({ contactForm: true, shippingMethods: true, paymentFields: true, placeOrder: true }), 'payment/form');
+      assert.equal(detect({ contactForm: true, shippingMethods: true, placeOrder: true }), 'shipping/form');
+      assert.equal(detect({ contactForm: true, placeOrder: true }), 'information/form');
+    });
+  });
+
+  describe('canResumeFrom', () => {
+    const resumes = signals => canResumeFrom(detectCheckoutStep({ url: `${STORE}/`, ...signals }));
+
+    it('resumes from a step named by the URL or marker', () => {
+      assert.equal(resumes({ url: `${STORE}/checkout/shipping` }), true);
+      assert.equal(resumes({ marker: 'review' }), true);
+    });
+
+    it('does not resume from forms alone - an email field could be a newsletter signup', () => {
+      assert.equal(resumes({ contactForm: true }), false);
+      assert.equal(resumes({ paymentFields: true }), false);
+      assert.equal(resumes({ placeOrder: true }), false);
+    });
+
+    it('does not resume from a finished, failed or unknown checkout', () => {
+      assert.equal(resumes({ url: `${STORE}/checkout/thank-you/RM-1` }), false);
+      assert.equal(resumes({ errorText: 'Checkout unavailable' }), false);
+      assert.equal(resumes({ url: `${STORE}/cart` }), false);
+    });
+  });
+});
+
+describe('resumedCheckoutItems', () => {
+  it('expects each product by name, quantity and configured options', () => {
+    const items = resumedCheckoutItems([{ names: ['Jinx Hoodie', 'Jinx Sweatshirt'], quantity: 2, options: { size: 'L' }, maxPrice: 60 }]);
+    assert.equal(items.length, 1);
+    assert.equal(items[0].product, 'Jinx Hoodie');
+    assert.equal(items[0].title, null);
+    assert.equal(items[0].variant, null);
+    assert.equal(items[0].quantity, 2);
+    assert.deepEqual(items[0].options, { size: 'L' });
+    assert.equal(items[0].maxPrice, 60);
+    assert.equal(items[0].status, 'success');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Config file tests - schema validation (types, ranges, enums, unknown and required fields, with
+ * their paths) and the .env converter, which writes only the keys an env file sets
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const dotenv = require('dotenv');
+const { CONFIG_SCHEMA, validateAgainstSchema } = require('../src/configSchema.js');
+const { STAGES } = require('../src/stages.js');
+const { convertEnv } = require('../src/convertEnv.js');
+
+/**
+ * Validation errors as "path: message" lines
+ * @param {Object} file - Config file contents
+ * @returns {string[]}
+ */
+function problems(file) {
+  return validateAgainstSchema(file, CONFIG_SCHEMA).map(e => `${e.path}: ${e.message}`);
+}
+
+describe('validateAgainstSchema', () => {
+  it('accepts an empty file and a valid one', () => {
+    assert.deepEqual(problems({}), []);
+    assert.deepEqual(problems({
+      modes: { dryRun: true, stopAt: 'product' },
+      browser: { navTimeoutMs: 45000 },
+      search: { strategy: 'token-set', categoryHints: { ARCANE: ['jinx', 'vi'] } },
+      products: [{ names: ['Poro Plush'], quantity: 2, options: { size: 'L' }, priceRange: { min: 10, max: 40 } }],
+      cart: { mode: 'reconcile' }
+    }), []);
+  });
+
+  it('reports wrong types, ranges and enum values with their paths', () => {
+    assert.deepEqual(problems({
+      modes: { dryRun: 'yes', stopAt: 'checkout' },
+      browser: { navTimeoutMs: 500 },
+      retry: { maxRetries: 1.5 },
+      search: { fuzzyThreshold: 2 }
+    }), [
+      'modes.dryRun: expected boolean, got string',
+      `modes.stopAt: must be one of ${STAGES.join(', ')}, got "checkout"`,
+      'browser.navTimeoutMs: must be >= 1000, got 500',
+      'retry.maxRetries: must be an integer, got 1.5',
+      'search.fuzzyThreshold: must be <= 1, got 2'
+    ]);
+  });
+
+  it('reports unknown fields, missing required ones and bad list items', () => {
+    assert.deepEqual(problems({
+      browzer: {},
+      products: [{ quantity: 1 }, { names: [], priceRange: { min: NaN } }],
+      accounts: [{ username: 'a', password: '' }]
+    }), [
+      'browzer: unknown field',
+      'products[0].names: is required',
+      'products[1].names: must have at least 1 item(s)',
+      'products[1].priceRange.min: must be a finite number',
+      'accounts[0].password: must not be empty'
+    ]);
+  });
+
+  it('rejects a file that is not an object', () => {
+    assert.deepEqual(problems([]), ['(root): expected object, got array']);
+  });
+});
+
+describe('convertEnv', () => {
+  const ENV = dotenv.parse([
+    'DRY_RUN=0',
+    'FULL_SEND=1',
+    'STOP_AT= Product ',
+    'CART_MODE=Reconcile',
+    'MAX_ORDER_TOTAL=150',
+    'EMAIL=',
+    'CATEGORY_HINTS="ARCANE: jinx, vi"',
+    'PRODUCT1="Poro Plush|Poro"',
+    'QTY1=2',
+    'OPTIONS1="size=L"',
+    'PRICE_RANGE1=10-40',
+    'RIOT_USER_1=player',
+    'RIOT_PASS_1=hunter2',
+    'CARD_NUMBER=4242424242424242'
+  ].join('\n'));
+
+  it('writes only the keys the file sets, typed as config.js reads them', () => {
+    const { file, errors } = convertEnv(ENV);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(file, {
+      modes: { dryRun: false, fullSend: true, stopAt: 'product' },
+      maxOrderTotal: 150,
+      cart: { mode: 'reconcile' },
+      search: { categoryHints: { ARCANE: ['jinx', 'vi'] } },
+      products: [{ names: ['Poro Plush', 'Poro'], quantity: 2, options: { size: 'L' }, priceRange: { min: 10, max: 40 } }]
+    });
+  });
+
+  it('does not write the timeouts FULL_SEND forces at run time', () => {
+    const { file } = convertEnv({ FULL_SEND: '1', NAV_TIMEOUT_MS: '60000' });
+    assert.deepEqual(file, { modes: { fullSend: true }, browser: { navTimeoutMs: 60000 } });
+  });
+
+  it('writes passwords and card details only with secrets', () => {
+    const { file } = convertEnv(ENV, { withSecrets: true });
+    assert.deepEqual(file.accounts, [{ username: 'player', password: 'hunter2' }]);
+    assert.deepEqual(file.payment, { cardNumber: '4242424242424242' });
+  });
+
+  it('leaves the process environment alone', () => {
+    const before = { ...process.env };
+    convertEnv({ ...ENV, PATH: '/nowhere' }, { withSecrets: true });
+    assert.deepEqual({ ...process.env }, before);
+  });
+
+  it('reports values the schema rejects', () => {
+    const { errors } = convertEnv({ MATCH_STRATEGY: 'fuzzy', MOCK_PORT: '70000' });
+    assert.deepEqual(errors.map(e => e.path), ['mockPort', 'search.strategy']);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Checkout field error tests - mapping the store's inline messages back to config fields,
+ * masking what was typed into sensitive fields, and errors no field claims
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { maskFieldValue, matchFieldError, describeFieldError } = require('../src/fieldErrors.js');
+
+// What FormFiller recorded while filling the mock storefront's forms
+const FILLED = [
+  { path: 'CHECKOUT.email', label: 'Email', value: 'test@example.com', name: 'email', id: 'email' },
+  { path: 'CHECKOUT.phone', label: 'Phone', value: '5555550123', name: 'phone', id: 'phone' },
+  { path: 'CHECKOUT.zip', label: 'ZIP Code', value: '1234', name: 'zip', id: 'checkout_zip' },
+  { path: 'PAYMENT.cardNumber', label: 'Card Number', value: '4242424242424241', name: 'card_number', id: 'card_number' },
+  { path: 'PAYMENT.cardCvv', label: 'CVV', value: '12', name: 'card_cvc', id: 'card_cvc' },
+];
+
+describe('matchFieldError', () => {
+  it('maps an error to the filled control it describes (aria-describedby)', () => {
+    const error = { message: 'Enter a valid ZIP code', errorId: 'error-zip', control: { name: 'zip', id: 'checkout_zip', autocomplete: 'postal-code' } };
+    assert.deepEqual(matchFieldError(error, FILLED), {
+      field: 'ZIP Code',
+      path: 'CHECKOUT.zip',
+      value: '1234',
+      message: 'Enter a valid ZIP code'
+    });
+  });
+
+  it('maps an error by the error element id when no control is linked', () => {
+    const result = matchFieldError({ message: 'Required', errorId: 'error-zip', control: null }, FILLED);
+    assert.equal(result.path, 'CHECKOUT.zip');
+    assert.equal(result.value, '1234');
+  });
+
+  it('maps an error by control attributes the bot did not record', () => {
+    const control = { name: 'checkout[shipping_address][zip]', id: null, autocomplete: null };
+    assert.equal(matchFieldError({ message: 'Invalid', errorId: null, control }, FILLED).path, 'CHECKOUT.zip');
+  });
+
+  it('falls back to the message text', () => {
+    const result = matchFieldError({ message: 'Enter a valid email address', errorId: null, control: null }, FILLED);
+    assert.equal(result.path, 'CHECKOUT.email');
+    assert.equal(result.value, 'test@example.com');
+  });
+
+  it('reports a field the bot left empty without a value', () => {
+    const result = matchFieldError({ message: 'Enter an apartment or suite', errorId: 'error-address2', control: null }, FILLED);
+    assert.equal(result.path, 'CHECKOUT.address2');
+    assert.equal(result.value, null);
+  });
+
+  it('leaves an error no field claims unmatched', () => {
+    const result = matchFieldError({ message: 'Something went wrong, try again', errorId: 'error-general', control: null }, FILLED);
+    assert.deepEqual(result, { field: null, path: null, value: null, message: 'Something went wrong, try again' });
+  });
+});
+
+describe('masking', () => {
+  it('keeps the last 4 card digits, the last 2 phone digits and no CVV or expiry', () => {
+    assert.equal(maskFieldValue('PAYMENT.cardNumber', '4242424242424241'), '************4241');
+    assert.equal(maskFieldValue('CHECKOUT.phone', '5555550123'), '********23');
+    assert.equal(maskFieldValue('PAYMENT.cardCvv', '123'), '****');
+    assert.equal(maskFieldValue('PAYMENT.cardExpMonth', '12'), '****');
+    assert.equal(maskFieldValue('PAYMENT.cardExpYear', '2030'), '****');
+  });
+
+  it('leaves other fields and missing values alone', () => {
+    assert.equal(maskFieldValue('CHECKOUT.zip', '1234'), '1234');
+    assert.equal(maskFieldValue(null, 'anything'), 'anything');
+    assert.equal(maskFieldValue('PAYMENT.cardNumber', null), null);
+  });
+
+  it('masks the typed value in matched errors', () => {
+    const card = matchFieldError({ message: 'Card number is invalid', errorId: 'error-card_number', control: { name: 'card_number', id: 'card_number', autocomplete: 'cc-number' } }, FILLED);
+    assert.equal(card.value, '************4241');
+    const cvv = matchFieldError({ message: 'Security code is invalid', errorId: 'error-card_cvc', control: { name: 'card_cvc', id: 'card_cvc', autocomplete: 'cc-csc' } }, FILLED);
+    assert.equal(cvv.value, '****');
+    const phone = matchFieldError({ message: 'Enter a valid phone number', errorId: 'error-phone', control: { name: 'phone', id: 'phone', autocomplete: 'tel' } }, FILLED);
+    assert.equal(phone.value, '********23');
+  });
+});
+
+describe('describeFieldError', () => {
+  it('names the config path, the typed value and the message', () => {
+    assert.equal(describeFieldError({ field: 'ZIP Code', path: 'CHECKOUT.zip', value: '1234', message: 'Enter a valid ZIP code' }),
+      'CHECKOUT.zip "1234": Enter a valid ZIP code');
+    assert.equal(describeFieldError({ field: 'Address Line 2', path: 'CHECKOUT.address2', value: null, message: 'Required' }),
+      'CHECKOUT.address2: Required');
+  });
+
+  it('reports unmatched errors against the page', () => {
+    assert.equal(describeFieldError({ field: null, path: null, value: null, message: 'Something went wrong' }), 'page: Something went wrong');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Order ledger tests - the duplicate order check (window, store, account, variant options)
+ * and how an unreadable ledger file is handled, against ledger files in a temp folder
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLedger, recordOrder, findDuplicateOrders } = require('../src/ledger.js');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+
+const CONFIG = {
+  URL: 'https://merch.riotgames.com',
+  LEDGER_WINDOW_HOURS: 24,
+  MATCH_STRATEGY: 'dice',
+  FUZZY_THRESHOLD: 0.5,
+  MATCH_STYLISED: true,
+  RIOT_ACCOUNTS: [],
+  PRODUCTS: [
+    { names: ['Poro Plush'], quantity: 1, options: {} },
+    { names: ['Jinx Hoodie'], quantity: 1, options: { size: 'L' } }
+  ]
+};
+
+/**
+ * Ledger order placed some hours before NOW
+ * @param {number} hoursAgo
+ * @param {Array<{title: string, variant?: string}>} items
+ * @param {Object} [extra] - store / account overrides
+ * @returns {Object}
+ */
+function orderAgo(hoursAgo, items, extra = {}) {
+  return {
+    orderNumber: `RM-${1000 + hoursAgo}`,
+    placedAt: new Date(NOW - hoursAgo * 3600000).toISOString(),
+    store: 'merch.riotgames.com',
+    account: null,
+    total: 25,
+    items: items.map(item => ({ variant: null, quantity: 1, unitPrice: 25, ...item })),
+    ...extra
+  };
+}
+
+describe('order ledger', () => {
+  let dir;
+  let file;
+
+  /**
+   * Write the ledger file and run the duplicate check against it
+   * @param {Array<Object>} orders
+   * @param {Object} [options] - findDuplicateOrders options
+   * @returns {string[]} First names of the blocked products
+   */
+  const blocked = (orders, options = {}) => {
+    fs.writeFileSync(file, JSON.stringify({ version: 1, orders }));
+    return findDuplicateOrders(CONFIG, { account: null, now: NOW, file, ...options }).map(d => d.product.names[0]);
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    file = path.join(dir, 'orders-ledger.json');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('blocks a product ordered inside the window', () => {
+    assert.deepEqual(blocked([orderAgo(2, [{ title: 'Poro Plush' }])]), ['Poro Plush']);
+    assert.deepEqual(blocked([orderAgo(24, [{ title: 'Poro Plush' }])]), ['Poro Plush']);
+  });
+
+  it('names the order in the message', () => {
+    fs.writeFileSync(file, JSON.stringify({ version: 1, orders: [orderAgo(2, [{ title: 'Poro Plush' }])] }));
+    const [duplicate] = findDuplicateOrders(CONFIG, { account: null, now: NOW, file });
+    assert.match(duplicate.message, /already ordered 2\.0h ago \(order RM-1002\)/);
+  });
+
+  it('lets a product ordered outside the window through', () => {
+    assert.deepEqual(blocked([orderAgo(25, [{ title: 'Poro Plush' }])]), []);
+    assert.deepEqual(blocked([orderAgo(2, [{ title: 'Poro Plush' }])], { now: new Date(NOW.getTime() + 23 * 3600000) }), []);
+  });
+
+  it('only counts orders from the same account and store', () => {
+    const orders = [
+      orderAgo(2, [{ title: 'Poro Plush' }], { account: 'other-account' }),
+      orderAgo(2, [{ title: 'Poro Plush' }], { store: '127.0.0.1:4173' })
+    ];
+    assert.deepEqual(blocked(orders), []);
+    assert.deepEqual(blocked(orders, { account: 'other-account' }), ['Poro Plush']);
+    assert.deepEqual(blocked([orderAgo(2, [{ title: 'Poro Plush' }])], { account: 'other-account' }), []);
+  });
+
+  it('requires the configured options in the ordered variant', () => {
+    assert.deepEqual(blocked([orderAgo(2, [{ title: 'Jinx Hoodie', variant: 'M / Black' }])]), []);
+    assert.deepEqual(blocked([orderAgo(2, [{ title: 'Jinx Hoodie', variant: 'L / Black' }])]), ['Jinx Hoodie']);
+  });
+
+  it('records an unconfirmed order and still blocks it', () => {
+    fs.rmSync(file, { force: true });
+    const entry = recordOrder({ orderNumber: null, placedAt: new Date(NOW - 3600000).toISOString(), store: 'merch.riotgames.com', account: null, total: 25, items: [{ title: 'Poro Plush' }], unconfirmed: true }, file);
+    assert.equal(entry.unconfirmed, true);
+    assert.equal(loadLedger(file).orders[0].unconfirmed, true);
+
+    const [duplicate] = findDuplicateOrders(CONFIG, { account: null, now: NOW, file });
+    assert.equal(duplicate.product.names[0], 'Poro Plush');
+    assert.match(duplicate.message, /already ordered 1\.0h ago \(order unknown, unconfirmed\)/);
+  });
+
+  it('leaves the flag off confirmed orders', () => {
+    fs.rmSync(file, { force: true });
+    const entry = recordOrder({ orderNumber: 'RM-2002', store: 'merch.riotgames.com', account: null, total: 25, items: [] }, file);
+    assert.equal('unconfirmed' in entry, false);
+  });
+
+  it('treats an unreadable ledger as empty instead of blocking the run', () => {
+    fs.writeFileSync(file, '{"orders": [');
+    assert.deepEqual(loadLedger(file), { version: 1, orders: [], unreadable: true });
+    assert.deepEqual(findDuplicateOrders(CONFIG, { account: null, now: NOW, file }), []);
+  });
+
+  it('moves an unreadable ledger aside before recording an order', () => {
+    fs.writeFileSync(file, 'not json');
+    const entry = recordOrder({ orderNumber: 'RM-2001', store: 'merch.riotgames.com', account: null, total: 25, items: [] }, file);
+
+    assert.equal(entry.orderNumber, 'RM-2001');
+    assert.deepEqual(loadLedger(file).orders.map(o => o.orderNumber), ['RM-2001']);
+    const kept = fs.readdirSync(dir).filter(name => name.startsWith('orders-ledger.json.unreadable-'));
+    assert.equal(kept.length, 1);
+    assert.equal(fs.readFileSync(path.join(dir, kept[0]), 'utf8'), 'not json');
+  });
+});
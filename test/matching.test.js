@@ -0,0 +1,114 @@
+/**
+ * Matcher tests - golden corpus of listing titles (fixtures/match-corpus.json) run
+ * through every strategy, plus the normalization rules the corpus depends on
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { STRATEGIES, createMatcher, pickBestMatch, titleExclusion, tokenSetRatio, jaroWinkler } = require('../src/matching.js');
+const corpus = require('./fixtures/match-corpus.json');
+
+/**
+ * Outcome of a corpus case: the picked title, 'ambiguous', or null (not found)
+ * @param {ReturnType<typeof pickBestMatch>} result
+ * @returns {string|null}
+ */
+function outcome(result) {
+  if (result.status === 'found') return result.best.title;
+  if (result.status === 'ambiguous') return 'ambiguous';
+  return null;
+}
+
+for (const strategy of STRATEGIES) {
+  describe(`golden corpus (${strategy})`, () => {
+    const matcher = createMatcher({ strategy, threshold: corpus.threshold });
+
+    for (const testCase of corpus.cases) {
+      const expected = testCase.byStrategy && strategy in testCase.byStrategy
+        ? testCase.byStrategy[strategy]
+        : testCase.expected;
+      const label = `${testCase.names.join(' | ')}${testCase.constraints ? ` ${JSON.stringify(testCase.constraints)}` : ''}`;
+
+      it(`${label} → ${expected === null ? 'not found' : expected}`, () => {
+        const result = pickBestMatch(matcher, corpus.listing, testCase.names, {
+          margin: corpus.margin,
+          constraints: testCase.constraints
+        });
+        assert.equal(outcome(result), expected);
+      });
+    }
+  });
+}
+
+describe('stylised normalization', () => {
+  const matcher = createMatcher();
+
+  it('reads vowel-less tokens as the words they abbreviate', () => {
+    const result = matcher.score('VLRNT // FRGMT WNGMN Keychain Plush', ['Valorant Fragment Wingman Keychain Plush']);
+    assert.equal(result.score, 1);
+    assert.equal(result.rule, 'exact');
+  });
+
+  it('joins slashed names', () => {
+    assert.equal(matcher.score('K/DA Ahri Figure', ['KDA Ahri Figure']).rule, 'exact');
+  });
+
+  it('does not expand abbreviations that share only a first letter', () => {
+    assert.notEqual(matcher.score('VLRNT Keychain', ['Vandal Keychain']).rule, 'exact');
+  });
+
+  it('can be turned off', () => {
+    const plain = createMatcher({ stylised: false });
+    assert.ok(plain.score('VLRNT // FRGMT WNGMN Keychain Plush', ['Valorant Fragment Wingman Keychain Plush']).score < 0.8);
+  });
+});
+
+describe('one scoring path', () => {
+  it('match() decides with the same score it reports', () => {
+    for (const strategy of STRATEGIES) {
+      const matcher = createMatcher({ strategy, threshold: 0.6 });
+      for (const title of corpus.listing) {
+        const scored = matcher.score(title, ['Jinx Hoodie']);
+        const matched = matcher.match(title, ['Jinx Hoodie']);
+        assert.equal(matched.score, scored.score);
+        assert.equal(matched.matched, scored.score >= 0.6);
+      }
+    }
+  });
+
+  it('ranks exact above contains above similarity', () => {
+    const matcher = createMatcher();
+    const exact = matcher.score('Poro Plush', ['Poro Plush']).score;
+    const contains = matcher.score('Poro Plush - Snowdown Edition', ['Poro Plush']).score;
+    const similar = matcher.score('Pengu Plush', ['Poro Plush']).score;
+    assert.ok(exact > contains && contains > similar);
+  });
+
+  it('excluded titles score 0 and never match', () => {
+    const matcher = createMatcher();
+    const result = matcher.match('VLRNT // FRGMT WNGMN Keychain Plush 2-Pack', ['WNGMN Keychain'], { exclude: ['2-pack'] });
+    assert.equal(result.matched, false);
+    assert.equal(result.score, 0);
+    assert.match(result.excluded, /2-pack/);
+  });
+});
+
+describe('titleExclusion', () => {
+  it('matches whole words only', () => {
+    assert.equal(titleExclusion('VALORANT Spinner Plush', { exclude: ['pin'] }), null);
+    assert.match(titleExclusion('VALORANT Radianite Pin Set', { exclude: ['pin'] }), /excluded keyword "pin"/);
+  });
+
+  it('reports the first missing required keyword', () => {
+    assert.match(titleExclusion('Wingman Plush', { require: ['plush', 'keychain'] }), /required keyword "keychain"/);
+  });
+});
+
+describe('similarity functions', () => {
+  it('token-set ignores word order', () => {
+    assert.equal(tokenSetRatio(['blind', 'box', 'tft'], ['tft', 'blind', 'box']), 1);
+  });
+
+  it('jaro-winkler rewards a shared prefix', () => {
+    assert.ok(jaroWinkler('teemo', 'teemos') > jaroWinkler('teemo', 'steemo'));
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Mock storefront tests - the cart API, purchase limits and the checkout steps the bot relies on,
+ * driven over HTTP with one cookie session per test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../src/mock/server.js');
+
+/**
+ * Minimal cookie-keeping client for one mock session
+ * @param {string} base - Mock storefront URL
+ * @returns {{get: Function, postJson: Function, postForm: Function}}
+ */
+function session(base) {
+  let cookie = '';
+  const request = async (path, init = {}) => {
+    const res = await fetch(base + path, {
+      redirect: 'manual',
+      ...init,
+      headers: { ...(init.headers || {}), ...(cookie ? { Cookie: cookie } : {}) }
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return res;
+  };
+  return {
+    get: path => request(path),
+    postJson: (path, body) => request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }),
+    postForm: (path, body) => request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(body).toString()
+    })
+  };
+}
+
+const ADDRESS = {
+  email: 'test@example.com',
+  phone: '5555550123',
+  country: 'United States',
+  firstName: 'Test',
+  lastName: 'Buyer',
+  address1: '1 Main St',
+  city: 'Los Angeles',
+  province: 'CA',
+  zip: '90001'
+};
+
+describe('mock storefront', () => {
+  const mock = createMockServer();
+  let base;
+
+  before(async () => {
+    base = await mock.start(0);
+  });
+
+  after(async () => {
+    await mock.stop();
+  });
+
+  it('adds to the cart and reports it through /cart.js', async () => {
+    const client = session(base);
+    const added = await client.postJson('/cart/add.js', { id: 'poro-plush', quantity: 2 });
+    assert.equal(added.status, 200);
+    assert.equal((await added.json()).product_title, 'Poro Plush');
+
+    const cart = await (await client.get('/cart.js')).json();
+    assert.equal(cart.item_count, 2);
+    assert.equal(cart.total_price, 5000);
+    assert.deepEqual(cart.items[0].options_with_values, []);
+  });
+
+  it('rejects sold-out products and adds past the purchase limit with 422', async () => {
+    const client = session(base);
+    const soldOut = await client.postJson('/cart/add.js', { id: 'jinx-unlocked-statue', quantity: 1 });
+    assert.equal(soldOut.status, 422);
+    assert.match((await soldOut.json()).description, /sold out/);
+
+    const limited = await client.postJson('/cart/add.js', { id: 'vlrnt-frgmt-wngmn-keychain-plush', quantity: 3 });
+    assert.equal(limited.status, 422);
+    const cart = await (await client.get('/cart.js')).json();
+    assert.equal(cart.item_count, 0);
+  });
+
+  it('changes and clears the cart', async () => {
+    const client = session(base);
+    await client.postJson('/cart/add.js', { id: 'teemo-plush', quantity: 1 });
+    const changed = await (await client.postJson('/cart/change.js', { id: 'teemo-plush', quantity: 3 })).json();
+    assert.equal(changed.item_count, 3);
+    const cleared = await (await client.postJson('/cart/clear.js', {})).json();
+    assert.equal(cleared.item_count, 0);
+  });
+
+  it('sends an empty cart from checkout back to the cart', async () => {
+    const res = await session(base).get('/checkout');
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), '/cart');
+  });
+
+  it('walks information → shipping → payment → thank-you', async () => {
+    const client = session(base);
+    await client.postJson('/cart/add.js', { id: 'poro-plush', quantity: 1 });
+
+    let res = await client.get('/checkout');
+    assert.equal(res.headers.get('location'), '/checkout/information');
+    assert.match(await (await client.get('/checkout/information')).text(), /data-step="information"/);
+
+    res = await client.postForm('/checkout/information', ADDRESS);
+    assert.equal(res.headers.get('location'), '/checkout/shipping');
+    res = await client.postForm('/checkout/shipping', { shipping_method: 'standard' });
+    assert.equal(res.headers.get('location'), '/checkout/payment');
+    assert.match(await (await client.get('/checkout/payment')).text(), /data-step="payment"/);
+
+    const year = new Date().getFullYear() + 1;
+    res = await client.postForm('/checkout/complete', {
+      card_number: '4242424242424242',
+      card_expiry: `12/${String(year).slice(-2)}`,
+      card_cvc: '123'
+    });
+    assert.equal(res.status, 302);
+    const thankYou = res.headers.get('location');
+    assert.match(thankYou, /^\/checkout\/thank-you\/RM-\d+$/);
+    assert.match(await (await client.get(thankYou)).text(), /order-confirmation/);
+    assert.equal((await (await client.get('/cart.js')).json()).item_count, 0);
+  });
+
+  it('re-renders a step with linked field errors', async () => {
+    const client = session(base);
+    await client.postJson('/cart/add.js', { id: 'poro-plush', quantity: 1 });
+    const res = await client.postForm('/checkout/information', { ...ADDRESS, zip: '1234' });
+    assert.equal(res.status, 422);
+    const html = await res.text();
+    assert.match(html, /aria-describedby="error-zip"/);
+    assert.match(html, /<p class="field-error" id="error-zip">Enter a valid ZIP code<\/p>/);
+  });
+
+  it('keeps later steps behind a valid address', async () => {
+    const client = session(base);
+    await client.postJson('/cart/add.js', { id: 'poro-plush', quantity: 1 });
+    const res = await client.get('/checkout/payment');
+    assert.equal(res.headers.get('location'), '/checkout/information');
+  });
+});
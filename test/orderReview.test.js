@@ -0,0 +1,95 @@
+/**
+ * Order review tests - review page lines checked against the expected items, including a resumed
+ * checkout where only the configured options say which variant should be ordered
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const OrderReview = require('../src/classes/OrderReview.js');
+const { resumedCheckoutItems } = require('../src/checkoutSteps.js');
+
+const CONFIG = { MATCH_STRATEGY: 'dice', FUZZY_THRESHOLD: 0.5, MATCH_STYLISED: true, CHECKOUT: {}, MAX_ORDER_TOTAL: 0 };
+
+const HOODIE = { names: ['Jinx Hoodie'], quantity: 1, options: { size: 'L', color: 'Black' }, maxPrice: null };
+const PORO = { names: ['Poro Plush'], quantity: 2, options: {}, maxPrice: null };
+
+/**
+ * Review page holding the given lines, with consistent totals
+ * @param {Array<{title: string, variant: string|null, quantity: number}>} lines - Each line costs 25 a unit
+ * @returns {Object} As OrderReview.read returns it
+ */
+function reviewOf(lines) {
+  const parsed = lines.map(l => ({ ...l, unitPrice: 25, linePrice: 25 * l.quantity }));
+  const subtotal = parsed.reduce((sum, l) => sum + l.linePrice, 0);
+  return {
+    lines: parsed,
+    contact: null,
+    shipTo: null,
+    shippingMethod: 'Standard',
+    totals: { subtotal, discount: null, shipping: 5, taxes: null, total: subtotal + 5 }
+  };
+}
+
+/**
+ * Mismatched fields for a review page
+ * @param {Object} review
+ * @param {Array<Object>} expected
+ * @returns {string[]}
+ */
+function mismatches(review, expected) {
+  return new OrderReview(null, null, CONFIG).verify(review, expected).mismatches.map(m => m.field);
+}
+
+describe('OrderReview.verify', () => {
+  it('accepts the variant picked on the product page', () => {
+    const expected = [{ product: 'Jinx Hoodie', title: 'Jinx Hoodie', quantity: 1, variant: 'L / Black' }];
+    assert.deepEqual(mismatches(reviewOf([{ title: 'Jinx Hoodie', variant: 'l/black', quantity: 1 }]), expected), []);
+    assert.deepEqual(mismatches(reviewOf([{ title: 'Jinx Hoodie', variant: 'M / Black', quantity: 1 }]), expected), ['variant']);
+  });
+
+  describe('resumed checkout', () => {
+    const expected = resumedCheckoutItems([HOODIE, PORO]);
+
+    it('accepts lines showing every configured option', () => {
+      const review = reviewOf([
+        { title: 'Jinx Hoodie', variant: 'L / Black', quantity: 1 },
+        { title: 'Poro Plush', variant: null, quantity: 2 }
+      ]);
+      assert.deepEqual(mismatches(review, expected), []);
+    });
+
+    it('rejects a line with the wrong size or colour', () => {
+      const wrongSize = reviewOf([
+        { title: 'Jinx Hoodie', variant: 'M / Black', quantity: 1 },
+        { title: 'Poro Plush', variant: null, quantity: 2 }
+      ]);
+      assert.deepEqual(mismatches(wrongSize, expected), ['variant']);
+
+      const wrongColour = reviewOf([
+        { title: 'Jinx Hoodie', variant: 'L / Blue', quantity: 1 },
+        { title: 'Poro Plush', variant: null, quantity: 2 }
+      ]);
+      const [mismatch] = new OrderReview(null, null, CONFIG).verify(wrongColour, expected).mismatches;
+      assert.equal(mismatch.message, '"Jinx Hoodie" [L / Blue] is not the configured size=L, color=Black');
+    });
+
+    it('rejects a line without a variant when options are configured', () => {
+      const review = reviewOf([
+        { title: 'Jinx Hoodie', variant: null, quantity: 1 },
+        { title: 'Poro Plush', variant: null, quantity: 2 }
+      ]);
+      assert.deepEqual(mismatches(review, expected), ['variant']);
+    });
+
+    it('pairs two variants of one product with the right configured entries', () => {
+      const twoSizes = resumedCheckoutItems([
+        { ...HOODIE, options: { size: 'M' } },
+        { ...HOODIE, options: { size: 'L' }, quantity: 2 }
+      ]);
+      const review = reviewOf([
+        { title: 'Jinx Hoodie', variant: 'L / Black', quantity: 2 },
+        { title: 'Jinx Hoodie', variant: 'M / Black', quantity: 1 }
+      ]);
+      assert.deepEqual(mismatches(review, twoSizes), []);
+    });
+  });
+});
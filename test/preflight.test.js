@@ -0,0 +1,175 @@
+/**
+ * Pre-flight checker tests - card number (Luhn) and expiry, US ZIP ↔ state ranges and the
+ * per-country phone rules, run through runPreflight against a known-good profile
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runPreflight, luhnValid, checkPhone } = require('../src/preflight.js');
+
+// Mid-June 2026 - expiry checks are relative to this
+const NOW = new Date(2026, 5, 15);
+
+/**
+ * Config that passes every check; overrides replace CHECKOUT / PAYMENT fields
+ * @param {{checkout?: Object, payment?: Object}} overrides
+ * @returns {Object}
+ */
+function configWith(overrides = {}) {
+  return {
+    DRY_RUN: true,
+    FUZZY_THRESHOLD: 0.5,
+    MATCH_STRATEGY: 'dice',
+    PRODUCTS: [],
+    MAX_ORDER_TOTAL: 100,
+    CART_MODE: 'clear',
+    CART_UNRELATED: 'keep',
+    RESTORE_CART: 'off',
+    CHECKOUT: {
+      email: 'test@example.com',
+      firstName: 'Test',
+      lastName: 'Buyer',
+      phone: '555-123-4567',
+      address1: '1 Main St',
+      city: 'Los Angeles',
+      state: 'CA',
+      zip: '90001',
+      country: 'United States',
+      ...overrides.checkout
+    },
+    PAYMENT: {
+      cardNumber: '4242 4242 4242 4242',
+      cardExpMonth: '12',
+      cardExpYear: '2030',
+      cardCvv: '123',
+      ...overrides.payment
+    }
+  };
+}
+
+/**
+ * Fields with errors, in strict mode (checkout problems are errors even in a dry run)
+ * @param {Object} overrides - See configWith
+ * @returns {string[]}
+ */
+function errorFields(overrides) {
+  return runPreflight(configWith(overrides), { strict: true, now: NOW }).errors.map(e => e.field);
+}
+
+describe('runPreflight', () => {
+  it('passes the known-good profile', () => {
+    assert.deepEqual(errorFields(), []);
+  });
+
+  it('downgrades checkout problems to warnings when checkout will not run', () => {
+    const result = runPreflight(configWith({ checkout: { zip: '1234' } }), { now: NOW });
+    assert.equal(result.ok, true);
+    assert.ok(result.warnings.some(w => w.field === 'CHECKOUT.zip'));
+  });
+});
+
+describe('card number', () => {
+  it('accepts Luhn-valid numbers', () => {
+    assert.equal(luhnValid('4242424242424242'), true);
+    assert.equal(luhnValid('79927398713'), true);
+    assert.deepEqual(errorFields({ payment: { cardNumber: '4111-1111-1111-1111' } }), []);
+  });
+
+  it('rejects a checksum typo, bad lengths and an empty number', () => {
+    assert.equal(luhnValid('4242424242424241'), false);
+    assert.equal(luhnValid(''), false);
+    assert.deepEqual(errorFields({ payment: { cardNumber: '4242424242424241' } }), ['PAYMENT.cardNumber']);
+    assert.deepEqual(errorFields({ payment: { cardNumber: '42424242' } }), ['PAYMENT.cardNumber']);
+  });
+
+  it('masks the number in the message', () => {
+    const [error] = runPreflight(configWith({ payment: { cardNumber: '4242424242424241' } }), { strict: true, now: NOW }).errors;
+    assert.doesNotMatch(error.message, /424242424242/);
+    assert.match(error.message, /4241/);
+  });
+});
+
+describe('card expiry', () => {
+  it('accepts the current month - cards are valid through its last day', () => {
+    assert.deepEqual(errorFields({ payment: { cardExpMonth: '6', cardExpYear: '2026' } }), []);
+    assert.deepEqual(errorFields({ payment: { cardExpMonth: '06', cardExpYear: '26' } }), []);
+  });
+
+  it('rejects last month and earlier years', () => {
+    assert.deepEqual(errorFields({ payment: { cardExpMonth: '5', cardExpYear: '2026' } }), ['PAYMENT.cardExpYear']);
+    assert.deepEqual(errorFields({ payment: { cardExpMonth: '12', cardExpYear: '25' } }), ['PAYMENT.cardExpYear']);
+  });
+
+  it('rejects a month outside 1-12 and a year that is not a number', () => {
+    assert.deepEqual(errorFields({ payment: { cardExpMonth: '13' } }), ['PAYMENT.cardExpMonth']);
+    assert.deepEqual(errorFields({ payment: { cardExpMonth: '0' } }), ['PAYMENT.cardExpMonth']);
+    assert.deepEqual(errorFields({ payment: { cardExpYear: 'soon' } }), ['PAYMENT.cardExpYear']);
+  });
+});
+
+describe('US ZIP ↔ state', () => {
+  it('accepts both ends of a state range', () => {
+    // California is 900-961
+    assert.deepEqual(errorFields({ checkout: { zip: '90001' } }), []);
+    assert.deepEqual(errorFields({ checkout: { zip: '96199' } }), []);
+    assert.deepEqual(errorFields({ checkout: { zip: '96150-1234' } }), []);
+  });
+
+  it('rejects ZIPs just outside the range', () => {
+    assert.deepEqual(errorFields({ checkout: { zip: '89999' } }), ['CHECKOUT.zip']);
+    assert.deepEqual(errorFields({ checkout: { zip: '96200' } }), ['CHECKOUT.zip']);
+  });
+
+  it('checks every range of a state with several', () => {
+    // District of Columbia is 200, 202-205 and 569; 201 belongs to Virginia
+    const dc = zip => errorFields({ checkout: { state: 'District of Columbia', zip } });
+    assert.deepEqual(dc('20001'), []);
+    assert.deepEqual(dc('20599'), []);
+    assert.deepEqual(dc('56901'), []);
+    assert.deepEqual(dc('20101'), ['CHECKOUT.zip']);
+    assert.deepEqual(errorFields({ checkout: { state: 'va', zip: '20101' } }), []);
+  });
+
+  it('keeps leading zeros of New England ZIPs', () => {
+    // Connecticut is 060-069
+    assert.deepEqual(errorFields({ checkout: { state: 'CT', zip: '06001' } }), []);
+    assert.deepEqual(errorFields({ checkout: { state: 'CT', zip: '07001' } }), ['CHECKOUT.zip']);
+  });
+
+  it('rejects malformed ZIPs and unknown states', () => {
+    assert.deepEqual(errorFields({ checkout: { zip: '9000' } }), ['CHECKOUT.zip']);
+    assert.deepEqual(errorFields({ checkout: { zip: '90001-12' } }), ['CHECKOUT.zip']);
+    assert.deepEqual(errorFields({ checkout: { state: 'Cali' } }), ['CHECKOUT.state']);
+  });
+
+  it('skips the US checks for other countries', () => {
+    assert.deepEqual(errorFields({ checkout: { country: 'United Kingdom', state: '', zip: 'SW1A 1AA', phone: '07700 900123' } }), []);
+  });
+});
+
+describe('phone', () => {
+  it('accepts US numbers with or without the country code', () => {
+    assert.equal(checkPhone('555-123-4567', 'United States').valid, true);
+    assert.equal(checkPhone('+1 (555) 123-4567', 'US').valid, true);
+    assert.equal(checkPhone('15551234567', 'usa').valid, true);
+  });
+
+  it('rejects US numbers with the wrong digit count', () => {
+    const short = checkPhone('555-123-456', 'United States');
+    assert.equal(short.valid, false);
+    assert.match(short.expected, /10 digits/);
+    assert.equal(checkPhone('25551234567', 'United States').valid, false);
+    assert.deepEqual(errorFields({ checkout: { phone: '555-1234' } }), ['CHECKOUT.phone']);
+  });
+
+  it('strips the UK trunk prefix or country code', () => {
+    assert.equal(checkPhone('07700 900123', 'United Kingdom').valid, true);
+    assert.equal(checkPhone('+44 7700 900123', 'uk').valid, true);
+    assert.equal(checkPhone('0770 090 012', 'gb').valid, false);
+  });
+
+  it('falls back to 7-15 digits for other countries', () => {
+    assert.equal(checkPhone('030 1234567', 'Germany').valid, true);
+    assert.equal(checkPhone('123456', 'Germany').valid, false);
+    assert.equal(checkPhone('1234567890123456', 'Germany').valid, false);
+  });
+});
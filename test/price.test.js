@@ -0,0 +1,88 @@
+/**
+ * Price parsing tests - decimal separators (inferred or from the store locale), currency
+ * symbols and codes, quantities next to the price, negative amounts and prices without a number
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice, parseMoney, detectCurrency, decimalSeparator } = require('../src/util.js');
+
+describe('parsePrice', () => {
+  it('reads dot and comma decimals', () => {
+    assert.equal(parsePrice('$1,234.56'), 1234.56);
+    assert.equal(parsePrice('1.234,56 €'), 1234.56);
+    assert.equal(parsePrice('1 234,56 €'), 1234.56);
+    assert.equal(parsePrice("CHF 1'234.50"), 1234.5);
+    assert.equal(parsePrice('$45'), 45);
+  });
+
+  it('uses the store locale for a lone separator', () => {
+    assert.equal(parsePrice('1,234'), 1234);
+    assert.equal(parsePrice('1,234', 'de-DE'), 1.234);
+    assert.equal(parsePrice('1.234', 'de-DE'), 1234);
+  });
+
+  it('takes the amount by the currency over a quantity', () => {
+    assert.equal(parsePrice('2 x $45.00'), 45);
+    assert.equal(parsePrice('Qty: 2 $45.00'), 45);
+    assert.equal(parsePrice('2 × 45,00 EUR'), 45);
+    assert.equal(parsePrice('Discount (2 items) -$10.00'), -10);
+  });
+
+  it('falls back to the last number without a currency', () => {
+    assert.equal(parsePrice('Qty: 2 45.00'), 45);
+    assert.equal(parsePrice('45.00'), 45);
+  });
+
+  it('keeps the sign of a negative amount', () => {
+    assert.equal(parsePrice('-$5.00'), -5);
+    assert.equal(parsePrice('$-5.00'), -5);
+    assert.equal(parsePrice('−5,00 €'), -5);
+  });
+
+  it('returns null without a number', () => {
+    assert.equal(parsePrice('Free'), null);
+    assert.equal(parsePrice(''), null);
+    assert.equal(parsePrice(null), null);
+  });
+});
+
+describe('detectCurrency', () => {
+  it('reads ISO codes and symbols', () => {
+    assert.equal(detectCurrency('USD $45.00'), 'USD');
+    assert.equal(detectCurrency('1.234,56 €'), 'EUR');
+    assert.equal(detectCurrency('£12.00'), 'GBP');
+    assert.equal(detectCurrency('45,00 zł'), 'PLN');
+  });
+
+  it('reads prefixed dollars before the plain dollar sign', () => {
+    assert.equal(detectCurrency('CA$12.50'), 'CAD');
+    assert.equal(detectCurrency('A$12.50'), 'AUD');
+    assert.equal(detectCurrency('$12.50'), 'USD');
+  });
+
+  it('returns null without a currency', () => {
+    assert.equal(detectCurrency('45.00'), null);
+    assert.equal(detectCurrency('Free'), null);
+  });
+});
+
+describe('parseMoney', () => {
+  it('returns the amount with its currency', () => {
+    assert.deepEqual(parseMoney('1.234,56 €'), { amount: 1234.56, currency: 'EUR' });
+    assert.deepEqual(parseMoney('2 x $45.00'), { amount: 45, currency: 'USD' });
+    assert.deepEqual(parseMoney('-$5.00'), { amount: -5, currency: 'USD' });
+    assert.deepEqual(parseMoney('Free'), { amount: null, currency: null });
+  });
+});
+
+describe('decimalSeparator', () => {
+  it('reads the separator of a locale', () => {
+    assert.equal(decimalSeparator('en-US'), '.');
+    assert.equal(decimalSeparator('de-DE'), ',');
+    assert.equal(decimalSeparator('fr-FR'), ',');
+  });
+
+  it('returns null for a malformed locale', () => {
+    assert.equal(decimalSeparator('not a locale'), null);
+  });
+});
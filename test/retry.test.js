@@ -0,0 +1,114 @@
+/**
+ * Retry policy tests - error classification, backoff, the run budget and the give-up hook
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { retry, classifyError, computeDelay, configureRetries, resetRetryBudget, getRetryStats } = require('../src/retry.js');
+
+// No waiting between attempts, no artifacts
+const FAST = { policy: { baseDelayMs: 0, maxDelayMs: 0, jitter: 0 }, onRetry: null, onGiveUp: null };
+
+/**
+ * Action failing with the given errors in turn, then returning 'ok'
+ * @param {Array<Error>} errors
+ * @returns {Function & {calls: number}}
+ */
+function failing(errors) {
+  const action = async () => {
+    action.calls++;
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  action.calls = 0;
+  return action;
+}
+
+describe('classifyError', () => {
+  it('treats timeouts, detached elements and network errors as transient', () => {
+    assert.equal(classifyError(new Error('locator.click: Timeout 30000ms exceeded')), 'transient');
+    assert.equal(classifyError(new Error('Element is not attached to the DOM')), 'transient');
+    assert.equal(classifyError(new Error('net::ERR_CONNECTION_RESET')), 'transient');
+  });
+
+  it('treats a closed browser as terminal', () => {
+    assert.equal(classifyError(new Error('Target page, context or browser has been closed')), 'terminal');
+    assert.equal(classifyError(new Error('Browser has disconnected')), 'terminal');
+  });
+
+  it('uses result statuses and the retryable flag', () => {
+    assert.equal(classifyError(Object.assign(new Error('Sold out'), { status: 'out_of_stock' })), 'terminal');
+    assert.equal(classifyError({ status: 'variant_unavailable', message: 'No size=XXL option' }), 'terminal');
+    assert.equal(classifyError(Object.assign(new Error('Add to Cart clicked but not confirmed'), { status: 'unconfirmed' })), 'terminal');
+    assert.equal(classifyError(Object.assign(new Error('timeout'), { retryable: false })), 'terminal');
+    assert.equal(classifyError(Object.assign(new Error('browser has been closed'), { retryable: true })), 'transient');
+  });
+
+  it('defaults unknown errors to transient', () => {
+    assert.equal(classifyError(new Error('Something odd')), 'transient');
+    assert.equal(classifyError('plain string'), 'transient');
+  });
+});
+
+describe('computeDelay', () => {
+  const policy = { baseDelayMs: 100, maxDelayMs: 1000, jitter: 0 };
+
+  it('doubles per attempt up to the cap', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(n => computeDelay(n, policy)), [100, 200, 400, 800, 1000]);
+  });
+
+  it('keeps jitter within the configured fraction', () => {
+    for (let i = 0; i < 50; i++) {
+      const delay = computeDelay(1, { ...policy, jitter: 0.2 });
+      assert.ok(delay >= 80 && delay <= 120, `${delay}`);
+    }
+  });
+});
+
+describe('retry', () => {
+  beforeEach(() => {
+    configureRetries({ RETRY_BUDGET: 0 });
+  });
+
+  it('retries transient errors until the action succeeds', async () => {
+    const action = failing([new Error('Timeout'), new Error('Timeout')]);
+    assert.equal(await retry(action, 3, 'flaky', FAST), 'ok');
+    assert.equal(action.calls, 3);
+    assert.equal(getRetryStats().used, 2);
+  });
+
+  it('rethrows terminal errors without retrying', async () => {
+    const action = failing([new Error('Browser has been closed')]);
+    await assert.rejects(retry(action, 3, 'closed', FAST), err => err.attempts === 1 && err.retryKind === 'terminal');
+    assert.equal(action.calls, 1);
+  });
+
+  it('does not retry a variant the store does not offer', async () => {
+    const action = failing([Object.assign(new Error('No size=XXL option'), { status: 'variant_unavailable' })]);
+    await assert.rejects(retry(action, 3, 'variant', FAST), err => err.attempts === 1 && err.retryKind === 'terminal');
+    assert.equal(action.calls, 1);
+  });
+
+  it('stops when the run budget is exhausted', async () => {
+    resetRetryBudget(1);
+    const action = failing([new Error('Timeout'), new Error('Timeout'), new Error('Timeout')]);
+    await assert.rejects(retry(action, 5, 'budget', FAST), err => err.attempts === 2);
+    assert.deepEqual(getRetryStats(), { limit: 1, used: 1, remaining: 0 });
+  });
+
+  it('reports every retried attempt and the final one with its reason', async () => {
+    const retried = [];
+    const gaveUp = [];
+    const options = {
+      ...FAST,
+      onRetry: info => retried.push(info.attempt),
+      onGiveUp: info => gaveUp.push({ attempt: info.attempt, kind: info.kind, reason: info.reason })
+    };
+    await assert.rejects(retry(failing([new Error('Timeout'), new Error('Timeout')]), 2, 'final', options));
+    assert.deepEqual(retried, [1]);
+    assert.deepEqual(gaveUp, [{ attempt: 2, kind: 'transient', reason: 'max attempts reached' }]);
+
+    gaveUp.length = 0;
+    await assert.rejects(retry(failing([new Error('Browser has been closed')]), 3, 'terminal', options));
+    assert.deepEqual(gaveUp, [{ attempt: 1, kind: 'terminal', reason: 'terminal error' }]);
+  });
+});